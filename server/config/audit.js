@@ -0,0 +1,27 @@
+require('dotenv').config();
+
+// Audit trail of changes made through the API
+const audit = {
+  // Models whose creates, updates and deletes are recorded automatically
+  models: ['User', 'Partner', 'Vehicle', 'Material', 'ServiceRequest', 'Payment', 'PayoutBatch', 'Review', 'MaintenanceRecord', 'Operator'],
+
+  // Recorded as changed without their values
+  redactedFields: [
+    'password',
+    'verificationToken',
+    'verificationExpires',
+    'passwordResetToken',
+    'passwordResetExpires',
+    'bankDetails'
+  ],
+
+  // Not worth an entry on their own (lastLogin changes on every sign-in)
+  ignoredFields: ['createdAt', 'updatedAt', 'lastLogin'],
+
+  // Entries older than this are purged by scripts/purgeAuditLogs.js
+  retentionDays: parseInt(process.env.AUDIT_RETENTION_DAYS || '730'),
+
+  exportLimit: 10000
+};
+
+module.exports = audit;
@@ -0,0 +1,19 @@
+require('dotenv').config();
+
+// Authentication and account policy settings
+const authConfig = {
+  accessTokenExpire: process.env.JWT_ACCESS_EXPIRE || '15m',
+  refreshTokenDays: parseInt(process.env.REFRESH_TOKEN_DAYS || '30'),
+
+  // Lifetime of emailed single-use tokens
+  verificationTokenHours: parseInt(process.env.VERIFICATION_TOKEN_HOURS || '48'),
+  passwordResetTokenMinutes: parseInt(process.env.PASSWORD_RESET_TOKEN_MINUTES || '60'),
+
+  // Block unverified accounts from placing service requests. Off unless set:
+  // accounts created before email verification existed are all unverified.
+  requireVerifiedEmailForOrders: process.env.REQUIRE_VERIFIED_EMAIL_FOR_ORDERS === 'true',
+
+  frontendUrl: process.env.FRONTEND_URL || 'http://localhost:5173'
+};
+
+module.exports = authConfig;
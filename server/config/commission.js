@@ -0,0 +1,16 @@
+require('dotenv').config();
+
+// Platform commission taken from partner earnings, by subscription plan
+const commission = {
+  defaultRate: parseFloat(process.env.COMMISSION_DEFAULT_RATE || '0.15'),
+  plans: {
+    basic: 0.15,
+    premium: 0.10,
+    enterprise: 0.07
+  },
+
+  // Partners with a smaller balance are left for the next payout batch
+  minimumPayout: parseFloat(process.env.MINIMUM_PAYOUT || '1000')
+};
+
+module.exports = commission;
@@ -0,0 +1,17 @@
+// Facet counts returned with listing searches. Price bands are lower edges in
+// LKR; the last band is open-ended.
+const facets = {
+  vehicles: {
+    priceField: 'pricePerDay',
+    priceBands: [0, 25000, 50000, 100000, 200000]
+  },
+  materials: {
+    priceField: 'pricePerUnit',
+    priceBands: [0, 1000, 5000, 10000, 25000]
+  },
+
+  // "4+ stars" style bands
+  ratingBands: [4, 3, 2, 1]
+};
+
+module.exports = facets;
@@ -0,0 +1,21 @@
+require('dotenv').config();
+
+// Location search and delivery distance
+const geo = {
+  // Radius used by "near me" searches that don't give one
+  defaultRadiusKm: parseFloat(process.env.GEO_DEFAULT_RADIUS_KM || '25'),
+  maxRadiusKm: 300,
+
+  // A delivery point this close to a named delivery area counts as inside it
+  deliveryAreaRadiusKm: parseFloat(process.env.DELIVERY_AREA_RADIUS_KM || '15'),
+
+  // Coordinates outside this box are rejected as not in Sri Lanka
+  bounds: {
+    minLat: 5.8,
+    maxLat: 9.9,
+    minLng: 79.5,
+    maxLng: 82.0
+  }
+};
+
+module.exports = geo;
@@ -0,0 +1,27 @@
+require('dotenv').config();
+
+// Background job queue
+const jobs = {
+  // Run a worker inside the API process as well. Turn off when scripts/worker.js
+  // runs separately.
+  embeddedWorker: process.env.JOB_WORKER_EMBEDDED !== 'false',
+
+  pollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS || '2000'),
+  batchSize: parseInt(process.env.JOB_BATCH_SIZE || '10'),
+
+  defaultMaxAttempts: 5,
+
+  // Retry n waits baseDelaySeconds * 2^(n-1), capped, plus up to 10% jitter
+  baseDelaySeconds: 30,
+  maxDelaySeconds: 6 * 60 * 60,
+
+  // A job still running after this long is assumed lost with its worker and retried
+  lockTimeoutMinutes: 15,
+  jobTimeoutSeconds: 120,
+
+  // Finished jobs are removed after these many days
+  completedRetentionDays: parseInt(process.env.JOB_COMPLETED_RETENTION_DAYS || '7'),
+  deadRetentionDays: parseInt(process.env.JOB_DEAD_RETENTION_DAYS || '90')
+};
+
+module.exports = jobs;
@@ -0,0 +1,8 @@
+// Vehicle maintenance records
+const maintenance = {
+  types: ['service', 'repair', 'inspection', 'tyres', 'breakdown', 'other'],
+
+  maxDocuments: 10
+};
+
+module.exports = maintenance;
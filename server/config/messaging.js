@@ -0,0 +1,10 @@
+// Customer-partner conversations
+const messaging = {
+  maxMessageLength: 2000,
+  maxAttachments: 5,
+
+  // Length of the last-message preview shown in conversation lists
+  previewLength: 120
+};
+
+module.exports = messaging;
@@ -0,0 +1,29 @@
+require('dotenv').config();
+const path = require('path');
+
+// Notification center delivery settings
+const notifications = {
+  // Adapters used for each channel: smtp, file or console for email; http,
+  // file or console for SMS
+  emailTransport: process.env.NOTIFY_EMAIL_TRANSPORT || 'smtp',
+  smsTransport: process.env.NOTIFY_SMS_TRANSPORT || 'console',
+
+  // Where the file transport appends one JSON line per message
+  fileTransportDir: process.env.NOTIFY_FILE_DIR || path.join(__dirname, '../logs/notifications'),
+
+  // Generic HTTP SMS gateway: POSTs { to, from, message } with a bearer key
+  sms: {
+    gatewayUrl: process.env.SMS_GATEWAY_URL || '',
+    apiKey: process.env.SMS_API_KEY || '',
+    senderId: process.env.SMS_SENDER_ID || 'AutoX',
+    timeoutMs: parseInt(process.env.SMS_TIMEOUT_MS || '10000')
+  },
+
+  // Used when a user or partner has no preference of their own
+  defaultChannels: {
+    email: true,
+    sms: false
+  }
+};
+
+module.exports = notifications;
@@ -0,0 +1,21 @@
+// Operators (drivers) that vehicle owners send out with their vehicles
+const operators = {
+  // Sri Lankan driving licence classes
+  licenceClasses: ['A1', 'A', 'B1', 'B', 'C1', 'C', 'CE', 'D1', 'D', 'DE', 'G1', 'G', 'J'],
+
+  // Classes that allow driving each vehicle category; an operator needs one of
+  // them. Categories not listed take any licence.
+  categoryLicenceClasses: {
+    truck: ['C1', 'C', 'CE'],
+    dump_truck: ['C', 'CE'],
+    concrete_mixer: ['C', 'CE'],
+    excavator: ['J'],
+    crane: ['J'],
+    bulldozer: ['J'],
+    loader: ['J'],
+    forklift: ['J'],
+    roller: ['J']
+  }
+};
+
+module.exports = operators;
@@ -0,0 +1,17 @@
+require('dotenv').config();
+
+// Partner onboarding review
+const partnerVerification = {
+  statuses: ['pending', 'under_review', 'information_requested', 'approved', 'rejected', 'suspended'],
+
+  // Statuses in which the partner may change documents and insurance and (re)submit
+  editableStatuses: ['pending', 'information_requested'],
+
+  documentTypes: ['business_license', 'insurance', 'br_certificate'],
+  requiredDocuments: ['business_license', 'insurance', 'br_certificate'],
+
+  // Insurance has to stay valid at least this long past submission and approval
+  minimumInsuranceValidityDays: parseInt(process.env.MIN_INSURANCE_VALIDITY_DAYS || '30')
+};
+
+module.exports = partnerVerification;
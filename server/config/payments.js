@@ -0,0 +1,35 @@
+require('dotenv').config();
+
+// Webhooks are only as safe as their secret; the built-in one is for local
+// development and anywhere else the server refuses to start without its own
+const isDevelopment = (process.env.NODE_ENV || 'development') === 'development';
+if (!process.env.PAYMENT_WEBHOOK_SECRET && !isDevelopment) {
+  throw new Error('PAYMENT_WEBHOOK_SECRET must be set outside development');
+}
+
+// Payment provider settings
+const payments = {
+  currency: 'LKR',
+
+  // Adapter used for card payments. Only the local mock gateway ships with the app.
+  cardProvider: process.env.PAYMENT_CARD_PROVIDER || 'mock',
+
+  // Shared secret used to sign and verify gateway webhooks
+  webhookSecret: process.env.PAYMENT_WEBHOOK_SECRET || 'autox-dev-webhook-secret',
+
+  // Webhooks older than this are rejected to limit replays
+  webhookToleranceSeconds: parseInt(process.env.PAYMENT_WEBHOOK_TOLERANCE || '300'),
+
+  // Account shown to customers paying by bank transfer
+  bankTransfer: {
+    bankName: process.env.PAYMENT_BANK_NAME || 'Commercial Bank of Ceylon',
+    accountName: process.env.PAYMENT_BANK_ACCOUNT_NAME || 'Auto X Sri Lanka (Pvt) Ltd',
+    accountNumber: process.env.PAYMENT_BANK_ACCOUNT_NUMBER || '0000000000',
+    branch: process.env.PAYMENT_BANK_BRANCH || 'Colombo'
+  },
+
+  // Whether the mock gateway's simulation endpoints are exposed
+  enableMockGateway: process.env.NODE_ENV !== 'production'
+};
+
+module.exports = payments;
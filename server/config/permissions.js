@@ -0,0 +1,82 @@
+// Permission registry. Names are resource:action with an optional :own or :any
+// scope. `partner` marks permissions that need an approved partner profile;
+// a partner type limits them to that kind of partner.
+const PERMISSIONS = {
+  'orders:create': { description: 'Place service requests' },
+  'orders:read:own': { description: 'View own service requests' },
+  'orders:read:any': { description: 'View any service request' },
+  'orders:manage:own': { description: 'Accept, reject and progress assigned service requests', partner: true },
+  'orders:manage:any': { description: 'Change the status of any service request' },
+  'orders:override': { description: 'Force a service request into any status' },
+
+  'users:read:any': { description: 'Search and view user accounts' },
+  'users:manage': { description: 'Activate and deactivate user accounts' },
+
+  'vehicles:write:own': { description: 'Create and manage own vehicle listings', partner: 'vehicle_owner' },
+  'vehicles:write:any': { description: 'Manage any vehicle listing' },
+  'materials:write:own': { description: 'Create and manage own material listings and stock', partner: 'material_supplier' },
+  'materials:write:any': { description: 'Manage any material listing and its stock' },
+  'operators:manage:own': { description: 'Manage own vehicle operators and assign them to orders', partner: 'vehicle_owner' },
+  'listings:moderate': { description: 'Unpublish, republish and feature vehicle and material listings' },
+
+  'partners:read:any': { description: 'List partner accounts and applications' },
+  'partners:verify': { description: 'Approve, reject and suspend partner accounts' },
+  'ledger:read:own': { description: 'View own earnings ledger and balance', partner: true },
+
+  'reviews:create': { description: 'Review own completed orders' },
+  'reviews:report': { description: 'Report abusive reviews' },
+  'reviews:reply:own': { description: 'Read and reply to reviews of own listings', partner: true },
+  'reviews:moderate': { description: 'Hide and republish reviews and resolve abuse reports' },
+
+  'messages:send': { description: 'Message partners about listings and orders, and reply' },
+
+  'payments:read:any': { description: 'View any payment' },
+  'payments:confirm:any': { description: 'Confirm offline payments such as bank transfers' },
+  'payments:refund': { description: 'Refund payments' },
+  'payouts:manage': { description: 'Generate, export and settle partner payout batches' },
+
+  'audit:read': { description: 'Search and export the audit log' },
+  'jobs:manage': { description: 'Inspect and retry background jobs and run scheduled tasks' }
+};
+
+const CUSTOMER_PERMISSIONS = [
+  'orders:create',
+  'orders:read:own',
+  'reviews:create',
+  'reviews:report',
+  'messages:send'
+];
+
+// Partners can still order as customers
+const ROLE_PERMISSIONS = {
+  customer: CUSTOMER_PERMISSIONS,
+  partner: [
+    ...CUSTOMER_PERMISSIONS,
+    'orders:manage:own',
+    'vehicles:write:own',
+    'materials:write:own',
+    'operators:manage:own',
+    'ledger:read:own',
+    'reviews:reply:own'
+  ],
+  support_agent: [
+    'users:read:any',
+    'orders:read:any',
+    'partners:read:any',
+    'payments:read:any',
+    'reviews:moderate'
+  ],
+  finance: [
+    'orders:read:any',
+    'payments:read:any',
+    'payments:confirm:any',
+    'payments:refund',
+    'payouts:manage'
+  ],
+  admin: Object.keys(PERMISSIONS).filter(permission => !permission.endsWith(':own'))
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS
+};
@@ -0,0 +1,53 @@
+require('dotenv').config();
+
+// Pricing rules used by the quote engine. Amounts are in LKR.
+const pricing = {
+  currency: 'LKR',
+
+  // VAT applied on subtotal + fees
+  taxRate: parseFloat(process.env.TAX_RATE || '0.18'),
+
+  // Orders below this value are topped up with a minimum-order charge
+  minimumOrderValue: parseFloat(process.env.MINIMUM_ORDER_VALUE || '5000'),
+
+  // Surcharge for vehicles rented with an operator
+  operatorSurcharge: {
+    hours: parseFloat(process.env.OPERATOR_SURCHARGE_PER_HOUR || '500'),
+    days: parseFloat(process.env.OPERATOR_SURCHARGE_PER_DAY || '3500')
+  },
+
+  // Delivery / mobilisation fee by district
+  defaultDeliveryFee: parseFloat(process.env.DEFAULT_DELIVERY_FEE || '7500'),
+  deliveryFees: {
+    Colombo: 2500,
+    Gampaha: 3000,
+    Kalutara: 3500,
+    Kandy: 5000,
+    Matale: 6000,
+    'Nuwara Eliya': 7500,
+    Galle: 5000,
+    Matara: 6000,
+    Hambantota: 7500,
+    Jaffna: 12000,
+    Kilinochchi: 11000,
+    Mannar: 11000,
+    Vavuniya: 10000,
+    Mullaitivu: 11500,
+    Batticaloa: 10000,
+    Ampara: 10000,
+    Trincomalee: 9500,
+    Kurunegala: 5000,
+    Puttalam: 6000,
+    Anuradhapura: 8000,
+    Polonnaruwa: 8500,
+    Badulla: 8000,
+    Moneragala: 9000,
+    Ratnapura: 6000,
+    Kegalle: 4500
+  },
+
+  // Client totals may differ from the server quote by at most this amount
+  priceTolerance: 0.01
+};
+
+module.exports = pricing;
@@ -0,0 +1,12 @@
+// Customer reviews of completed orders
+const reviews = {
+  reportReasons: ['spam', 'offensive', 'irrelevant', 'fake', 'personal_information', 'other'],
+
+  // A review with this many open reports is hidden until a moderator looks at it
+  autoHideReports: 3,
+
+  // How long after completion an order can still be reviewed
+  reviewWindowDays: 90
+};
+
+module.exports = reviews;
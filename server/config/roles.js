@@ -0,0 +1,13 @@
+// Account roles and partner types. The frontend mirrors these in src/types/index.ts.
+const ROLES = ['customer', 'partner', 'admin', 'support_agent', 'finance'];
+
+// Internal staff accounts, created by an admin rather than through sign-up
+const STAFF_ROLES = ['admin', 'support_agent', 'finance'];
+
+const PARTNER_TYPES = ['vehicle_owner', 'material_supplier'];
+
+module.exports = {
+  ROLES,
+  STAFF_ROLES,
+  PARTNER_TYPES
+};
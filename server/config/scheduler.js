@@ -0,0 +1,38 @@
+require('dotenv').config();
+
+// Recurring tasks, queued as jobs by whichever worker gets to them first.
+// Schedules are cron expressions in the server's local time zone.
+const scheduler = {
+  tasks: {
+    // Cancel service requests nobody answered
+    'requests.expire_pending': { schedule: '*/15 * * * *' },
+    // Remind customers and partners of confirmed orders coming up
+    'orders.send_reminders': { schedule: '*/30 * * * *' },
+    // Start and finish maintenance windows, switching vehicle status
+    'vehicles.maintenance_windows': { schedule: '*/5 * * * *' },
+    // Warn owners of vehicle services coming due
+    'vehicles.maintenance_alerts': { schedule: '0 8 * * *' },
+    // Warn partners before vehicle and business insurance runs out
+    'insurance.expiry_alerts': { schedule: '0 8 * * *' },
+    // Take vehicles whose insurance has lapsed off the market
+    'vehicles.deactivate_uninsured': { schedule: '0 1 * * *' },
+    'audit.purge': { schedule: '0 3 * * 0' },
+    'jobs.purge': { schedule: '30 * * * *' }
+  },
+
+  // How often each worker looks for tasks that are due
+  checkIntervalSeconds: 30,
+
+  // Pending requests are cancelled after this long without an answer, or once
+  // their required date has passed
+  pendingExpiryHours: parseInt(process.env.PENDING_REQUEST_EXPIRY_HOURS || '48'),
+
+  reminderHoursBefore: 24,
+  maintenanceNoticeDays: 7,
+  insuranceNoticeDays: 30,
+
+  // Most requests one expiry run cancels; the rest wait for the next run
+  batchLimit: 200
+};
+
+module.exports = scheduler;
@@ -0,0 +1,36 @@
+require('dotenv').config();
+
+// Catalogue search over vehicles and materials
+const search = {
+  // Relative weight of a term found in each field
+  fieldWeights: {
+    name: 3,
+    tags: 2,
+    specifications: 1,
+    description: 1
+  },
+
+  // Typos allowed per query term, by term length
+  fuzzy: {
+    oneTypoMinLength: 4,
+    twoTyposMinLength: 8
+  },
+
+  // Prefix matches count for less than exact ones, typos for less again
+  matchWeights: {
+    exact: 1,
+    prefix: 0.8,
+    typo: 0.6
+  },
+
+  // Ranked ids kept per query before filters and pagination are applied
+  maxResults: 500,
+
+  // The index lives in each server process; reload it from the database this
+  // often so edits made by other processes show up
+  refreshMinutes: parseInt(process.env.SEARCH_REFRESH_MINUTES || '10'),
+
+  snippetLength: 160
+};
+
+module.exports = search;
@@ -0,0 +1,89 @@
+// Coordinates used to geocode listing and partner addresses without an
+// external service. Districts are placed at their administrative capital and
+// named as the rest of the app spells them; aliases are other spellings in use.
+const districts = [
+  { name: 'Colombo', province: 'Western', lat: 6.9271, lng: 79.8612 },
+  { name: 'Gampaha', province: 'Western', lat: 7.0873, lng: 80.0144 },
+  { name: 'Kalutara', province: 'Western', lat: 6.5854, lng: 79.9607 },
+  { name: 'Kandy', province: 'Central', lat: 7.2906, lng: 80.6337 },
+  { name: 'Matale', province: 'Central', lat: 7.4675, lng: 80.6234 },
+  { name: 'Nuwara Eliya', province: 'Central', lat: 6.9497, lng: 80.7891 },
+  { name: 'Galle', province: 'Southern', lat: 6.0535, lng: 80.2210 },
+  { name: 'Matara', province: 'Southern', lat: 5.9549, lng: 80.5550 },
+  { name: 'Hambantota', province: 'Southern', lat: 6.1241, lng: 81.1185 },
+  { name: 'Jaffna', province: 'Northern', lat: 9.6615, lng: 80.0255 },
+  { name: 'Kilinochchi', province: 'Northern', lat: 9.3803, lng: 80.3770 },
+  { name: 'Mannar', province: 'Northern', lat: 8.9810, lng: 79.9044 },
+  { name: 'Vavuniya', province: 'Northern', lat: 8.7514, lng: 80.4971 },
+  { name: 'Mullaitivu', province: 'Northern', lat: 9.2671, lng: 80.8142 },
+  { name: 'Batticaloa', province: 'Eastern', lat: 7.7310, lng: 81.6747 },
+  { name: 'Ampara', province: 'Eastern', lat: 7.2975, lng: 81.6820 },
+  { name: 'Trincomalee', province: 'Eastern', lat: 8.5874, lng: 81.2152 },
+  { name: 'Kurunegala', province: 'North Western', lat: 7.4863, lng: 80.3623 },
+  { name: 'Puttalam', province: 'North Western', lat: 8.0362, lng: 79.8283 },
+  { name: 'Anuradhapura', province: 'North Central', lat: 8.3114, lng: 80.4037 },
+  { name: 'Polonnaruwa', province: 'North Central', lat: 7.9403, lng: 81.0188 },
+  { name: 'Badulla', province: 'Uva', lat: 6.9934, lng: 81.0550 },
+  { name: 'Moneragala', province: 'Uva', lat: 6.8728, lng: 81.3507, aliases: ['Monaragala'] },
+  { name: 'Ratnapura', province: 'Sabaragamuwa', lat: 6.6828, lng: 80.3992 },
+  { name: 'Kegalle', province: 'Sabaragamuwa', lat: 7.2513, lng: 80.3464 }
+];
+
+// Towns and suburbs other than the district capitals
+const cities = [
+  { name: 'Dehiwala-Mount Lavinia', district: 'Colombo', lat: 6.8511, lng: 79.8659 },
+  { name: 'Mount Lavinia', district: 'Colombo', lat: 6.8389, lng: 79.8653 },
+  { name: 'Moratuwa', district: 'Colombo', lat: 6.7730, lng: 79.8816 },
+  { name: 'Sri Jayawardenepura Kotte', district: 'Colombo', lat: 6.8868, lng: 79.9187 },
+  { name: 'Kotte', district: 'Colombo', lat: 6.8868, lng: 79.9187 },
+  { name: 'Nugegoda', district: 'Colombo', lat: 6.8649, lng: 79.8997 },
+  { name: 'Maharagama', district: 'Colombo', lat: 6.8480, lng: 79.9265 },
+  { name: 'Battaramulla', district: 'Colombo', lat: 6.8990, lng: 79.9180 },
+  { name: 'Rajagiriya', district: 'Colombo', lat: 6.9094, lng: 79.8944 },
+  { name: 'Malabe', district: 'Colombo', lat: 6.9044, lng: 79.9547 },
+  { name: 'Kaduwela', district: 'Colombo', lat: 6.9336, lng: 79.9848 },
+  { name: 'Homagama', district: 'Colombo', lat: 6.8441, lng: 80.0032 },
+  { name: 'Kottawa', district: 'Colombo', lat: 6.8412, lng: 79.9653 },
+  { name: 'Piliyandala', district: 'Colombo', lat: 6.8018, lng: 79.9227 },
+  { name: 'Kesbewa', district: 'Colombo', lat: 6.7953, lng: 79.9406 },
+  { name: 'Avissawella', district: 'Colombo', lat: 6.9533, lng: 80.2100 },
+  { name: 'Negombo', district: 'Gampaha', lat: 7.2008, lng: 79.8737 },
+  { name: 'Ja-Ela', district: 'Gampaha', lat: 7.0744, lng: 79.8919 },
+  { name: 'Wattala', district: 'Gampaha', lat: 6.9897, lng: 79.8918 },
+  { name: 'Kelaniya', district: 'Gampaha', lat: 6.9553, lng: 79.9220 },
+  { name: 'Kadawatha', district: 'Gampaha', lat: 7.0016, lng: 79.9533 },
+  { name: 'Kiribathgoda', district: 'Gampaha', lat: 6.9802, lng: 79.9297 },
+  { name: 'Minuwangoda', district: 'Gampaha', lat: 7.1666, lng: 79.9533 },
+  { name: 'Veyangoda', district: 'Gampaha', lat: 7.1558, lng: 80.0961 },
+  { name: 'Panadura', district: 'Kalutara', lat: 6.7132, lng: 79.9026 },
+  { name: 'Horana', district: 'Kalutara', lat: 6.7159, lng: 80.0626 },
+  { name: 'Beruwala', district: 'Kalutara', lat: 6.4788, lng: 79.9828 },
+  { name: 'Matugama', district: 'Kalutara', lat: 6.5221, lng: 80.1137 },
+  { name: 'Peradeniya', district: 'Kandy', lat: 7.2690, lng: 80.5940 },
+  { name: 'Katugastota', district: 'Kandy', lat: 7.3167, lng: 80.6214 },
+  { name: 'Gampola', district: 'Kandy', lat: 7.1643, lng: 80.5696 },
+  { name: 'Dambulla', district: 'Matale', lat: 7.8742, lng: 80.6511 },
+  { name: 'Hatton', district: 'Nuwara Eliya', lat: 6.8916, lng: 80.5955 },
+  { name: 'Hikkaduwa', district: 'Galle', lat: 6.1395, lng: 80.1063 },
+  { name: 'Ambalangoda', district: 'Galle', lat: 6.2355, lng: 80.0538 },
+  { name: 'Weligama', district: 'Matara', lat: 5.9749, lng: 80.4297 },
+  { name: 'Tangalle', district: 'Hambantota', lat: 6.0243, lng: 80.7941 },
+  { name: 'Tissamaharama', district: 'Hambantota', lat: 6.2786, lng: 81.2876 },
+  { name: 'Point Pedro', district: 'Jaffna', lat: 9.8167, lng: 80.2333 },
+  { name: 'Kalmunai', district: 'Ampara', lat: 7.4167, lng: 81.8167 },
+  { name: 'Kantale', district: 'Trincomalee', lat: 8.3528, lng: 81.0000 },
+  { name: 'Kuliyapitiya', district: 'Kurunegala', lat: 7.4688, lng: 80.0401 },
+  { name: 'Chilaw', district: 'Puttalam', lat: 7.5758, lng: 79.7953 },
+  { name: 'Kaduruwela', district: 'Polonnaruwa', lat: 7.9333, lng: 81.0500 },
+  { name: 'Bandarawela', district: 'Badulla', lat: 6.8259, lng: 80.9982 },
+  { name: 'Ella', district: 'Badulla', lat: 6.8667, lng: 81.0466 },
+  { name: 'Wellawaya', district: 'Moneragala', lat: 6.7369, lng: 81.1028 },
+  { name: 'Embilipitiya', district: 'Ratnapura', lat: 6.3439, lng: 80.8489 },
+  { name: 'Balangoda', district: 'Ratnapura', lat: 6.6472, lng: 80.6939 },
+  { name: 'Mawanella', district: 'Kegalle', lat: 7.2526, lng: 80.4452 }
+];
+
+module.exports = {
+  districts,
+  cities
+};
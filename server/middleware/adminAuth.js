@@ -1,29 +0,0 @@
-const adminAuth = (req, res, next) => {
-  try {
-    // Check if user is authenticated (should be called after auth middleware)
-    if (!req.user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Authentication required'
-      });
-    }
-
-    // Check if user has admin role
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Admin access required'
-      });
-    }
-
-    next();
-  } catch (error) {
-    console.error('Admin auth middleware error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error in admin authentication'
-    });
-  }
-};
-
-module.exports = adminAuth;
\ No newline at end of file
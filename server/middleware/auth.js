@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const { User } = require('../models');
+const { findActiveSession } = require('../utils/sessions');
 
 const auth = async (req, res, next) => {
   try {
@@ -20,6 +21,15 @@ const auth = async (req, res, next) => {
     try {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+      // Access tokens are bound to a session that may have been revoked
+      const session = decoded.sid ? await findActiveSession(decoded.sid, decoded.id) : null;
+      if (!session) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has expired or been revoked.'
+        });
+      }
       
       // Get user from token
       const user = await User.findByPk(decoded.id);
@@ -39,6 +49,7 @@ const auth = async (req, res, next) => {
       }
 
       req.user = user;
+      req.authSession = session;
       next();
     } catch (error) {
       return res.status(401).json({
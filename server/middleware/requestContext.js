@@ -0,0 +1,17 @@
+const { v4: uuidv4 } = require('uuid');
+const { runWithRequest } = require('../utils/requestContext');
+
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+// Tag each request with an id (reusing a sane X-Request-Id from a proxy) and
+// make it available to model hooks. Must run after the body parsers, which
+// resume the chain from stream callbacks outside this context.
+const requestContext = (req, res, next) => {
+  const incoming = req.get('x-request-id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : uuidv4();
+  res.set('X-Request-Id', req.id);
+
+  runWithRequest(req, next);
+};
+
+module.exports = requestContext;
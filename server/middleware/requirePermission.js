@@ -0,0 +1,66 @@
+const { PERMISSIONS } = require('../config/permissions');
+const { isKnownPermission, resolvePermission, getPartnerAccess } = require('../utils/permissions');
+
+// Allow the request when the user's role grants the permission (use after auth).
+// Sets req.permissionScope to 'any' or 'own'; with 'own' the route still has to
+// check that the record belongs to the user. Partner permissions also load the
+// approved partner profile into req.partner.
+const requirePermission = (permission) => {
+  if (!isKnownPermission(permission)) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: 'Authentication required'
+        });
+      }
+
+      const granted = resolvePermission(req.user, permission);
+
+      if (!granted) {
+        return res.status(403).json({
+          success: false,
+          code: 'PERMISSION_DENIED',
+          message: 'You do not have permission to perform this action',
+          permission
+        });
+      }
+
+      req.permissionScope = granted.endsWith(':own') ? 'own' : 'any';
+
+      const partnerRequirement = PERMISSIONS[granted].partner;
+      if (partnerRequirement) {
+        const partner = await getPartnerAccess(
+          req.user.id,
+          partnerRequirement === true ? null : partnerRequirement
+        );
+
+        req.user.partnerId = partner.id;
+        req.user.partnerType = partner.type;
+        req.partner = partner;
+      }
+
+      next();
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
+      console.error('Permission middleware error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error while checking permissions'
+      });
+    }
+  };
+};
+
+module.exports = requirePermission;
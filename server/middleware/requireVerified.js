@@ -0,0 +1,16 @@
+const authConfig = require('../config/auth');
+
+// Blocks unverified accounts when the verification policy is enabled
+const requireVerified = (req, res, next) => {
+  if (!authConfig.requireVerifiedEmailForOrders || (req.user && req.user.isVerified)) {
+    return next();
+  }
+
+  res.status(403).json({
+    success: false,
+    code: 'EMAIL_NOT_VERIFIED',
+    message: 'Please verify your email address before placing service requests'
+  });
+};
+
+module.exports = requireVerified;
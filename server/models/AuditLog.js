@@ -0,0 +1,85 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const rejectChange = () => {
+  throw new Error('Audit log entries are immutable');
+};
+
+// One change made through the API, either an explicit action or a model
+// create/update/delete. Rows are only ever inserted.
+const AuditLog = sequelize.define('AuditLog', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  actorId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  actorRole: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  action: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  entityType: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  entityId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // { field: { from, to } } for the fields the action changed
+  changes: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  ipAddress: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  },
+  requestId: {
+    type: DataTypes.STRING(64),
+    allowNull: true
+  }
+}, {
+  tableName: 'audit_logs',
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['entityType', 'entityId']
+    },
+    {
+      fields: ['actorId', 'createdAt']
+    },
+    {
+      fields: ['action']
+    },
+    {
+      fields: ['requestId']
+    },
+    {
+      fields: ['createdAt']
+    }
+  ],
+  hooks: {
+    beforeUpdate: rejectChange,
+    beforeBulkUpdate: rejectChange,
+    beforeDestroy: rejectChange,
+    beforeBulkDestroy: rejectChange
+  }
+});
+
+module.exports = AuditLog;
@@ -0,0 +1,95 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Conversation = sequelize.define('Conversation', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  customerId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  partnerId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'partners',
+      key: 'id'
+    }
+  },
+  vehicleId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'vehicles',
+      key: 'id'
+    }
+  },
+  materialId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'materials',
+      key: 'id'
+    }
+  },
+  serviceRequestId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'service_requests',
+      key: 'id'
+    }
+  },
+  subject: {
+    type: DataTypes.STRING(200),
+    allowNull: false
+  },
+  lastMessageAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lastMessagePreview: {
+    type: DataTypes.STRING(200),
+    allowNull: true
+  },
+  customerUnreadCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  partnerUnreadCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  customerLastReadAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  partnerLastReadAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'conversations',
+  indexes: [
+    {
+      fields: ['customerId', 'lastMessageAt']
+    },
+    {
+      fields: ['partnerId', 'lastMessageAt']
+    },
+    {
+      fields: ['serviceRequestId']
+    }
+  ]
+});
+
+module.exports = Conversation;
@@ -0,0 +1,82 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Job = sequelize.define('Job', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  type: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  payload: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'running', 'completed', 'dead'),
+    allowNull: false,
+    defaultValue: 'pending',
+    comment: 'dead jobs used up their attempts and wait for a manual retry'
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  maxAttempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 5
+  },
+  runAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW,
+    comment: 'Not picked up before this time; pushed back after each failure'
+  },
+  uniqueKey: {
+    type: DataTypes.STRING(191),
+    allowNull: true,
+    unique: true,
+    comment: 'Set while pending so the same work is only queued once'
+  },
+  lockedBy: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  lockedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lastError: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  result: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  completedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  failedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'jobs',
+  indexes: [
+    {
+      fields: ['status', 'runAt']
+    },
+    {
+      fields: ['type', 'status']
+    }
+  ]
+});
+
+module.exports = Job;
@@ -0,0 +1,81 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const LedgerEntry = sequelize.define('LedgerEntry', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  transactionId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    comment: 'Groups the balanced debit and credit lines of one posting'
+  },
+  type: {
+    type: DataTypes.ENUM('order_earning', 'order_refund', 'payout'),
+    allowNull: false
+  },
+  account: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    comment: 'partner:<id>, platform:clearing, platform:commission or platform:bank'
+  },
+  partnerId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'partners',
+      key: 'id'
+    }
+  },
+  serviceRequestId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'service_requests',
+      key: 'id'
+    }
+  },
+  payoutBatchId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'payout_batches',
+      key: 'id'
+    }
+  },
+  debit: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    defaultValue: 0.00
+  },
+  credit: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    defaultValue: 0.00
+  },
+  description: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  }
+}, {
+  tableName: 'ledger_entries',
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['account', 'createdAt']
+    },
+    {
+      fields: ['partnerId']
+    },
+    {
+      fields: ['serviceRequestId', 'type']
+    },
+    {
+      fields: ['transactionId']
+    }
+  ]
+});
+
+module.exports = LedgerEntry;
@@ -0,0 +1,99 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const config = require('../config/maintenance');
+
+// A service, repair or inspection of a vehicle. Scheduled and in-progress
+// records block the vehicle's booking calendar from startDate to endDate.
+const MaintenanceRecord = sequelize.define('MaintenanceRecord', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  vehicleId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'vehicles',
+      key: 'id'
+    }
+  },
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  type: {
+    type: DataTypes.ENUM(...config.types),
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('scheduled', 'in_progress', 'completed', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'completed'
+  },
+  description: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  startDate: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Start of the downtime window'
+  },
+  endDate: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'End of the downtime window'
+  },
+  serviceDate: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When the work was done; set on completion'
+  },
+  cost: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: true
+  },
+  odometerKm: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  engineHours: {
+    type: DataTypes.DECIMAL(10, 1),
+    allowNull: true
+  },
+  provider: {
+    type: DataTypes.STRING(150),
+    allowNull: true,
+    comment: 'Workshop or mechanic that did the work'
+  },
+  // [{ fileName, fileUrl, size }] from /api/upload/documents
+  documents: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    defaultValue: []
+  },
+  nextServiceDate: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'vehicle_maintenance_records',
+  indexes: [
+    {
+      fields: ['vehicleId', 'serviceDate']
+    },
+    {
+      fields: ['vehicleId', 'status', 'startDate']
+    },
+    {
+      fields: ['status', 'endDate']
+    }
+  ]
+});
+
+module.exports = MaintenanceRecord;
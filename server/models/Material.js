@@ -1,5 +1,6 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
+const { applyCoordinates, pointOf } = require('../utils/geo');
 
 const Material = sequelize.define('Material', {
   id: {
@@ -59,6 +60,15 @@ const Material = sequelize.define('Material', {
       min: 0
     }
   },
+  reservedQuantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    validate: {
+      min: 0
+    },
+    comment: 'Quantity held by open service requests'
+  },
   images: {
     type: DataTypes.JSON,
     allowNull: true,
@@ -79,6 +89,19 @@ const Material = sequelize.define('Material', {
     allowNull: true,
     defaultValue: []
   },
+  // Copied from the supplier, where deliveries start; used for distance search and district filters
+  latitude: {
+    type: DataTypes.DECIMAL(9, 6),
+    allowNull: true
+  },
+  longitude: {
+    type: DataTypes.DECIMAL(9, 6),
+    allowNull: true
+  },
+  district: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
   deliveryTimeframe: {
     type: DataTypes.STRING(100),
     defaultValue: '1-2 business days'
@@ -91,6 +114,11 @@ const Material = sequelize.define('Material', {
     type: DataTypes.BOOLEAN,
     defaultValue: false
   },
+  // Cleared by moderators to hide a listing regardless of stock
+  isPublished: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
   rating: {
     type: DataTypes.DECIMAL(3, 2),
     defaultValue: 0.00,
@@ -118,6 +146,27 @@ const Material = sequelize.define('Material', {
   }
 }, {
   tableName: 'materials',
+  hooks: {
+    beforeSave: async (material, options) => {
+      // Flip availability when stock runs out or is replenished
+      if (material.changed('availableQuantity')) {
+        if (material.availableQuantity <= 0) {
+          material.isAvailable = false;
+        } else if (material.previous('availableQuantity') <= 0) {
+          material.isAvailable = true;
+        }
+      }
+
+      // Materials are dispatched from the supplier's address
+      if (material.isNewRecord || material.changed('supplierId')) {
+        const supplier = await sequelize.models.Partner.findByPk(material.supplierId, {
+          attributes: ['latitude', 'longitude', 'district'],
+          transaction: options.transaction
+        });
+        applyCoordinates(material, supplier && pointOf(supplier));
+      }
+    }
+  },
   indexes: [
     {
       fields: ['category', 'isAvailable']
@@ -130,6 +179,12 @@ const Material = sequelize.define('Material', {
     },
     {
       fields: ['name']
+    },
+    {
+      fields: ['latitude', 'longitude']
+    },
+    {
+      fields: ['district']
     }
   ]
 });
@@ -0,0 +1,54 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Message = sequelize.define('Message', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  conversationId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'conversations',
+      key: 'id'
+    }
+  },
+  senderId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  senderRole: {
+    type: DataTypes.ENUM('customer', 'partner'),
+    allowNull: false
+  },
+  body: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  attachments: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  },
+  readAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'When the other side first read it'
+  }
+}, {
+  tableName: 'messages',
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['conversationId', 'createdAt']
+    }
+  ]
+});
+
+module.exports = Message;
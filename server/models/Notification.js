@@ -0,0 +1,65 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Notification = sequelize.define('Notification', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  audience: {
+    type: DataTypes.ENUM('customer', 'partner'),
+    allowNull: false,
+    defaultValue: 'customer',
+    comment: 'Whether it was sent to the user as a customer or as a partner'
+  },
+  event: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  title: {
+    type: DataTypes.STRING(200),
+    allowNull: false
+  },
+  body: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  data: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: {},
+    comment: 'IDs of the records it is about, e.g. serviceRequestId'
+  },
+  deliveries: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: {},
+    comment: 'Per channel: { status: sent|failed|skipped, transport, reference, error, at }'
+  },
+  readAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'notifications',
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['userId', 'createdAt']
+    },
+    {
+      fields: ['userId', 'readAt']
+    }
+  ]
+});
+
+module.exports = Notification;
@@ -0,0 +1,76 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A driver or machine operator employed by a vehicle owner
+const Operator = sequelize.define('Operator', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  partnerId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'partners',
+      key: 'id'
+    }
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  phone: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  email: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  licenceNumber: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  licenceClasses: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  },
+  licenceExpiry: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  // [{ name, issuer, expiryDate }]
+  certifications: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    defaultValue: []
+  },
+  experienceYears: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  notes: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // Inactive operators keep their order history but can't be assigned
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  tableName: 'operators',
+  indexes: [
+    {
+      unique: true,
+      fields: ['partnerId', 'licenceNumber']
+    },
+    {
+      fields: ['partnerId', 'isActive']
+    }
+  ]
+});
+
+module.exports = Operator;
@@ -1,5 +1,8 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
+const { PARTNER_TYPES } = require('../config/roles');
+const { statuses: VERIFICATION_STATUSES } = require('../config/partnerVerification');
+const { geocode, applyCoordinates } = require('../utils/geo');
 
 const Partner = sequelize.define('Partner', {
   id: {
@@ -16,7 +19,7 @@ const Partner = sequelize.define('Partner', {
     }
   },
   type: {
-    type: DataTypes.ENUM('vehicle_owner', 'material_supplier'),
+    type: DataTypes.ENUM(...PARTNER_TYPES),
     allowNull: false
   },
   businessName: {
@@ -63,6 +66,19 @@ const Partner = sequelize.define('Partner', {
     type: DataTypes.JSON,
     allowNull: false
   },
+  // Geocoded from address; used for distance search and district filters
+  latitude: {
+    type: DataTypes.DECIMAL(9, 6),
+    allowNull: true
+  },
+  longitude: {
+    type: DataTypes.DECIMAL(9, 6),
+    allowNull: true
+  },
+  district: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
   contact: {
     type: DataTypes.JSON,
     allowNull: false
@@ -80,13 +96,14 @@ const Partner = sequelize.define('Partner', {
     type: DataTypes.JSON,
     allowNull: false
   },
+  // [{ id, type, fileName, fileUrl, status, reviewNote, reviewedBy, reviewedAt, uploadedAt }]
   documents: {
     type: DataTypes.JSON,
     allowNull: true,
     defaultValue: []
   },
   verificationStatus: {
-    type: DataTypes.ENUM('pending', 'under_review', 'approved', 'rejected', 'suspended'),
+    type: DataTypes.ENUM(...VERIFICATION_STATUSES),
     defaultValue: 'pending'
   },
   verificationNotes: {
@@ -105,6 +122,10 @@ const Partner = sequelize.define('Partner', {
     type: DataTypes.DATE,
     allowNull: true
   },
+  submittedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
   rating: {
     type: DataTypes.DECIMAL(3, 2),
     defaultValue: 0.00,
@@ -174,7 +195,35 @@ const Partner = sequelize.define('Partner', {
     defaultValue: true
   }
 }, {
-  tableName: 'partners'
+  tableName: 'partners',
+  hooks: {
+    beforeSave: (partner) => {
+      if (partner.isNewRecord || partner.changed('address')) {
+        applyCoordinates(partner, geocode(partner.address));
+      }
+    },
+    // Materials are located at their supplier
+    afterUpdate: async (partner, options) => {
+      if (!['latitude', 'longitude', 'district'].some(field => partner.changed(field))) return;
+
+      await sequelize.models.Material.update({
+        latitude: partner.latitude,
+        longitude: partner.longitude,
+        district: partner.district
+      }, {
+        where: { supplierId: partner.id },
+        transaction: options.transaction
+      });
+    }
+  },
+  indexes: [
+    {
+      fields: ['latitude', 'longitude']
+    },
+    {
+      fields: ['district']
+    }
+  ]
 });
 
 module.exports = Partner;
\ No newline at end of file
@@ -0,0 +1,93 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Payment = sequelize.define('Payment', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  serviceRequestId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'service_requests',
+      key: 'id'
+    }
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  method: {
+    type: DataTypes.ENUM('card', 'bank_transfer', 'cash_on_delivery'),
+    allowNull: false
+  },
+  provider: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  providerReference: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    unique: true
+  },
+  amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    validate: {
+      min: 0
+    }
+  },
+  refundedAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0.00
+  },
+  pendingRefundAmount: {
+    type: DataTypes.DECIMAL(10, 2),
+    defaultValue: 0.00,
+    comment: 'Refunds sent to the provider and not yet confirmed'
+  },
+  currency: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    defaultValue: 'LKR'
+  },
+  status: {
+    type: DataTypes.ENUM('requires_action', 'pending', 'succeeded', 'failed', 'cancelled', 'refunded', 'partially_refunded'),
+    defaultValue: 'requires_action'
+  },
+  nextAction: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'What the customer must do to complete the payment'
+  },
+  failureReason: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  paidAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  refundedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'payments',
+  indexes: [
+    {
+      fields: ['serviceRequestId']
+    },
+    {
+      fields: ['userId', 'status']
+    }
+  ]
+});
+
+module.exports = Payment;
@@ -0,0 +1,46 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Gateway webhook events, claimed before they are applied so a redelivered
+// event is only processed once
+const PaymentEvent = sequelize.define('PaymentEvent', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  provider: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  eventId: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    comment: 'The provider\'s id for the event'
+  },
+  type: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  paymentId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'payments',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'payment_events',
+  indexes: [
+    {
+      unique: true,
+      fields: ['provider', 'eventId']
+    },
+    {
+      fields: ['paymentId']
+    }
+  ]
+});
+
+module.exports = PaymentEvent;
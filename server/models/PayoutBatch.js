@@ -0,0 +1,51 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const PayoutBatch = sequelize.define('PayoutBatch', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  reference: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    unique: true
+  },
+  status: {
+    type: DataTypes.ENUM('generated', 'submitted', 'paid'),
+    defaultValue: 'generated'
+  },
+  totalAmount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    defaultValue: 0.00
+  },
+  itemCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  items: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [],
+    comment: 'Per-partner payout lines with bank details at generation time'
+  },
+  createdBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  paidAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'payout_batches'
+});
+
+module.exports = PayoutBatch;
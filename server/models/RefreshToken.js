@@ -0,0 +1,42 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const RefreshToken = sequelize.define('RefreshToken', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  sessionId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'sessions',
+      key: 'id'
+    }
+  },
+  tokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  usedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Set when the token is rotated; presenting it again signals reuse'
+  }
+}, {
+  tableName: 'refresh_tokens',
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['sessionId']
+    }
+  ]
+});
+
+module.exports = RefreshToken;
@@ -0,0 +1,123 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Review = sequelize.define('Review', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  serviceRequestId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    unique: true,
+    references: {
+      model: 'service_requests',
+      key: 'id'
+    }
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  partnerId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'partners',
+      key: 'id'
+    }
+  },
+  vehicleId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'vehicles',
+      key: 'id'
+    }
+  },
+  materialId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'materials',
+      key: 'id'
+    }
+  },
+  rating: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 1,
+      max: 5
+    }
+  },
+  comment: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    validate: {
+      len: [0, 1000]
+    }
+  },
+  status: {
+    type: DataTypes.ENUM('published', 'hidden'),
+    allowNull: false,
+    defaultValue: 'published',
+    comment: 'Only published reviews are shown and count towards ratings'
+  },
+  reply: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    validate: {
+      len: [0, 1000]
+    }
+  },
+  repliedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  reportCount: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Open abuse reports awaiting moderation'
+  },
+  moderatedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  moderatedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  moderationNote: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'reviews',
+  indexes: [
+    {
+      fields: ['vehicleId', 'status', 'createdAt']
+    },
+    {
+      fields: ['materialId', 'status', 'createdAt']
+    },
+    {
+      fields: ['partnerId', 'status', 'createdAt']
+    },
+    {
+      fields: ['reportCount']
+    }
+  ]
+});
+
+module.exports = Review;
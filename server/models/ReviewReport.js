@@ -0,0 +1,65 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const config = require('../config/reviews');
+
+const ReviewReport = sequelize.define('ReviewReport', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  reviewId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'reviews',
+      key: 'id'
+    }
+  },
+  reporterId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  reason: {
+    type: DataTypes.ENUM(...config.reportReasons),
+    allowNull: false
+  },
+  details: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('open', 'upheld', 'dismissed'),
+    allowNull: false,
+    defaultValue: 'open'
+  },
+  resolvedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  resolvedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'review_reports',
+  indexes: [
+    {
+      unique: true,
+      fields: ['reviewId', 'reporterId']
+    },
+    {
+      fields: ['status']
+    }
+  ]
+});
+
+module.exports = ReviewReport;
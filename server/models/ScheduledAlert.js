@@ -0,0 +1,22 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Reminders and warnings already sent by scheduled tasks, so each goes out once.
+// Keys name the alert and what it is about, e.g. order_reminder:<requestId>.
+const ScheduledAlert = sequelize.define('ScheduledAlert', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  key: {
+    type: DataTypes.STRING(191),
+    allowNull: false,
+    unique: true
+  }
+}, {
+  tableName: 'scheduled_alerts',
+  updatedAt: false
+});
+
+module.exports = ScheduledAlert;
@@ -0,0 +1,36 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// When each task in config/scheduler.js runs next. Rows are created from the
+// config as workers start.
+const ScheduledTask = sequelize.define('ScheduledTask', {
+  name: {
+    type: DataTypes.STRING(100),
+    primaryKey: true
+  },
+  schedule: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  isEnabled: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  nextRunAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  lastQueuedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lastJobId: {
+    type: DataTypes.UUID,
+    allowNull: true
+  }
+}, {
+  tableName: 'scheduled_tasks'
+});
+
+module.exports = ScheduledTask;
@@ -42,6 +42,11 @@ const ServiceRequest = sequelize.define('ServiceRequest', {
       min: 1
     }
   },
+  stockStatus: {
+    type: DataTypes.ENUM('reserved', 'committed', 'released'),
+    allowNull: true,
+    comment: 'State of the material stock reservation for this request'
+  },
   duration: {
     type: DataTypes.INTEGER,
     allowNull: true,
@@ -60,6 +65,11 @@ const ServiceRequest = sequelize.define('ServiceRequest', {
       min: 0
     }
   },
+  priceBreakdown: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Itemised server-side quote the total was computed from'
+  },
   status: {
     type: DataTypes.ENUM('pending', 'confirmed', 'in_progress', 'completed', 'cancelled', 'rejected'),
     defaultValue: 'pending'
@@ -72,6 +82,16 @@ const ServiceRequest = sequelize.define('ServiceRequest', {
     type: DataTypes.DATE,
     allowNull: false
   },
+  startDate: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Start of the vehicle booking window'
+  },
+  endDate: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'End of the vehicle booking window'
+  },
   completedDate: {
     type: DataTypes.DATE,
     allowNull: true
@@ -80,6 +100,23 @@ const ServiceRequest = sequelize.define('ServiceRequest', {
     type: DataTypes.TEXT,
     allowNull: false
   },
+  district: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  // Geocoded delivery / site location and its distance from the listing
+  deliveryLatitude: {
+    type: DataTypes.DECIMAL(9, 6),
+    allowNull: true
+  },
+  deliveryLongitude: {
+    type: DataTypes.DECIMAL(9, 6),
+    allowNull: true
+  },
+  deliveryDistanceKm: {
+    type: DataTypes.DECIMAL(7, 2),
+    allowNull: true
+  },
   contactDetails: {
     type: DataTypes.JSON,
     allowNull: false
@@ -101,6 +138,15 @@ const ServiceRequest = sequelize.define('ServiceRequest', {
       key: 'id'
     }
   },
+  operatorId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'operators',
+      key: 'id'
+    },
+    comment: 'Operator the partner sends with the vehicle'
+  },
   tracking: {
     type: DataTypes.JSON,
     allowNull: true,
@@ -158,8 +204,14 @@ const ServiceRequest = sequelize.define('ServiceRequest', {
     {
       fields: ['assignedTo', 'status']
     },
+    {
+      fields: ['operatorId', 'status']
+    },
     {
       fields: ['requestDate']
+    },
+    {
+      fields: ['vehicleId', 'startDate', 'endDate']
     }
   ]
 });
@@ -0,0 +1,56 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A signed-in device. Refresh tokens issued for it form one rotation family.
+const Session = sequelize.define('Session', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  deviceName: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  userAgent: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  ipAddress: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  },
+  lastUsedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  revokedReason: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  }
+}, {
+  tableName: 'sessions',
+  indexes: [
+    {
+      fields: ['userId', 'revokedAt']
+    }
+  ]
+});
+
+module.exports = Session;
@@ -0,0 +1,52 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const StatusHistory = sequelize.define('StatusHistory', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  serviceRequestId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'service_requests',
+      key: 'id'
+    }
+  },
+  fromStatus: {
+    type: DataTypes.STRING(20),
+    allowNull: true
+  },
+  toStatus: {
+    type: DataTypes.STRING(20),
+    allowNull: false
+  },
+  actorId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  actorRole: {
+    type: DataTypes.ENUM('customer', 'partner', 'admin', 'system'),
+    allowNull: false
+  },
+  note: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'service_request_status_history',
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['serviceRequestId', 'createdAt']
+    }
+  ]
+});
+
+module.exports = StatusHistory;
@@ -0,0 +1,68 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const StockMovement = sequelize.define('StockMovement', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  materialId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'materials',
+      key: 'id'
+    }
+  },
+  serviceRequestId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'service_requests',
+      key: 'id'
+    }
+  },
+  type: {
+    type: DataTypes.ENUM('reserve', 'commit', 'release', 'adjust'),
+    allowNull: false
+  },
+  quantity: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Change in available quantity (negative when stock leaves the shelf)'
+  },
+  availableAfter: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  reservedAfter: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  performedBy: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  note: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  }
+}, {
+  tableName: 'stock_movements',
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['materialId', 'createdAt']
+    },
+    {
+      fields: ['serviceRequestId']
+    }
+  ]
+});
+
+module.exports = StockMovement;
@@ -1,6 +1,7 @@
 const { DataTypes } = require('sequelize');
 const bcrypt = require('bcryptjs');
 const { sequelize } = require('../config/database');
+const { ROLES } = require('../config/roles');
 
 const User = sequelize.define('User', {
   id: {
@@ -39,7 +40,7 @@ const User = sequelize.define('User', {
     }
   },
   role: {
-    type: DataTypes.ENUM('customer', 'partner', 'admin'),
+    type: DataTypes.ENUM(...ROLES),
     defaultValue: 'customer'
   },
   isVerified: {
@@ -54,6 +55,10 @@ const User = sequelize.define('User', {
     type: DataTypes.STRING(255),
     allowNull: true
   },
+  verificationExpires: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
   passwordResetToken: {
     type: DataTypes.STRING(255),
     allowNull: true
@@ -108,6 +113,7 @@ User.prototype.toJSON = function() {
   const values = Object.assign({}, this.get());
   delete values.password;
   delete values.verificationToken;
+  delete values.verificationExpires;
   delete values.passwordResetToken;
   delete values.passwordResetExpires;
   return values;
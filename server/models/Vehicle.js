@@ -1,5 +1,6 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
+const { geocode, applyCoordinates, pointOf } = require('../utils/geo');
 
 const Vehicle = sequelize.define('Vehicle', {
   id: {
@@ -79,6 +80,19 @@ const Vehicle = sequelize.define('Vehicle', {
     allowNull: true,
     defaultValue: {}
   },
+  // Geocoded from location, falling back to the owner's address
+  latitude: {
+    type: DataTypes.DECIMAL(9, 6),
+    allowNull: true
+  },
+  longitude: {
+    type: DataTypes.DECIMAL(9, 6),
+    allowNull: true
+  },
+  district: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
   availability: {
     type: DataTypes.JSON,
     allowNull: true,
@@ -141,6 +155,11 @@ const Vehicle = sequelize.define('Vehicle', {
     type: DataTypes.BOOLEAN,
     defaultValue: false
   },
+  // Cleared by moderators to hide a listing regardless of its status
+  isPublished: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  },
   tags: {
     type: DataTypes.JSON,
     allowNull: true,
@@ -148,6 +167,21 @@ const Vehicle = sequelize.define('Vehicle', {
   }
 }, {
   tableName: 'vehicles',
+  hooks: {
+    beforeSave: async (vehicle, options) => {
+      if (!vehicle.isNewRecord && !vehicle.changed('location') && !vehicle.changed('ownerId')) return;
+
+      let point = geocode(vehicle.location);
+      if (!point && vehicle.ownerId) {
+        const owner = await sequelize.models.Partner.findByPk(vehicle.ownerId, {
+          attributes: ['latitude', 'longitude', 'district'],
+          transaction: options.transaction
+        });
+        point = owner && pointOf(owner);
+      }
+      applyCoordinates(vehicle, point);
+    }
+  },
   indexes: [
     {
       fields: ['category', 'status']
@@ -160,6 +194,12 @@ const Vehicle = sequelize.define('Vehicle', {
     },
     {
       fields: ['name']
+    },
+    {
+      fields: ['latitude', 'longitude']
+    },
+    {
+      fields: ['district']
     }
   ]
 });
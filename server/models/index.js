@@ -4,6 +4,25 @@ const Partner = require('./Partner');
 const Material = require('./Material');
 const Vehicle = require('./Vehicle');
 const ServiceRequest = require('./ServiceRequest');
+const StockMovement = require('./StockMovement');
+const StatusHistory = require('./StatusHistory');
+const Payment = require('./Payment');
+const PaymentEvent = require('./PaymentEvent');
+const LedgerEntry = require('./LedgerEntry');
+const PayoutBatch = require('./PayoutBatch');
+const Session = require('./Session');
+const RefreshToken = require('./RefreshToken');
+const AuditLog = require('./AuditLog');
+const Review = require('./Review');
+const ReviewReport = require('./ReviewReport');
+const Conversation = require('./Conversation');
+const Message = require('./Message');
+const Notification = require('./Notification');
+const Job = require('./Job');
+const ScheduledTask = require('./ScheduledTask');
+const ScheduledAlert = require('./ScheduledAlert');
+const MaintenanceRecord = require('./MaintenanceRecord');
+const Operator = require('./Operator');
 
 // Define associations
 User.hasOne(Partner, { foreignKey: 'userId', as: 'partner' });
@@ -27,6 +46,102 @@ ServiceRequest.belongsTo(Vehicle, { foreignKey: 'vehicleId', as: 'vehicle' });
 Partner.hasMany(ServiceRequest, { foreignKey: 'assignedTo', as: 'assignedRequests' });
 ServiceRequest.belongsTo(Partner, { foreignKey: 'assignedTo', as: 'assignedPartner' });
 
+Material.hasMany(StockMovement, { foreignKey: 'materialId', as: 'stockMovements' });
+StockMovement.belongsTo(Material, { foreignKey: 'materialId', as: 'material' });
+
+ServiceRequest.hasMany(StockMovement, { foreignKey: 'serviceRequestId', as: 'stockMovements' });
+StockMovement.belongsTo(ServiceRequest, { foreignKey: 'serviceRequestId', as: 'serviceRequest' });
+
+ServiceRequest.hasMany(StatusHistory, { foreignKey: 'serviceRequestId', as: 'statusHistory' });
+StatusHistory.belongsTo(ServiceRequest, { foreignKey: 'serviceRequestId', as: 'serviceRequest' });
+
+User.hasMany(StatusHistory, { foreignKey: 'actorId', as: 'statusChanges' });
+StatusHistory.belongsTo(User, { foreignKey: 'actorId', as: 'actor' });
+
+ServiceRequest.hasMany(Payment, { foreignKey: 'serviceRequestId', as: 'payments' });
+Payment.belongsTo(ServiceRequest, { foreignKey: 'serviceRequestId', as: 'serviceRequest' });
+
+User.hasMany(Payment, { foreignKey: 'userId', as: 'payments' });
+Payment.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+Payment.hasMany(PaymentEvent, { foreignKey: 'paymentId', as: 'webhookEvents' });
+PaymentEvent.belongsTo(Payment, { foreignKey: 'paymentId', as: 'payment' });
+
+Partner.hasMany(LedgerEntry, { foreignKey: 'partnerId', as: 'ledgerEntries' });
+LedgerEntry.belongsTo(Partner, { foreignKey: 'partnerId', as: 'partner' });
+
+ServiceRequest.hasMany(LedgerEntry, { foreignKey: 'serviceRequestId', as: 'ledgerEntries' });
+LedgerEntry.belongsTo(ServiceRequest, { foreignKey: 'serviceRequestId', as: 'serviceRequest' });
+
+PayoutBatch.hasMany(LedgerEntry, { foreignKey: 'payoutBatchId', as: 'ledgerEntries' });
+LedgerEntry.belongsTo(PayoutBatch, { foreignKey: 'payoutBatchId', as: 'payoutBatch' });
+
+User.hasMany(Session, { foreignKey: 'userId', as: 'sessions' });
+Session.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+Session.hasMany(RefreshToken, { foreignKey: 'sessionId', as: 'refreshTokens' });
+RefreshToken.belongsTo(Session, { foreignKey: 'sessionId', as: 'session' });
+
+User.hasMany(AuditLog, { foreignKey: 'actorId', as: 'auditLogs' });
+AuditLog.belongsTo(User, { foreignKey: 'actorId', as: 'actor' });
+
+ServiceRequest.hasOne(Review, { foreignKey: 'serviceRequestId', as: 'review' });
+Review.belongsTo(ServiceRequest, { foreignKey: 'serviceRequestId', as: 'serviceRequest' });
+
+User.hasMany(Review, { foreignKey: 'userId', as: 'reviews' });
+Review.belongsTo(User, { foreignKey: 'userId', as: 'author' });
+
+Partner.hasMany(Review, { foreignKey: 'partnerId', as: 'reviews' });
+Review.belongsTo(Partner, { foreignKey: 'partnerId', as: 'partner' });
+
+Vehicle.hasMany(Review, { foreignKey: 'vehicleId', as: 'reviews' });
+Review.belongsTo(Vehicle, { foreignKey: 'vehicleId', as: 'vehicle' });
+
+Material.hasMany(Review, { foreignKey: 'materialId', as: 'reviews' });
+Review.belongsTo(Material, { foreignKey: 'materialId', as: 'material' });
+
+Review.hasMany(ReviewReport, { foreignKey: 'reviewId', as: 'reports' });
+ReviewReport.belongsTo(Review, { foreignKey: 'reviewId', as: 'review' });
+
+User.hasMany(ReviewReport, { foreignKey: 'reporterId', as: 'reviewReports' });
+ReviewReport.belongsTo(User, { foreignKey: 'reporterId', as: 'reporter' });
+
+User.hasMany(Conversation, { foreignKey: 'customerId', as: 'conversations' });
+Conversation.belongsTo(User, { foreignKey: 'customerId', as: 'customer' });
+
+Partner.hasMany(Conversation, { foreignKey: 'partnerId', as: 'conversations' });
+Conversation.belongsTo(Partner, { foreignKey: 'partnerId', as: 'partner' });
+
+Vehicle.hasMany(Conversation, { foreignKey: 'vehicleId', as: 'conversations' });
+Conversation.belongsTo(Vehicle, { foreignKey: 'vehicleId', as: 'vehicle' });
+
+Material.hasMany(Conversation, { foreignKey: 'materialId', as: 'conversations' });
+Conversation.belongsTo(Material, { foreignKey: 'materialId', as: 'material' });
+
+ServiceRequest.hasMany(Conversation, { foreignKey: 'serviceRequestId', as: 'conversations' });
+Conversation.belongsTo(ServiceRequest, { foreignKey: 'serviceRequestId', as: 'serviceRequest' });
+
+Conversation.hasMany(Message, { foreignKey: 'conversationId', as: 'messages' });
+Message.belongsTo(Conversation, { foreignKey: 'conversationId', as: 'conversation' });
+
+User.hasMany(Message, { foreignKey: 'senderId', as: 'sentMessages' });
+Message.belongsTo(User, { foreignKey: 'senderId', as: 'sender' });
+
+User.hasMany(Notification, { foreignKey: 'userId', as: 'notifications' });
+Notification.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+Vehicle.hasMany(MaintenanceRecord, { foreignKey: 'vehicleId', as: 'maintenanceRecords' });
+MaintenanceRecord.belongsTo(Vehicle, { foreignKey: 'vehicleId', as: 'vehicle' });
+
+User.hasMany(MaintenanceRecord, { foreignKey: 'createdBy', as: 'maintenanceRecords' });
+MaintenanceRecord.belongsTo(User, { foreignKey: 'createdBy', as: 'creator' });
+
+Partner.hasMany(Operator, { foreignKey: 'partnerId', as: 'operators' });
+Operator.belongsTo(Partner, { foreignKey: 'partnerId', as: 'partner' });
+
+Operator.hasMany(ServiceRequest, { foreignKey: 'operatorId', as: 'assignments' });
+ServiceRequest.belongsTo(Operator, { foreignKey: 'operatorId', as: 'operator' });
+
 // Sync database
 const syncDatabase = async (force = false) => {
   try {
@@ -45,5 +160,24 @@ module.exports = {
   Material,
   Vehicle,
   ServiceRequest,
+  StockMovement,
+  StatusHistory,
+  Payment,
+  PaymentEvent,
+  LedgerEntry,
+  PayoutBatch,
+  Session,
+  RefreshToken,
+  AuditLog,
+  Review,
+  ReviewReport,
+  Conversation,
+  Message,
+  Notification,
+  Job,
+  ScheduledTask,
+  ScheduledAlert,
+  MaintenanceRecord,
+  Operator,
   syncDatabase
 };
\ No newline at end of file
@@ -0,0 +1,1142 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const {
+  sequelize,
+  User,
+  Partner,
+  Material,
+  Vehicle,
+  ServiceRequest,
+  StatusHistory,
+  Payment,
+  AuditLog,
+  Review,
+  ReviewReport,
+  Job,
+  ScheduledTask,
+  Operator
+} = require('../models');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const { ROLES } = require('../config/roles');
+const { STATUSES, changeStatus } = require('../utils/orderStatus');
+const { revokeUserSessions } = require('../utils/sessions');
+const { diffChanges, recordAudit } = require('../utils/audit');
+const { moderateReview } = require('../utils/reviews');
+const { retryJob } = require('../utils/jobs');
+const { runTaskNow } = require('../utils/scheduler');
+const { fieldsQuery, includeQuery, selectAttributes, resolveIncludes, findPage } = require('../utils/listQuery');
+const { toCsv } = require('../utils/csv');
+const auditConfig = require('../config/audit');
+
+const router = express.Router();
+
+const reasonValidator = body('reason')
+  .trim()
+  .isLength({ min: 3, max: 500 })
+  .withMessage('Reason must be between 3 and 500 characters');
+
+// Associations the order list can include with ?include=
+const ORDER_INCLUDES = {
+  user: {
+    model: User,
+    as: 'user',
+    attributes: ['id', 'name', 'email', 'phone']
+  },
+  assignedPartner: {
+    model: Partner,
+    as: 'assignedPartner',
+    attributes: ['id', 'businessName']
+  }
+};
+
+// @route   GET /api/admin/users
+// @desc    Search user accounts
+// @access  Private (users:read:any)
+router.get('/users', [auth, requirePermission('users:read:any')], [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('search').optional().trim().isLength({ min: 1 }),
+  query('role').optional().isIn(ROLES),
+  query('isActive').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    const where = {};
+    if (req.query.role) where.role = req.query.role;
+    if (req.query.isActive !== undefined) where.isActive = req.query.isActive === 'true';
+
+    if (req.query.search) {
+      const term = `%${req.query.search}%`;
+      where[Op.or] = [
+        { name: { [Op.like]: term } },
+        { email: { [Op.like]: term } },
+        { phone: { [Op.like]: term } }
+      ];
+    }
+
+    const { count, rows: users } = await User.findAndCountAll({
+      where,
+      order: [['createdAt', 'DESC']],
+      offset,
+      limit
+    });
+
+    res.json({
+      success: true,
+      data: users,
+      pagination: {
+        page,
+        limit,
+        total: count,
+        pages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Admin get users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching users'
+    });
+  }
+});
+
+// @route   GET /api/admin/users/:id
+// @desc    Get a user account with its partner profile
+// @access  Private (users:read:any)
+router.get('/users/:id', [auth, requirePermission('users:read:any')], async (req, res) => {
+  try {
+    const user = await User.findByPk(req.params.id, {
+      include: [
+        {
+          model: Partner,
+          as: 'partner',
+          attributes: ['id', 'type', 'businessName', 'verificationStatus', 'isActive']
+        }
+      ]
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    console.error('Admin get user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching user'
+    });
+  }
+});
+
+// @route   PUT /api/admin/users/:id/status
+// @desc    Deactivate or reactivate a user account
+// @access  Private (users:manage)
+router.put('/users/:id/status', [auth, requirePermission('users:manage')], [
+  body('isActive').isBoolean().withMessage('isActive must be true or false'),
+  reasonValidator
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findByPk(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change the status of your own account'
+      });
+    }
+
+    const isActive = req.body.isActive === true || req.body.isActive === 'true';
+
+    if (user.isActive === isActive) {
+      return res.status(400).json({
+        success: false,
+        message: `User is already ${isActive ? 'active' : 'deactivated'}`
+      });
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await user.update({ isActive }, { transaction });
+
+      await recordAudit(req, {
+        action: isActive ? 'user.reactivate' : 'user.deactivate',
+        entityType: 'user',
+        entityId: user.id,
+        reason: req.body.reason,
+        changes: { isActive: { from: !isActive, to: isActive } }
+      }, transaction);
+    });
+
+    // Signed-in devices of a deactivated account are signed out straight away
+    if (!isActive) {
+      await revokeUserSessions(user.id, { reason: 'account_deactivated' });
+    }
+
+    res.json({
+      success: true,
+      message: `User ${isActive ? 'reactivated' : 'deactivated'} successfully`,
+      data: user
+    });
+  } catch (error) {
+    console.error('Admin update user status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating user status'
+    });
+  }
+});
+
+// @route   PUT /api/admin/partners/:id/status
+// @desc    Suspend an approved partner or reinstate a suspended one
+// @access  Private (partners:verify)
+router.put('/partners/:id/status', [auth, requirePermission('partners:verify')], [
+  body('action').isIn(['suspend', 'reinstate']).withMessage('Action must be suspend or reinstate'),
+  reasonValidator
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const partner = await Partner.findByPk(req.params.id);
+
+    if (!partner) {
+      return res.status(404).json({
+        success: false,
+        message: 'Partner not found'
+      });
+    }
+
+    const suspending = req.body.action === 'suspend';
+    const from = suspending ? 'approved' : 'suspended';
+    const to = suspending ? 'suspended' : 'approved';
+
+    if (partner.verificationStatus !== from) {
+      return res.status(400).json({
+        success: false,
+        message: `Only ${from} partners can be ${suspending ? 'suspended' : 'reinstated'}`
+      });
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await partner.update({
+        verificationStatus: to,
+        verificationNotes: req.body.reason,
+        reviewedBy: req.user.id,
+        reviewedAt: new Date()
+      }, { transaction });
+
+      await recordAudit(req, {
+        action: suspending ? 'partner.suspend' : 'partner.reinstate',
+        entityType: 'partner',
+        entityId: partner.id,
+        reason: req.body.reason,
+        changes: { verificationStatus: { from, to } }
+      }, transaction);
+    });
+
+    res.json({
+      success: true,
+      message: `Partner ${suspending ? 'suspended' : 'reinstated'} successfully`,
+      data: partner
+    });
+  } catch (error) {
+    console.error('Admin update partner status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating partner status'
+    });
+  }
+});
+
+// Publish/unpublish and feature/unfeature a vehicle or material listing
+const moderateListing = (Model, entityType) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const updates = {};
+    if (req.body.isPublished !== undefined) updates.isPublished = req.body.isPublished === true || req.body.isPublished === 'true';
+    if (req.body.featured !== undefined) updates.featured = req.body.featured === true || req.body.featured === 'true';
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide isPublished or featured'
+      });
+    }
+
+    const listing = await Model.findByPk(req.params.id);
+    const label = entityType.charAt(0).toUpperCase() + entityType.slice(1);
+
+    if (!listing) {
+      return res.status(404).json({
+        success: false,
+        message: `${label} not found`
+      });
+    }
+
+    const changes = diffChanges(listing.get(), updates, Object.keys(updates));
+
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `${label} already has these settings`
+      });
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      await listing.update(updates, { transaction });
+
+      await recordAudit(req, {
+        action: `${entityType}.moderate`,
+        entityType,
+        entityId: listing.id,
+        reason: req.body.reason,
+        changes
+      }, transaction);
+    });
+
+    res.json({
+      success: true,
+      message: `${label} updated successfully`,
+      data: listing
+    });
+  } catch (error) {
+    console.error(`Admin moderate ${entityType} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: `Server error while moderating ${entityType}`
+    });
+  }
+};
+
+const moderationValidators = [
+  body('isPublished').optional().isBoolean().withMessage('isPublished must be true or false'),
+  body('featured').optional().isBoolean().withMessage('featured must be true or false'),
+  reasonValidator
+];
+
+// @route   PUT /api/admin/vehicles/:id/moderation
+// @desc    Unpublish, republish or feature a vehicle
+// @access  Private (listings:moderate)
+router.put('/vehicles/:id/moderation', [auth, requirePermission('listings:moderate')], moderationValidators, moderateListing(Vehicle, 'vehicle'));
+
+// @route   PUT /api/admin/materials/:id/moderation
+// @desc    Unpublish, republish or feature a material
+// @access  Private (listings:moderate)
+router.put('/materials/:id/moderation', [auth, requirePermission('listings:moderate')], moderationValidators, moderateListing(Material, 'material'));
+
+// @route   GET /api/admin/service-requests
+// @desc    Get all service requests
+// @access  Private (orders:read:any)
+router.get('/service-requests', [auth, requirePermission('orders:read:any')], [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('cursor').optional().matches(/^[A-Za-z0-9_-]*$/).withMessage('Invalid cursor'),
+  fieldsQuery(ServiceRequest),
+  includeQuery(ORDER_INCLUDES),
+  query('status').optional().isIn(STATUSES),
+  query('type').optional().isIn(['material', 'vehicle']),
+  query('userId').optional().isUUID(),
+  query('partnerId').optional().isUUID(),
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const where = {};
+    if (req.query.status) where.status = req.query.status;
+    if (req.query.type) where.type = req.query.type;
+    if (req.query.userId) where.userId = req.query.userId;
+    if (req.query.partnerId) where.assignedTo = req.query.partnerId;
+
+    if (req.query.from || req.query.to) {
+      where.requestDate = {};
+      if (req.query.from) where.requestDate[Op.gte] = new Date(req.query.from);
+      if (req.query.to) where.requestDate[Op.lte] = new Date(req.query.to);
+    }
+
+    const { rows: serviceRequests, pagination } = await findPage(ServiceRequest, req, {
+      where,
+      attributes: selectAttributes(req.query.fields),
+      include: resolveIncludes(req.query.include, ORDER_INCLUDES, Object.keys(ORDER_INCLUDES)),
+      order: [['requestDate', 'DESC']],
+      defaultLimit: 20
+    });
+
+    res.json({
+      success: true,
+      data: serviceRequests,
+      pagination
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Admin get service requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching service requests'
+    });
+  }
+});
+
+// @route   GET /api/admin/service-requests/:id
+// @desc    Get a service request with its history and payments
+// @access  Private (orders:read:any)
+router.get('/service-requests/:id', [auth, requirePermission('orders:read:any')], async (req, res) => {
+  try {
+    const serviceRequest = await ServiceRequest.findByPk(req.params.id, {
+      include: [
+        {
+          model: User,
+          as: 'user',
+          attributes: ['id', 'name', 'email', 'phone']
+        },
+        {
+          model: Material,
+          as: 'material',
+          attributes: ['id', 'name', 'pricePerUnit', 'unit', 'supplierId']
+        },
+        {
+          model: Vehicle,
+          as: 'vehicle',
+          attributes: ['id', 'name', 'pricePerHour', 'pricePerDay', 'ownerId']
+        },
+        {
+          model: Partner,
+          as: 'assignedPartner',
+          attributes: ['id', 'businessName', 'contact']
+        },
+        {
+          model: Operator,
+          as: 'operator',
+          attributes: ['id', 'name', 'phone', 'licenceNumber', 'licenceClasses', 'licenceExpiry']
+        },
+        {
+          model: StatusHistory,
+          as: 'statusHistory',
+          include: [{ association: 'actor', attributes: ['id', 'name', 'role'] }]
+        },
+        {
+          model: Payment,
+          as: 'payments'
+        }
+      ],
+      order: [[{ model: StatusHistory, as: 'statusHistory' }, 'createdAt', 'ASC']]
+    });
+
+    if (!serviceRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service request not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: serviceRequest
+    });
+  } catch (error) {
+    console.error('Admin get service request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching service request'
+    });
+  }
+});
+
+// @route   PUT /api/admin/service-requests/:id/status
+// @desc    Force a service request into any status, bypassing the transition rules
+// @access  Private (orders:override)
+router.put('/service-requests/:id/status', [auth, requirePermission('orders:override')], [
+  body('status').isIn(STATUSES).withMessage('Invalid status'),
+  reasonValidator
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const serviceRequest = await ServiceRequest.findByPk(req.params.id);
+
+    if (!serviceRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service request not found'
+      });
+    }
+
+    const from = serviceRequest.status;
+    const { status, reason } = req.body;
+
+    if (from === status) {
+      return res.status(400).json({
+        success: false,
+        message: `Service request is already ${status}`
+      });
+    }
+
+    // The audit entry commits or rolls back with the status change itself
+    await changeStatus(serviceRequest, status, {
+      actorId: req.user.id,
+      actorRole: 'admin',
+      note: reason,
+      force: true,
+      withinTransaction: (transaction, change) => recordAudit(req, {
+        action: 'service_request.force_status',
+        entityType: 'service_request',
+        entityId: serviceRequest.id,
+        reason,
+        changes: { status: change }
+      }, transaction)
+    });
+
+    res.json({
+      success: true,
+      message: `Service request moved to ${status}`,
+      data: serviceRequest
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+
+    console.error('Admin force status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating status'
+    });
+  }
+});
+
+// @route   GET /api/admin/reviews
+// @desc    Search reviews, reported ones first when reported=true
+// @access  Private (reviews:moderate)
+router.get('/reviews', [auth, requirePermission('reviews:moderate')], [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('status').optional().isIn(['published', 'hidden']),
+  query('reported').optional().isBoolean(),
+  query('partnerId').optional().isUUID(),
+  query('vehicleId').optional().isUUID(),
+  query('materialId').optional().isUUID(),
+  query('userId').optional().isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    const where = {};
+    if (req.query.status) where.status = req.query.status;
+    if (req.query.reported === 'true') where.reportCount = { [Op.gt]: 0 };
+    if (req.query.partnerId) where.partnerId = req.query.partnerId;
+    if (req.query.vehicleId) where.vehicleId = req.query.vehicleId;
+    if (req.query.materialId) where.materialId = req.query.materialId;
+    if (req.query.userId) where.userId = req.query.userId;
+
+    const { count, rows: reviews } = await Review.findAndCountAll({
+      where,
+      include: [
+        {
+          model: User,
+          as: 'author',
+          attributes: ['id', 'name', 'email']
+        },
+        {
+          model: Partner,
+          as: 'partner',
+          attributes: ['id', 'businessName']
+        }
+      ],
+      order: req.query.reported === 'true'
+        ? [['reportCount', 'DESC'], ['createdAt', 'ASC']]
+        : [['createdAt', 'DESC']],
+      offset,
+      limit
+    });
+
+    res.json({
+      success: true,
+      data: reviews,
+      pagination: {
+        page,
+        limit,
+        total: count,
+        pages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Admin get reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching reviews'
+    });
+  }
+});
+
+// @route   GET /api/admin/reviews/:id
+// @desc    Get a review with its abuse reports
+// @access  Private (reviews:moderate)
+router.get('/reviews/:id', [auth, requirePermission('reviews:moderate')], async (req, res) => {
+  try {
+    const review = await Review.findByPk(req.params.id, {
+      include: [
+        {
+          model: User,
+          as: 'author',
+          attributes: ['id', 'name', 'email']
+        },
+        {
+          model: Partner,
+          as: 'partner',
+          attributes: ['id', 'businessName']
+        },
+        {
+          model: ReviewReport,
+          as: 'reports',
+          include: [{ model: User, as: 'reporter', attributes: ['id', 'name', 'email'] }]
+        }
+      ],
+      order: [[{ model: ReviewReport, as: 'reports' }, 'createdAt', 'DESC']]
+    });
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: review
+    });
+  } catch (error) {
+    console.error('Admin get review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching review'
+    });
+  }
+});
+
+// @route   PUT /api/admin/reviews/:id/moderation
+// @desc    Hide or republish a review and resolve its open reports
+// @access  Private (reviews:moderate)
+router.put('/reviews/:id/moderation', [auth, requirePermission('reviews:moderate')], [
+  body('status').isIn(['published', 'hidden']).withMessage('Status must be published or hidden'),
+  reasonValidator
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const review = await sequelize.transaction(async (transaction) => {
+      const found = await Review.findByPk(req.params.id, {
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+      if (!found) return null;
+
+      const changes = diffChanges(found.get(), { status: req.body.status }, ['status']);
+
+      await moderateReview(found, req.user, {
+        status: req.body.status,
+        note: req.body.reason
+      }, transaction);
+
+      await recordAudit(req, {
+        action: 'review.moderate',
+        entityType: 'review',
+        entityId: found.id,
+        reason: req.body.reason,
+        changes
+      }, transaction);
+
+      return found;
+    });
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: review.status === 'hidden' ? 'Review hidden' : 'Review published',
+      data: review
+    });
+  } catch (error) {
+    console.error('Admin moderate review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while moderating review'
+    });
+  }
+});
+
+const auditLogFilters = [
+  query('actorId').optional().isUUID(),
+  query('action').optional().trim().isLength({ min: 1, max: 100 }),
+  query('entityType').optional().trim().isLength({ min: 1, max: 50 }),
+  query('entityId').optional().isUUID(),
+  query('requestId').optional().trim().isLength({ min: 1, max: 64 }),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601()
+];
+
+const buildAuditLogWhere = (filters) => {
+  const where = {};
+  ['actorId', 'entityType', 'entityId', 'requestId'].forEach(field => {
+    if (filters[field]) where[field] = filters[field];
+  });
+
+  // 'partner.' matches every partner action
+  if (filters.action) {
+    where.action = filters.action.endsWith('.')
+      ? { [Op.like]: `${filters.action}%` }
+      : filters.action;
+  }
+
+  if (filters.from || filters.to) {
+    where.createdAt = {};
+    if (filters.from) where.createdAt[Op.gte] = new Date(filters.from);
+    if (filters.to) where.createdAt[Op.lte] = new Date(filters.to);
+  }
+
+  return where;
+};
+
+// @route   GET /api/admin/audit-logs
+// @desc    Search the audit log
+// @access  Private (audit:read)
+router.get('/audit-logs', [auth, requirePermission('audit:read')], [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  ...auditLogFilters
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const offset = (page - 1) * limit;
+
+    const { count, rows: entries } = await AuditLog.findAndCountAll({
+      where: buildAuditLogWhere(req.query),
+      include: [{ association: 'actor', attributes: ['id', 'name', 'email', 'role'] }],
+      order: [['createdAt', 'DESC']],
+      offset,
+      limit
+    });
+
+    res.json({
+      success: true,
+      data: entries,
+      pagination: {
+        page,
+        limit,
+        total: count,
+        pages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get audit logs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching audit logs'
+    });
+  }
+});
+
+// @route   GET /api/admin/audit-logs/export
+// @desc    Download matching audit log entries as CSV or JSON
+// @access  Private (audit:read)
+router.get('/audit-logs/export', [auth, requirePermission('audit:read')], [
+  query('format').optional().isIn(['csv', 'json']),
+  ...auditLogFilters
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const where = buildAuditLogWhere(req.query);
+    const total = await AuditLog.count({ where });
+
+    if (total > auditConfig.exportLimit) {
+      return res.status(400).json({
+        success: false,
+        message: `Export is limited to ${auditConfig.exportLimit} entries. Narrow the filters.`,
+        total
+      });
+    }
+
+    const entries = await AuditLog.findAll({
+      where,
+      order: [['createdAt', 'ASC']]
+    });
+
+    await recordAudit(req, {
+      action: 'audit_log.export',
+      entityType: 'audit_log',
+      reason: `Exported ${entries.length} entries matching ${JSON.stringify(req.query)}`
+    });
+
+    const fileName = `audit-log-${new Date().toISOString().slice(0, 10)}`;
+
+    if (req.query.format === 'json') {
+      res.set('Content-Disposition', `attachment; filename="${fileName}.json"`);
+      return res.json(entries);
+    }
+
+    const header = ['Time', 'Action', 'Entity Type', 'Entity ID', 'Actor ID', 'Actor Role', 'Reason', 'Changes', 'IP Address', 'Request ID'];
+    const rows = entries.map(entry => [
+      entry.createdAt.toISOString(),
+      entry.action,
+      entry.entityType,
+      entry.entityId,
+      entry.actorId,
+      entry.actorRole,
+      entry.reason,
+      entry.changes ? JSON.stringify(entry.changes) : '',
+      entry.ipAddress,
+      entry.requestId
+    ]);
+
+    res.set('Content-Type', 'text/csv');
+    res.set('Content-Disposition', `attachment; filename="${fileName}.csv"`);
+    res.send(toCsv(header, rows));
+  } catch (error) {
+    console.error('Export audit logs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting audit logs'
+    });
+  }
+});
+
+// @route   GET /api/admin/jobs
+// @desc    List background jobs, most recently queued first
+// @access  Private (jobs:manage)
+router.get('/jobs', [auth, requirePermission('jobs:manage')], [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('cursor').optional().matches(/^[A-Za-z0-9_-]*$/).withMessage('Invalid cursor'),
+  query('status').optional().isIn(['pending', 'running', 'completed', 'dead']),
+  query('type').optional().isString().trim().isLength({ max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const where = {};
+    if (req.query.status) where.status = req.query.status;
+    if (req.query.type) where.type = req.query.type;
+
+    // Payloads can hold whole rendered emails; fetch a single job to see one
+    const { rows: jobs, pagination } = await findPage(Job, req, {
+      where,
+      attributes: { exclude: ['payload', 'result'] },
+      order: [['createdAt', 'DESC']],
+      defaultLimit: 50
+    });
+
+    res.json({
+      success: true,
+      data: jobs,
+      pagination
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Get jobs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching jobs'
+    });
+  }
+});
+
+// @route   GET /api/admin/jobs/stats
+// @desc    Count jobs by status, overall and per type
+// @access  Private (jobs:manage)
+router.get('/jobs/stats', [auth, requirePermission('jobs:manage')], async (req, res) => {
+  try {
+    const rows = await Job.findAll({
+      attributes: ['type', 'status', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+      group: ['type', 'status'],
+      raw: true
+    });
+
+    const byStatus = { pending: 0, running: 0, completed: 0, dead: 0 };
+    const byType = {};
+    rows.forEach(row => {
+      const count = parseInt(row.count);
+      byStatus[row.status] += count;
+      byType[row.type] = byType[row.type] || { pending: 0, running: 0, completed: 0, dead: 0 };
+      byType[row.type][row.status] = count;
+    });
+
+    res.json({
+      success: true,
+      data: { byStatus, byType }
+    });
+  } catch (error) {
+    console.error('Get job stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching job stats'
+    });
+  }
+});
+
+// @route   GET /api/admin/jobs/:id
+// @desc    Get a job with its payload, result and last error
+// @access  Private (jobs:manage)
+router.get('/jobs/:id', [auth, requirePermission('jobs:manage')], async (req, res) => {
+  try {
+    const job = await Job.findByPk(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    console.error('Get job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching job'
+    });
+  }
+});
+
+// @route   POST /api/admin/jobs/:id/retry
+// @desc    Queue a failed job again with a fresh set of attempts
+// @access  Private (jobs:manage)
+router.post('/jobs/:id/retry', [auth, requirePermission('jobs:manage')], async (req, res) => {
+  try {
+    const job = await Job.findByPk(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    const from = job.status;
+    await retryJob(job);
+
+    await recordAudit(req, {
+      action: 'job.retry',
+      entityType: 'job',
+      entityId: job.id,
+      changes: { status: { from, to: job.status } }
+    });
+
+    res.json({
+      success: true,
+      message: 'Job queued for retry',
+      data: job
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Retry job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while retrying job'
+    });
+  }
+});
+
+// @route   GET /api/admin/scheduled-tasks
+// @desc    List scheduled tasks with their next run and last job
+// @access  Private (jobs:manage)
+router.get('/scheduled-tasks', [auth, requirePermission('jobs:manage')], async (req, res) => {
+  try {
+    const tasks = await ScheduledTask.findAll({ order: [['name', 'ASC']] });
+
+    const jobIds = tasks.map(task => task.lastJobId).filter(Boolean);
+    const jobs = await Job.findAll({
+      where: { id: jobIds },
+      attributes: ['id', 'status', 'attempts', 'lastError', 'result', 'completedAt', 'failedAt']
+    });
+    const jobsById = Object.fromEntries(jobs.map(job => [job.id, job]));
+
+    res.json({
+      success: true,
+      data: tasks.map(task => ({
+        ...task.toJSON(),
+        lastJob: jobsById[task.lastJobId] || null
+      }))
+    });
+  } catch (error) {
+    console.error('Get scheduled tasks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching scheduled tasks'
+    });
+  }
+});
+
+// @route   POST /api/admin/scheduled-tasks/:name/run
+// @desc    Queue a scheduled task to run now
+// @access  Private (jobs:manage)
+router.post('/scheduled-tasks/:name/run', [auth, requirePermission('jobs:manage')], async (req, res) => {
+  try {
+    const job = await runTaskNow(req.params.name);
+
+    await recordAudit(req, {
+      action: 'scheduled_task.run',
+      entityType: 'job',
+      entityId: job.id,
+      reason: `Manual run of ${req.params.name}`
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Task queued',
+      data: job
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Run scheduled task error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while queueing task'
+    });
+  }
+});
+
+module.exports = router;
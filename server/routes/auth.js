@@ -1,16 +1,38 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
-const { User } = require('../models');
+const { Op } = require('sequelize');
+const { User, Session } = require('../models');
 const auth = require('../middleware/auth');
-const sendEmail = require('../utils/sendEmail');
+const authConfig = require('../config/auth');
+const { enqueueEmail } = require('../utils/jobs');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { getRolePermissions } = require('../utils/permissions');
+const {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions
+} = require('../utils/sessions');
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '30d'
+// Issue a fresh single-use verification token and email the link
+const sendVerificationEmail = async (user) => {
+  const token = generateToken();
+
+  await user.update({
+    verificationToken: hashToken(token),
+    verificationExpires: new Date(Date.now() + authConfig.verificationTokenHours * 60 * 60 * 1000)
+  });
+
+  await enqueueEmail({
+    to: user.email,
+    template: 'emailVerification',
+    data: {
+      name: user.name,
+      verifyUrl: `${authConfig.frontendUrl}/verify-email?token=${token}`,
+      expiresInHours: authConfig.verificationTokenHours
+    }
   });
 };
 
@@ -52,25 +74,23 @@ router.post('/register', [
       password
     });
 
-    // Generate token
-    const token = generateToken(user.id);
+    // Start a session
+    const tokens = await createSession(user, req);
 
     // Send welcome email
-    try {
-      await sendEmail({
-        to: user.email,
-        subject: 'Welcome to Auto X!',
-        template: 'welcome',
-        data: { name: user.name }
-      });
-    } catch (emailError) {
-      console.error('Failed to send welcome email:', emailError);
-    }
+    await enqueueEmail({
+      to: user.email,
+      subject: 'Welcome to Auto X!',
+      template: 'welcome',
+      data: { name: user.name }
+    });
+
+    await sendVerificationEmail(user);
 
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
-      token,
+      ...tokens,
       user: user.toJSON()
     });
   } catch (error) {
@@ -130,13 +150,13 @@ router.post('/login', [
     // Update last login
     await user.update({ lastLogin: new Date() });
 
-    // Generate token
-    const token = generateToken(user.id);
+    // Start a session
+    const tokens = await createSession(user, req);
 
     res.json({
       success: true,
       message: 'Login successful',
-      token,
+      ...tokens,
       user: user.toJSON()
     });
   } catch (error) {
@@ -148,6 +168,239 @@ router.post('/login', [
   }
 });
 
+// @route   POST /api/auth/verify-email
+// @desc    Verify email address with the emailed token
+// @access  Public
+router.post('/verify-email', [
+  body('token').isString().notEmpty().withMessage('Verification token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({
+      where: {
+        verificationToken: hashToken(req.body.token),
+        verificationExpires: { [Op.gt]: new Date() }
+      }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    await user.update({
+      isVerified: true,
+      verificationToken: null,
+      verificationExpires: null
+    });
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during email verification'
+    });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new email verification link
+// @access  Public
+router.post('/resend-verification', [
+  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ where: { email: req.body.email } });
+
+    if (user && user.isActive && !user.isVerified) {
+      await sendVerificationEmail(user);
+    }
+
+    // Same response either way so the endpoint cannot be used to probe accounts
+    res.json({
+      success: true,
+      message: 'If the account exists and is unverified, a new verification email has been sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while resending verification'
+    });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', [
+  body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ where: { email: req.body.email } });
+
+    if (user && user.isActive) {
+      const token = generateToken();
+
+      await user.update({
+        passwordResetToken: hashToken(token),
+        passwordResetExpires: new Date(Date.now() + authConfig.passwordResetTokenMinutes * 60 * 1000)
+      });
+
+      await enqueueEmail({
+        to: user.email,
+        template: 'passwordReset',
+        data: {
+          name: user.name,
+          resetUrl: `${authConfig.frontendUrl}/reset-password?token=${token}`,
+          expiresInMinutes: authConfig.passwordResetTokenMinutes
+        }
+      });
+    }
+
+    // Same response either way so the endpoint cannot be used to probe accounts
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while requesting password reset'
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with the emailed reset token
+// @access  Public
+router.post('/reset-password', [
+  body('token').isString().notEmpty().withMessage('Reset token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({
+      where: {
+        passwordResetToken: hashToken(req.body.token),
+        passwordResetExpires: { [Op.gt]: new Date() }
+      }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+
+    // Clearing the token makes it single-use
+    await user.update({
+      password: req.body.password,
+      passwordResetToken: null,
+      passwordResetExpires: null
+    });
+
+    await revokeUserSessions(user.id, { reason: 'password_reset' });
+
+    await enqueueEmail({
+      to: user.email,
+      template: 'passwordChanged',
+      data: { name: user.name }
+    });
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please sign in with your new password.'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during password reset'
+    });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access and refresh token
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const tokens = await rotateRefreshToken(req.body.refreshToken, req);
+
+    res.json({
+      success: true,
+      ...tokens
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during token refresh'
+    });
+  }
+});
+
 // @route   GET /api/auth/me
 // @desc    Get current user
 // @access  Private
@@ -165,7 +418,8 @@ router.get('/me', auth, async (req, res) => {
     
     res.json({
       success: true,
-      user: user.toJSON()
+      user: user.toJSON(),
+      permissions: getRolePermissions(user.role)
     });
   } catch (error) {
     console.error('Get user error:', error);
@@ -249,9 +503,15 @@ router.post('/change-password', auth, [
     // Update password
     await req.user.update({ password: newPassword });
 
+    // Sign out every other device
+    await revokeUserSessions(req.user.id, {
+      exceptId: req.authSession.id,
+      reason: 'password_change'
+    });
+
     res.json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Password changed successfully. Other devices have been signed out.'
     });
   } catch (error) {
     console.error('Change password error:', error);
@@ -263,13 +523,108 @@ router.post('/change-password', auth, [
 });
 
 // @route   POST /api/auth/logout
-// @desc    Logout user (client-side token removal)
+// @desc    Logout user and revoke the current session
 // @access  Private
-router.post('/logout', auth, (req, res) => {
-  res.json({
-    success: true,
-    message: 'Logged out successfully'
-  });
+router.post('/logout', auth, async (req, res) => {
+  try {
+    await revokeSession(req.authSession, 'logout');
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout'
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    Get the current user's active sessions
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.findAll({
+      where: { userId: req.user.id, revokedAt: null },
+      attributes: ['id', 'deviceName', 'userAgent', 'ipAddress', 'lastUsedAt', 'expiresAt', 'createdAt'],
+      order: [['lastUsedAt', 'DESC']]
+    });
+
+    const now = new Date();
+
+    res.json({
+      success: true,
+      data: sessions
+        .filter(session => session.expiresAt > now)
+        .map(session => ({
+          ...session.toJSON(),
+          current: session.id === req.authSession.id
+        }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching sessions'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Revoke all sessions except the current one
+// @access  Private
+router.delete('/sessions', auth, async (req, res) => {
+  try {
+    const [revoked] = await revokeUserSessions(req.user.id, {
+      exceptId: req.authSession.id,
+      reason: 'user_revoked'
+    });
+
+    res.json({
+      success: true,
+      message: `${revoked} other session(s) revoked`
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking sessions'
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke one of the current user's sessions
+// @access  Private
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      where: { id: req.params.id, userId: req.user.id, revokedAt: null }
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await revokeSession(session, 'user_revoked');
+
+    res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking session'
+    });
+  }
 });
 
 module.exports = router;
\ No newline at end of file
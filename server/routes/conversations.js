@@ -0,0 +1,375 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const { sequelize, Conversation, Message, User, Partner, Vehicle, Material, ServiceRequest } = require('../models');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const config = require('../config/messaging');
+const { findPage } = require('../utils/listQuery');
+const {
+  participantWhere,
+  getParticipantRole,
+  addMessage,
+  startConversation,
+  markConversationRead,
+  getUnreadCounts
+} = require('../utils/messaging');
+
+const router = express.Router();
+
+const CONVERSATION_INCLUDES = [
+  {
+    model: User,
+    as: 'customer',
+    attributes: ['id', 'name']
+  },
+  {
+    model: Partner,
+    as: 'partner',
+    attributes: ['id', 'businessName']
+  },
+  {
+    model: Vehicle,
+    as: 'vehicle',
+    attributes: ['id', 'name', 'images']
+  },
+  {
+    model: Material,
+    as: 'material',
+    attributes: ['id', 'name', 'images']
+  },
+  {
+    model: ServiceRequest,
+    as: 'serviceRequest',
+    attributes: ['id', 'status', 'tracking']
+  }
+];
+
+const messageValidators = [
+  body('body').optional().isString().trim().isLength({ max: config.maxMessageLength })
+    .withMessage(`Message cannot exceed ${config.maxMessageLength} characters`),
+  body('attachments').optional().isArray({ max: config.maxAttachments })
+    .withMessage(`A message can have at most ${config.maxAttachments} attachments`),
+  body('attachments.*').isString().withMessage('Attachments must be file names from /api/upload/documents')
+];
+
+// Load a conversation the user takes part in, with their side of it
+const findConversation = async (req, res, options = {}) => {
+  const conversation = await Conversation.findByPk(req.params.id, options);
+  const role = conversation && await getParticipantRole(conversation, req.user);
+
+  if (!role) {
+    res.status(404).json({
+      success: false,
+      message: 'Conversation not found'
+    });
+    return null;
+  }
+
+  return { conversation, role };
+};
+
+// The viewer's side and unread count on a conversation
+const withViewerState = (conversation, role) => {
+  conversation.setDataValue('role', role);
+  conversation.setDataValue('unreadCount', conversation[`${role}UnreadCount`]);
+  return conversation;
+};
+
+// @route   POST /api/conversations
+// @desc    Message the partner behind a vehicle, material or service request
+// @access  Private (messages:send)
+router.post('/', [auth, requirePermission('messages:send')], [
+  body('vehicleId').optional().isUUID(),
+  body('materialId').optional().isUUID(),
+  body('serviceRequestId').optional().isUUID(),
+  body().custom(value => [value.vehicleId, value.materialId, value.serviceRequestId].filter(Boolean).length === 1)
+    .withMessage('Provide exactly one of vehicleId, materialId or serviceRequestId'),
+  ...messageValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { conversation, message, created } = await startConversation(req.user, {
+      vehicleId: req.body.vehicleId,
+      materialId: req.body.materialId,
+      serviceRequestId: req.body.serviceRequestId
+    }, {
+      body: req.body.body,
+      attachments: req.body.attachments
+    });
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: 'Message sent',
+      data: {
+        conversation: withViewerState(conversation, 'customer'),
+        message
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Start conversation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending message'
+    });
+  }
+});
+
+// @route   GET /api/conversations
+// @desc    Get the current user's conversations, most recent first
+// @access  Private
+router.get('/', auth, [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('cursor').optional().matches(/^[A-Za-z0-9_-]*$/).withMessage('Invalid cursor'),
+  query('role').optional().isIn(['customer', 'partner']),
+  query('unread').optional().isBoolean(),
+  query('serviceRequestId').optional().isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const where = await participantWhere(req.user);
+    const sides = where[Op.or];
+
+    if (req.query.role) {
+      const field = req.query.role === 'customer' ? 'customerId' : 'partnerId';
+      where[Op.or] = sides.filter(side => side[field] !== undefined);
+    }
+
+    if (req.query.unread === 'true') {
+      where[Op.or] = where[Op.or].map(side => (side.customerId
+        ? { ...side, customerUnreadCount: { [Op.gt]: 0 } }
+        : { ...side, partnerUnreadCount: { [Op.gt]: 0 } }));
+    }
+
+    if (req.query.serviceRequestId) where.serviceRequestId = req.query.serviceRequestId;
+
+    if (where[Op.or].length === 0) {
+      return res.json({
+        success: true,
+        data: [],
+        pagination: { page: 1, limit: 0, total: 0, pages: 0 }
+      });
+    }
+
+    const { rows: conversations, pagination } = await findPage(Conversation, req, {
+      where,
+      include: CONVERSATION_INCLUDES,
+      order: [['lastMessageAt', 'DESC']],
+      defaultLimit: 20
+    });
+
+    conversations.forEach(conversation => {
+      withViewerState(conversation, conversation.customerId === req.user.id ? 'customer' : 'partner');
+    });
+
+    res.json({
+      success: true,
+      data: conversations,
+      pagination
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Get conversations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching conversations'
+    });
+  }
+});
+
+// @route   GET /api/conversations/unread-count
+// @desc    Get the current user's unread message counts
+// @access  Private
+router.get('/unread-count', auth, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await getUnreadCounts(req.user)
+    });
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching unread count'
+    });
+  }
+});
+
+// @route   GET /api/conversations/:id
+// @desc    Get a conversation
+// @access  Private (participants)
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const found = await findConversation(req, res, { include: CONVERSATION_INCLUDES });
+    if (!found) return;
+
+    res.json({
+      success: true,
+      data: withViewerState(found.conversation, found.role)
+    });
+  } catch (error) {
+    console.error('Get conversation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching conversation'
+    });
+  }
+});
+
+// @route   GET /api/conversations/:id/messages
+// @desc    Get a conversation's messages, newest first
+// @access  Private (participants)
+router.get('/:id/messages', auth, [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('cursor').optional().matches(/^[A-Za-z0-9_-]*$/).withMessage('Invalid cursor')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const found = await findConversation(req, res);
+    if (!found) return;
+
+    const { rows: messages, pagination } = await findPage(Message, req, {
+      where: { conversationId: found.conversation.id },
+      include: [{ model: User, as: 'sender', attributes: ['id', 'name'] }],
+      order: [['createdAt', 'DESC']],
+      defaultLimit: 50
+    });
+
+    res.json({
+      success: true,
+      data: messages,
+      pagination
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Get messages error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching messages'
+    });
+  }
+});
+
+// @route   POST /api/conversations/:id/messages
+// @desc    Send a message in a conversation
+// @access  Private (participants with messages:send)
+router.post('/:id/messages', [auth, requirePermission('messages:send')], messageValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const message = await sequelize.transaction(async (transaction) => {
+      const found = await findConversation(req, res, {
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+      if (!found) return null;
+
+      return addMessage(found.conversation, req.user, found.role, {
+        body: req.body.body,
+        attachments: req.body.attachments
+      }, transaction);
+    });
+
+    if (!message) return;
+
+    res.status(201).json({
+      success: true,
+      message: 'Message sent',
+      data: message
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Send message error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending message'
+    });
+  }
+});
+
+// @route   POST /api/conversations/:id/read
+// @desc    Mark the other side's messages as read
+// @access  Private (participants)
+router.post('/:id/read', auth, async (req, res) => {
+  try {
+    const found = await findConversation(req, res);
+    if (!found) return;
+
+    const read = await markConversationRead(found.conversation, found.role);
+
+    res.json({
+      success: true,
+      message: 'Conversation marked as read',
+      data: {
+        read,
+        lastReadAt: found.conversation[`${found.role}LastReadAt`]
+      }
+    });
+  } catch (error) {
+    console.error('Mark conversation read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while marking conversation as read'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,21 +1,57 @@
 const express = require('express');
 const { body, query, validationResult } = require('express-validator');
-const { Material, Partner } = require('../models');
+const { Op } = require('sequelize');
+const { sequelize, Material, Partner, StockMovement } = require('../models');
 const auth = require('../middleware/auth');
-const partnerAuth = require('../middleware/partnerAuth');
+const requirePermission = require('../middleware/requirePermission');
+const { recordAdjustment } = require('../utils/stock');
+const { getMatchingIds } = require('../utils/search');
+const { parseFacets, combineFilters, rangeFilter, countFacets } = require('../utils/facets');
+const { getNearQuery, withinRadius, distanceAttribute, byDistance } = require('../utils/geo');
+const {
+  fieldsQuery,
+  includeQuery,
+  selectAttributes,
+  resolveIncludes,
+  findPage,
+  findSearchPage
+} = require('../utils/listQuery');
+const { REVIEW_SORTS, findPublishedReviews } = require('../utils/reviews');
+const geoConfig = require('../config/geo');
 
 const router = express.Router();
 
+// Associations list callers can ask for with ?include=
+const LIST_INCLUDES = {
+  supplier: {
+    model: Partner,
+    as: 'supplier',
+    attributes: ['businessName', 'rating']
+  }
+};
+
 // @route   GET /api/materials
-// @desc    Get all materials with filtering and pagination
+// @desc    Get all materials with filtering, facets and page or cursor pagination
 // @access  Public
 router.get('/', [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
-  query('category').optional().isIn(['sand', 'gravel', 'steel', 'concrete', 'bricks', 'timber', 'soil', 'stone', 'other']),
+  query('cursor').optional().matches(/^[A-Za-z0-9_-]*$/).withMessage('Invalid cursor'),
+  fieldsQuery(Material),
+  includeQuery(LIST_INCLUDES),
+  query('category').optional().isIn(['sand', 'gravel', 'steel', 'concrete', 'bricks', 'timber', 'soil', 'stone', 'cement', 'other']),
   query('minPrice').optional().isFloat({ min: 0 }).withMessage('Minimum price must be non-negative'),
   query('maxPrice').optional().isFloat({ min: 0 }).withMessage('Maximum price must be non-negative'),
-  query('search').optional().isLength({ min: 1 }).withMessage('Search term cannot be empty')
+  query('district').optional().trim().isLength({ min: 1, max: 100 }),
+  query('minRating').optional().isFloat({ min: 0, max: 5 }),
+  query('facets').optional().matches(/^[A-Za-z,]+$/),
+  query('lat').optional().isFloat({ min: -90, max: 90 })
+    .custom((value, { req }) => req.query.lng !== undefined).withMessage('lat and lng must be given together'),
+  query('lng').optional().isFloat({ min: -180, max: 180 })
+    .custom((value, { req }) => req.query.lat !== undefined).withMessage('lat and lng must be given together'),
+  query('radiusKm').optional().isFloat({ min: 0.1, max: geoConfig.maxRadiusKm }),
+  query('search').optional().trim().isLength({ min: 1, max: 200 }).withMessage('Search term must be between 1 and 200 characters'),
+  query('sort').optional().isIn(['relevance', 'distance', 'price_asc', 'price_desc', 'rating', 'newest'])
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -27,24 +63,26 @@ router.get('/', [
       });
     }
 
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const offset = (page - 1) * limit;
-
-    // Build filter object
-    const where = { isAvailable: true };
+    // Filters are kept by name so each facet can be counted without its own
+    const filters = {
+      listing: { isAvailable: true, isPublished: true },
+      category: req.query.category ? { category: req.query.category } : null,
+      district: req.query.district ? { district: req.query.district } : null,
+      price: rangeFilter('pricePerUnit', req.query.minPrice, req.query.maxPrice),
+      rating: req.query.minRating ? { rating: { [Op.gte]: parseFloat(req.query.minRating) } } : null
+    };
 
-    if (req.query.category) {
-      where.category = req.query.category;
+    // "Near me": only materials dispatched within the radius, each with its distance
+    const near = getNearQuery(req.query);
+    const computed = [];
+    if (near) {
+      filters.near = withinRadius(near.point, near.radiusKm, 'Material');
+      computed.push(distanceAttribute(near.point, 'Material'));
     }
 
-    if (req.query.minPrice) {
-      where.pricePerUnit = { ...where.pricePerUnit, [Op.gte]: parseFloat(req.query.minPrice) };
-    }
-    
-    if (req.query.maxPrice) {
-      where.pricePerUnit = { ...where.pricePerUnit, [Op.lte]: parseFloat(req.query.maxPrice) };
-    }
+    const attributes = selectAttributes(req.query.fields, computed);
+
+    const where = combineFilters(filters);
 
     // Build order array
     let order = [];
@@ -61,35 +99,56 @@ router.get('/', [
       case 'newest':
         order = [['createdAt', 'DESC']];
         break;
+      case 'relevance':
+        order = null;
+        break;
+      case 'distance':
+        order = near ? byDistance() : null;
+        break;
       default:
-        order = [['featured', 'DESC'], ['rating', 'DESC']];
+        // Searches rank by relevance, near-me browsing by distance
+        if (req.query.search) {
+          order = null;
+        } else {
+          order = near ? byDistance() : [['featured', 'DESC'], ['rating', 'DESC']];
+        }
     }
 
-    const { count, rows: materials } = await Material.findAndCountAll({
-      where,
-      include: [
-        {
-          model: Partner,
-          as: 'supplier',
-          attributes: ['businessName', 'rating']
-        }
-      ],
-      order,
-      offset,
-      limit
-    });
+    const include = resolveIncludes(req.query.include, LIST_INCLUDES, ['supplier']);
 
-    res.json({
+    // Searches are ranked by relevance unless another sort is asked for
+    const { rows: materials, pagination } = req.query.search
+      ? await findSearchPage('materials', req.query.search, req, { where, attributes, include, order })
+      : await findPage(Material, req, {
+        where,
+        attributes,
+        include,
+        order: order || [['featured', 'DESC'], ['rating', 'DESC']]
+      });
+
+    const response = {
       success: true,
       data: materials,
-      pagination: {
-        page,
-        limit,
-        total: count,
-        pages: Math.ceil(count / limit)
+      pagination
+    };
+
+    const facetNames = parseFacets(req.query.facets, 'materials');
+    if (facetNames.length > 0) {
+      if (req.query.search) {
+        filters.search = { id: { [Op.in]: getMatchingIds('materials', req.query.search) } };
       }
-    });
+      response.facets = await countFacets(Material, 'materials', filters, facetNames);
+    }
+
+    res.json(response);
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Get materials error:', error);
     res.status(500).json({
       success: false,
@@ -113,7 +172,7 @@ router.get('/:id', async (req, res) => {
       ]
     });
 
-    if (!material) {
+    if (!material || !material.isPublished) {
       return res.status(404).json({
         success: false,
         message: 'Material not found'
@@ -133,15 +192,67 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// @route   GET /api/materials/:id/reviews
+// @desc    Get published reviews of a material with its rating summary
+// @access  Public
+router.get('/:id/reviews', [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 50 }),
+  query('cursor').optional().matches(/^[A-Za-z0-9_-]*$/).withMessage('Invalid cursor'),
+  query('sort').optional().isIn(Object.keys(REVIEW_SORTS))
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const material = await Material.findByPk(req.params.id, { attributes: ['id', 'isPublished'] });
+
+    if (!material || !material.isPublished) {
+      return res.status(404).json({
+        success: false,
+        message: 'Material not found'
+      });
+    }
+
+    const { rows, pagination, summary } = await findPublishedReviews({ materialId: material.id }, req);
+
+    res.json({
+      success: true,
+      data: rows,
+      summary,
+      pagination
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Get material reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching reviews'
+    });
+  }
+});
+
 // @route   POST /api/materials
 // @desc    Create new material (Partners only)
-// @access  Private (Partner)
-router.post('/', [auth, partnerAuth], [
+// @access  Private (materials:write:own)
+router.post('/', [auth, requirePermission('materials:write:own')], [
   body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
   body('description').trim().isLength({ min: 10, max: 500 }).withMessage('Description must be between 10 and 500 characters'),
-  body('category').isIn(['sand', 'gravel', 'steel', 'concrete', 'bricks', 'timber', 'soil', 'stone', 'other']),
+  body('category').isIn(['sand', 'gravel', 'steel', 'concrete', 'bricks', 'timber', 'soil', 'stone', 'cement', 'other']),
   body('pricePerUnit').isFloat({ min: 0 }).withMessage('Price must be non-negative'),
-  body('unit').isIn(['cubic meter', 'ton', 'kg', 'per 100 pieces', 'square meter', 'linear meter']),
+  body('unit').isIn(['cubic_meter', 'ton', 'kg', 'per_100_pieces', 'square_meter', 'linear_meter', 'bag', 'piece']),
   body('availableQuantity').isFloat({ min: 0 }).withMessage('Available quantity must be non-negative')
 ], async (req, res) => {
   try {
@@ -154,9 +265,14 @@ router.post('/', [auth, partnerAuth], [
       });
     }
 
+    // Listings start unfeatured and published; moderators change both.
+    // Ratings come from reviews and coordinates from the supplier's address.
+    const { rating, ratingCount, latitude, longitude, district, ...fields } = req.body;
     const materialData = {
-      ...req.body,
-      supplierId: req.user.partnerId
+      ...fields,
+      supplierId: req.user.partnerId,
+      featured: false,
+      isPublished: true
     };
 
     const material = await Material.create(materialData);
@@ -185,9 +301,9 @@ router.post('/', [auth, partnerAuth], [
 });
 
 // @route   PUT /api/materials/:id
-// @desc    Update material (Owner only)
-// @access  Private (Partner)
-router.put('/:id', [auth, partnerAuth], [
+// @desc    Update material (Owner or admin)
+// @access  Private (materials:write)
+router.put('/:id', [auth, requirePermission('materials:write')], [
   body('name').optional().trim().isLength({ min: 2, max: 100 }),
   body('description').optional().trim().isLength({ min: 10, max: 500 }),
   body('pricePerUnit').optional().isFloat({ min: 0 }),
@@ -212,15 +328,36 @@ router.put('/:id', [auth, partnerAuth], [
       });
     }
 
-    // Check if user owns this material
-    if (material.supplierId !== req.user.partnerId) {
+    // Suppliers may only access their own materials
+    if (req.permissionScope === 'own' && material.supplierId !== req.user.partnerId) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this material'
       });
     }
 
-    await material.update(req.body);
+    // Reserved stock is managed by service requests only, ownership cannot be
+    // transferred, moderation flags are set by admins only, ratings come from
+    // reviews and coordinates from the supplier's address
+    const {
+      reservedQuantity, supplierId, featured, isPublished, rating, ratingCount, latitude, longitude, district,
+      ...updates
+    } = req.body;
+
+    await sequelize.transaction(async (transaction) => {
+      await material.reload({ transaction, lock: transaction.LOCK.UPDATE });
+      const previousQuantity = material.availableQuantity;
+      await material.update(updates, { transaction });
+
+      if (updates.availableQuantity !== undefined && material.availableQuantity !== previousQuantity) {
+        await recordAdjustment(material, material.availableQuantity - previousQuantity, {
+          transaction,
+          userId: req.user.id,
+          note: 'Manual stock update'
+        });
+      }
+    });
+
     await material.reload({
       include: [
         {
@@ -245,10 +382,78 @@ router.put('/:id', [auth, partnerAuth], [
   }
 });
 
+// @route   GET /api/materials/:id/stock-movements
+// @desc    Get stock movement history for a material (Owner or admin)
+// @access  Private (materials:write)
+router.get('/:id/stock-movements', [auth, requirePermission('materials:write')], [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const material = await Material.findByPk(req.params.id);
+
+    if (!material) {
+      return res.status(404).json({
+        success: false,
+        message: 'Material not found'
+      });
+    }
+
+    // Suppliers may only access their own materials
+    if (req.permissionScope === 'own' && material.supplierId !== req.user.partnerId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view stock for this material'
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    const { count, rows: movements } = await StockMovement.findAndCountAll({
+      where: { materialId: material.id },
+      order: [['createdAt', 'DESC']],
+      offset,
+      limit
+    });
+
+    res.json({
+      success: true,
+      data: {
+        availableQuantity: material.availableQuantity,
+        reservedQuantity: material.reservedQuantity,
+        movements
+      },
+      pagination: {
+        page,
+        limit,
+        total: count,
+        pages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get stock movements error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching stock movements'
+    });
+  }
+});
+
 // @route   DELETE /api/materials/:id
-// @desc    Delete material (Owner only)
-// @access  Private (Partner)
-router.delete('/:id', [auth, partnerAuth], async (req, res) => {
+// @desc    Delete material (Owner or admin)
+// @access  Private (materials:write)
+router.delete('/:id', [auth, requirePermission('materials:write')], async (req, res) => {
   try {
     const material = await Material.findByPk(req.params.id);
 
@@ -259,8 +464,8 @@ router.delete('/:id', [auth, partnerAuth], async (req, res) => {
       });
     }
 
-    // Check if user owns this material
-    if (material.supplierId !== req.user.partnerId) {
+    // Suppliers may only access their own materials
+    if (req.permissionScope === 'own' && material.supplierId !== req.user.partnerId) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to delete this material'
@@ -0,0 +1,258 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { Notification, Partner } = require('../models');
+const auth = require('../middleware/auth');
+const { findPage } = require('../utils/listQuery');
+const { EVENTS, CHANNELS, isChannelEnabled } = require('../utils/notifications');
+
+const router = express.Router();
+
+// { email, sms, events: { event: { email, sms } } } with every value filled in
+const resolvePreferences = (preferences = {}) => {
+  const resolved = { events: {} };
+
+  CHANNELS.forEach(channel => {
+    resolved[channel] = isChannelEnabled({ [channel]: preferences[channel] }, null, channel);
+  });
+
+  EVENTS.forEach(event => {
+    resolved.events[event] = {};
+    CHANNELS.forEach(channel => {
+      resolved.events[event][channel] = isChannelEnabled(preferences, event, channel);
+    });
+  });
+
+  return resolved;
+};
+
+// Merge channel and per-event switches from a request into stored preferences
+const mergePreferences = (current = {}, updates) => {
+  const merged = { ...current, events: { ...(current.events || {}) } };
+
+  CHANNELS.forEach(channel => {
+    if (typeof updates[channel] === 'boolean') merged[channel] = updates[channel];
+  });
+
+  Object.entries(updates.events || {}).forEach(([event, channels]) => {
+    merged.events[event] = { ...(merged.events[event] || {}) };
+    CHANNELS.forEach(channel => {
+      if (typeof channels[channel] === 'boolean') merged.events[event][channel] = channels[channel];
+    });
+  });
+
+  return merged;
+};
+
+// @route   GET /api/notifications
+// @desc    Get the current user's notifications, newest first
+// @access  Private
+router.get('/', auth, [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('cursor').optional().matches(/^[A-Za-z0-9_-]*$/).withMessage('Invalid cursor'),
+  query('unread').optional().isBoolean(),
+  query('audience').optional().isIn(['customer', 'partner']),
+  query('event').optional().isIn(EVENTS)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const where = { userId: req.user.id };
+    if (req.query.unread === 'true') where.readAt = null;
+    if (req.query.audience) where.audience = req.query.audience;
+    if (req.query.event) where.event = req.query.event;
+
+    const { rows: notifications, pagination } = await findPage(Notification, req, {
+      where,
+      attributes: { exclude: ['deliveries'] },
+      order: [['createdAt', 'DESC']],
+      defaultLimit: 20
+    });
+
+    res.json({
+      success: true,
+      data: notifications,
+      unreadCount: await Notification.count({ where: { userId: req.user.id, readAt: null } }),
+      pagination
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching notifications'
+    });
+  }
+});
+
+// @route   GET /api/notifications/unread-count
+// @desc    Get the number of unread notifications
+// @access  Private
+router.get('/unread-count', auth, async (req, res) => {
+  try {
+    const count = await Notification.count({ where: { userId: req.user.id, readAt: null } });
+
+    res.json({
+      success: true,
+      data: { count }
+    });
+  } catch (error) {
+    console.error('Get notification count error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching notification count'
+    });
+  }
+});
+
+// @route   PUT /api/notifications/read-all
+// @desc    Mark all of the current user's notifications as read
+// @access  Private
+router.put('/read-all', auth, async (req, res) => {
+  try {
+    const [count] = await Notification.update({ readAt: new Date() }, {
+      where: { userId: req.user.id, readAt: null }
+    });
+
+    res.json({
+      success: true,
+      message: 'All notifications marked as read',
+      data: { count }
+    });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating notifications'
+    });
+  }
+});
+
+// @route   GET /api/notifications/preferences
+// @desc    Get email and SMS preferences, as a customer and as a partner
+// @access  Private
+router.get('/preferences', auth, async (req, res) => {
+  try {
+    const partner = await Partner.findOne({
+      where: { userId: req.user.id },
+      attributes: ['id', 'preferences']
+    });
+
+    res.json({
+      success: true,
+      data: {
+        customer: resolvePreferences((req.user.preferences || {}).notifications),
+        partner: partner ? resolvePreferences((partner.preferences || {}).notifications) : null
+      }
+    });
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching notification preferences'
+    });
+  }
+});
+
+// @route   PUT /api/notifications/preferences
+// @desc    Turn email and SMS on or off, overall or per event
+// @access  Private
+router.put('/preferences', auth, [
+  body('audience').optional().isIn(['customer', 'partner']),
+  body('email').optional().isBoolean({ strict: true }).withMessage('email must be true or false'),
+  body('sms').optional().isBoolean({ strict: true }).withMessage('sms must be true or false'),
+  body('events').optional().isObject(),
+  body('events').optional().custom(events => Object.keys(events).every(event => EVENTS.includes(event)))
+    .withMessage(`Events must be some of: ${EVENTS.join(', ')}`),
+  body('events.*.email').optional().isBoolean({ strict: true }),
+  body('events.*.sms').optional().isBoolean({ strict: true })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Partners keep separate preferences for their business notifications
+    let owner = req.user;
+    if (req.body.audience === 'partner') {
+      owner = await Partner.findOne({ where: { userId: req.user.id } });
+
+      if (!owner) {
+        return res.status(404).json({
+          success: false,
+          message: 'Partner profile not found'
+        });
+      }
+    }
+
+    const preferences = owner.preferences || {};
+    const notifications = mergePreferences(preferences.notifications, req.body);
+    await owner.update({ preferences: { ...preferences, notifications } });
+
+    res.json({
+      success: true,
+      message: 'Notification preferences updated',
+      data: resolvePreferences(notifications)
+    });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating notification preferences'
+    });
+  }
+});
+
+// @route   PUT /api/notifications/:id/read
+// @desc    Mark a notification as read
+// @access  Private
+router.put('/:id/read', auth, async (req, res) => {
+  try {
+    const notification = await Notification.findOne({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    if (!notification.readAt) {
+      await notification.update({ readAt: new Date() });
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification marked as read',
+      data: notification
+    });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating notification'
+    });
+  }
+});
+
+module.exports = router;
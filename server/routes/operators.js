@@ -0,0 +1,317 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { Op, UniqueConstraintError } = require('sequelize');
+const { sequelize, Operator, ServiceRequest, Vehicle } = require('../models');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const config = require('../config/operators');
+const { BLOCKING_STATUSES } = require('../utils/bookingCalendar');
+const { findBusyOperatorIds } = require('../utils/operators');
+const { findPage } = require('../utils/listQuery');
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = [
+  'name',
+  'phone',
+  'email',
+  'licenceNumber',
+  'licenceClasses',
+  'licenceExpiry',
+  'certifications',
+  'experienceYears',
+  'notes',
+  'isActive'
+];
+
+// Shared by create and update; create additionally requires the core fields
+const operatorValidators = (required) => {
+  const field = (name) => (required ? body(name) : body(name).optional());
+
+  return [
+    field('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
+    body('phone').optional({ nullable: true }).isMobilePhone().withMessage('Valid phone number is required'),
+    body('email').optional({ nullable: true }).isEmail().withMessage('Valid email is required'),
+    field('licenceNumber').trim().isLength({ min: 3, max: 50 }).withMessage('Licence number is required'),
+    field('licenceClasses').isArray({ min: 1 }).withMessage('At least one licence class is required'),
+    body('licenceClasses.*').isIn(config.licenceClasses)
+      .withMessage(`Licence classes must be some of: ${config.licenceClasses.join(', ')}`),
+    field('licenceExpiry').isISO8601().withMessage('Licence expiry must be a valid date'),
+    body('certifications').optional().isArray(),
+    body('certifications.*.name').trim().isLength({ min: 2, max: 100 }).withMessage('Certifications need a name'),
+    body('certifications.*.issuer').optional().trim().isLength({ max: 100 }),
+    body('certifications.*.expiryDate').optional({ nullable: true }).isISO8601(),
+    body('experienceYears').optional({ nullable: true }).isInt({ min: 0, max: 60 }),
+    body('notes').optional({ nullable: true }).trim().isLength({ max: 1000 }),
+    body('isActive').optional().isBoolean({ strict: true })
+  ];
+};
+
+const pickOperatorFields = (data) => {
+  const fields = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (data[field] !== undefined) fields[field] = data[field];
+  });
+  if (fields.certifications) {
+    fields.certifications = fields.certifications.map(({ name, issuer, expiryDate }) => ({
+      name,
+      issuer: issuer || null,
+      expiryDate: expiryDate || null
+    }));
+  }
+  return fields;
+};
+
+// Bookings still to come or under way that the operator is assigned to
+const findUpcomingAssignments = (operatorId) => ServiceRequest.findAll({
+  where: {
+    operatorId,
+    status: { [Op.in]: BLOCKING_STATUSES },
+    endDate: { [Op.gt]: new Date() }
+  },
+  attributes: ['id', 'status', 'startDate', 'endDate', 'tracking'],
+  include: [{ model: Vehicle, as: 'vehicle', attributes: ['id', 'name'] }],
+  order: [['startDate', 'ASC']]
+});
+
+// @route   GET /api/operators
+// @desc    Get the current partner's operators, optionally only those free for a period
+// @access  Private (operators:manage:own)
+router.get('/', [auth, requirePermission('operators:manage:own')], [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('cursor').optional().matches(/^[A-Za-z0-9_-]*$/).withMessage('Invalid cursor'),
+  query('isActive').optional().isBoolean(),
+  query('licenceClass').optional().isIn(config.licenceClasses),
+  query('search').optional().trim().isLength({ max: 100 }),
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const where = { partnerId: req.partner.id };
+    if (req.query.isActive !== undefined) where.isActive = req.query.isActive === 'true';
+    if (req.query.search) where.name = { [Op.like]: `%${req.query.search}%` };
+
+    if (req.query.licenceClass) {
+      where[Op.and] = [sequelize.where(
+        sequelize.fn('JSON_CONTAINS', sequelize.col(Operator.rawAttributes.licenceClasses.field), JSON.stringify(req.query.licenceClass)),
+        1
+      )];
+    }
+
+    // With a period, only operators with no booking in it
+    if (req.query.from || req.query.to) {
+      if (!req.query.from || !req.query.to || new Date(req.query.to) <= new Date(req.query.from)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Availability needs a from date and a later to date'
+        });
+      }
+
+      const busy = await findBusyOperatorIds(req.partner.id, new Date(req.query.from), new Date(req.query.to));
+      if (busy.length > 0) where.id = { [Op.notIn]: busy };
+    }
+
+    const { rows: operators, pagination } = await findPage(Operator, req, {
+      where,
+      order: [['name', 'ASC']],
+      defaultLimit: 50
+    });
+
+    res.json({
+      success: true,
+      data: operators,
+      pagination
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Get operators error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching operators'
+    });
+  }
+});
+
+// @route   POST /api/operators
+// @desc    Add an operator
+// @access  Private (operators:manage:own)
+router.post('/', [auth, requirePermission('operators:manage:own')], operatorValidators(true), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const operator = await Operator.create({
+      ...pickOperatorFields(req.body),
+      partnerId: req.partner.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Operator added',
+      data: operator
+    });
+  } catch (error) {
+    if (error instanceof UniqueConstraintError) {
+      return res.status(409).json({
+        success: false,
+        message: 'An operator with this licence number already exists'
+      });
+    }
+
+    console.error('Create operator error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while adding operator'
+    });
+  }
+});
+
+// @route   GET /api/operators/:id
+// @desc    Get an operator with their upcoming bookings
+// @access  Private (operators:manage:own)
+router.get('/:id', [auth, requirePermission('operators:manage:own')], async (req, res) => {
+  try {
+    const operator = await Operator.findOne({
+      where: { id: req.params.id, partnerId: req.partner.id }
+    });
+
+    if (!operator) {
+      return res.status(404).json({
+        success: false,
+        message: 'Operator not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...operator.toJSON(),
+        upcomingAssignments: await findUpcomingAssignments(operator.id)
+      }
+    });
+  } catch (error) {
+    console.error('Get operator error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching operator'
+    });
+  }
+});
+
+// @route   PUT /api/operators/:id
+// @desc    Update an operator's details, licence or certifications
+// @access  Private (operators:manage:own)
+router.put('/:id', [auth, requirePermission('operators:manage:own')], operatorValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const operator = await Operator.findOne({
+      where: { id: req.params.id, partnerId: req.partner.id }
+    });
+
+    if (!operator) {
+      return res.status(404).json({
+        success: false,
+        message: 'Operator not found'
+      });
+    }
+
+    await operator.update(pickOperatorFields(req.body));
+
+    res.json({
+      success: true,
+      message: 'Operator updated',
+      data: operator
+    });
+  } catch (error) {
+    if (error instanceof UniqueConstraintError) {
+      return res.status(409).json({
+        success: false,
+        message: 'An operator with this licence number already exists'
+      });
+    }
+
+    console.error('Update operator error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating operator'
+    });
+  }
+});
+
+// @route   DELETE /api/operators/:id
+// @desc    Remove an operator; ones with past bookings are deactivated instead
+// @access  Private (operators:manage:own)
+router.delete('/:id', [auth, requirePermission('operators:manage:own')], async (req, res) => {
+  try {
+    const operator = await Operator.findOne({
+      where: { id: req.params.id, partnerId: req.partner.id }
+    });
+
+    if (!operator) {
+      return res.status(404).json({
+        success: false,
+        message: 'Operator not found'
+      });
+    }
+
+    const upcoming = await findUpcomingAssignments(operator.id);
+    if (upcoming.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Reassign the operator\'s upcoming bookings first',
+        assignments: upcoming
+      });
+    }
+
+    // Past orders keep pointing at the operator who did the work
+    const assigned = await ServiceRequest.count({ where: { operatorId: operator.id } });
+    if (assigned > 0) {
+      await operator.update({ isActive: false });
+    } else {
+      await operator.destroy();
+    }
+
+    res.json({
+      success: true,
+      message: assigned > 0 ? 'Operator deactivated' : 'Operator removed'
+    });
+  } catch (error) {
+    console.error('Delete operator error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing operator'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,16 +1,66 @@
 const express = require('express');
 const { body, query, validationResult } = require('express-validator');
-const { Partner, User } = require('../models');
+const { Op } = require('sequelize');
+const { sequelize, Partner, User, ServiceRequest, Material, Vehicle, LedgerEntry, Review, Operator } = require('../models');
 const auth = require('../middleware/auth');
-const adminAuth = require('../middleware/adminAuth');
+const requirePermission = require('../middleware/requirePermission');
+const { PARTNER_TYPES } = require('../config/roles');
+const verificationConfig = require('../config/partnerVerification');
+const { STATUSES, changeStatus } = require('../utils/orderStatus');
+const { acceptOrder } = require('../utils/orderAssignment');
+const { partnerAccount, getPartnerBalance, getCommissionRate } = require('../utils/ledger');
+const { recordAudit } = require('../utils/audit');
+const { fieldsQuery, includeQuery, selectAttributes, resolveIncludes, findPage } = require('../utils/listQuery');
+const { REVIEW_SORTS, getRatingSummary } = require('../utils/reviews');
+const {
+  DECISIONS,
+  getMissingDocuments,
+  getInsuranceProblem,
+  attachDocument,
+  submitForReview,
+  reviewDocument,
+  decide
+} = require('../utils/partnerVerification');
 
 const router = express.Router();
 
+// Associations the partner's order list can include with ?include=
+const REQUEST_INCLUDES = {
+  user: {
+    model: User,
+    as: 'user',
+    attributes: ['name', 'phone']
+  },
+  material: {
+    model: Material,
+    as: 'material',
+    attributes: ['name', 'unit', 'images']
+  },
+  vehicle: {
+    model: Vehicle,
+    as: 'vehicle',
+    attributes: ['name', 'images']
+  },
+  operator: {
+    model: Operator,
+    as: 'operator',
+    attributes: ['id', 'name', 'phone']
+  }
+};
+
+// Associations the staff partner list can include with ?include=
+const PARTNER_INCLUDES = {
+  user: {
+    association: 'user',
+    attributes: ['id', 'name', 'email', 'phone']
+  }
+};
+
 // @route   POST /api/partners/register
 // @desc    Register as a partner
 // @access  Private
 router.post('/register', auth, [
-  body('type').isIn(['vehicle_owner', 'material_supplier']).withMessage('Invalid partner type'),
+  body('type').isIn(PARTNER_TYPES).withMessage('Invalid partner type'),
   body('businessName').trim().isLength({ min: 2, max: 200 }).withMessage('Business name must be between 2 and 200 characters'),
   body('businessLicense').trim().notEmpty().withMessage('Business license is required'),
   body('taxId').trim().notEmpty().withMessage('Tax ID is required'),
@@ -41,16 +91,31 @@ router.post('/register', auth, [
       });
     }
 
-    const partnerData = {
-      ...req.body,
-      userId: req.user.id
-    };
+    // Review fields and documents are managed by the verification workflow
+    const registrationFields = [
+      'type', 'businessName', 'businessLicense', 'taxId', 'yearsInBusiness', 'description',
+      'services', 'serviceAreas', 'address', 'contact', 'certifications', 'insurance', 'bankDetails'
+    ];
+
+    const partnerData = { userId: req.user.id };
+    registrationFields.forEach(field => {
+      if (req.body[field] !== undefined) partnerData[field] = req.body[field];
+    });
+
+    const partner = await sequelize.transaction(async (transaction) => {
+      const created = await Partner.create(partnerData, { transaction });
+
+      // Partner permissions still require the application to be approved
+      if (req.user.role === 'customer') {
+        await req.user.update({ role: 'partner' }, { transaction });
+      }
 
-    const partner = await Partner.create(partnerData);
+      return created;
+    });
 
     res.status(201).json({
       success: true,
-      message: 'Partner registration submitted successfully. We will review your application within 2-3 business days.',
+      message: 'Partner profile created. Upload your documents and submit your application for review.',
       data: partner
     });
   } catch (error) {
@@ -123,6 +188,11 @@ router.put('/me', auth, async (req, res) => {
       'businessName', 'description', 'services', 'serviceAreas',
       'address', 'contact', 'certifications', 'preferences'
     ];
+
+    // Insurance is re-checked on submission, so it is only editable before review
+    if (verificationConfig.editableStatuses.includes(partner.verificationStatus)) {
+      allowedUpdates.push('insurance');
+    }
     
     const updates = {};
     Object.keys(req.body).forEach(key => {
@@ -147,14 +217,207 @@ router.put('/me', auth, async (req, res) => {
   }
 });
 
-// @route   GET /api/partners
-// @desc    Get all partners (Admin only)
-// @access  Private (Admin)
-router.get('/', [auth, adminAuth], [
+// @route   GET /api/partners/me/verification
+// @desc    Get the current partner's verification checklist
+// @access  Private
+router.get('/me/verification', auth, async (req, res) => {
+  try {
+    const partner = await Partner.findOne({ where: { userId: req.user.id } });
+
+    if (!partner) {
+      return res.status(404).json({
+        success: false,
+        message: 'Partner profile not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        status: partner.verificationStatus,
+        notes: partner.verificationNotes,
+        submittedAt: partner.submittedAt,
+        reviewedAt: partner.reviewedAt,
+        canSubmit: verificationConfig.editableStatuses.includes(partner.verificationStatus),
+        documents: partner.documents || [],
+        missingDocuments: getMissingDocuments(partner),
+        insuranceProblem: getInsuranceProblem(partner)
+      }
+    });
+  } catch (error) {
+    console.error('Get partner verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching verification status'
+    });
+  }
+});
+
+// @route   POST /api/partners/me/documents
+// @desc    Attach a file uploaded through /api/upload/documents as a verification document
+// @access  Private
+router.post('/me/documents', auth, [
+  body('type').isIn(verificationConfig.documentTypes).withMessage(`Type must be one of: ${verificationConfig.documentTypes.join(', ')}`),
+  body('fileName').trim().notEmpty().withMessage('File name is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const partner = await Partner.findOne({ where: { userId: req.user.id } });
+
+    if (!partner) {
+      return res.status(404).json({
+        success: false,
+        message: 'Partner profile not found'
+      });
+    }
+
+    const document = await attachDocument(partner, {
+      type: req.body.type,
+      fileName: req.body.fileName
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Document added',
+      data: document
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+
+    console.error('Add partner document error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while adding document'
+    });
+  }
+});
+
+// @route   POST /api/partners/me/submit
+// @desc    Submit (or resubmit) the partner application for review
+// @access  Private
+router.post('/me/submit', auth, async (req, res) => {
+  try {
+    const partner = await Partner.findOne({
+      where: { userId: req.user.id },
+      include: [{ association: 'user', attributes: ['name', 'email'] }]
+    });
+
+    if (!partner) {
+      return res.status(404).json({
+        success: false,
+        message: 'Partner profile not found'
+      });
+    }
+
+    await submitForReview(partner);
+
+    res.json({
+      success: true,
+      message: 'Application submitted for review. We will get back to you within 2-3 business days.',
+      data: partner
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+
+    console.error('Submit partner application error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while submitting application'
+    });
+  }
+});
+
+// @route   GET /api/partners/me/requests
+// @desc    Get service requests assigned to the current partner
+// @access  Private (orders:manage:own)
+router.get('/me/requests', [auth, requirePermission('orders:manage:own')], [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('cursor').optional().matches(/^[A-Za-z0-9_-]*$/).withMessage('Invalid cursor'),
+  fieldsQuery(ServiceRequest),
+  includeQuery(REQUEST_INCLUDES),
+  query('status').optional().isIn(STATUSES),
+  query('type').optional().isIn(['material', 'vehicle']),
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { partner } = req;
+
+    const where = { assignedTo: partner.id };
+    if (req.query.status) where.status = req.query.status;
+    if (req.query.type) where.type = req.query.type;
+
+    if (req.query.from || req.query.to) {
+      where.requiredDate = {};
+      if (req.query.from) where.requiredDate[Op.gte] = new Date(req.query.from);
+      if (req.query.to) where.requiredDate[Op.lte] = new Date(req.query.to);
+    }
+
+    const { rows: serviceRequests, pagination } = await findPage(ServiceRequest, req, {
+      where,
+      attributes: selectAttributes(req.query.fields),
+      include: resolveIncludes(req.query.include, REQUEST_INCLUDES, Object.keys(REQUEST_INCLUDES)),
+      order: [['requestDate', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: serviceRequests,
+      pagination
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Get partner requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching partner requests'
+    });
+  }
+});
+
+// @route   GET /api/partners/me/ledger
+// @desc    Get the current partner's earnings ledger and balance
+// @access  Private (ledger:read:own)
+router.get('/me/ledger', [auth, requirePermission('ledger:read:own')], [
   query('page').optional().isInt({ min: 1 }),
   query('limit').optional().isInt({ min: 1, max: 100 }),
-  query('status').optional().isIn(['pending', 'under_review', 'approved', 'rejected', 'suspended']),
-  query('type').optional().isIn(['vehicle_owner', 'material_supplier'])
+  query('type').optional().isIn(['order_earning', 'order_refund', 'payout'])
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -166,30 +429,37 @@ router.get('/', [auth, adminAuth], [
       });
     }
 
+    const { partner } = req;
+
     const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
+    const limit = parseInt(req.query.limit) || 20;
     const offset = (page - 1) * limit;
 
-    const where = {};
-    if (req.query.status) where.verificationStatus = req.query.status;
+    const where = { account: partnerAccount(partner.id) };
     if (req.query.type) where.type = req.query.type;
 
-    const { count, rows: partners } = await Partner.findAndCountAll({
+    const { count, rows: entries } = await LedgerEntry.findAndCountAll({
       where,
       include: [
         {
-          association: 'user',
-          attributes: ['id', 'name', 'email', 'phone']
+          model: ServiceRequest,
+          as: 'serviceRequest',
+          attributes: ['id', 'type', 'tracking', 'totalPrice']
         }
       ],
-      limit,
+      order: [['createdAt', 'DESC']],
       offset,
-      order: [['createdAt', 'DESC']]
+      limit
     });
 
     res.json({
       success: true,
-      data: partners,
+      data: {
+        balance: await getPartnerBalance(partner.id),
+        totalEarnings: partner.totalEarnings,
+        commissionRate: getCommissionRate(partner),
+        entries
+      },
       pagination: {
         page,
         limit,
@@ -198,6 +468,247 @@ router.get('/', [auth, adminAuth], [
       }
     });
   } catch (error) {
+    console.error('Get partner ledger error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching ledger'
+    });
+  }
+});
+
+// @route   GET /api/partners/me/reviews
+// @desc    Get reviews of the current partner and their listings
+// @access  Private (reviews:reply:own)
+router.get('/me/reviews', [auth, requirePermission('reviews:reply:own')], [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('cursor').optional().matches(/^[A-Za-z0-9_-]*$/).withMessage('Invalid cursor'),
+  query('sort').optional().isIn(Object.keys(REVIEW_SORTS)),
+  query('rating').optional().isInt({ min: 1, max: 5 }),
+  query('vehicleId').optional().isUUID(),
+  query('materialId').optional().isUUID(),
+  query('unanswered').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const where = { partnerId: req.partner.id };
+    if (req.query.rating) where.rating = parseInt(req.query.rating);
+    if (req.query.vehicleId) where.vehicleId = req.query.vehicleId;
+    if (req.query.materialId) where.materialId = req.query.materialId;
+    if (req.query.unanswered === 'true') where.reply = null;
+
+    const { rows: reviews, pagination } = await findPage(Review, req, {
+      where,
+      include: [
+        {
+          model: User,
+          as: 'author',
+          attributes: ['name']
+        },
+        {
+          model: Vehicle,
+          as: 'vehicle',
+          attributes: ['id', 'name']
+        },
+        {
+          model: Material,
+          as: 'material',
+          attributes: ['id', 'name']
+        }
+      ],
+      order: REVIEW_SORTS[req.query.sort] || REVIEW_SORTS.newest
+    });
+
+    res.json({
+      success: true,
+      data: reviews,
+      summary: await getRatingSummary({ partnerId: req.partner.id }),
+      pagination
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Get partner reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching reviews'
+    });
+  }
+});
+
+// Load one of the current partner's assigned requests for accept/reject
+const findPartnerRequest = async (req, res) => {
+  const { partner } = req;
+
+  const serviceRequest = await ServiceRequest.findByPk(req.params.id, {
+    include: [
+      {
+        model: User,
+        as: 'user',
+        attributes: ['name', 'email']
+      }
+    ]
+  });
+
+  if (!serviceRequest || serviceRequest.assignedTo !== partner.id) {
+    res.status(404).json({
+      success: false,
+      message: 'Service request not found'
+    });
+    return null;
+  }
+
+  return { partner, serviceRequest };
+};
+
+// @route   POST /api/partners/me/requests/:id/accept
+// @desc    Accept an incoming service request
+// @access  Private (orders:manage:own)
+router.post('/me/requests/:id/accept', [auth, requirePermission('orders:manage:own')], [
+  body('notes').optional().trim()
+], async (req, res) => {
+  try {
+    const found = await findPartnerRequest(req, res);
+    if (!found) return;
+
+    const { partner, serviceRequest } = found;
+
+    await acceptOrder(serviceRequest, partner, {
+      actorId: req.user.id,
+      actorRole: 'partner',
+      note: req.body.notes
+    });
+
+    res.json({
+      success: true,
+      message: 'Service request accepted',
+      data: serviceRequest
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+
+    console.error('Accept request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while accepting request'
+    });
+  }
+});
+
+// @route   POST /api/partners/me/requests/:id/reject
+// @desc    Reject an incoming service request
+// @access  Private (orders:manage:own)
+router.post('/me/requests/:id/reject', [auth, requirePermission('orders:manage:own')], [
+  body('reason').trim().isLength({ min: 3, max: 500 }).withMessage('Reason must be between 3 and 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const found = await findPartnerRequest(req, res);
+    if (!found) return;
+
+    const { serviceRequest } = found;
+
+    await changeStatus(serviceRequest, 'rejected', {
+      actorId: req.user.id,
+      actorRole: 'partner',
+      note: req.body.reason
+    });
+
+    res.json({
+      success: true,
+      message: 'Service request rejected',
+      data: serviceRequest
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+
+    console.error('Reject request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while rejecting request'
+    });
+  }
+});
+
+// @route   GET /api/partners
+// @desc    Get all partners (Staff only)
+// @access  Private (partners:read:any)
+router.get('/', [auth, requirePermission('partners:read:any')], [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('cursor').optional().matches(/^[A-Za-z0-9_-]*$/).withMessage('Invalid cursor'),
+  fieldsQuery(Partner),
+  includeQuery(PARTNER_INCLUDES),
+  query('status').optional().isIn(verificationConfig.statuses),
+  query('type').optional().isIn(PARTNER_TYPES)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const where = {};
+    if (req.query.status) where.verificationStatus = req.query.status;
+    if (req.query.type) where.type = req.query.type;
+
+    const { rows: partners, pagination } = await findPage(Partner, req, {
+      where,
+      attributes: selectAttributes(req.query.fields),
+      include: resolveIncludes(req.query.include, PARTNER_INCLUDES, ['user']),
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: partners,
+      pagination
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Get partners error:', error);
     res.status(500).json({
       success: false,
@@ -206,12 +717,117 @@ router.get('/', [auth, adminAuth], [
   }
 });
 
-// @route   PUT /api/partners/:id/verify
-// @desc    Verify/reject partner application (Admin only)
-// @access  Private (Admin)
-router.put('/:id/verify', [auth, adminAuth], [
+// @route   GET /api/partners/:id
+// @desc    Get a partner application with its documents
+// @access  Private (partners:read:any)
+router.get('/:id', [auth, requirePermission('partners:read:any')], async (req, res) => {
+  try {
+    const partner = await Partner.findByPk(req.params.id, {
+      include: [
+        {
+          association: 'user',
+          attributes: ['id', 'name', 'email', 'phone']
+        }
+      ]
+    });
+
+    if (!partner) {
+      return res.status(404).json({
+        success: false,
+        message: 'Partner not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        partner,
+        missingDocuments: getMissingDocuments(partner),
+        insuranceProblem: getInsuranceProblem(partner)
+      }
+    });
+  } catch (error) {
+    console.error('Get partner error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching partner'
+    });
+  }
+});
+
+// @route   PUT /api/partners/:id/documents/:documentId
+// @desc    Approve or reject one verification document
+// @access  Private (partners:verify)
+router.put('/:id/documents/:documentId', [auth, requirePermission('partners:verify')], [
   body('status').isIn(['approved', 'rejected']).withMessage('Status must be approved or rejected'),
-  body('notes').optional().trim()
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note must be at most 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const partner = await Partner.findByPk(req.params.id);
+    if (!partner) {
+      return res.status(404).json({
+        success: false,
+        message: 'Partner not found'
+      });
+    }
+
+    const { before, document } = await reviewDocument(partner, req.params.documentId, {
+      status: req.body.status,
+      note: req.body.note,
+      reviewerId: req.user.id
+    });
+
+    await recordAudit(req, {
+      action: `partner.document_${req.body.status === 'approved' ? 'approve' : 'reject'}`,
+      entityType: 'partner',
+      entityId: partner.id,
+      reason: req.body.note,
+      changes: { [`documents.${document.type}`]: { from: before.status, to: document.status } }
+    });
+
+    res.json({
+      success: true,
+      message: `Document ${req.body.status}`,
+      data: document
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+
+    console.error('Review partner document error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reviewing document'
+    });
+  }
+});
+
+const DECISION_ACTIONS = {
+  approved: 'partner.approve',
+  rejected: 'partner.reject',
+  information_requested: 'partner.request_information'
+};
+
+// @route   PUT /api/partners/:id/verify
+// @desc    Approve, reject or request more information on an application under review
+// @access  Private (partners:verify)
+router.put('/:id/verify', [auth, requirePermission('partners:verify')], [
+  body('status').isIn(DECISIONS).withMessage(`Status must be one of: ${DECISIONS.join(', ')}`),
+  body('notes').optional().trim().isLength({ max: 2000 }).withMessage('Notes must be at most 2000 characters')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -225,7 +841,9 @@ router.put('/:id/verify', [auth, adminAuth], [
 
     const { status, notes } = req.body;
 
-    const partner = await Partner.findByPk(req.params.id);
+    const partner = await Partner.findByPk(req.params.id, {
+      include: [{ association: 'user', attributes: ['name', 'email'] }]
+    });
     if (!partner) {
       return res.status(404).json({
         success: false,
@@ -233,19 +851,33 @@ router.put('/:id/verify', [auth, adminAuth], [
       });
     }
 
-    await partner.update({
-      verificationStatus: status,
-      verificationNotes: notes,
-      reviewedBy: req.user.id,
-      reviewedAt: new Date()
+    const { from } = await decide(partner, status, {
+      notes,
+      reviewerId: req.user.id
+    });
+
+    await recordAudit(req, {
+      action: DECISION_ACTIONS[status],
+      entityType: 'partner',
+      entityId: partner.id,
+      reason: notes,
+      changes: { verificationStatus: { from, to: status } }
     });
 
     res.json({
       success: true,
-      message: `Partner ${status} successfully`,
+      message: `Partner ${status.replace(/_/g, ' ')} successfully`,
       data: partner
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+
     console.error('Verify partner error:', error);
     res.status(500).json({
       success: false,
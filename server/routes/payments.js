@@ -0,0 +1,276 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { Payment, ServiceRequest } = require('../models');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const config = require('../config/payments');
+const { getActorRoles } = require('../utils/orderStatus');
+const { hasPermission } = require('../utils/permissions');
+const {
+  METHODS,
+  getProvider,
+  createPaymentIntent,
+  markPaymentSucceeded,
+  handleWebhook,
+  refundPayment
+} = require('../utils/payments');
+
+const router = express.Router();
+
+const sendPaymentError = (res, error, logMessage, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      ...error.details
+    });
+  }
+
+  console.error(logMessage, error);
+  res.status(500).json({
+    success: false,
+    message
+  });
+};
+
+// @route   POST /api/payments/webhooks/:provider
+// @desc    Receive signed payment status callbacks from a gateway
+// @access  Public (signature verified)
+router.post('/webhooks/:provider', async (req, res) => {
+  try {
+    const { duplicate } = await handleWebhook(req.params.provider, req.rawBody || '', req.headers);
+
+    res.json({
+      success: true,
+      received: true,
+      duplicate
+    });
+  } catch (error) {
+    sendPaymentError(res, error, 'Payment webhook error:', 'Server error while processing webhook');
+  }
+});
+
+// @route   POST /api/payments/mock/:reference/complete
+// @desc    Finish a mock gateway checkout (development and testing only)
+// @access  Public
+router.post('/mock/:reference/complete', [
+  body('outcome').optional().isIn(['succeeded', 'failed']).withMessage('Outcome must be succeeded or failed')
+], async (req, res) => {
+  try {
+    if (!config.enableMockGateway) {
+      return res.status(404).json({
+        success: false,
+        message: `Route ${req.originalUrl} not found`
+      });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Deliver the webhook the gateway would send, through the normal verification path
+    const mockGateway = getProvider('mock');
+    const { payload, headers } = mockGateway.simulateCheckout(req.params.reference, req.body.outcome);
+    const { payment } = await handleWebhook('mock', payload, headers);
+
+    res.json({
+      success: true,
+      message: `Mock payment ${payment.status}`,
+      data: payment
+    });
+  } catch (error) {
+    sendPaymentError(res, error, 'Mock checkout error:', 'Server error while completing mock checkout');
+  }
+});
+
+// @route   POST /api/payments/intents
+// @desc    Create a payment intent for a service request
+// @access  Private
+router.post('/intents', auth, [
+  body('serviceRequestId').isUUID().withMessage('Valid service request ID is required'),
+  body('method').isIn(METHODS).withMessage(`Method must be one of: ${METHODS.join(', ')}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const serviceRequest = await ServiceRequest.findByPk(req.body.serviceRequestId);
+
+    if (!serviceRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service request not found'
+      });
+    }
+
+    if (serviceRequest.userId !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to pay for this service request'
+      });
+    }
+
+    const payment = await createPaymentIntent(serviceRequest, req.body.method);
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment intent created',
+      data: payment
+    });
+  } catch (error) {
+    sendPaymentError(res, error, 'Create payment intent error:', 'Server error while creating payment');
+  }
+});
+
+// @route   GET /api/payments/:id
+// @desc    Get a payment
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const payment = await Payment.findByPk(req.params.id, {
+      include: [
+        {
+          model: ServiceRequest,
+          as: 'serviceRequest',
+          attributes: ['id', 'userId', 'assignedTo', 'status', 'tracking']
+        }
+      ]
+    });
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    const roles = await getActorRoles(payment.serviceRequest, req.user);
+    if (roles.length === 0 && !hasPermission(req.user, 'payments:read:any')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this payment'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: payment
+    });
+  } catch (error) {
+    console.error('Get payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching payment'
+    });
+  }
+});
+
+// @route   POST /api/payments/:id/confirm
+// @desc    Confirm an offline payment (bank transfer by finance staff, cash by the assigned partner)
+// @access  Private
+router.post('/:id/confirm', auth, async (req, res) => {
+  try {
+    const payment = await Payment.findByPk(req.params.id, {
+      include: [
+        {
+          model: ServiceRequest,
+          as: 'serviceRequest',
+          attributes: ['id', 'userId', 'assignedTo']
+        }
+      ]
+    });
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    if (payment.method === 'card') {
+      return res.status(400).json({
+        success: false,
+        message: 'Card payments are confirmed by the gateway'
+      });
+    }
+
+    // Cash is collected by the assigned partner; everything else needs finance staff
+    const roles = payment.method === 'cash_on_delivery'
+      ? await getActorRoles(payment.serviceRequest, req.user)
+      : [];
+
+    if (!roles.includes('partner') && !hasPermission(req.user, 'payments:confirm:any')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to confirm this payment'
+      });
+    }
+
+    const confirmed = await markPaymentSucceeded(payment);
+
+    res.json({
+      success: true,
+      message: 'Payment confirmed',
+      data: confirmed
+    });
+  } catch (error) {
+    sendPaymentError(res, error, 'Confirm payment error:', 'Server error while confirming payment');
+  }
+});
+
+// @route   POST /api/payments/:id/refund
+// @desc    Refund a payment in full or in part (Admin and finance)
+// @access  Private (payments:refund)
+router.post('/:id/refund', [auth, requirePermission('payments:refund')], [
+  body('amount').optional().isFloat({ min: 0.01 }).withMessage('Amount must be positive'),
+  body('reason').trim().isLength({ min: 3 }).withMessage('Reason is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const payment = await Payment.findByPk(req.params.id);
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    const { payment: refunded, refund } = await refundPayment(payment, {
+      amount: req.body.amount,
+      reason: req.body.reason
+    });
+
+    res.json({
+      success: true,
+      message: 'Payment refunded',
+      data: {
+        payment: refunded,
+        refund
+      }
+    });
+  } catch (error) {
+    sendPaymentError(res, error, 'Refund payment error:', 'Server error while refunding payment');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,167 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { PayoutBatch } = require('../models');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const { generatePayoutBatch, payoutBatchToCsv } = require('../utils/ledger');
+
+const router = express.Router();
+
+// @route   GET /api/payouts
+// @desc    Get payout batches (Admin and finance)
+// @access  Private (payouts:manage)
+router.get('/', [auth, requirePermission('payouts:manage')], [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('status').optional().isIn(['generated', 'submitted', 'paid'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const offset = (page - 1) * limit;
+
+    const where = {};
+    if (req.query.status) where.status = req.query.status;
+
+    const { count, rows: batches } = await PayoutBatch.findAndCountAll({
+      where,
+      attributes: { exclude: ['items'] },
+      order: [['createdAt', 'DESC']],
+      offset,
+      limit
+    });
+
+    res.json({
+      success: true,
+      data: batches,
+      pagination: {
+        page,
+        limit,
+        total: count,
+        pages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get payout batches error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching payout batches'
+    });
+  }
+});
+
+// @route   POST /api/payouts
+// @desc    Generate a payout batch for all partner balances due (Admin and finance)
+// @access  Private (payouts:manage)
+router.post('/', [auth, requirePermission('payouts:manage')], async (req, res) => {
+  try {
+    const batch = await generatePayoutBatch(req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: `Payout batch ${batch.reference} generated`,
+      data: batch
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Generate payout batch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating payout batch'
+    });
+  }
+});
+
+// @route   GET /api/payouts/:id/file
+// @desc    Download the bank upload CSV for a payout batch (Admin and finance)
+// @access  Private (payouts:manage)
+router.get('/:id/file', [auth, requirePermission('payouts:manage')], async (req, res) => {
+  try {
+    const batch = await PayoutBatch.findByPk(req.params.id);
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payout batch not found'
+      });
+    }
+
+    res.set('Content-Type', 'text/csv');
+    res.set('Content-Disposition', `attachment; filename="${batch.reference}.csv"`);
+    res.send(payoutBatchToCsv(batch));
+  } catch (error) {
+    console.error('Download payout file error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating payout file'
+    });
+  }
+});
+
+// @route   PUT /api/payouts/:id/status
+// @desc    Mark a payout batch as submitted to or paid by the bank (Admin and finance)
+// @access  Private (payouts:manage)
+router.put('/:id/status', [auth, requirePermission('payouts:manage')], [
+  body('status').isIn(['submitted', 'paid']).withMessage('Status must be submitted or paid')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const batch = await PayoutBatch.findByPk(req.params.id);
+
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payout batch not found'
+      });
+    }
+
+    if (batch.status === 'paid') {
+      return res.status(400).json({
+        success: false,
+        message: 'Payout batch is already paid'
+      });
+    }
+
+    await batch.update({
+      status: req.body.status,
+      paidAt: req.body.status === 'paid' ? new Date() : batch.paidAt
+    });
+
+    res.json({
+      success: true,
+      message: `Payout batch marked as ${req.body.status}`,
+      data: batch
+    });
+  } catch (error) {
+    console.error('Update payout batch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating payout batch'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,106 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { Material, Vehicle } = require('../models');
+const { calculateQuote } = require('../utils/pricing');
+const { getDeliveryDetails } = require('../utils/geo');
+
+const router = express.Router();
+
+// @route   POST /api/quotes
+// @desc    Get an itemised price quote without creating an order
+// @access  Public
+router.post('/', [
+  body('type').isIn(['material', 'vehicle']).withMessage('Type must be either material or vehicle'),
+  body('quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be a positive integer'),
+  body('duration').optional().isInt({ min: 1 }).withMessage('Duration must be a positive integer'),
+  body('durationType').optional().isIn(['hours', 'days']).withMessage('Duration type must be hours or days'),
+  body('district').optional().trim(),
+  body('address').optional().trim(),
+  body('latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Latitude must be a valid coordinate'),
+  body('longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Longitude must be a valid coordinate')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { type, materialId, vehicleId, quantity, duration, durationType, district, address, latitude, longitude } = req.body;
+
+    let material;
+    let vehicle;
+
+    if (type === 'material') {
+      if (!materialId || !quantity) {
+        return res.status(400).json({
+          success: false,
+          message: 'Material ID and quantity are required for material quotes'
+        });
+      }
+
+      material = await Material.findByPk(materialId);
+      if (!material || !material.isAvailable) {
+        return res.status(404).json({
+          success: false,
+          message: 'Material not found or not available'
+        });
+      }
+
+      if (quantity < material.minimumOrder) {
+        return res.status(400).json({
+          success: false,
+          message: `Minimum order is ${material.minimumOrder} ${material.unit}`
+        });
+      }
+    } else {
+      if (!vehicleId || !duration || !durationType) {
+        return res.status(400).json({
+          success: false,
+          message: 'Vehicle ID, duration, and duration type are required for vehicle quotes'
+        });
+      }
+
+      vehicle = await Vehicle.findByPk(vehicleId);
+      if (!vehicle || vehicle.status !== 'active') {
+        return res.status(404).json({
+          success: false,
+          message: 'Vehicle not found or not available'
+        });
+      }
+    }
+
+    const quote = calculateQuote({
+      type,
+      material,
+      vehicle,
+      quantity,
+      duration,
+      durationType,
+      district
+    });
+
+    // Distance to the delivery or site location, and for materials whether
+    // it is inside the supplier's delivery areas
+    const delivery = getDeliveryDetails({ type, material, vehicle }, { latitude, longitude, district, address });
+
+    res.json({
+      success: true,
+      data: {
+        ...quote,
+        delivery
+      }
+    });
+  } catch (error) {
+    console.error('Create quote error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while calculating quote'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,186 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { sequelize, Review, ServiceRequest } = require('../models');
+const auth = require('../middleware/auth');
+const requirePermission = require('../middleware/requirePermission');
+const config = require('../config/reviews');
+const { createReview, replyToReview, reportReview } = require('../utils/reviews');
+
+const router = express.Router();
+
+// @route   POST /api/reviews
+// @desc    Review a completed service request
+// @access  Private (reviews:create)
+router.post('/', [auth, requirePermission('reviews:create')], [
+  body('serviceRequestId').isUUID().withMessage('Valid service request ID is required'),
+  body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
+  body('comment').optional().trim().isLength({ max: 1000 }).withMessage('Comment cannot exceed 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const review = await sequelize.transaction(async (transaction) => {
+      const serviceRequest = await ServiceRequest.findByPk(req.body.serviceRequestId, {
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      if (!serviceRequest) {
+        return null;
+      }
+
+      return createReview(serviceRequest, req.user, {
+        rating: parseInt(req.body.rating),
+        comment: req.body.comment
+      }, transaction);
+    });
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service request not found'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Review added successfully',
+      data: review
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Add review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while adding review'
+    });
+  }
+});
+
+// @route   PUT /api/reviews/:id/reply
+// @desc    Reply to a review of one of your listings (an empty reply removes it)
+// @access  Private (reviews:reply:own)
+router.put('/:id/reply', [auth, requirePermission('reviews:reply:own')], [
+  body('reply').isString().trim().isLength({ max: 1000 }).withMessage('Reply cannot exceed 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const review = await Review.findByPk(req.params.id);
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    await replyToReview(review, req.partner, req.body.reply);
+
+    res.json({
+      success: true,
+      message: req.body.reply ? 'Reply saved' : 'Reply removed',
+      data: review
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Reply to review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while replying to review'
+    });
+  }
+});
+
+// @route   POST /api/reviews/:id/reports
+// @desc    Report a review as abusive
+// @access  Private (reviews:report)
+router.post('/:id/reports', [auth, requirePermission('reviews:report')], [
+  body('reason').isIn(config.reportReasons).withMessage(`Reason must be one of: ${config.reportReasons.join(', ')}`),
+  body('details').optional().trim().isLength({ max: 500 }).withMessage('Details cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const report = await sequelize.transaction(async (transaction) => {
+      const review = await Review.findByPk(req.params.id, {
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      if (!review || review.status !== 'published') {
+        return null;
+      }
+
+      return reportReview(review, req.user, {
+        reason: req.body.reason,
+        details: req.body.details
+      }, transaction);
+    });
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Thanks, a moderator will look at this review',
+      data: {
+        id: report.id,
+        reason: report.reason,
+        status: report.status
+      }
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Report review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reporting review'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,95 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { Op } = require('sequelize');
+const { Partner } = require('../models');
+const { CATALOGS, searchCatalog } = require('../utils/search');
+const { getNearQuery, withinRadius, distanceAttribute, byDistance } = require('../utils/geo');
+const geoConfig = require('../config/geo');
+
+const router = express.Router();
+
+// What each catalogue shows the public
+const PUBLIC_LISTINGS = {
+  vehicles: {
+    alias: 'Vehicle',
+    where: { status: 'active', isPublished: true },
+    include: [{ model: Partner, as: 'owner', attributes: ['businessName', 'rating'] }]
+  },
+  materials: {
+    alias: 'Material',
+    where: { isAvailable: true, isPublished: true },
+    include: [{ model: Partner, as: 'supplier', attributes: ['businessName', 'rating'] }]
+  }
+};
+
+// @route   GET /api/search
+// @desc    Ranked, typo-tolerant search of vehicles and materials, optionally near lat/lng
+// @access  Public
+router.get('/', [
+  query('q').trim().isLength({ min: 1, max: 200 }).withMessage('Search term must be between 1 and 200 characters'),
+  query('type').optional().isIn(['all', ...CATALOGS]),
+  query('lat').optional().isFloat({ min: -90, max: 90 })
+    .custom((value, { req }) => req.query.lng !== undefined).withMessage('lat and lng must be given together'),
+  query('lng').optional().isFloat({ min: -180, max: 180 })
+    .custom((value, { req }) => req.query.lat !== undefined).withMessage('lat and lng must be given together'),
+  query('radiusKm').optional().isFloat({ min: 0.1, max: geoConfig.maxRadiusKm }),
+  query('sort').optional().isIn(['relevance', 'distance']),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 50 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const offset = (page - 1) * limit;
+    const types = !req.query.type || req.query.type === 'all' ? CATALOGS : [req.query.type];
+    const near = getNearQuery(req.query);
+
+    const data = {};
+    const pagination = {};
+
+    for (const type of types) {
+      const { alias, where, include } = PUBLIC_LISTINGS[type];
+      const options = { where, include, offset, limit };
+
+      if (near) {
+        options.where = { ...where, [Op.and]: withinRadius(near.point, near.radiusKm, alias) };
+        options.attributes = { include: [distanceAttribute(near.point, alias)] };
+        if (req.query.sort === 'distance') options.order = byDistance();
+      }
+
+      const { count, rows } = await searchCatalog(type, req.query.q, options);
+
+      data[type] = rows;
+      pagination[type] = {
+        page,
+        limit,
+        total: count,
+        pages: Math.ceil(count / limit)
+      };
+    }
+
+    res.json({
+      success: true,
+      query: req.query.q,
+      data,
+      pagination
+    });
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while searching'
+    });
+  }
+});
+
+module.exports = router;
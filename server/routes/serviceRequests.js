@@ -1,20 +1,63 @@
 const express = require('express');
 const { body, query, validationResult } = require('express-validator');
-const { ServiceRequest, Material, Vehicle, User, Partner } = require('../models');
+const { sequelize, ServiceRequest, Material, Vehicle, User, Partner, StatusHistory, Operator } = require('../models');
 const auth = require('../middleware/auth');
-const sendEmail = require('../utils/sendEmail');
+const requirePermission = require('../middleware/requirePermission');
+const requireVerified = require('../middleware/requireVerified');
+const { getBookingWindow, findConflicts } = require('../utils/bookingCalendar');
+const { calculateQuote, matchesQuote } = require('../utils/pricing');
+const { getDeliveryDetails } = require('../utils/geo');
+const { reserveStock } = require('../utils/stock');
+const { getAssignedPartnerId, autoAcceptIfEnabled } = require('../utils/orderAssignment');
+const {
+  STATUSES,
+  getActorRoles,
+  resolveActorRole,
+  recordStatusChange,
+  changeStatus
+} = require('../utils/orderStatus');
+const { hasPermission } = require('../utils/permissions');
+const { createReview } = require('../utils/reviews');
+const { assignOperator } = require('../utils/operators');
+const { notifyOrderCreated } = require('../utils/notifications/orders');
+const { fieldsQuery, includeQuery, selectAttributes, resolveIncludes, findPage } = require('../utils/listQuery');
 const { Op } = require('sequelize');
 
 const router = express.Router();
 
+// Associations the order list can include with ?include=
+const LIST_INCLUDES = {
+  material: {
+    model: Material,
+    as: 'material',
+    attributes: ['name', 'pricePerUnit', 'unit', 'images']
+  },
+  vehicle: {
+    model: Vehicle,
+    as: 'vehicle',
+    attributes: ['name', 'pricePerHour', 'pricePerDay', 'images']
+  },
+  assignedPartner: {
+    model: Partner,
+    as: 'assignedPartner',
+    attributes: ['businessName', 'contact', 'rating']
+  }
+};
+
 // @route   POST /api/service-requests
 // @desc    Create new service request
 // @access  Private
-router.post('/', auth, [
+router.post('/', [auth, requirePermission('orders:create'), requireVerified], [
   body('type').isIn(['material', 'vehicle']).withMessage('Type must be either material or vehicle'),
-  body('totalPrice').isFloat({ min: 0 }).withMessage('Total price must be non-negative'),
+  body('quantity').optional().isInt({ min: 1 }).withMessage('Quantity must be a positive integer').toInt(),
+  body('duration').optional().isInt({ min: 1 }).withMessage('Duration must be a positive integer').toInt(),
+  body('durationType').optional().isIn(['hours', 'days']).withMessage('Duration type must be hours or days'),
+  body('totalPrice').optional().isFloat({ min: 0 }).withMessage('Total price must be non-negative'),
+  body('district').optional().trim(),
   body('requiredDate').isISO8601().withMessage('Required date must be a valid date'),
   body('address').trim().isLength({ min: 5 }).withMessage('Address must be at least 5 characters'),
+  body('latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Latitude must be a valid coordinate'),
+  body('longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Longitude must be a valid coordinate'),
   body('contactDetails.name').trim().isLength({ min: 2 }).withMessage('Contact name is required'),
   body('contactDetails.phone').isMobilePhone().withMessage('Valid phone number is required'),
   body('contactDetails.email').isEmail().withMessage('Valid email is required')
@@ -37,13 +80,20 @@ router.post('/', auth, [
       duration,
       durationType,
       totalPrice,
+      district,
       requiredDate,
       address,
+      latitude,
+      longitude,
       contactDetails,
       notes,
       specialRequirements
     } = req.body;
 
+    let material;
+    let vehicle;
+    let bookingWindow;
+
     // Validate based on type
     if (type === 'material') {
       if (!materialId || !quantity) {
@@ -54,8 +104,8 @@ router.post('/', auth, [
       }
 
       // Check if material exists and is available
-      const material = await Material.findByPk(materialId);
-      if (!material || !material.isAvailable) {
+      material = await Material.findByPk(materialId);
+      if (!material || !material.isAvailable || !material.isPublished) {
         return res.status(400).json({
           success: false,
           message: 'Material not found or not available'
@@ -69,6 +119,14 @@ router.post('/', auth, [
           message: `Only ${material.availableQuantity} ${material.unit} available`
         });
       }
+
+      // Check minimum order quantity
+      if (quantity < material.minimumOrder) {
+        return res.status(400).json({
+          success: false,
+          message: `Minimum order is ${material.minimumOrder} ${material.unit}`
+        });
+      }
     } else if (type === 'vehicle') {
       if (!vehicleId || !duration || !durationType) {
         return res.status(400).json({
@@ -78,22 +136,68 @@ router.post('/', auth, [
       }
 
       // Check if vehicle exists and is available
-      const vehicle = await Vehicle.findByPk(vehicleId);
-      if (!vehicle || vehicle.status !== 'active') {
+      vehicle = await Vehicle.findByPk(vehicleId);
+      if (!vehicle || vehicle.status !== 'active' || !vehicle.isPublished) {
         return res.status(400).json({
           success: false,
           message: 'Vehicle not found or not available'
         });
       }
+
+      // Check the booking window against existing bookings and blocked dates
+      bookingWindow = getBookingWindow(requiredDate, duration, durationType);
+      const conflicts = await findConflicts(vehicle, bookingWindow.start, bookingWindow.end);
+      if (conflicts.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'Vehicle is not available for the requested period',
+          conflicts
+        });
+      }
+    }
+
+    const delivery = getDeliveryDetails({ type, material, vehicle }, { latitude, longitude, district, address });
+    if (delivery.withinDeliveryArea === false) {
+      return res.status(400).json({
+        success: false,
+        message: 'The supplier does not deliver to this location',
+        code: 'OUTSIDE_DELIVERY_AREA',
+        deliveryAreas: material.deliveryAreas
+      });
+    }
+
+    // Price the request on the server; the client total is only checked against it
+    const quote = calculateQuote({
+      type,
+      material,
+      vehicle,
+      quantity,
+      duration,
+      durationType,
+      district
+    });
+
+    if (totalPrice !== undefined && !matchesQuote(quote, totalPrice)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Total price does not match the current quote',
+        quote
+      });
     }
 
     // Create service request
     const serviceRequestData = {
       userId: req.user.id,
       type,
-      totalPrice,
+      assignedTo: getAssignedPartnerId({ type, material, vehicle }),
+      totalPrice: quote.total,
+      priceBreakdown: quote,
+      district,
       requiredDate,
       address,
+      deliveryLatitude: delivery.destination ? delivery.destination.lat : null,
+      deliveryLongitude: delivery.destination ? delivery.destination.lng : null,
+      deliveryDistanceKm: delivery.distanceKm,
       contactDetails,
       notes,
       specialRequirements
@@ -106,10 +210,39 @@ router.post('/', auth, [
       serviceRequestData.vehicleId = vehicleId;
       serviceRequestData.duration = duration;
       serviceRequestData.durationType = durationType;
+      serviceRequestData.startDate = bookingWindow.start;
+      serviceRequestData.endDate = bookingWindow.end;
+    }
+
+    // Create the request and reserve material stock atomically
+    const serviceRequest = await sequelize.transaction(async (transaction) => {
+      const created = await ServiceRequest.create(serviceRequestData, { transaction });
+
+      if (type === 'material') {
+        await reserveStock(created, { transaction, userId: req.user.id });
+      }
+
+      await recordStatusChange(created, {
+        from: null,
+        to: created.status,
+        actorId: req.user.id,
+        actorRole: 'customer',
+        transaction
+      });
+
+      return created;
+    });
+
+    await notifyOrderCreated(serviceRequest);
+
+    // The order is placed either way; if auto-accept fails it stays pending
+    // for the partner to handle
+    try {
+      await autoAcceptIfEnabled(serviceRequest);
+    } catch (autoAcceptError) {
+      console.error('Auto-accept service request error:', autoAcceptError);
     }
 
-    const serviceRequest = await ServiceRequest.create(serviceRequestData);
-    
     // Populate the request with item details
     await serviceRequest.reload({
       include: [
@@ -131,30 +264,19 @@ router.post('/', auth, [
       ]
     });
 
-    // Send confirmation email to user
-    try {
-      await sendEmail({
-        to: req.user.email,
-        subject: 'Service Request Confirmation - Auto X Sri Lanka',
-        template: 'serviceRequestConfirmation',
-        data: {
-          orderNumber: serviceRequest.tracking.orderNumber,
-          type: serviceRequest.type,
-          itemName: serviceRequest.material?.name || serviceRequest.vehicle?.name,
-          totalPrice: serviceRequest.totalPrice,
-          requiredDate: serviceRequest.requiredDate
-        }
-      });
-    } catch (emailError) {
-      console.error('Failed to send confirmation email:', emailError);
-    }
-
     res.status(201).json({
       success: true,
       message: 'Service request created successfully',
       data: serviceRequest
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Create service request error:', error);
     res.status(500).json({
       success: false,
@@ -169,7 +291,10 @@ router.post('/', auth, [
 router.get('/', auth, [
   query('page').optional().isInt({ min: 1 }),
   query('limit').optional().isInt({ min: 1, max: 100 }),
-  query('status').optional().isIn(['pending', 'confirmed', 'in-progress', 'completed', 'cancelled', 'rejected']),
+  query('cursor').optional().matches(/^[A-Za-z0-9_-]*$/).withMessage('Invalid cursor'),
+  fieldsQuery(ServiceRequest),
+  includeQuery(LIST_INCLUDES),
+  query('status').optional().isIn(STATUSES),
   query('type').optional().isIn(['material', 'vehicle'])
 ], async (req, res) => {
   try {
@@ -182,10 +307,6 @@ router.get('/', auth, [
       });
     }
 
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const offset = (page - 1) * limit;
-
     const where = { userId: req.user.id };
 
     if (req.query.status) {
@@ -196,41 +317,26 @@ router.get('/', auth, [
       where.type = req.query.type;
     }
 
-    const { count, rows: serviceRequests } = await ServiceRequest.findAndCountAll({
+    const { rows: serviceRequests, pagination } = await findPage(ServiceRequest, req, {
       where,
-      include: [
-        {
-          model: Material,
-          as: 'material',
-          attributes: ['name', 'pricePerUnit', 'unit', 'images']
-        },
-        {
-          model: Vehicle,
-          as: 'vehicle',
-          attributes: ['name', 'pricePerHour', 'pricePerDay', 'images']
-        },
-        {
-          model: Partner,
-          as: 'assignedPartner',
-          attributes: ['businessName', 'contact', 'rating']
-        }
-      ],
-      order: [['requestDate', 'DESC']],
-      offset,
-      limit
+      attributes: selectAttributes(req.query.fields),
+      include: resolveIncludes(req.query.include, LIST_INCLUDES, Object.keys(LIST_INCLUDES)),
+      order: [['requestDate', 'DESC']]
     });
 
     res.json({
       success: true,
       data: serviceRequests,
-      pagination: {
-        page,
-        limit,
-        total: count,
-        pages: Math.ceil(count / limit)
-      }
+      pagination
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Get service requests error:', error);
     res.status(500).json({
       success: false,
@@ -265,6 +371,12 @@ router.get('/:id', auth, async (req, res) => {
           model: Partner,
           as: 'assignedPartner',
           attributes: ['businessName', 'contact', 'rating', 'address']
+        },
+        {
+          // What the customer needs to know about who will run the vehicle
+          model: Operator,
+          as: 'operator',
+          attributes: ['id', 'name', 'phone', 'licenceClasses', 'certifications', 'experienceYears']
         }
       ]
     });
@@ -276,9 +388,9 @@ router.get('/:id', auth, async (req, res) => {
       });
     }
 
-    // Check if user owns this request or is the assigned partner
-    if (serviceRequest.userId !== req.user.id && 
-        (!serviceRequest.assignedTo || serviceRequest.assignedTo !== req.user.partnerId)) {
+    // Check if user owns this request, is the assigned partner or an admin
+    const roles = await getActorRoles(serviceRequest, req.user);
+    if (roles.length === 0 && !hasPermission(req.user, 'orders:read:any')) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to view this service request'
@@ -302,7 +414,7 @@ router.get('/:id', auth, async (req, res) => {
 // @desc    Update service request status
 // @access  Private
 router.put('/:id/status', auth, [
-  body('status').isIn(['pending', 'confirmed', 'in-progress', 'completed', 'cancelled', 'rejected']),
+  body('status').isIn(STATUSES).withMessage(`Status must be one of: ${STATUSES.join(', ')}`),
   body('notes').optional().trim()
 ], async (req, res) => {
   try {
@@ -315,7 +427,15 @@ router.put('/:id/status', auth, [
       });
     }
 
-    const serviceRequest = await ServiceRequest.findByPk(req.params.id);
+    const serviceRequest = await ServiceRequest.findByPk(req.params.id, {
+      include: [
+        {
+          model: User,
+          as: 'user',
+          attributes: ['name', 'email']
+        }
+      ]
+    });
 
     if (!serviceRequest) {
       return res.status(404).json({
@@ -326,65 +446,35 @@ router.put('/:id/status', auth, [
 
     const { status, notes } = req.body;
 
-    // Check authorization based on status change
-    if (status === 'cancelled') {
-      // Only user can cancel
-      if (serviceRequest.userId !== req.user.id) {
-        return res.status(403).json({
-          success: false,
-          message: 'Only the requester can cancel this request'
-        });
-      }
-    } else {
-      // Only assigned partner can update other statuses
-      if (!serviceRequest.assignedTo || serviceRequest.assignedTo !== req.user.partnerId) {
-        return res.status(403).json({
-          success: false,
-          message: 'Not authorized to update this service request'
-        });
-      }
-    }
-
-    // Update status
-    serviceRequest.status = status;
-    if (notes) serviceRequest.notes = notes;
-
-    if (status === 'completed') {
-      serviceRequest.completedDate = new Date();
-    }
-
-    if (status === 'cancelled') {
-      serviceRequest.cancellation = {
-        reason: notes || 'Cancelled by user',
-        cancelledBy: 'user',
-        cancelledDate: new Date()
-      };
-    }
-
-    await serviceRequest.save();
-
-    // Send status update email
-    try {
-      await sendEmail({
-        to: serviceRequest.user.email,
-        subject: `Service Request ${status.toUpperCase()} - Auto X Sri Lanka`,
-        template: 'statusUpdate',
-        data: {
-          orderNumber: serviceRequest.tracking.orderNumber,
-          status: status,
-          notes: notes
-        }
+    // Check authorization based on the transition table
+    const actorRole = await resolveActorRole(serviceRequest, req.user, status);
+    if (!actorRole) {
+      return res.status(403).json({
+        success: false,
+        message: `Not authorized to change status from ${serviceRequest.status} to ${status}`
       });
-    } catch (emailError) {
-      console.error('Failed to send status update email:', emailError);
     }
 
+    await changeStatus(serviceRequest, status, {
+      actorId: req.user.id,
+      actorRole,
+      note: notes
+    });
+
     res.json({
       success: true,
       message: 'Service request status updated successfully',
       data: serviceRequest
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+
     console.error('Update status error:', error);
     res.status(500).json({
       success: false,
@@ -393,12 +483,12 @@ router.put('/:id/status', auth, [
   }
 });
 
-// @route   POST /api/service-requests/:id/feedback
-// @desc    Add feedback to completed service request
-// @access  Private
-router.post('/:id/feedback', auth, [
-  body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
-  body('comment').optional().trim().isLength({ max: 500 }).withMessage('Comment cannot exceed 500 characters')
+// @route   PUT /api/service-requests/:id/operator
+// @desc    Assign one of the partner's operators to a vehicle booking, or unassign with null
+// @access  Private (operators:manage:own)
+router.put('/:id/operator', [auth, requirePermission('operators:manage:own')], [
+  body('operatorId').exists().withMessage('operatorId is required; send null to unassign'),
+  body('operatorId').optional({ values: 'null' }).isUUID().withMessage('operatorId must be an operator id')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -410,7 +500,59 @@ router.post('/:id/feedback', auth, [
       });
     }
 
-    const serviceRequest = await ServiceRequest.findByPk(req.params.id);
+    const serviceRequest = await sequelize.transaction(async (transaction) => {
+      const found = await ServiceRequest.findByPk(req.params.id, {
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      if (!found) {
+        res.status(404).json({
+          success: false,
+          message: 'Service request not found'
+        });
+        return null;
+      }
+
+      return assignOperator(found, req.partner, req.body.operatorId, transaction);
+    });
+
+    if (!serviceRequest) return;
+
+    await serviceRequest.reload({
+      include: [{ model: Operator, as: 'operator', attributes: ['id', 'name', 'phone', 'licenceClasses'] }]
+    });
+
+    res.json({
+      success: true,
+      message: serviceRequest.operatorId ? 'Operator assigned' : 'Operator unassigned',
+      data: serviceRequest
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+
+    console.error('Assign operator error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while assigning operator'
+    });
+  }
+});
+
+// @route   GET /api/service-requests/:id/history
+// @desc    Get status history for a service request
+// @access  Private
+router.get('/:id/history', auth, async (req, res) => {
+  try {
+    const serviceRequest = await ServiceRequest.findByPk(req.params.id, {
+      attributes: ['id', 'userId', 'assignedTo', 'status']
+    });
 
     if (!serviceRequest) {
       return res.status(404).json({
@@ -419,39 +561,81 @@ router.post('/:id/feedback', auth, [
       });
     }
 
-    // Check if user owns this request
-    if (serviceRequest.userId !== req.user.id) {
+    const roles = await getActorRoles(serviceRequest, req.user);
+    if (roles.length === 0 && !hasPermission(req.user, 'orders:read:any')) {
       return res.status(403).json({
         success: false,
-        message: 'Not authorized to add feedback to this request'
+        message: 'Not authorized to view this service request'
       });
     }
 
-    // Check if request is completed
-    if (serviceRequest.status !== 'completed') {
+    const history = await StatusHistory.findAll({
+      where: { serviceRequestId: serviceRequest.id },
+      include: [
+        {
+          model: User,
+          as: 'actor',
+          attributes: ['name']
+        }
+      ],
+      order: [['createdAt', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        status: serviceRequest.status,
+        history
+      }
+    });
+  } catch (error) {
+    console.error('Get status history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching status history'
+    });
+  }
+});
+
+// @route   POST /api/service-requests/:id/feedback
+// @desc    Add feedback to completed service request (same as POST /api/reviews)
+// @access  Private (reviews:create)
+router.post('/:id/feedback', [auth, requirePermission('reviews:create')], [
+  body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
+  body('comment').optional().trim().isLength({ max: 500 }).withMessage('Comment cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         success: false,
-        message: 'Can only add feedback to completed requests'
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
-    // Check if feedback already exists
-    if (serviceRequest.feedback.rating) {
-      return res.status(400).json({
-        success: false,
-        message: 'Feedback already provided for this request'
+    const serviceRequest = await sequelize.transaction(async (transaction) => {
+      const found = await ServiceRequest.findByPk(req.params.id, {
+        transaction,
+        lock: transaction.LOCK.UPDATE
       });
-    }
 
-    const { rating, comment } = req.body;
+      if (found) {
+        await createReview(found, req.user, {
+          rating: parseInt(req.body.rating),
+          comment: req.body.comment
+        }, transaction);
+      }
 
-    serviceRequest.feedback = {
-      rating,
-      comment,
-      date: new Date()
-    };
+      return found;
+    });
 
-    await serviceRequest.save();
+    if (!serviceRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Service request not found'
+      });
+    }
 
     res.json({
       success: true,
@@ -459,6 +643,13 @@ router.post('/:id/feedback', auth, [
       data: serviceRequest
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Add feedback error:', error);
     res.status(500).json({
       success: false,
@@ -3,6 +3,8 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const auth = require('../middleware/auth');
+const { enqueue } = require('../utils/jobs');
+const { uploadFileName } = require('../utils/uploads');
 
 const router = express.Router();
 
@@ -18,8 +20,7 @@ const storage = multer.diskStorage({
     cb(null, uploadsDir);
   },
   filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
+    cb(null, uploadFileName(file.fieldname, req.user.id, path.extname(file.originalname)));
   }
 });
 
@@ -41,10 +42,14 @@ const upload = multer({
   }
 });
 
+// Check each stored file's contents in the background
+const verifyUploads = (files) => Promise.all(files.map(file =>
+  enqueue('upload.verify', { fileName: file.filename }, { maxAttempts: 3 })));
+
 // @route   POST /api/upload/profile-image
 // @desc    Upload profile image
 // @access  Private
-router.post('/profile-image', auth, upload.single('profileImage'), (req, res) => {
+router.post('/profile-image', auth, upload.single('profileImage'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -53,6 +58,8 @@ router.post('/profile-image', auth, upload.single('profileImage'), (req, res) =>
       });
     }
 
+    await verifyUploads([req.file]);
+
     const fileUrl = `/uploads/${req.file.filename}`;
     
     res.json({
@@ -73,7 +80,7 @@ router.post('/profile-image', auth, upload.single('profileImage'), (req, res) =>
 // @route   POST /api/upload/documents
 // @desc    Upload documents
 // @access  Private
-router.post('/documents', auth, upload.array('documents', 5), (req, res) => {
+router.post('/documents', auth, upload.array('documents', 5), async (req, res) => {
   try {
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({
@@ -82,6 +89,8 @@ router.post('/documents', auth, upload.array('documents', 5), (req, res) => {
       });
     }
 
+    await verifyUploads(req.files);
+
     const uploadedFiles = req.files.map(file => ({
       originalName: file.originalname,
       fileName: file.filename,
@@ -1,26 +1,89 @@
 const express = require('express');
 const { body, query, validationResult } = require('express-validator');
-const { Vehicle, Partner } = require('../models');
+const { sequelize, Vehicle, Partner, MaintenanceRecord, User } = require('../models');
 const auth = require('../middleware/auth');
-const partnerAuth = require('../middleware/partnerAuth');
+const requirePermission = require('../middleware/requirePermission');
+const { getVehicleCalendar } = require('../utils/bookingCalendar');
+const { getMatchingIds } = require('../utils/search');
+const { parseFacets, combineFilters, rangeFilter, countFacets } = require('../utils/facets');
+const { getNearQuery, withinRadius, distanceAttribute, byDistance } = require('../utils/geo');
+const {
+  fieldsQuery,
+  includeQuery,
+  selectAttributes,
+  resolveIncludes,
+  findPage,
+  findSearchPage
+} = require('../utils/listQuery');
+const { REVIEW_SORTS, findPublishedReviews } = require('../utils/reviews');
+const { createMaintenanceRecord, updateMaintenanceRecord } = require('../utils/maintenance');
+const maintenanceConfig = require('../config/maintenance');
+const geoConfig = require('../config/geo');
 const { Op } = require('sequelize');
 
 const router = express.Router();
 
+// Associations list callers can ask for with ?include=
+const LIST_INCLUDES = {
+  owner: {
+    model: Partner,
+    as: 'owner',
+    attributes: ['businessName', 'rating', 'contact']
+  }
+};
+
+// Fields shared by creating and updating maintenance records
+const maintenanceValidators = [
+  body('description').optional().trim().isLength({ max: 2000 }),
+  body('startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
+  body('endDate').optional().isISO8601().withMessage('End date must be a valid date'),
+  body('serviceDate').optional().isISO8601().withMessage('Service date must be a valid date'),
+  body('nextServiceDate').optional({ nullable: true }).isISO8601().withMessage('Next service date must be a valid date'),
+  body('cost').optional({ nullable: true }).isFloat({ min: 0 }),
+  body('odometerKm').optional({ nullable: true }).isInt({ min: 0 }),
+  body('engineHours').optional({ nullable: true }).isFloat({ min: 0 }),
+  body('provider').optional({ nullable: true }).trim().isLength({ max: 150 }),
+  body('documents').optional().isArray({ max: maintenanceConfig.maxDocuments })
+    .withMessage(`A maintenance record can have at most ${maintenanceConfig.maxDocuments} documents`),
+  body('documents.*').isString().withMessage('Documents must be file names from /api/upload/documents')
+];
+
+// Case-insensitive substring match on a key of the location JSON column
+const locationContains = (key, term) => {
+  const escaped = term.toLowerCase().replace(/[\\%_]/g, '\\$&');
+  return sequelize.where(
+    sequelize.fn('LOWER', sequelize.json(`location.${key}`)),
+    { [Op.like]: `%${escaped}%` }
+  );
+};
+
 // @route   GET /api/vehicles
-// @desc    Get all vehicles with filtering and pagination
+// @desc    Get all vehicles with filtering, facets and page or cursor pagination
 // @access  Public
 router.get('/', [
   query('page').optional().isInt({ min: 1 }),
   query('limit').optional().isInt({ min: 1, max: 100 }),
-  query('category').optional().isIn(['excavator', 'truck', 'crane', 'bulldozer', 'loader', 'dump-truck', 'concrete-mixer', 'other']),
+  query('cursor').optional().matches(/^[A-Za-z0-9_-]*$/).withMessage('Invalid cursor'),
+  fieldsQuery(Vehicle),
+  includeQuery(LIST_INCLUDES),
+  query('category').optional().isIn(['excavator', 'truck', 'crane', 'bulldozer', 'loader', 'dump_truck', 'concrete_mixer', 'forklift', 'roller', 'other']),
   query('minPriceHour').optional().isFloat({ min: 0 }),
   query('maxPriceHour').optional().isFloat({ min: 0 }),
   query('minPriceDay').optional().isFloat({ min: 0 }),
   query('maxPriceDay').optional().isFloat({ min: 0 }),
   query('city').optional().isLength({ min: 1 }),
   query('state').optional().isLength({ min: 1 }),
-  query('search').optional().isLength({ min: 1 })
+  query('district').optional().trim().isLength({ min: 1, max: 100 }),
+  query('minRating').optional().isFloat({ min: 0, max: 5 }),
+  query('operatorIncluded').optional().isBoolean(),
+  query('facets').optional().matches(/^[A-Za-z,]+$/),
+  query('lat').optional().isFloat({ min: -90, max: 90 })
+    .custom((value, { req }) => req.query.lng !== undefined).withMessage('lat and lng must be given together'),
+  query('lng').optional().isFloat({ min: -180, max: 180 })
+    .custom((value, { req }) => req.query.lat !== undefined).withMessage('lat and lng must be given together'),
+  query('radiusKm').optional().isFloat({ min: 0.1, max: geoConfig.maxRadiusKm }),
+  query('search').optional().trim().isLength({ min: 1, max: 200 }),
+  query('sort').optional().isIn(['relevance', 'distance', 'price_hour_asc', 'price_hour_desc', 'price_day_asc', 'price_day_desc', 'rating', 'newest'])
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -32,46 +95,43 @@ router.get('/', [
       });
     }
 
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const offset = (page - 1) * limit;
-
-    // Build filter object
-    const where = { 
-      status: 'active'
+    // Filters are kept by name so each facet can be counted without its own
+    const filters = {
+      listing: { status: 'active', isPublished: true },
+      category: req.query.category ? { category: req.query.category } : null,
+      district: req.query.district ? { district: req.query.district } : null,
+      price: rangeFilter('pricePerDay', req.query.minPriceDay, req.query.maxPriceDay),
+      hourlyPrice: rangeFilter('pricePerHour', req.query.minPriceHour, req.query.maxPriceHour),
+      rating: req.query.minRating ? { rating: { [Op.gte]: parseFloat(req.query.minRating) } } : null,
+      operatorIncluded: req.query.operatorIncluded !== undefined
+        ? { operatorIncluded: req.query.operatorIncluded === 'true' }
+        : null
     };
 
-    if (req.query.category) {
-      where.category = req.query.category;
+    const locationFilters = [];
+    if (req.query.city) {
+      locationFilters.push(locationContains('city', req.query.city));
     }
 
-    if (req.query.minPriceHour) {
-      where.pricePerHour = { ...where.pricePerHour, [Op.gte]: parseFloat(req.query.minPriceHour) };
-    }
-    
-    if (req.query.maxPriceHour) {
-      where.pricePerHour = { ...where.pricePerHour, [Op.lte]: parseFloat(req.query.maxPriceHour) };
+    if (req.query.state) {
+      locationFilters.push(locationContains('state', req.query.state));
     }
 
-    if (req.query.minPriceDay) {
-      where.pricePerDay = { ...where.pricePerDay, [Op.gte]: parseFloat(req.query.minPriceDay) };
-    }
-    
-    if (req.query.maxPriceDay) {
-      where.pricePerDay = { ...where.pricePerDay, [Op.lte]: parseFloat(req.query.maxPriceDay) };
+    if (locationFilters.length > 0) {
+      filters.location = locationFilters;
     }
 
-    if (req.query.city) {
-      filter['location.city'] = new RegExp(req.query.city, 'i');
+    // "Near me": only vehicles within the radius, each with its distance
+    const near = getNearQuery(req.query);
+    const computed = [];
+    if (near) {
+      filters.near = withinRadius(near.point, near.radiusKm, 'Vehicle');
+      computed.push(distanceAttribute(near.point, 'Vehicle'));
     }
 
-    if (req.query.state) {
-      filter['location.state'] = new RegExp(req.query.state, 'i');
-    }
+    const attributes = selectAttributes(req.query.fields, computed);
 
-    if (req.query.search) {
-      filter.$text = { $search: req.query.search };
-    }
+    const where = combineFilters(filters);
 
     // Build order array
     let order = [];
@@ -94,35 +154,56 @@ router.get('/', [
       case 'newest':
         order = [['createdAt', 'DESC']];
         break;
+      case 'relevance':
+        order = null;
+        break;
+      case 'distance':
+        order = near ? byDistance() : null;
+        break;
       default:
-        order = [['featured', 'DESC'], ['rating', 'DESC']];
+        // Searches rank by relevance, near-me browsing by distance
+        if (req.query.search) {
+          order = null;
+        } else {
+          order = near ? byDistance() : [['featured', 'DESC'], ['rating', 'DESC']];
+        }
     }
 
-    const { count, rows: vehicles } = await Vehicle.findAndCountAll({
-      where,
-      include: [
-        {
-          model: Partner,
-          as: 'owner',
-          attributes: ['businessName', 'rating', 'contact']
-        }
-      ],
-      order,
-      offset,
-      limit
-    });
+    const include = resolveIncludes(req.query.include, LIST_INCLUDES, ['owner']);
 
-    res.json({
+    // Searches are ranked by relevance unless another sort is asked for
+    const { rows: vehicles, pagination } = req.query.search
+      ? await findSearchPage('vehicles', req.query.search, req, { where, attributes, include, order })
+      : await findPage(Vehicle, req, {
+        where,
+        attributes,
+        include,
+        order: order || [['featured', 'DESC'], ['rating', 'DESC']]
+      });
+
+    const response = {
       success: true,
       data: vehicles,
-      pagination: {
-        page,
-        limit,
-        total: count,
-        pages: Math.ceil(count / limit)
+      pagination
+    };
+
+    const facetNames = parseFacets(req.query.facets, 'vehicles');
+    if (facetNames.length > 0) {
+      if (req.query.search) {
+        filters.search = { id: { [Op.in]: getMatchingIds('vehicles', req.query.search) } };
       }
-    });
+      response.facets = await countFacets(Vehicle, 'vehicles', filters, facetNames);
+    }
+
+    res.json(response);
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Get vehicles error:', error);
     res.status(500).json({
       success: false,
@@ -146,7 +227,7 @@ router.get('/:id', async (req, res) => {
       ]
     });
 
-    if (!vehicle) {
+    if (!vehicle || !vehicle.isPublished) {
       return res.status(404).json({
         success: false,
         message: 'Vehicle not found'
@@ -166,13 +247,341 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// @route   GET /api/vehicles/:id/reviews
+// @desc    Get published reviews of a vehicle with its rating summary
+// @access  Public
+router.get('/:id/reviews', [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 50 }),
+  query('cursor').optional().matches(/^[A-Za-z0-9_-]*$/).withMessage('Invalid cursor'),
+  query('sort').optional().isIn(Object.keys(REVIEW_SORTS))
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const vehicle = await Vehicle.findByPk(req.params.id, { attributes: ['id', 'isPublished'] });
+
+    if (!vehicle || !vehicle.isPublished) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vehicle not found'
+      });
+    }
+
+    const { rows, pagination, summary } = await findPublishedReviews({ vehicleId: vehicle.id }, req);
+
+    res.json({
+      success: true,
+      data: rows,
+      summary,
+      pagination
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Get vehicle reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching reviews'
+    });
+  }
+});
+
+// @route   GET /api/vehicles/:id/calendar
+// @desc    Get booked and blocked slots for a vehicle
+// @access  Public
+router.get('/:id/calendar', [
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to
+      ? new Date(req.query.to)
+      : new Date(from.getTime() + 60 * 24 * 60 * 60 * 1000); // 60 days
+
+    if (to <= from) {
+      return res.status(400).json({
+        success: false,
+        message: 'To date must be after from date'
+      });
+    }
+
+    const vehicle = await Vehicle.findByPk(req.params.id, {
+      attributes: ['id', 'status', 'availability']
+    });
+
+    if (!vehicle) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vehicle not found'
+      });
+    }
+
+    const calendar = await getVehicleCalendar(vehicle, from, to);
+
+    res.json({
+      success: true,
+      data: {
+        ...calendar,
+        status: vehicle.status
+      }
+    });
+  } catch (error) {
+    console.error('Get vehicle calendar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching vehicle calendar'
+    });
+  }
+});
+
+// @route   GET /api/vehicles/:id/maintenance
+// @desc    Get a vehicle's maintenance records, newest first
+// @access  Private (vehicles:write)
+router.get('/:id/maintenance', [auth, requirePermission('vehicles:write')], [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('cursor').optional().matches(/^[A-Za-z0-9_-]*$/).withMessage('Invalid cursor'),
+  query('status').optional().isIn(['scheduled', 'in_progress', 'completed', 'cancelled']),
+  query('type').optional().isIn(maintenanceConfig.types)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const vehicle = await Vehicle.findByPk(req.params.id, {
+      attributes: ['id', 'ownerId', 'status', 'maintenance']
+    });
+
+    if (!vehicle) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vehicle not found'
+      });
+    }
+
+    // Partners may only see their own vehicles' records
+    if (req.permissionScope === 'own' && vehicle.ownerId !== req.user.partnerId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this vehicle\'s maintenance'
+      });
+    }
+
+    const where = { vehicleId: vehicle.id };
+    if (req.query.status) where.status = req.query.status;
+    if (req.query.type) where.type = req.query.type;
+
+    const { rows: records, pagination } = await findPage(MaintenanceRecord, req, {
+      where,
+      include: [{ model: User, as: 'creator', attributes: ['id', 'name'] }],
+      order: [['createdAt', 'DESC']],
+      defaultLimit: 20
+    });
+
+    res.json({
+      success: true,
+      data: records,
+      vehicle: {
+        status: vehicle.status,
+        lastService: (vehicle.maintenance && vehicle.maintenance.lastService) || null,
+        nextService: (vehicle.maintenance && vehicle.maintenance.nextService) || null
+      },
+      pagination
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Get maintenance records error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching maintenance records'
+    });
+  }
+});
+
+// @route   POST /api/vehicles/:id/maintenance
+// @desc    Log completed maintenance or schedule a downtime window
+// @access  Private (vehicles:write)
+router.post('/:id/maintenance', [auth, requirePermission('vehicles:write')], [
+  body('type').isIn(maintenanceConfig.types)
+    .withMessage(`Type must be one of: ${maintenanceConfig.types.join(', ')}`),
+  body('status').optional().isIn(['scheduled', 'completed']),
+  ...maintenanceValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const record = await sequelize.transaction(async (transaction) => {
+      // Locked so a booking can't be confirmed into the window meanwhile
+      const vehicle = await Vehicle.findByPk(req.params.id, {
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      if (!vehicle) {
+        res.status(404).json({
+          success: false,
+          message: 'Vehicle not found'
+        });
+        return null;
+      }
+
+      // Partners may only change their own vehicles
+      if (req.permissionScope === 'own' && vehicle.ownerId !== req.user.partnerId) {
+        res.status(403).json({
+          success: false,
+          message: 'Not authorized to update this vehicle'
+        });
+        return null;
+      }
+
+      return createMaintenanceRecord(vehicle, req.user, req.body, transaction);
+    });
+
+    if (!record) return;
+
+    res.status(201).json({
+      success: true,
+      message: record.status === 'completed' ? 'Maintenance logged' : 'Maintenance scheduled',
+      data: record
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+
+    console.error('Create maintenance record error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while saving maintenance record'
+    });
+  }
+});
+
+// @route   PUT /api/vehicles/:id/maintenance/:recordId
+// @desc    Update a maintenance record, move its window, or start, complete or cancel it
+// @access  Private (vehicles:write)
+router.put('/:id/maintenance/:recordId', [auth, requirePermission('vehicles:write')], [
+  body('status').optional().isIn(['in_progress', 'completed', 'cancelled']),
+  ...maintenanceValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const record = await sequelize.transaction(async (transaction) => {
+      const vehicle = await Vehicle.findByPk(req.params.id, {
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+      const existing = vehicle && await MaintenanceRecord.findOne({
+        where: { id: req.params.recordId, vehicleId: vehicle.id },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      if (!existing) {
+        res.status(404).json({
+          success: false,
+          message: 'Maintenance record not found'
+        });
+        return null;
+      }
+
+      // Partners may only change their own vehicles
+      if (req.permissionScope === 'own' && vehicle.ownerId !== req.user.partnerId) {
+        res.status(403).json({
+          success: false,
+          message: 'Not authorized to update this vehicle'
+        });
+        return null;
+      }
+
+      return updateMaintenanceRecord(existing, vehicle, req.user, req.body, transaction);
+    });
+
+    if (!record) return;
+
+    res.json({
+      success: true,
+      message: 'Maintenance record updated',
+      data: record
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+
+    console.error('Update maintenance record error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating maintenance record'
+    });
+  }
+});
+
 // @route   POST /api/vehicles
 // @desc    Create new vehicle (Partners only)
-// @access  Private (Partner)
-router.post('/', [auth, partnerAuth], [
+// @access  Private (vehicles:write:own)
+router.post('/', [auth, requirePermission('vehicles:write:own')], [
   body('name').trim().isLength({ min: 2, max: 100 }),
   body('description').trim().isLength({ min: 10, max: 500 }),
-  body('category').isIn(['excavator', 'truck', 'crane', 'bulldozer', 'loader', 'dump-truck', 'concrete-mixer', 'other']),
+  body('category').isIn(['excavator', 'truck', 'crane', 'bulldozer', 'loader', 'dump_truck', 'concrete_mixer', 'forklift', 'roller', 'other']),
   body('type').trim().isLength({ min: 2 }),
   body('model').trim().isLength({ min: 2 }),
   body('year').isInt({ min: 1990, max: new Date().getFullYear() + 1 }),
@@ -189,9 +598,14 @@ router.post('/', [auth, partnerAuth], [
       });
     }
 
+    // Listings start unfeatured and published; moderators change both.
+    // Ratings come from reviews and coordinates from geocoding the location.
+    const { rating, ratingCount, latitude, longitude, district, ...fields } = req.body;
     const vehicleData = {
-      ...req.body,
-      ownerId: req.user.partnerId
+      ...fields,
+      ownerId: req.user.partnerId,
+      featured: false,
+      isPublished: true
     };
 
     const vehicle = await Vehicle.create(vehicleData);
@@ -220,9 +634,9 @@ router.post('/', [auth, partnerAuth], [
 });
 
 // @route   PUT /api/vehicles/:id
-// @desc    Update vehicle (Owner only)
-// @access  Private (Partner)
-router.put('/:id', [auth, partnerAuth], async (req, res) => {
+// @desc    Update vehicle (Owner or admin)
+// @access  Private (vehicles:write)
+router.put('/:id', [auth, requirePermission('vehicles:write')], async (req, res) => {
   try {
     const vehicle = await Vehicle.findByPk(req.params.id);
 
@@ -233,15 +647,21 @@ router.put('/:id', [auth, partnerAuth], async (req, res) => {
       });
     }
 
-    // Check if user owns this vehicle
-    if (vehicle.ownerId !== req.user.partnerId) {
+    // Partners may only change their own vehicles
+    if (req.permissionScope === 'own' && vehicle.ownerId !== req.user.partnerId) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this vehicle'
       });
     }
 
-    await vehicle.update(req.body);
+    // Ownership cannot be transferred, moderation flags are set by admins only,
+    // ratings come from reviews and coordinates from geocoding the location
+    const {
+      ownerId, featured, isPublished, rating, ratingCount, latitude, longitude, district, ...updates
+    } = req.body;
+
+    await vehicle.update(updates);
     await vehicle.reload({
       include: [
         {
@@ -267,9 +687,9 @@ router.put('/:id', [auth, partnerAuth], async (req, res) => {
 });
 
 // @route   DELETE /api/vehicles/:id
-// @desc    Delete vehicle (Owner only)
-// @access  Private (Partner)
-router.delete('/:id', [auth, partnerAuth], async (req, res) => {
+// @desc    Delete vehicle (Owner or admin)
+// @access  Private (vehicles:write)
+router.delete('/:id', [auth, requirePermission('vehicles:write')], async (req, res) => {
   try {
     const vehicle = await Vehicle.findByPk(req.params.id);
 
@@ -280,8 +700,8 @@ router.delete('/:id', [auth, partnerAuth], async (req, res) => {
       });
     }
 
-    // Check if user owns this vehicle
-    if (vehicle.ownerId !== req.user.partnerId) {
+    // Partners may only change their own vehicles
+    if (req.permissionScope === 'own' && vehicle.ownerId !== req.user.partnerId) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to delete this vehicle'
@@ -305,8 +725,8 @@ router.delete('/:id', [auth, partnerAuth], async (req, res) => {
 
 // @route   POST /api/vehicles/:id/availability
 // @desc    Update vehicle availability
-// @access  Private (Partner)
-router.post('/:id/availability', [auth, partnerAuth], [
+// @access  Private (vehicles:write)
+router.post('/:id/availability', [auth, requirePermission('vehicles:write')], [
   body('isAvailable').isBoolean(),
   body('availableFrom').optional().isISO8601(),
   body('availableUntil').optional().isISO8601(),
@@ -331,8 +751,8 @@ router.post('/:id/availability', [auth, partnerAuth], [
       });
     }
 
-    // Check if user owns this vehicle
-    if (vehicle.ownerId !== req.user.partnerId) {
+    // Partners may only change their own vehicles
+    if (req.permissionScope === 'own' && vehicle.ownerId !== req.user.partnerId) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this vehicle'
@@ -0,0 +1,35 @@
+const { Partner, Vehicle, Material } = require('../models');
+
+// Fill in coordinates for partners and listings saved before they were geocoded
+const geocodeListings = async () => {
+  try {
+    const partners = await Partner.findAll();
+    for (const partner of partners) {
+      partner.changed('address', true);
+      await partner.save();
+    }
+
+    const vehicles = await Vehicle.findAll();
+    for (const vehicle of vehicles) {
+      vehicle.changed('location', true);
+      await vehicle.save();
+    }
+
+    const materials = await Material.findAll();
+    for (const material of materials) {
+      material.changed('supplierId', true);
+      await material.save();
+    }
+
+    const located = (records) => records.filter(record => record.latitude !== null).length;
+    console.log(`📍 Partners: ${located(partners)}/${partners.length} located`);
+    console.log(`📍 Vehicles: ${located(vehicles)}/${vehicles.length} located`);
+    console.log(`📍 Materials: ${located(materials)}/${materials.length} located`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error geocoding listings:', error);
+    process.exit(1);
+  }
+};
+
+geocodeListings();
@@ -0,0 +1,15 @@
+const { purgeExpiredAuditLogs } = require('../utils/audit');
+const config = require('../config/audit');
+
+const purgeAuditLogs = async () => {
+  try {
+    const { cutoff, deleted } = await purgeExpiredAuditLogs();
+    console.log(`🧹 Removed ${deleted} audit log entries older than ${config.retentionDays} days (before ${cutoff.toISOString()})`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error purging audit logs:', error);
+    process.exit(1);
+  }
+};
+
+purgeAuditLogs();
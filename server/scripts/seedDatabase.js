@@ -166,10 +166,11 @@ const seedData = async () => {
           }
         ],
         location: {
-          address: '123 Industrial Ave',
-          city: 'Construction City',
-          state: 'CA',
-          zipCode: '90210'
+          address: 'No. 245, Lakeview Avenue',
+          city: 'Nugegoda',
+          district: 'Colombo',
+          state: 'Western Province',
+          zipCode: '10250'
         },
         insurance: {
           provider: 'Equipment Insurance Co',
@@ -212,10 +213,11 @@ const seedData = async () => {
           }
         ],
         location: {
-          address: '123 Industrial Ave',
-          city: 'Construction City',
-          state: 'CA',
-          zipCode: '90210'
+          address: 'No. 245, Lakeview Avenue',
+          city: 'Nugegoda',
+          district: 'Colombo',
+          state: 'Western Province',
+          zipCode: '10250'
         },
         insurance: {
           provider: 'Transport Insurance Co',
@@ -231,7 +233,7 @@ const seedData = async () => {
       }
     ];
 
-    await Vehicle.bulkCreate(vehicles);
+    await Vehicle.bulkCreate(vehicles, { individualHooks: true });
 
     // Create sample materials
     const materials = [
@@ -257,7 +259,7 @@ const seedData = async () => {
           moisture: '<5%'
         },
         qualityCertifications: ['ISO 9001', 'Quality Tested'],
-        deliveryAreas: ['Construction City', 'Material City', 'Industrial Zone'],
+        deliveryAreas: ['Colombo', 'Gampaha', 'Kalutara'],
         deliveryTimeframe: 'Same day delivery available',
         isAvailable: true,
         featured: true,
@@ -287,7 +289,7 @@ const seedData = async () => {
           nutrients: 'NPK enriched'
         },
         qualityCertifications: ['Organic Certified', 'Soil Tested'],
-        deliveryAreas: ['Construction City', 'Material City', 'Residential Areas'],
+        deliveryAreas: ['Colombo', 'Gampaha', 'Kandy'],
         deliveryTimeframe: 'Next day delivery',
         isAvailable: true,
         rating: 4.6,
@@ -316,7 +318,7 @@ const seedData = async () => {
           absorption: '<15%'
         },
         qualityCertifications: ['IS 1077 Certified', 'Quality Tested'],
-        deliveryAreas: ['Construction City', 'Material City'],
+        deliveryAreas: ['Colombo', 'Gampaha'],
         deliveryTimeframe: '2-3 business days',
         isAvailable: true,
         rating: 4.7,
@@ -325,7 +327,7 @@ const seedData = async () => {
       }
     ];
 
-    await Material.bulkCreate(materials);
+    await Material.bulkCreate(materials, { individualHooks: true });
 
     console.log('✅ Database seeded successfully!');
     console.log('📧 Admin login: admin@autox.com / admin123');
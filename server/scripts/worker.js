@@ -0,0 +1,30 @@
+const { testConnection } = require('../config/database');
+const { syncDatabase } = require('../models');
+const { createWorker } = require('../utils/jobs/worker');
+
+// Standalone job worker. Run alongside the API with JOB_WORKER_EMBEDDED=false,
+// or as extra workers next to the embedded one.
+const runWorker = async () => {
+  try {
+    await testConnection();
+    await syncDatabase(false);
+
+    const worker = createWorker();
+
+    // Let the job in hand finish before exiting
+    const shutdown = async (signal) => {
+      console.log(`🛑 ${signal} received, stopping job worker ${worker.id}`);
+      await worker.stop();
+      process.exit(0);
+    };
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
+    process.on('SIGINT', () => shutdown('SIGINT'));
+
+    worker.start();
+  } catch (error) {
+    console.error('❌ Error starting job worker:', error);
+    process.exit(1);
+  }
+};
+
+runWorker();
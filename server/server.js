@@ -11,6 +11,10 @@ require('dotenv').config();
 // Import database
 const { testConnection } = require('./config/database');
 const { syncDatabase } = require('./models');
+const { registerAuditHooks } = require('./utils/audit');
+const { startSearchIndexes } = require('./utils/search');
+const { createWorker } = require('./utils/jobs/worker');
+const jobsConfig = require('./config/jobs');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -20,8 +24,18 @@ const vehicleRoutes = require('./routes/vehicles');
 const serviceRequestRoutes = require('./routes/serviceRequests');
 const partnerRoutes = require('./routes/partners');
 const uploadRoutes = require('./routes/upload');
+const quoteRoutes = require('./routes/quotes');
+const paymentRoutes = require('./routes/payments');
+const payoutRoutes = require('./routes/payouts');
+const adminRoutes = require('./routes/admin');
+const searchRoutes = require('./routes/search');
+const reviewRoutes = require('./routes/reviews');
+const conversationRoutes = require('./routes/conversations');
+const notificationRoutes = require('./routes/notifications');
+const operatorRoutes = require('./routes/operators');
 
 // Import middleware
+const requestContext = require('./middleware/requestContext');
 const errorHandler = require('./middleware/errorHandler');
 const notFound = require('./middleware/notFound');
 
@@ -49,7 +63,13 @@ const limiter = rateLimit({
 app.use('/api/', limiter);
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the raw body so payment webhooks can verify their signatures
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Data sanitization
@@ -64,6 +84,12 @@ if (process.env.NODE_ENV === 'development') {
   app.use(morgan('dev'));
 }
 
+// Request id and audit context, after the body parsers
+app.use(requestContext);
+
+// Record model changes in the audit log
+registerAuditHooks();
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.status(200).json({
@@ -83,6 +109,15 @@ app.use('/api/vehicles', vehicleRoutes);
 app.use('/api/service-requests', serviceRequestRoutes);
 app.use('/api/partners', partnerRoutes);
 app.use('/api/upload', uploadRoutes);
+app.use('/api/quotes', quoteRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/payouts', payoutRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/conversations', conversationRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/operators', operatorRoutes);
 
 // Error handling middleware
 app.use(notFound);
@@ -98,6 +133,15 @@ const startServer = async () => {
     
     // Sync database (create tables)
     await syncDatabase(false); // Set to true to force recreate tables
+
+    // Build the catalogue search indexes
+    await startSearchIndexes();
+
+    // Run queued emails and other background jobs in this process unless a
+    // separate worker does
+    if (jobsConfig.embeddedWorker) {
+      createWorker().start();
+    }
     
     // Start server
     app.listen(PORT, () => {
@@ -0,0 +1,68 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../middleware/auth', () => (req, res, next) => {
+  req.user = { id: 'admin-1', role: 'admin' };
+  next();
+});
+jest.mock('../middleware/requirePermission', () => () => (req, res, next) => next());
+jest.mock('../utils/jobs', () => ({ enqueue: jest.fn(), retryJob: jest.fn() }));
+jest.mock('../utils/payments', () => ({ refundOrderPayments: jest.fn() }));
+jest.mock('../utils/notifications/orders', () => ({ notifyOrderStatus: jest.fn() }));
+
+const { sequelize, ServiceRequest, StatusHistory, AuditLog } = require('../models');
+const adminRoutes = require('../routes/admin');
+
+const app = express();
+app.use(express.json());
+app.use('/api/admin', adminRoutes);
+
+const transaction = { LOCK: { UPDATE: 'UPDATE' }, afterCommit: jest.fn() };
+
+const forceStatus = () => request(app)
+  .put('/api/admin/service-requests/request-1/status')
+  .send({ status: 'cancelled', reason: 'Customer called support' });
+
+let serviceRequest;
+
+beforeEach(() => {
+  serviceRequest = ServiceRequest.build({
+    id: 'request-1',
+    type: 'vehicle',
+    status: 'confirmed'
+  }, { isNewRecord: false });
+  jest.spyOn(serviceRequest, 'save').mockResolvedValue(serviceRequest);
+  jest.spyOn(ServiceRequest, 'findByPk').mockResolvedValue(serviceRequest);
+  jest.spyOn(sequelize, 'transaction').mockImplementation(async (callback) => callback(transaction));
+  jest.spyOn(StatusHistory, 'create').mockResolvedValue({});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('PUT /api/admin/service-requests/:id/status', () => {
+  test('records the audit entry inside the status change transaction', async () => {
+    const create = jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+
+    const res = await forceStatus();
+
+    expect(res.status).toBe(200);
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'service_request.force_status',
+      actorId: 'admin-1',
+      entityId: 'request-1',
+      changes: { status: { from: 'confirmed', to: 'cancelled' } }
+    }), { transaction });
+    expect(serviceRequest.save).toHaveBeenCalledWith({ transaction });
+  });
+
+  test('leaves the order untouched when the audit entry cannot be written', async () => {
+    jest.spyOn(AuditLog, 'create').mockRejectedValue(new Error('Audit table unavailable'));
+
+    const res = await forceStatus();
+
+    expect(res.status).toBe(500);
+    expect(serviceRequest.save).not.toHaveBeenCalled();
+    expect(StatusHistory.create).not.toHaveBeenCalled();
+  });
+});
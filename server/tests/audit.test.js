@@ -0,0 +1,40 @@
+const { sequelize } = require('../config/database');
+const config = require('../config/audit');
+const { diffChanges, purgeExpiredAuditLogs } = require('../utils/audit');
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('diffChanges', () => {
+  test('lists only the fields whose values differ', () => {
+    const changes = diffChanges(
+      { status: 'pending', price: 10, tags: ['a'] },
+      { status: 'confirmed', price: 10, tags: ['a'] },
+      ['status', 'price', 'tags', 'notes']
+    );
+
+    expect(changes).toEqual({ status: { from: 'pending', to: 'confirmed' } });
+  });
+
+  test('reports missing values as null', () => {
+    expect(diffChanges({}, { notes: 'x' }, ['notes'])).toEqual({ notes: { from: null, to: 'x' } });
+  });
+});
+
+describe('purgeExpiredAuditLogs', () => {
+  test('deletes entries older than the retention period by their created_at column', async () => {
+    const queries = [];
+    jest.spyOn(sequelize, 'query').mockImplementation(async (sql) => {
+      queries.push(String(sql));
+      return 0;
+    });
+
+    const retention = config.retentionDays * 24 * 60 * 60 * 1000;
+    const before = Date.now();
+    const { cutoff } = await purgeExpiredAuditLogs();
+
+    expect(cutoff.getTime()).toBeGreaterThanOrEqual(before - retention);
+    expect(cutoff.getTime()).toBeLessThanOrEqual(Date.now() - retention);
+    expect(queries).toHaveLength(1);
+    expect(queries[0]).toMatch(/^DELETE FROM `audit_logs` WHERE `created_at` < /);
+  });
+});
@@ -0,0 +1,48 @@
+const loadConfig = (env) => {
+  const saved = { ...process.env };
+  Object.assign(process.env, env);
+  Object.keys(env).forEach(name => {
+    if (env[name] === undefined) delete process.env[name];
+  });
+
+  try {
+    let modules;
+    jest.isolateModules(() => {
+      jest.doMock('dotenv', () => ({ config: () => ({}) }));
+      modules = {
+        config: require('../config/auth'),
+        requireVerified: require('../middleware/requireVerified')
+      };
+    });
+    return modules;
+  } finally {
+    process.env = saved;
+  }
+};
+
+const run = (requireVerified, user) => {
+  const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+  const next = jest.fn();
+  requireVerified({ user }, res, next);
+  return { res, next };
+};
+
+describe('verified email policy', () => {
+  test('is off unless enabled, so existing unverified accounts can still order', () => {
+    const { config, requireVerified } = loadConfig({ REQUIRE_VERIFIED_EMAIL_FOR_ORDERS: undefined });
+
+    expect(config.requireVerifiedEmailForOrders).toBe(false);
+    expect(run(requireVerified, { isVerified: false }).next).toHaveBeenCalled();
+  });
+
+  test('blocks unverified accounts once enabled', () => {
+    const { requireVerified } = loadConfig({ REQUIRE_VERIFIED_EMAIL_FOR_ORDERS: 'true' });
+
+    const { res, next } = run(requireVerified, { isVerified: false });
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'EMAIL_NOT_VERIFIED' }));
+
+    expect(run(requireVerified, { isVerified: true }).next).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,37 @@
+const { getBlockedSlots, getBookingWindow } = require('../utils/bookingCalendar');
+
+describe('getBlockedSlots', () => {
+  test('blocks whole UTC days for date strings', () => {
+    const slots = getBlockedSlots({ availability: { unavailableDates: ['2026-03-01', '2026-03-02T18:30:00Z'] } });
+
+    expect(slots.map(slot => [slot.start.toISOString(), slot.end.toISOString()])).toEqual([
+      ['2026-03-01T00:00:00.000Z', '2026-03-02T00:00:00.000Z'],
+      ['2026-03-02T00:00:00.000Z', '2026-03-03T00:00:00.000Z']
+    ]);
+  });
+
+  test('keeps explicit ranges and skips invalid entries', () => {
+    const slots = getBlockedSlots({
+      availability: {
+        unavailableDates: [
+          'not a date',
+          { startDate: '2026-03-05T08:00:00Z', endDate: '2026-03-05T12:00:00Z', reason: 'Inspection' },
+          { startDate: '2026-03-06' }
+        ]
+      }
+    });
+
+    expect(slots).toEqual([{
+      start: new Date('2026-03-05T08:00:00Z'),
+      end: new Date('2026-03-05T12:00:00Z'),
+      reason: 'Inspection'
+    }]);
+  });
+});
+
+describe('getBookingWindow', () => {
+  test('adds the duration in hours or days', () => {
+    expect(getBookingWindow('2026-03-01T08:00:00Z', 4, 'hours').end).toEqual(new Date('2026-03-01T12:00:00Z'));
+    expect(getBookingWindow('2026-03-01T08:00:00Z', '2', 'days').end).toEqual(new Date('2026-03-03T08:00:00Z'));
+  });
+});
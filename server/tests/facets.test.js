@@ -0,0 +1,46 @@
+const { sequelize } = require('../config/database');
+const { Vehicle, Material } = require('../models');
+const { countFacets, parseFacets } = require('../utils/facets');
+
+// Capture the SQL the counters generate instead of running it
+const captureQueries = () => {
+  const queries = [];
+  jest.spyOn(sequelize, 'query').mockImplementation(async (sql) => {
+    queries.push(String(sql));
+    return [];
+  });
+  return queries;
+};
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('parseFacets', () => {
+  test('expands true to every facet of the catalogue', () => {
+    expect(parseFacets('true', 'materials')).toEqual(['category', 'district', 'price', 'rating']);
+  });
+
+  test('drops facets the catalogue does not support', () => {
+    expect(parseFacets('price, operatorIncluded', 'materials')).toEqual(['price']);
+  });
+});
+
+describe('countFacets', () => {
+  test('uses column names for vehicle price bands and operator flag', async () => {
+    const queries = captureQueries();
+    await countFacets(Vehicle, 'vehicles', {}, ['price', 'operatorIncluded']);
+
+    expect(queries).toHaveLength(2);
+    expect(queries[0]).toContain('`Vehicle`.`price_per_day` >=');
+    expect(queries[1]).toContain('`Vehicle`.`operator_included`');
+    queries.forEach(sql => {
+      expect(sql).not.toMatch(/pricePerDay|operatorIncluded`/);
+    });
+  });
+
+  test('uses the material price column', async () => {
+    const queries = captureQueries();
+    await countFacets(Material, 'materials', {}, ['price']);
+
+    expect(queries[0]).toContain('`Material`.`price_per_unit` >=');
+  });
+});
@@ -0,0 +1,54 @@
+const fs = require('fs');
+const path = require('path');
+const { findPlace, geocode, distanceKm } = require('../utils/geo');
+const pricing = require('../config/pricing');
+
+// District names the frontend offers in its forms and filters
+const frontendDistricts = () => {
+  const source = fs.readFileSync(path.join(__dirname, '../../src/data/services.ts'), 'utf8');
+  const list = source.match(/export const sriLankanDistricts = \[([^\]]*)\]/)[1];
+  return [...list.matchAll(/'([^']+)'/g)].map(match => match[1]);
+};
+
+describe('geocode', () => {
+  test('knows every district the frontend sends', () => {
+    const districts = frontendDistricts();
+    expect(districts).toHaveLength(25);
+
+    districts.forEach(district => {
+      expect(geocode({ district })).toMatchObject({ district, source: 'district' });
+      expect(findPlace(district)).toMatchObject({ district });
+    });
+  });
+
+  test('names districts as the delivery fees do', () => {
+    frontendDistricts().forEach(district => {
+      expect(pricing.deliveryFees).toHaveProperty([findPlace(district).district]);
+    });
+  });
+
+  test('accepts other spellings of a district', () => {
+    expect(findPlace('Monaragala District')).toMatchObject({ district: 'Moneragala' });
+    expect(geocode('No 12, Main Street, Wellawaya')).toMatchObject({ place: 'Wellawaya', district: 'Moneragala' });
+  });
+
+  test('prefers coordinates inside Sri Lanka', () => {
+    expect(geocode({ lat: '6.9271', lng: '79.8612', city: 'Fort' })).toMatchObject({
+      district: 'Colombo',
+      place: 'Fort',
+      source: 'coordinates'
+    });
+  });
+
+  test('returns null for unknown places', () => {
+    expect(geocode('Somewhere else entirely')).toBeNull();
+  });
+});
+
+describe('distanceKm', () => {
+  test('measures great-circle distance', () => {
+    const km = distanceKm(findPlace('Colombo'), findPlace('Kandy'));
+    expect(km).toBeGreaterThan(90);
+    expect(km).toBeLessThan(100);
+  });
+});
@@ -0,0 +1,36 @@
+jest.mock('../utils/payments', () => ({ refundOrderPayments: jest.fn() }));
+
+const { ServiceRequest } = require('../models');
+const { refundOrderPayments } = require('../utils/payments');
+const handlers = require('../utils/jobs/handlers');
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('payment.refund_order', () => {
+  const run = (payload) => handlers['payment.refund_order'].run(payload);
+
+  test('refunds a cancelled order', async () => {
+    const serviceRequest = { id: 'request-1', status: 'cancelled' };
+    jest.spyOn(ServiceRequest, 'findByPk').mockResolvedValue(serviceRequest);
+
+    await expect(run({ serviceRequestId: 'request-1', reason: 'Order cancelled' })).resolves.toEqual({ status: 'refunded' });
+    expect(refundOrderPayments).toHaveBeenCalledWith(serviceRequest, 'Order cancelled');
+  });
+
+  test('skips an order that is live again', async () => {
+    jest.spyOn(ServiceRequest, 'findByPk').mockResolvedValue({ id: 'request-1', status: 'confirmed' });
+
+    await expect(run({ serviceRequestId: 'request-1' })).resolves.toEqual({ status: 'skipped' });
+    expect(refundOrderPayments).not.toHaveBeenCalled();
+  });
+
+  test('fails so the queue retries when the refund fails again', async () => {
+    jest.spyOn(ServiceRequest, 'findByPk').mockResolvedValue({ id: 'request-1', status: 'rejected' });
+    refundOrderPayments.mockRejectedValueOnce(new Error('Gateway timeout'));
+
+    await expect(run({ serviceRequestId: 'request-1' })).rejects.toThrow('Gateway timeout');
+  });
+});
@@ -0,0 +1,174 @@
+const { sequelize, Job } = require('../models');
+const config = require('../config/jobs');
+const { enqueue, getBackoffMs, claimJobs, completeJob, failJob, retryJob } = require('../utils/jobs');
+const handlers = require('../utils/jobs/handlers');
+const { runJob } = require('../utils/jobs/worker');
+
+// A job row whose updates apply to itself
+const job = (values = {}) => ({
+  id: 'job-1',
+  type: 'test.job',
+  payload: { value: 1 },
+  status: 'running',
+  attempts: 1,
+  maxAttempts: 3,
+  runAt: new Date('2026-01-01T00:00:00Z'),
+  update: jest.fn(async function (changes) { return Object.assign(this, changes); }),
+  ...values
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete handlers['test.job'];
+});
+
+describe('getBackoffMs', () => {
+  test('doubles with each attempt plus up to 10% jitter', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    expect(getBackoffMs(1)).toBe(config.baseDelaySeconds * 1000);
+    expect(getBackoffMs(3)).toBe(config.baseDelaySeconds * 4 * 1000);
+
+    Math.random.mockReturnValue(0.999);
+    expect(getBackoffMs(1)).toBeLessThanOrEqual(config.baseDelaySeconds * 1100);
+  });
+
+  test('is capped', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    expect(getBackoffMs(40)).toBe(config.maxDelaySeconds * 1000);
+  });
+});
+
+describe('enqueue', () => {
+  test('returns the waiting copy for a unique key', async () => {
+    const existing = job({ status: 'pending' });
+    jest.spyOn(Job, 'findOne').mockResolvedValue(existing);
+    const create = jest.spyOn(Job, 'create');
+
+    await expect(enqueue('test.job', {}, { uniqueKey: 'test:1' })).resolves.toBe(existing);
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  test('creates a job with the default attempts and a delayed run time', async () => {
+    const create = jest.spyOn(Job, 'create').mockImplementation(async (values) => values);
+    const before = Date.now();
+
+    const created = await enqueue('test.job', { value: 1 }, { delayMs: 60000 });
+
+    expect(created).toMatchObject({ type: 'test.job', payload: { value: 1 }, maxAttempts: config.defaultMaxAttempts, uniqueKey: null });
+    expect(created.runAt.getTime()).toBeGreaterThanOrEqual(before + 60000);
+    expect(create).toHaveBeenCalledWith(expect.any(Object), { transaction: undefined });
+  });
+});
+
+describe('failJob', () => {
+  test('schedules a retry with backoff while attempts remain', async () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    const failing = job({ attempts: 2 });
+    const before = Date.now();
+
+    await expect(failJob(failing, new Error('Temporary'))).resolves.toBe(false);
+
+    expect(failing.status).toBe('pending');
+    expect(failing.runAt.getTime()).toBeGreaterThanOrEqual(before + getBackoffMs(2));
+    expect(failing.lockedBy).toBeNull();
+    expect(failing.lastError).toContain('Temporary');
+  });
+
+  test('moves the job to the dead letters after its last attempt', async () => {
+    const failing = job({ attempts: 3 });
+
+    await expect(failJob(failing, new Error('Still failing'))).resolves.toBe(true);
+
+    expect(failing.status).toBe('dead');
+    expect(failing.failedAt).toBeInstanceOf(Date);
+    expect(failing.runAt).toEqual(new Date('2026-01-01T00:00:00Z'));
+  });
+
+  test('gives up straight away on final errors', async () => {
+    await expect(failJob(job({ attempts: 1 }), new Error('Bad payload'), { final: true })).resolves.toBe(true);
+  });
+});
+
+describe('retryJob', () => {
+  test('puts a dead job back with fresh attempts', async () => {
+    const dead = job({ status: 'dead', attempts: 3, failedAt: new Date() });
+
+    await retryJob(dead);
+
+    expect(dead).toMatchObject({ status: 'pending', attempts: 0, failedAt: null });
+  });
+
+  test('only retries dead jobs', async () => {
+    await expect(retryJob(job({ status: 'pending' }))).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('claimJobs', () => {
+  let transaction;
+
+  beforeEach(() => {
+    transaction = { LOCK: { UPDATE: 'UPDATE' } };
+    jest.spyOn(sequelize, 'transaction').mockImplementation(async (callback) => callback(transaction));
+  });
+
+  test('claims due jobs with SKIP LOCKED and counts the attempt', async () => {
+    const due = job({ status: 'pending', attempts: 0, uniqueKey: 'test:1' });
+    const findAll = jest.spyOn(Job, 'findAll').mockResolvedValue([due]);
+
+    const claimed = await claimJobs('worker-1', 5);
+
+    expect(findAll).toHaveBeenCalledWith(expect.objectContaining({ limit: 5, lock: 'UPDATE', skipLocked: true, transaction }));
+    expect(claimed).toEqual([due]);
+    expect(due).toMatchObject({ status: 'running', attempts: 1, lockedBy: 'worker-1', uniqueKey: null });
+  });
+
+  test('kills stale running jobs that have used up their attempts', async () => {
+    const stale = job({ status: 'running', attempts: 3, maxAttempts: 3 });
+    jest.spyOn(Job, 'findAll').mockResolvedValue([stale]);
+
+    await expect(claimJobs('worker-1', 5)).resolves.toEqual([]);
+    expect(stale.status).toBe('dead');
+  });
+});
+
+describe('runJob', () => {
+  beforeEach(() => jest.spyOn(console, 'error').mockImplementation(() => {}));
+
+  test('completes the job with the handler result', async () => {
+    handlers['test.job'] = { sensitive: true, run: jest.fn().mockResolvedValue({ ok: true }) };
+    const running = job();
+
+    await runJob(running);
+
+    expect(handlers['test.job'].run).toHaveBeenCalledWith({ value: 1 }, running);
+    expect(running).toMatchObject({ status: 'completed', result: { ok: true }, payload: null });
+  });
+
+  test('fails the job and calls the failure hook', async () => {
+    const onFailure = jest.fn();
+    handlers['test.job'] = { run: jest.fn().mockRejectedValue(new Error('Boom')), onFailure };
+    const running = job({ attempts: 3 });
+
+    await runJob(running);
+
+    expect(running.status).toBe('dead');
+    expect(onFailure).toHaveBeenCalledWith(running, expect.any(Error), true);
+  });
+
+  test('kills jobs of an unknown type', async () => {
+    const running = job({ type: 'unknown.job', attempts: 1 });
+
+    await runJob(running);
+
+    expect(running.status).toBe('dead');
+    expect(running.lastError).toContain('No handler for job type: unknown.job');
+  });
+});
+
+describe('completeJob', () => {
+  test('keeps the payload of ordinary jobs', async () => {
+    const running = job();
+    await completeJob(running, undefined);
+    expect(running).toMatchObject({ status: 'completed', result: null, payload: { value: 1 } });
+  });
+});
@@ -0,0 +1,173 @@
+const { sequelize, Partner, ServiceRequest, LedgerEntry, PayoutBatch } = require('../models');
+const { generatePayoutBatch, recordOrderEarnings, reverseOrderEarnings } = require('../utils/ledger');
+
+let transaction;
+
+beforeEach(() => {
+  transaction = { LOCK: { UPDATE: 'UPDATE' }, afterCommit: jest.fn() };
+  jest.spyOn(sequelize, 'transaction').mockImplementation(async (callback) => callback(transaction));
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('generatePayoutBatch', () => {
+  test('reads partner balances with a locking read', async () => {
+    const queries = [];
+    jest.spyOn(sequelize, 'query').mockImplementation(async (sql) => {
+      queries.push(String(sql));
+      return [];
+    });
+
+    await expect(generatePayoutBatch('admin-1')).rejects.toMatchObject({ statusCode: 400 });
+    expect(queries[0]).toMatch(/GROUP BY `partnerId` FOR UPDATE;$/);
+  });
+
+  test('pays balances above the minimum and debits each partner account', async () => {
+    jest.spyOn(LedgerEntry, 'findAll').mockResolvedValue([
+      { partnerId: 'partner-1', credits: '12500.00', debits: '2500.00' },
+      { partnerId: 'partner-2', credits: '100.00', debits: '0.00' }
+    ]);
+    jest.spyOn(Partner, 'findAll').mockResolvedValue([
+      { id: 'partner-1', businessName: 'Lanka Haulage', bankDetails: { bankName: 'BOC', accountNumber: '123' } }
+    ]);
+    const bulkCreate = jest.spyOn(LedgerEntry, 'bulkCreate').mockResolvedValue([]);
+    const batch = { id: 'batch-1', update: jest.fn(async function (values) { Object.assign(this, values); }) };
+    jest.spyOn(PayoutBatch, 'create').mockResolvedValue(batch);
+
+    await generatePayoutBatch('admin-1');
+
+    expect(LedgerEntry.findAll).toHaveBeenCalledWith(expect.objectContaining({ transaction, lock: 'UPDATE' }));
+    expect(Partner.findAll.mock.calls[0][0].where).toEqual({ id: ['partner-1'] });
+    expect(bulkCreate).toHaveBeenCalledTimes(1);
+    expect(bulkCreate.mock.calls[0][0]).toEqual([
+      expect.objectContaining({ type: 'payout', account: 'partner:partner-1', debit: 10000, credit: 0 }),
+      expect.objectContaining({ type: 'payout', account: 'platform:bank', debit: 0, credit: 10000 })
+    ]);
+    expect(batch.itemCount).toBe(1);
+    expect(batch.totalAmount).toBe(10000);
+  });
+});
+
+describe('reverseOrderEarnings', () => {
+  const order = { id: 'request-1', assignedTo: 'partner-1', tracking: { orderNumber: 'AX-1' } };
+  const entry = (type, account, debit, credit) => ({
+    type,
+    account,
+    partnerId: account.startsWith('partner:') ? 'partner-1' : null,
+    debit: debit.toFixed(2),
+    credit: credit.toFixed(2)
+  });
+  const earning = [
+    entry('order_earning', 'platform:clearing', 11500, 0),
+    entry('order_earning', 'partner:partner-1', 0, 8500),
+    entry('order_earning', 'platform:commission', 0, 1500),
+    entry('order_earning', 'platform:tax', 0, 1500)
+  ];
+
+  let partner;
+  let bulkCreate;
+
+  beforeEach(() => {
+    partner = { id: 'partner-1', totalEarnings: '8500.00', update: jest.fn(async function (values) { Object.assign(this, values); }) };
+    jest.spyOn(Partner, 'findByPk').mockResolvedValue(partner);
+    bulkCreate = jest.spyOn(LedgerEntry, 'bulkCreate').mockResolvedValue([]);
+  });
+
+  const posted = () => Object.fromEntries(bulkCreate.mock.calls[0][0].map(line => [line.account, line]));
+
+  test('debits each earning line in proportion to a partial refund', async () => {
+    jest.spyOn(LedgerEntry, 'findAll').mockResolvedValue(earning);
+
+    const result = await reverseOrderEarnings(order, 2300, transaction);
+
+    const lines = posted();
+    expect(lines['partner:partner-1']).toMatchObject({ type: 'order_refund', debit: 1700, credit: 0 });
+    expect(lines['platform:commission']).toMatchObject({ debit: 300, credit: 0 });
+    expect(lines['platform:tax']).toMatchObject({ debit: 300, credit: 0 });
+    expect(lines['platform:clearing']).toMatchObject({ debit: 0, credit: 2300 });
+    expect(partner.totalEarnings).toBe(6800);
+    expect(result).toEqual({ reversed: 2300, partner: 1700 });
+  });
+
+  test('reverses exactly what is left once the whole payment is refunded', async () => {
+    jest.spyOn(LedgerEntry, 'findAll').mockResolvedValue([
+      ...earning,
+      entry('order_refund', 'platform:clearing', 0, 3833.33),
+      entry('order_refund', 'partner:partner-1', 2833.33, 0),
+      entry('order_refund', 'platform:commission', 500, 0),
+      entry('order_refund', 'platform:tax', 500, 0)
+    ]);
+
+    await reverseOrderEarnings(order, 7666.67, transaction);
+
+    const lines = posted();
+    expect(lines['partner:partner-1'].debit).toBe(5666.67);
+    expect(lines['platform:commission'].debit).toBe(1000);
+    expect(lines['platform:tax'].debit).toBe(1000);
+    expect(lines['platform:clearing'].credit).toBe(7666.67);
+  });
+
+  test('does nothing when the earning has not been posted', async () => {
+    jest.spyOn(LedgerEntry, 'findAll').mockResolvedValue([]);
+
+    await expect(reverseOrderEarnings(order, 1000, transaction)).resolves.toBeNull();
+    expect(bulkCreate).not.toHaveBeenCalled();
+    expect(partner.update).not.toHaveBeenCalled();
+  });
+});
+
+describe('recordOrderEarnings', () => {
+  const storedOrder = (values = {}) => {
+    const row = {
+      id: 'request-1',
+      assignedTo: 'partner-1',
+      status: 'completed',
+      payment: { status: 'succeeded', paidAmount: 11500 },
+      priceBreakdown: { tax: { amount: 1500 } },
+      tracking: { orderNumber: 'AX-1' },
+      ...values
+    };
+    jest.spyOn(ServiceRequest, 'findByPk').mockResolvedValue(row);
+    return row;
+  };
+
+  let partner;
+  let bulkCreate;
+
+  beforeEach(() => {
+    partner = { id: 'partner-1', totalEarnings: '0.00', subscription: null, update: jest.fn().mockResolvedValue() };
+    jest.spyOn(Partner, 'findByPk').mockResolvedValue(partner);
+    jest.spyOn(LedgerEntry, 'count').mockResolvedValue(0);
+    bulkCreate = jest.spyOn(LedgerEntry, 'bulkCreate').mockResolvedValue([]);
+  });
+
+  test('posts from the locked order row, not the caller\'s copy', async () => {
+    storedOrder();
+
+    // The caller loaded the order before its payment arrived
+    const result = await recordOrderEarnings({ id: 'request-1', status: 'completed', payment: { status: 'pending' } });
+
+    expect(ServiceRequest.findByPk).toHaveBeenCalledWith('request-1', { transaction, lock: 'UPDATE' });
+    expect(result).toMatchObject({ earning: 8500, commission: 1500 });
+    expect(bulkCreate.mock.calls[0][0]).toContainEqual(
+      expect.objectContaining({ type: 'order_earning', account: 'platform:clearing', debit: 11500 })
+    );
+  });
+
+  test('posts nothing once the payment has been refunded in the meantime', async () => {
+    storedOrder({ payment: { status: 'refunded', paidAmount: 11500 } });
+
+    await expect(recordOrderEarnings({ id: 'request-1', status: 'completed', payment: { status: 'succeeded' } }))
+      .resolves.toBeNull();
+    expect(Partner.findByPk).not.toHaveBeenCalled();
+    expect(bulkCreate).not.toHaveBeenCalled();
+  });
+
+  test('posts nothing for an order already credited', async () => {
+    storedOrder();
+    LedgerEntry.count.mockResolvedValue(3);
+
+    await expect(recordOrderEarnings({ id: 'request-1' })).resolves.toBeNull();
+    expect(bulkCreate).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,55 @@
+const { sequelize } = require('../config/database');
+const { Vehicle } = require('../models');
+const { findPage } = require('../utils/listQuery');
+
+const encode = (data) => Buffer.from(JSON.stringify(data)).toString('base64url');
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('findPage with cursors', () => {
+  test('orders and filters on column names', async () => {
+    const queries = [];
+    jest.spyOn(sequelize, 'query').mockImplementation(async (sql) => {
+      queries.push(String(sql));
+      return [];
+    });
+
+    const cursor = encode({
+      s: 'createdAt:DESC,id:DESC',
+      k: [{ date: '2026-01-01T00:00:00.000Z' }, '00000000-0000-0000-0000-000000000001']
+    });
+    await findPage(Vehicle, { query: { cursor, limit: '5' } }, { order: [['createdAt', 'DESC']] });
+
+    expect(queries).toHaveLength(1);
+    const sql = queries[0];
+    expect(sql).toContain('`Vehicle`.`created_at` <');
+    expect(sql).toContain('`Vehicle`.`created_at` =');
+    expect(sql).toMatch(/ORDER BY `Vehicle`.`created_at` DESC, `Vehicle`.`id` DESC/);
+    expect(sql).not.toContain('`Vehicle`.`createdAt`');
+    expect(sql).toContain('LIMIT 6');
+  });
+
+  test('returns a cursor for the next page from the last row', async () => {
+    const rows = [1, 2, 3].map(n => Vehicle.build({
+      id: `00000000-0000-0000-0000-00000000000${n}`,
+      pricePerDay: 100 * n
+    }));
+    jest.spyOn(Vehicle, 'findAll').mockResolvedValue(rows);
+
+    const { rows: page, pagination } = await findPage(Vehicle, { query: { cursor: '', limit: '2' } }, {
+      order: [['pricePerDay', 'ASC']]
+    });
+
+    expect(page).toHaveLength(2);
+    expect(pagination.hasMore).toBe(true);
+    const cursor = JSON.parse(Buffer.from(pagination.nextCursor, 'base64url').toString('utf8'));
+    expect(cursor).toEqual({ s: 'pricePerDay:ASC,id:ASC', k: [200, rows[1].id] });
+  });
+
+  test('rejects a cursor from another sort order', async () => {
+    const cursor = encode({ s: 'name:ASC,id:ASC', k: ['a', 'b'] });
+
+    await expect(findPage(Vehicle, { query: { cursor } }, { order: [['createdAt', 'DESC']] }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
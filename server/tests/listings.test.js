@@ -0,0 +1,64 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../middleware/auth', () => (req, res, next) => {
+  req.user = { id: 'user-1', role: 'partner', partnerId: 'partner-1' };
+  next();
+});
+jest.mock('../middleware/requirePermission', () => () => (req, res, next) => {
+  req.permissionScope = 'own';
+  next();
+});
+
+const { sequelize, Vehicle, Material } = require('../models');
+const vehicleRoutes = require('../routes/vehicles');
+const materialRoutes = require('../routes/materials');
+
+const app = express();
+app.use(express.json());
+app.use('/api/vehicles', vehicleRoutes);
+app.use('/api/materials', materialRoutes);
+
+// Fields an owner may not set on their own listing
+const protectedFields = {
+  rating: 5,
+  ratingCount: 900,
+  latitude: 6.9,
+  longitude: 79.8,
+  district: 'Colombo',
+  featured: true,
+  isPublished: true
+};
+
+const listing = (values) => ({
+  ...values,
+  update: jest.fn().mockResolvedValue(),
+  reload: jest.fn().mockResolvedValue()
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('PUT /api/vehicles/:id', () => {
+  test('ignores ratings, coordinates and moderation flags', async () => {
+    const vehicle = listing({ id: 'vehicle-1', ownerId: 'partner-1' });
+    jest.spyOn(Vehicle, 'findByPk').mockResolvedValue(vehicle);
+
+    const res = await request(app).put('/api/vehicles/vehicle-1').send({ name: 'JCB 3CX', ...protectedFields });
+
+    expect(res.status).toBe(200);
+    expect(vehicle.update).toHaveBeenCalledWith({ name: 'JCB 3CX' });
+  });
+});
+
+describe('PUT /api/materials/:id', () => {
+  test('ignores ratings, coordinates and moderation flags', async () => {
+    const material = listing({ id: 'material-1', supplierId: 'partner-1', availableQuantity: 10 });
+    jest.spyOn(Material, 'findByPk').mockResolvedValue(material);
+    jest.spyOn(sequelize, 'transaction').mockImplementation(async (callback) => callback({ LOCK: { UPDATE: 'UPDATE' } }));
+
+    const res = await request(app).put('/api/materials/material-1').send({ pricePerUnit: 4500, ...protectedFields });
+
+    expect(res.status).toBe(200);
+    expect(material.update).toHaveBeenCalledWith({ pricePerUnit: 4500 }, expect.any(Object));
+  });
+});
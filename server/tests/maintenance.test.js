@@ -0,0 +1,153 @@
+jest.mock('../utils/bookingCalendar', () => ({
+  ...jest.requireActual('../utils/bookingCalendar'),
+  findBookedSlots: jest.fn()
+}));
+
+const fs = require('fs');
+const { sequelize, Vehicle, MaintenanceRecord } = require('../models');
+const { findBookedSlots } = require('../utils/bookingCalendar');
+const {
+  createMaintenanceRecord,
+  updateMaintenanceRecord,
+  advanceMaintenanceWindows
+} = require('../utils/maintenance');
+
+const OWNER = '3f6c2a4e-8b1d-4c2e-9a7f-5d0e1b2c3a4f';
+const OTHER = '9d8c7b6a-5f4e-4d3c-8b2a-1f0e9d8c7b6a';
+const HOUR_MS = 60 * 60 * 1000;
+
+const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+const user = { id: OWNER };
+
+const hoursFromNow = (hours) => new Date(Date.now() + hours * HOUR_MS);
+
+const vehicle = (values = {}) => ({
+  id: 'vehicle-1',
+  status: 'active',
+  maintenance: null,
+  ...values,
+  update: jest.fn(async function (changes) { return Object.assign(this, changes); })
+});
+
+const record = (values = {}) => {
+  const row = {
+    id: 'record-1',
+    vehicleId: 'vehicle-1',
+    documents: [],
+    ...values,
+    update: jest.fn(async function (changes) { return Object.assign(this, changes); })
+  };
+  row.get = () => ({ ...row });
+  return row;
+};
+
+beforeEach(() => {
+  jest.spyOn(fs, 'existsSync').mockReturnValue(true);
+  jest.spyOn(fs, 'statSync').mockReturnValue({ size: 2048 });
+  jest.spyOn(MaintenanceRecord, 'create').mockImplementation(async (values) => values);
+  jest.spyOn(MaintenanceRecord, 'count').mockResolvedValue(0);
+  findBookedSlots.mockResolvedValue([]);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('createMaintenanceRecord', () => {
+  test('logs past work and updates the vehicle service summary', async () => {
+    const stored = vehicle({ maintenance: { nextService: '2026-01-01' } });
+
+    const created = await createMaintenanceRecord(stored, user, {
+      type: 'service',
+      serviceDate: hoursFromNow(-48).toISOString(),
+      nextServiceDate: '2027-01-01',
+      documents: [`documents-${OWNER}-1700000000000-123456789.pdf`]
+    }, transaction);
+
+    expect(created).toMatchObject({ status: 'completed', createdBy: OWNER });
+    expect(created.documents).toEqual([expect.objectContaining({ fileUrl: `/uploads/documents-${OWNER}-1700000000000-123456789.pdf` })]);
+    expect(stored.maintenance.nextService).toEqual(new Date('2027-01-01'));
+  });
+
+  test('refuses documents another user uploaded', async () => {
+    const fileName = `documents-${OTHER}-1700000000000-123456789.pdf`;
+
+    await expect(createMaintenanceRecord(vehicle(), user, { type: 'repair', documents: [fileName] }, transaction))
+      .rejects.toMatchObject({ statusCode: 400, message: `Uploaded file not found: ${fileName}` });
+    expect(MaintenanceRecord.create).not.toHaveBeenCalled();
+  });
+
+  test('refuses a window that overlaps a booking', async () => {
+    findBookedSlots.mockResolvedValue([{ start: hoursFromNow(24), end: hoursFromNow(48), serviceRequestId: 'request-1' }]);
+
+    await expect(createMaintenanceRecord(vehicle(), user, {
+      type: 'service',
+      status: 'scheduled',
+      startDate: hoursFromNow(30).toISOString(),
+      endDate: hoursFromNow(40).toISOString()
+    }, transaction)).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  test('starts a window that has already begun and takes the vehicle off the market', async () => {
+    const stored = vehicle();
+    MaintenanceRecord.count.mockResolvedValue(1);
+
+    const created = await createMaintenanceRecord(stored, user, {
+      type: 'repair',
+      status: 'scheduled',
+      startDate: hoursFromNow(-1).toISOString(),
+      endDate: hoursFromNow(5).toISOString()
+    }, transaction);
+
+    expect(created.status).toBe('in_progress');
+    expect(stored.status).toBe('maintenance');
+  });
+});
+
+describe('updateMaintenanceRecord', () => {
+  test('cuts a window finished early short and puts the vehicle back', async () => {
+    const stored = vehicle({ status: 'maintenance' });
+    const existing = record({ status: 'in_progress', startDate: hoursFromNow(-2), endDate: hoursFromNow(10) });
+
+    await updateMaintenanceRecord(existing, stored, user, { status: 'completed' }, transaction);
+
+    expect(existing.status).toBe('completed');
+    expect(existing.endDate.getTime()).toBeLessThanOrEqual(Date.now());
+    expect(stored.status).toBe('active');
+  });
+
+  test('follows the transition table', async () => {
+    const existing = record({ status: 'completed' });
+
+    await expect(updateMaintenanceRecord(existing, vehicle(), user, { status: 'in_progress' }, transaction))
+      .rejects.toMatchObject({ statusCode: 400, details: { allowed: [] } });
+  });
+
+  test('adds only documents the user uploaded', async () => {
+    const existing = record({ status: 'completed' });
+
+    await expect(updateMaintenanceRecord(existing, vehicle(), user, {
+      documents: [`documents-${OTHER}-1700000000000-123456789.pdf`]
+    }, transaction)).rejects.toMatchObject({ statusCode: 400 });
+    expect(existing.update).not.toHaveBeenCalled();
+  });
+});
+
+describe('advanceMaintenanceWindows', () => {
+  test('starts and completes windows from their locked rows', async () => {
+    const starting = record({ id: 'record-1', status: 'scheduled', startDate: hoursFromNow(-1), endDate: hoursFromNow(5) });
+    const ending = record({ id: 'record-2', status: 'in_progress', startDate: hoursFromNow(-5), endDate: hoursFromNow(-1) });
+    const rows = { 'record-1': starting, 'record-2': ending };
+    jest.spyOn(MaintenanceRecord, 'findAll').mockResolvedValue([{ id: 'record-1' }, { id: 'record-2' }]);
+    jest.spyOn(MaintenanceRecord, 'findByPk').mockImplementation(async (id) => rows[id]);
+    jest.spyOn(Vehicle, 'findByPk').mockResolvedValue(vehicle());
+    jest.spyOn(sequelize, 'transaction').mockImplementation(async (callback) => callback(transaction));
+
+    await expect(advanceMaintenanceWindows()).resolves.toEqual({ started: 1, completed: 1 });
+
+    expect(MaintenanceRecord.findByPk).toHaveBeenCalledWith('record-1', { transaction, lock: 'UPDATE' });
+    expect(starting.status).toBe('in_progress');
+    expect(ending).toMatchObject({ status: 'completed', serviceDate: ending.endDate });
+  });
+});
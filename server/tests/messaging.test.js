@@ -0,0 +1,124 @@
+const fs = require('fs');
+const { sequelize, Conversation, Message, Partner, Vehicle, ServiceRequest } = require('../models');
+const { getParticipantRole, addMessage, startConversation, markConversationRead } = require('../utils/messaging');
+
+const SENDER = '3f6c2a4e-8b1d-4c2e-9a7f-5d0e1b2c3a4f';
+const OTHER = '9d8c7b6a-5f4e-4d3c-8b2a-1f0e9d8c7b6a';
+
+const conversation = () => ({
+  id: 'conversation-1',
+  customerUnreadCount: 0,
+  partnerUnreadCount: 2,
+  update: jest.fn().mockResolvedValue()
+});
+
+beforeEach(() => {
+  jest.spyOn(fs, 'existsSync').mockReturnValue(true);
+  jest.spyOn(fs, 'statSync').mockReturnValue({ size: 1024 });
+  jest.spyOn(Message, 'create').mockImplementation(async (values) => ({ ...values, createdAt: new Date() }));
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('addMessage', () => {
+  test('attaches files the sender uploaded and bumps the other side\'s unread count', async () => {
+    const fileName = `documents-${SENDER}-1700000000000-123456789.pdf`;
+    const open = conversation();
+
+    const message = await addMessage(open, { id: SENDER }, 'customer', { body: 'Quote attached', attachments: [fileName] }, {});
+
+    expect(message.attachments).toEqual([{ fileName, fileUrl: `/uploads/${fileName}`, size: 1024 }]);
+    expect(open.update).toHaveBeenCalledWith(expect.objectContaining({
+      partnerUnreadCount: 3,
+      customerUnreadCount: 0,
+      lastMessagePreview: 'Quote attached'
+    }), { transaction: {} });
+  });
+
+  test('refuses a file another user uploaded', async () => {
+    const fileName = `documents-${OTHER}-1700000000000-123456789.pdf`;
+    const open = conversation();
+
+    await expect(addMessage(open, { id: SENDER }, 'customer', { attachments: [fileName] }, {}))
+      .rejects.toMatchObject({ statusCode: 400, message: `Uploaded file not found: ${fileName}` });
+    expect(Message.create).not.toHaveBeenCalled();
+    expect(open.update).not.toHaveBeenCalled();
+  });
+
+  test('needs text or an attachment', async () => {
+    await expect(addMessage(conversation(), { id: SENDER }, 'partner', { body: '   ' }, {}))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('getParticipantRole', () => {
+  const open = { customerId: SENDER, partnerId: 'partner-1' };
+
+  test('recognises both sides and nobody else', async () => {
+    jest.spyOn(Partner, 'findOne')
+      .mockResolvedValueOnce({ id: 'partner-1', userId: OTHER })
+      .mockResolvedValueOnce({ id: 'partner-2', userId: 'user-3' })
+      .mockResolvedValueOnce(null);
+
+    await expect(getParticipantRole(open, { id: SENDER })).resolves.toBe('customer');
+    await expect(getParticipantRole(open, { id: OTHER })).resolves.toBe('partner');
+    await expect(getParticipantRole(open, { id: 'user-3' })).resolves.toBeNull();
+    await expect(getParticipantRole(open, { id: 'user-4' })).resolves.toBeNull();
+  });
+});
+
+describe('startConversation', () => {
+  const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+
+  beforeEach(() => {
+    jest.spyOn(sequelize, 'transaction').mockImplementation(async (callback) => callback(transaction));
+    jest.spyOn(Partner, 'findByPk').mockResolvedValue({ id: 'partner-1', userId: OTHER });
+  });
+
+  test('opens one conversation per customer and topic', async () => {
+    jest.spyOn(Vehicle, 'findByPk').mockResolvedValue({ id: 'vehicle-1', name: 'JCB 3CX', ownerId: 'partner-1', isPublished: true });
+    const open = conversation();
+    const findOrCreate = jest.spyOn(Conversation, 'findOrCreate').mockResolvedValue([open, true]);
+
+    const { created } = await startConversation({ id: SENDER }, { vehicleId: 'vehicle-1' }, { body: 'Is it free on Monday?' });
+
+    expect(created).toBe(true);
+    expect(findOrCreate).toHaveBeenCalledWith(expect.objectContaining({
+      where: { customerId: SENDER, partnerId: 'partner-1', vehicleId: 'vehicle-1', materialId: null, serviceRequestId: null },
+      defaults: { subject: 'JCB 3CX' },
+      lock: 'UPDATE'
+    }));
+  });
+
+  test('only lets the customer message about their own order', async () => {
+    jest.spyOn(ServiceRequest, 'findByPk').mockResolvedValue({ id: 'request-1', userId: OTHER, assignedTo: 'partner-1' });
+    const findOrCreate = jest.spyOn(Conversation, 'findOrCreate');
+
+    await expect(startConversation({ id: SENDER }, { serviceRequestId: 'request-1' }, { body: 'Hello' }))
+      .rejects.toMatchObject({ statusCode: 404 });
+    expect(findOrCreate).not.toHaveBeenCalled();
+  });
+
+  test('refuses unpublished listings and messages to yourself', async () => {
+    jest.spyOn(Vehicle, 'findByPk').mockResolvedValueOnce({ id: 'vehicle-1', ownerId: 'partner-1', isPublished: false });
+    await expect(startConversation({ id: SENDER }, { vehicleId: 'vehicle-1' }, { body: 'Hello' }))
+      .rejects.toMatchObject({ statusCode: 404 });
+
+    Vehicle.findByPk.mockResolvedValueOnce({ id: 'vehicle-1', ownerId: 'partner-1', isPublished: true });
+    await expect(startConversation({ id: OTHER }, { vehicleId: 'vehicle-1' }, { body: 'Hello' }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'You cannot message yourself' });
+  });
+});
+
+describe('markConversationRead', () => {
+  test('reads what the other side sent and clears the reader\'s unread count', async () => {
+    jest.spyOn(sequelize, 'transaction').mockImplementation(async (callback) => callback({}));
+    const update = jest.spyOn(Message, 'update').mockResolvedValue([2]);
+    const open = conversation();
+
+    await expect(markConversationRead(open, 'partner')).resolves.toBe(2);
+
+    expect(update.mock.calls[0][1].where).toEqual({ conversationId: 'conversation-1', senderRole: 'customer', readAt: null });
+    expect(open.update).toHaveBeenCalledWith(expect.objectContaining({ partnerUnreadCount: 0 }), { transaction: {} });
+  });
+});
@@ -0,0 +1,127 @@
+jest.mock('../utils/jobs', () => ({ enqueue: jest.fn() }));
+
+const { sequelize, User, Partner, Notification } = require('../models');
+const { enqueue } = require('../utils/jobs');
+const { isChannelEnabled, recordDelivery, notify, notifyPartner } = require('../utils/notifications');
+
+const transaction = { LOCK: { UPDATE: 'UPDATE' }, afterCommit: jest.fn() };
+
+const orderData = {
+  orderNumber: 'AX-1',
+  type: 'vehicle',
+  itemName: 'JCB 3CX',
+  totalPrice: 15000,
+  requiredDate: '2026-03-10'
+};
+
+const storedUser = (values = {}) => jest.spyOn(User, 'findByPk').mockResolvedValue({
+  id: 'user-1',
+  name: 'Nimal',
+  email: 'nimal@example.lk',
+  phone: '+94771234567',
+  isActive: true,
+  preferences: null,
+  ...values
+});
+
+beforeEach(() => {
+  jest.spyOn(sequelize, 'transaction').mockImplementation(async (callback) => callback(transaction));
+  jest.spyOn(Notification, 'create').mockImplementation(async (values) => ({ id: 'notification-1', ...values }));
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('isChannelEnabled', () => {
+  test('prefers the event setting, then the channel setting, then the default', () => {
+    const preferences = { sms: true, events: { order_created: { sms: false } } };
+
+    expect(isChannelEnabled(preferences, 'order_created', 'sms')).toBe(false);
+    expect(isChannelEnabled(preferences, 'order_accepted', 'sms')).toBe(true);
+    expect(isChannelEnabled({}, 'order_accepted', 'email')).toBe(true);
+    expect(isChannelEnabled({}, 'order_accepted', 'sms')).toBe(false);
+  });
+});
+
+describe('notify', () => {
+  test('stores the notification and queues each enabled channel in one transaction', async () => {
+    storedUser({ preferences: { notifications: { sms: true } } });
+
+    const notification = await notify({ userId: 'user-1' }, 'order_created', orderData);
+
+    expect(notification).toMatchObject({ userId: 'user-1', event: 'order_created', title: 'Order AX-1 received' });
+    expect(notification.deliveries).toEqual({ email: { status: 'queued' }, sms: { status: 'queued' } });
+    expect(Notification.create).toHaveBeenCalledWith(expect.any(Object), { transaction });
+    expect(enqueue).toHaveBeenCalledTimes(2);
+    expect(enqueue).toHaveBeenCalledWith('notification.deliver', expect.objectContaining({
+      notificationId: 'notification-1',
+      channel: 'sms',
+      message: { to: '+94771234567', text: expect.stringContaining('AX-1') }
+    }), { transaction });
+  });
+
+  test('records channels it skipped and why', async () => {
+    storedUser({ email: null, preferences: { notifications: { sms: false } } });
+
+    const notification = await notify({ userId: 'user-1' }, 'order_created', orderData);
+
+    expect(notification.deliveries).toEqual({
+      email: { status: 'skipped', reason: 'not_applicable' },
+      sms: { status: 'skipped', reason: 'disabled' }
+    });
+    expect(enqueue).not.toHaveBeenCalled();
+  });
+
+  test('skips inactive users', async () => {
+    storedUser({ isActive: false });
+
+    await expect(notify({ userId: 'user-1' }, 'order_created', orderData)).resolves.toBeNull();
+    expect(Notification.create).not.toHaveBeenCalled();
+  });
+
+  test('never throws, so the action behind it still succeeds', async () => {
+    storedUser();
+    Notification.create.mockRejectedValue(new Error('Database unavailable'));
+
+    await expect(notify({ userId: 'user-1' }, 'order_created', orderData)).resolves.toBeNull();
+    await expect(notify({ userId: 'user-1' }, 'no_such_event', {})).resolves.toBeNull();
+  });
+});
+
+describe('notifyPartner', () => {
+  test('uses the partner profile contact details and preferences', async () => {
+    storedUser();
+    jest.spyOn(Partner, 'findByPk').mockResolvedValue({ id: 'partner-1', userId: 'user-1' });
+    jest.spyOn(Partner, 'findOne').mockResolvedValue({
+      id: 'partner-1',
+      businessName: 'Lanka Haulage',
+      contact: { email: 'bookings@haulage.lk' },
+      preferences: { notifications: { email: true, sms: false } }
+    });
+
+    const notification = await notifyPartner('partner-1', 'order_received', { ...orderData, customerName: 'Nimal' });
+
+    expect(notification).toMatchObject({ userId: 'user-1', audience: 'partner' });
+    expect(enqueue).toHaveBeenCalledTimes(1);
+    expect(enqueue.mock.calls[0][1].message.to).toBe('bookings@haulage.lk');
+  });
+});
+
+describe('recordDelivery', () => {
+  test('merges the channel result into the locked notification', async () => {
+    const stored = {
+      deliveries: { email: { status: 'queued' }, sms: { status: 'sent' } },
+      update: jest.fn(async function (values) { return Object.assign(this, values); })
+    };
+    jest.spyOn(Notification, 'findByPk').mockResolvedValue(stored);
+
+    await recordDelivery('notification-1', 'email', { status: 'sent', transport: 'smtp' });
+
+    expect(Notification.findByPk).toHaveBeenCalledWith('notification-1', { transaction, lock: 'UPDATE' });
+    expect(stored.deliveries.sms).toEqual({ status: 'sent' });
+    expect(stored.deliveries.email).toMatchObject({ status: 'sent', transport: 'smtp', at: expect.any(String) });
+  });
+});
@@ -0,0 +1,117 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../middleware/auth', () => (req, res, next) => {
+  req.user = { id: 'user-1', role: 'partner' };
+  next();
+});
+jest.mock('../middleware/requirePermission', () => () => (req, res, next) => {
+  req.partner = { id: 'partner-1' };
+  next();
+});
+
+const { sequelize, Operator, ServiceRequest, Vehicle } = require('../models');
+const { assignOperator, getOperatorProblems } = require('../utils/operators');
+const operatorRoutes = require('../routes/operators');
+
+const app = express();
+app.use(express.json());
+app.use('/api/operators', operatorRoutes);
+
+const transaction = () => ({ LOCK: { UPDATE: 'UPDATE' }, afterCommit: jest.fn() });
+
+const booking = (overrides = {}) => ({
+  id: 'request-1',
+  assignedTo: 'partner-1',
+  type: 'vehicle',
+  status: 'confirmed',
+  vehicleId: 'vehicle-1',
+  operatorId: null,
+  startDate: new Date('2026-03-01T00:00:00Z'),
+  endDate: new Date('2026-03-05T00:00:00Z'),
+  update: jest.fn().mockResolvedValue(),
+  ...overrides
+});
+
+const operator = (overrides = {}) => ({
+  id: 'operator-1',
+  isActive: true,
+  licenceExpiry: '2027-01-01',
+  licenceClasses: ['C', 'J'],
+  ...overrides
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('GET /api/operators', () => {
+  test('filters by licence class on the licence_classes column', async () => {
+    const queries = [];
+    jest.spyOn(sequelize, 'query').mockImplementation(async (sql) => {
+      queries.push(String(sql));
+      return [];
+    });
+
+    const res = await request(app).get('/api/operators?licenceClass=J&cursor=');
+
+    expect(res.status).toBe(200);
+    expect(queries[0]).toContain("JSON_CONTAINS(`licence_classes`, '\\\"J\\\"') = 1");
+  });
+});
+
+describe('getOperatorProblems', () => {
+  test('requires a licence class for the vehicle category', () => {
+    const problems = getOperatorProblems(operator({ licenceClasses: ['B'] }), { category: 'excavator' }, new Date('2026-03-05'));
+    expect(problems).toEqual(['A excavator needs a class J licence']);
+  });
+
+  test('rejects inactive operators and licences expiring before the booking ends', () => {
+    const problems = getOperatorProblems(
+      operator({ isActive: false, licenceExpiry: '2026-03-02' }),
+      { category: 'van' },
+      new Date('2026-03-05')
+    );
+    expect(problems).toHaveLength(2);
+  });
+});
+
+describe('assignOperator', () => {
+  beforeEach(() => {
+    jest.spyOn(Operator, 'findOne').mockResolvedValue(operator());
+    jest.spyOn(Vehicle, 'findByPk').mockResolvedValue({ id: 'vehicle-1', category: 'excavator', operatorIncluded: true });
+  });
+
+  test('refuses an operator already booked for an overlapping period', async () => {
+    jest.spyOn(ServiceRequest, 'findAll').mockResolvedValue([{
+      id: 'request-2',
+      vehicleId: 'vehicle-2',
+      startDate: new Date('2026-03-04T00:00:00Z'),
+      endDate: new Date('2026-03-08T00:00:00Z'),
+      tracking: { orderNumber: 'AX-2' }
+    }]);
+    const serviceRequest = booking();
+
+    await expect(assignOperator(serviceRequest, { id: 'partner-1' }, 'operator-1', transaction()))
+      .rejects.toMatchObject({ statusCode: 409, details: { conflicts: [expect.objectContaining({ serviceRequestId: 'request-2' })] } });
+    expect(serviceRequest.update).not.toHaveBeenCalled();
+  });
+
+  test('locks the operator, checks overlaps excluding the booking itself and assigns', async () => {
+    const findAll = jest.spyOn(ServiceRequest, 'findAll').mockResolvedValue([]);
+    const serviceRequest = booking();
+    const t = transaction();
+
+    await assignOperator(serviceRequest, { id: 'partner-1' }, 'operator-1', t);
+
+    expect(Operator.findOne).toHaveBeenCalledWith(expect.objectContaining({ lock: 'UPDATE', transaction: t }));
+    expect(findAll.mock.calls[0][0].where.id).toBeDefined();
+    expect(serviceRequest.update).toHaveBeenCalledWith({ operatorId: 'operator-1' }, { transaction: t });
+    expect(t.afterCommit).toHaveBeenCalledTimes(1);
+  });
+
+  test('only assigns to the partner\'s own active bookings', async () => {
+    await expect(assignOperator(booking({ assignedTo: 'partner-2' }), { id: 'partner-1' }, 'operator-1', transaction()))
+      .rejects.toMatchObject({ statusCode: 403 });
+    await expect(assignOperator(booking({ status: 'completed' }), { id: 'partner-1' }, 'operator-1', transaction()))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+});
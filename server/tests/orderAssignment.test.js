@@ -0,0 +1,97 @@
+jest.mock('../utils/orderStatus', () => ({ changeStatus: jest.fn() }));
+
+const { Op } = require('sequelize');
+const { Partner, ServiceRequest } = require('../models');
+const { changeStatus } = require('../utils/orderStatus');
+const { hasCapacity, acceptOrder, autoAcceptIfEnabled } = require('../utils/orderAssignment');
+
+const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+
+const partner = (preferences = {}) => ({
+  id: 'partner-1',
+  isActive: true,
+  verificationStatus: 'approved',
+  preferences: { maxOrdersPerDay: 1, ...preferences }
+});
+
+const request = (id = 'request-1') => ({ id, assignedTo: 'partner-1', requiredDate: '2026-03-10T21:30:00.000Z' });
+
+// Confirmations run one at a time, as they would with the partner row locked;
+// each one that gets through takes a slot for the day
+const confirmSerially = (accepted) => {
+  let queue = Promise.resolve();
+  changeStatus.mockImplementation((serviceRequest, to, { withinTransaction }) => {
+    const run = queue.then(async () => {
+      await withinTransaction(transaction, { from: 'pending', to });
+      accepted.count += 1;
+      return serviceRequest;
+    });
+    queue = run.catch(() => {});
+    return run;
+  });
+  jest.spyOn(ServiceRequest, 'count').mockImplementation(async () => accepted.count);
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('hasCapacity', () => {
+  test('locks the partner and counts the UTC day inside the transaction', async () => {
+    const stored = partner({ maxOrdersPerDay: 3 });
+    jest.spyOn(Partner, 'findByPk').mockResolvedValue(stored);
+    const count = jest.spyOn(ServiceRequest, 'count').mockResolvedValue(2);
+
+    await expect(hasCapacity(stored, request(), transaction)).resolves.toBe(true);
+
+    expect(Partner.findByPk).toHaveBeenCalledWith('partner-1', { transaction, lock: 'UPDATE' });
+    const { where, transaction: used } = count.mock.calls[0][0];
+    expect(used).toBe(transaction);
+    expect(where.requiredDate[Op.gte].toISOString()).toBe('2026-03-10T00:00:00.000Z');
+    expect(where.requiredDate[Op.lt].toISOString()).toBe('2026-03-11T00:00:00.000Z');
+  });
+
+  test('uses the limit from the locked row', async () => {
+    jest.spyOn(Partner, 'findByPk').mockResolvedValue(partner({ maxOrdersPerDay: 2 }));
+    jest.spyOn(ServiceRequest, 'count').mockResolvedValue(2);
+
+    await expect(hasCapacity(partner({ maxOrdersPerDay: 5 }), request(), transaction)).resolves.toBe(false);
+  });
+});
+
+describe('acceptOrder', () => {
+  test('lets only one of two concurrent acceptances take the last slot', async () => {
+    jest.spyOn(Partner, 'findByPk').mockResolvedValue(partner());
+    confirmSerially({ count: 0 });
+
+    const results = await Promise.allSettled([
+      acceptOrder(request('request-1'), partner(), { actorRole: 'partner' }),
+      acceptOrder(request('request-2'), partner(), { actorRole: 'partner' })
+    ]);
+
+    expect(results.map(result => result.status)).toEqual(['fulfilled', 'rejected']);
+    expect(results[1].reason).toMatchObject({
+      statusCode: 409,
+      message: 'Daily limit of 1 orders reached for this date'
+    });
+  });
+});
+
+describe('autoAcceptIfEnabled', () => {
+  test('leaves the request pending when the partner is fully booked', async () => {
+    jest.spyOn(Partner, 'findByPk').mockResolvedValue(partner({ autoAcceptOrders: true }));
+    confirmSerially({ count: 1 });
+
+    await expect(autoAcceptIfEnabled(request())).resolves.toBe(false);
+  });
+
+  test('confirms the request as the system when there is room', async () => {
+    jest.spyOn(Partner, 'findByPk').mockResolvedValue(partner({ autoAcceptOrders: true }));
+    confirmSerially({ count: 0 });
+
+    await expect(autoAcceptIfEnabled(request())).resolves.toBe(true);
+    expect(changeStatus).toHaveBeenCalledWith(expect.objectContaining({ id: 'request-1' }), 'confirmed',
+      expect.objectContaining({ actorRole: 'system' }));
+  });
+});
@@ -0,0 +1,185 @@
+jest.mock('../utils/jobs', () => ({ enqueue: jest.fn() }));
+jest.mock('../utils/payments', () => ({ refundOrderPayments: jest.fn() }));
+jest.mock('../utils/ledger', () => ({ recordOrderEarnings: jest.fn() }));
+jest.mock('../utils/notifications/orders', () => ({ notifyOrderStatus: jest.fn() }));
+
+const { sequelize, ServiceRequest, Material, StockMovement, StatusHistory } = require('../models');
+const { enqueue } = require('../utils/jobs');
+const { refundOrderPayments } = require('../utils/payments');
+const { canTransition, changeStatus } = require('../utils/orderStatus');
+
+let transaction;
+let material;
+
+const materialRequest = (overrides = {}) => {
+  const serviceRequest = ServiceRequest.build({
+    id: '00000000-0000-0000-0000-000000000001',
+    userId: '00000000-0000-0000-0000-000000000002',
+    type: 'material',
+    materialId: '00000000-0000-0000-0000-000000000003',
+    quantity: 5,
+    status: 'pending',
+    stockStatus: 'reserved',
+    ...overrides
+  }, { isNewRecord: false });
+  jest.spyOn(serviceRequest, 'save').mockResolvedValue(serviceRequest);
+  return serviceRequest;
+};
+
+// The row as another request left it in the database
+const lockedRow = (status) => jest.spyOn(ServiceRequest, 'findByPk').mockResolvedValue({ status });
+
+beforeEach(() => {
+  transaction = { LOCK: { UPDATE: 'UPDATE' }, afterCommit: jest.fn() };
+  jest.spyOn(sequelize, 'transaction').mockImplementation(async (callback) => callback(transaction));
+
+  material = {
+    id: '00000000-0000-0000-0000-000000000003',
+    unit: 'cubes',
+    isAvailable: true,
+    availableQuantity: 20,
+    reservedQuantity: 5,
+    update: jest.fn(async function (values) { Object.assign(this, values); })
+  };
+  jest.spyOn(Material, 'findByPk').mockResolvedValue(material);
+  jest.spyOn(StockMovement, 'create').mockResolvedValue({});
+  jest.spyOn(StatusHistory, 'create').mockResolvedValue({});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('canTransition', () => {
+  test('follows the transition table', () => {
+    expect(canTransition('pending', 'confirmed')).toBe(true);
+    expect(canTransition('confirmed', 'in_progress')).toBe(true);
+    expect(canTransition('cancelled', 'confirmed')).toBe(false);
+    expect(canTransition('completed', 'cancelled')).toBe(false);
+  });
+});
+
+describe('changeStatus', () => {
+  test('locks the row and releases reserved stock on cancellation', async () => {
+    const findByPk = lockedRow('pending');
+    const serviceRequest = materialRequest();
+
+    await changeStatus(serviceRequest, 'cancelled', { actorRole: 'customer' });
+
+    expect(findByPk).toHaveBeenCalledWith(serviceRequest.id, expect.objectContaining({ transaction, lock: 'UPDATE' }));
+    expect(serviceRequest.status).toBe('cancelled');
+    expect(serviceRequest.stockStatus).toBe('released');
+    expect(material.availableQuantity).toBe(25);
+    expect(material.reservedQuantity).toBe(0);
+    expect(StatusHistory.create).toHaveBeenCalledWith(
+      expect.objectContaining({ fromStatus: 'pending', toStatus: 'cancelled' }),
+      { transaction }
+    );
+  });
+
+  test('refuses a change when the locked row has moved on', async () => {
+    lockedRow('cancelled');
+    const serviceRequest = materialRequest();
+
+    await expect(changeStatus(serviceRequest, 'cancelled', { actorRole: 'customer' }))
+      .rejects.toMatchObject({ statusCode: 409, details: { status: 'cancelled' } });
+
+    expect(material.update).not.toHaveBeenCalled();
+    expect(serviceRequest.save).not.toHaveBeenCalled();
+  });
+
+  test('rejects transitions outside the table', async () => {
+    lockedRow('pending');
+
+    await expect(changeStatus(materialRequest(), 'completed', { actorRole: 'partner' }))
+      .rejects.toMatchObject({ statusCode: 400, details: { allowed: ['confirmed', 'rejected', 'cancelled'] } });
+  });
+
+  test('commits reserved stock on confirmation', async () => {
+    lockedRow('pending');
+    const serviceRequest = materialRequest();
+
+    await changeStatus(serviceRequest, 'confirmed', { actorRole: 'partner' });
+
+    expect(serviceRequest.stockStatus).toBe('committed');
+    expect(material.reservedQuantity).toBe(0);
+    expect(material.availableQuantity).toBe(20);
+  });
+
+  test('rolls the change back when the in-transaction check throws', async () => {
+    lockedRow('pending');
+    const serviceRequest = materialRequest();
+    const withinTransaction = jest.fn().mockRejectedValue(Object.assign(new Error('Full'), { statusCode: 409 }));
+
+    await expect(changeStatus(serviceRequest, 'confirmed', { actorRole: 'partner', withinTransaction }))
+      .rejects.toMatchObject({ statusCode: 409 });
+
+    expect(withinTransaction).toHaveBeenCalledWith(transaction, { from: 'pending', to: 'confirmed' });
+    expect(serviceRequest.save).not.toHaveBeenCalled();
+    expect(material.update).not.toHaveBeenCalled();
+  });
+});
+
+describe('forced changeStatus', () => {
+  test('reserves stock again when a released order is forced back to confirmed', async () => {
+    lockedRow('cancelled');
+    material.reservedQuantity = 0;
+    const serviceRequest = materialRequest({ status: 'cancelled', stockStatus: 'released' });
+
+    await changeStatus(serviceRequest, 'confirmed', { actorRole: 'admin', force: true });
+
+    expect(serviceRequest.status).toBe('confirmed');
+    expect(serviceRequest.stockStatus).toBe('committed');
+    expect(material.availableQuantity).toBe(15);
+    expect(material.reservedQuantity).toBe(0);
+    expect(StockMovement.create).toHaveBeenCalledWith(expect.objectContaining({ type: 'reserve', quantity: -5 }), { transaction });
+  });
+
+  test('fails when the released stock is no longer available', async () => {
+    lockedRow('rejected');
+    material.availableQuantity = 2;
+    const serviceRequest = materialRequest({ status: 'rejected', stockStatus: 'released' });
+
+    await expect(changeStatus(serviceRequest, 'pending', { actorRole: 'admin', force: true }))
+      .rejects.toMatchObject({ statusCode: 409 });
+    expect(StatusHistory.create).not.toHaveBeenCalled();
+  });
+
+  test('leaves released stock alone between release statuses', async () => {
+    lockedRow('cancelled');
+    const serviceRequest = materialRequest({ status: 'cancelled', stockStatus: 'released' });
+
+    await changeStatus(serviceRequest, 'rejected', { actorRole: 'admin', force: true });
+
+    expect(material.update).not.toHaveBeenCalled();
+  });
+});
+
+describe('refunds on cancellation', () => {
+  test('refunds the order payments', async () => {
+    lockedRow('pending');
+    const serviceRequest = materialRequest();
+
+    await changeStatus(serviceRequest, 'cancelled', { actorRole: 'customer', note: 'Changed my mind' });
+
+    expect(refundOrderPayments).toHaveBeenCalledWith(serviceRequest, 'Changed my mind');
+    expect(enqueue).not.toHaveBeenCalledWith('payment.refund_order', expect.anything(), expect.anything());
+  });
+
+  test('queues a failed refund for retry', async () => {
+    lockedRow('pending');
+    refundOrderPayments.mockRejectedValueOnce(new Error('Gateway timeout'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const serviceRequest = materialRequest();
+
+    await changeStatus(serviceRequest, 'rejected', { actorRole: 'partner' });
+
+    expect(serviceRequest.status).toBe('rejected');
+    expect(enqueue).toHaveBeenCalledWith(
+      'payment.refund_order',
+      { serviceRequestId: serviceRequest.id, reason: 'Order rejected' },
+      { uniqueKey: `payment.refund_order:${serviceRequest.id}` }
+    );
+  });
+});
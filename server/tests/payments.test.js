@@ -0,0 +1,254 @@
+jest.mock('../utils/ledger', () => ({ recordOrderEarnings: jest.fn(), reverseOrderEarnings: jest.fn() }));
+jest.mock('../utils/notifications/orders', () => ({ notifyPayment: jest.fn() }));
+
+const { UniqueConstraintError } = require('sequelize');
+const { sequelize, Payment, PaymentEvent, ServiceRequest } = require('../models');
+const { recordOrderEarnings, reverseOrderEarnings } = require('../utils/ledger');
+const { notifyPayment } = require('../utils/notifications/orders');
+const {
+  getProvider,
+  createPaymentIntent,
+  markPaymentSucceeded,
+  handleWebhook,
+  refundPayment
+} = require('../utils/payments');
+
+const transaction = { LOCK: { UPDATE: 'UPDATE' }, afterCommit: jest.fn() };
+
+// Transactions run one at a time, as they would with the payment row locked
+const serializeTransactions = () => {
+  let queue = Promise.resolve();
+  jest.spyOn(sequelize, 'transaction').mockImplementation((callback) => {
+    const run = queue.then(() => callback(transaction));
+    queue = run.catch(() => {});
+    return run;
+  });
+};
+
+const order = () => ({ id: 'request-1', update: jest.fn().mockResolvedValue() });
+
+// The payment row as stored; every locked read sees its latest state
+const storedPayment = (values = {}) => {
+  const serviceRequest = order();
+  const row = {
+    id: 'payment-1',
+    provider: 'mock',
+    method: 'card',
+    amount: '1000.00',
+    refundedAmount: '0.00',
+    pendingRefundAmount: '0.00',
+    status: 'succeeded',
+    failureReason: null,
+    ...values,
+    update: jest.fn(async function (changes) { return Object.assign(this, changes); }),
+    getServiceRequest: jest.fn().mockResolvedValue(serviceRequest)
+  };
+  jest.spyOn(Payment, 'findByPk').mockResolvedValue(row);
+  return row;
+};
+
+beforeEach(() => serializeTransactions());
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('refundPayment', () => {
+  test('refunds the remaining amount and reverses the earning', async () => {
+    const stored = storedPayment({ refundedAmount: '250.00', status: 'partially_refunded' });
+    const gatewayRefund = jest.spyOn(getProvider('mock'), 'refund');
+
+    const { payment, refund } = await refundPayment({ id: 'payment-1', provider: 'mock' }, { reason: 'Cancelled' });
+
+    expect(Payment.findByPk).toHaveBeenCalledWith('payment-1', { transaction, lock: 'UPDATE' });
+    expect(gatewayRefund).toHaveBeenCalledWith(expect.objectContaining({ amount: 750 }));
+    expect(refund.amount).toBe(750);
+    expect(payment).toBe(stored);
+    expect(stored).toMatchObject({ status: 'refunded', refundedAmount: 1000, pendingRefundAmount: 0 });
+    expect(reverseOrderEarnings).toHaveBeenCalledWith(expect.objectContaining({ id: 'request-1' }), 750, transaction);
+  });
+
+  test('reserves the amount before calling the gateway', async () => {
+    const stored = storedPayment();
+    jest.spyOn(getProvider('mock'), 'refund').mockImplementation(async ({ amount }) => {
+      expect(stored.pendingRefundAmount).toBe(400);
+      return { reference: 'mock_re_1', amount };
+    });
+
+    await refundPayment({ id: 'payment-1', provider: 'mock' }, { amount: '400' });
+
+    expect(stored).toMatchObject({ status: 'partially_refunded', refundedAmount: 400, pendingRefundAmount: 0 });
+  });
+
+  test('lets only one of two concurrent full refunds reach the gateway', async () => {
+    storedPayment();
+    const gatewayRefund = jest.spyOn(getProvider('mock'), 'refund');
+
+    const results = await Promise.allSettled([
+      refundPayment({ id: 'payment-1', provider: 'mock' }, { reason: 'Admin refund' }),
+      refundPayment({ id: 'payment-1', provider: 'mock' }, { reason: 'Order cancelled' })
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(result => result.status === 'rejected').reason).toMatchObject({ statusCode: 400 });
+    expect(gatewayRefund).toHaveBeenCalledTimes(1);
+  });
+
+  test('releases the reservation when the gateway fails', async () => {
+    const stored = storedPayment();
+    jest.spyOn(getProvider('mock'), 'refund').mockRejectedValue(new Error('Gateway timeout'));
+
+    await expect(refundPayment({ id: 'payment-1', provider: 'mock' }, {})).rejects.toThrow('Gateway timeout');
+
+    expect(stored).toMatchObject({ status: 'succeeded', refundedAmount: '0.00', pendingRefundAmount: 0 });
+    expect(reverseOrderEarnings).not.toHaveBeenCalled();
+  });
+
+  test('refuses payments that were never collected', async () => {
+    storedPayment({ status: 'pending' });
+
+    await expect(refundPayment({ id: 'payment-1', provider: 'mock' }, {}))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Cannot refund a pending payment' });
+  });
+});
+
+describe('createPaymentIntent', () => {
+  const lockedOrder = (values = {}) => {
+    const row = {
+      id: 'request-1',
+      userId: 'user-1',
+      status: 'pending',
+      totalPrice: '15000.00',
+      tracking: { orderNumber: 'AX-1' },
+      ...values,
+      update: jest.fn().mockResolvedValue()
+    };
+    jest.spyOn(ServiceRequest, 'findByPk').mockResolvedValue(row);
+    return row;
+  };
+
+  test('locks the order before looking for open intents', async () => {
+    lockedOrder();
+    jest.spyOn(Payment, 'findAll').mockResolvedValue([]);
+    jest.spyOn(Payment, 'update').mockResolvedValue([0]);
+    const create = jest.spyOn(Payment, 'create').mockImplementation(async (values) => values);
+
+    const payment = await createPaymentIntent({ id: 'request-1' }, 'bank_transfer');
+
+    expect(ServiceRequest.findByPk).toHaveBeenCalledWith('request-1', { transaction, lock: 'UPDATE' });
+    expect(Payment.findAll).toHaveBeenCalledWith(expect.objectContaining({ transaction }));
+    expect(create).toHaveBeenCalledTimes(1);
+    expect(payment).toMatchObject({ method: 'bank_transfer', provider: 'bank_transfer', amount: '15000.00', status: 'pending' });
+  });
+
+  test('reuses the open intent a concurrent request created', async () => {
+    lockedOrder();
+    const open = { id: 'payment-1', method: 'card', status: 'requires_action' };
+    jest.spyOn(Payment, 'findAll').mockResolvedValue([open]);
+    const create = jest.spyOn(Payment, 'create');
+    const createIntent = jest.spyOn(getProvider('mock'), 'createIntent');
+
+    await expect(createPaymentIntent({ id: 'request-1' }, 'card')).resolves.toBe(open);
+    expect(create).not.toHaveBeenCalled();
+    expect(createIntent).not.toHaveBeenCalled();
+  });
+
+  test('refuses orders already paid or cancelled', async () => {
+    lockedOrder();
+    jest.spyOn(Payment, 'findAll').mockResolvedValue([{ method: 'card', status: 'succeeded' }]);
+    await expect(createPaymentIntent({ id: 'request-1' }, 'card')).rejects.toMatchObject({ statusCode: 400 });
+
+    lockedOrder({ status: 'cancelled' });
+    await expect(createPaymentIntent({ id: 'request-1' }, 'card')).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
+
+describe('markPaymentSucceeded', () => {
+  test('confirms the locked payment and credits the order', async () => {
+    const stored = storedPayment({ status: 'pending', paidAt: null });
+
+    const payment = await markPaymentSucceeded({ id: 'payment-1', status: 'pending' });
+
+    expect(Payment.findByPk).toHaveBeenCalledWith('payment-1', { transaction, lock: 'UPDATE' });
+    expect(payment).toBe(stored);
+    expect(stored.status).toBe('succeeded');
+    expect(recordOrderEarnings).toHaveBeenCalledTimes(1);
+    expect(notifyPayment).toHaveBeenCalledWith('payment_received', stored, expect.objectContaining({ id: 'request-1' }));
+  });
+
+  test('does nothing for a payment confirmed in the meantime', async () => {
+    const stored = storedPayment({ status: 'succeeded' });
+
+    // The caller's copy is stale; the locked row has already been confirmed
+    const payment = await markPaymentSucceeded({ id: 'payment-1', status: 'pending' });
+
+    expect(payment).toBe(stored);
+    expect(stored.update).not.toHaveBeenCalled();
+    expect(recordOrderEarnings).not.toHaveBeenCalled();
+    expect(notifyPayment).not.toHaveBeenCalled();
+  });
+});
+
+describe('handleWebhook', () => {
+  const delivery = (id = 'mock_evt_1') => {
+    const payload = JSON.stringify({ id, type: 'payment.succeeded', data: { reference: 'mock_pi_1' } });
+    return [payload, { 'x-autox-signature': getProvider('mock').sign(payload) }];
+  };
+
+  const webhookPayment = () => {
+    const stored = storedPayment({ status: 'requires_action', providerReference: 'mock_pi_1' });
+    jest.spyOn(Payment, 'findOne').mockResolvedValue(stored);
+    return stored;
+  };
+
+  test('claims the event before applying it', async () => {
+    const stored = webhookPayment();
+    const create = jest.spyOn(PaymentEvent, 'create').mockImplementation(async (values) => {
+      expect(stored.status).toBe('requires_action');
+      return { ...values, destroy: jest.fn() };
+    });
+
+    const { payment, duplicate } = await handleWebhook('mock', ...delivery());
+
+    expect(create).toHaveBeenCalledWith({
+      provider: 'mock',
+      eventId: 'mock_evt_1',
+      type: 'payment.succeeded',
+      paymentId: 'payment-1'
+    });
+    expect(duplicate).toBe(false);
+    expect(payment.status).toBe('succeeded');
+  });
+
+  test('skips an event whose claim is already taken', async () => {
+    const stored = webhookPayment();
+    jest.spyOn(PaymentEvent, 'create').mockRejectedValue(new UniqueConstraintError({ errors: [] }));
+
+    const { duplicate } = await handleWebhook('mock', ...delivery());
+
+    expect(duplicate).toBe(true);
+    expect(stored.update).not.toHaveBeenCalled();
+    expect(notifyPayment).not.toHaveBeenCalled();
+  });
+
+  test('gives up the claim when applying the event fails', async () => {
+    const stored = webhookPayment();
+    stored.getServiceRequest.mockRejectedValue(new Error('Deadlock'));
+    const claim = { destroy: jest.fn().mockResolvedValue() };
+    jest.spyOn(PaymentEvent, 'create').mockResolvedValue(claim);
+
+    await expect(handleWebhook('mock', ...delivery())).rejects.toThrow('Deadlock');
+    expect(claim.destroy).toHaveBeenCalledTimes(1);
+  });
+
+  test('rejects events without an id', async () => {
+    webhookPayment();
+    const payload = JSON.stringify({ type: 'payment.succeeded', data: { reference: 'mock_pi_1' } });
+    const create = jest.spyOn(PaymentEvent, 'create');
+
+    await expect(handleWebhook('mock', payload, { 'x-autox-signature': getProvider('mock').sign(payload) }))
+      .rejects.toMatchObject({ statusCode: 400 });
+    expect(create).not.toHaveBeenCalled();
+  });
+});
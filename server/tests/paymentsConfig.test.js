@@ -0,0 +1,35 @@
+const loadConfig = (env) => {
+  const saved = { ...process.env };
+  Object.assign(process.env, env);
+  Object.keys(env).forEach(name => {
+    if (env[name] === undefined) delete process.env[name];
+  });
+
+  try {
+    let config;
+    jest.isolateModules(() => {
+      jest.doMock('dotenv', () => ({ config: () => ({}) }));
+      config = require('../config/payments');
+    });
+    return config;
+  } finally {
+    process.env = saved;
+  }
+};
+
+describe('payments config', () => {
+  test('refuses to load without a webhook secret outside development', () => {
+    expect(() => loadConfig({ NODE_ENV: 'production', PAYMENT_WEBHOOK_SECRET: undefined }))
+      .toThrow('PAYMENT_WEBHOOK_SECRET must be set outside development');
+  });
+
+  test('falls back to the development secret in development', () => {
+    const config = loadConfig({ NODE_ENV: 'development', PAYMENT_WEBHOOK_SECRET: undefined });
+    expect(config.webhookSecret).toBe('autox-dev-webhook-secret');
+  });
+
+  test('uses the configured secret', () => {
+    const config = loadConfig({ NODE_ENV: 'production', PAYMENT_WEBHOOK_SECRET: 'live-secret' });
+    expect(config.webhookSecret).toBe('live-secret');
+  });
+});
@@ -0,0 +1,149 @@
+jest.mock('../utils/notifications', () => ({ notifyPartner: jest.fn() }));
+
+const { Review, ReviewReport, Vehicle, Partner } = require('../models');
+const { createReview, reportReview, moderateReview, getRatingSummary } = require('../utils/reviews');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let transaction;
+
+const customer = { id: 'user-1', name: 'Nimal' };
+
+const completedOrder = (values = {}) => ({
+  id: 'request-1',
+  userId: 'user-1',
+  assignedTo: 'partner-1',
+  vehicleId: 'vehicle-1',
+  status: 'completed',
+  completedDate: new Date(Date.now() - 2 * DAY_MS),
+  ...values,
+  save: jest.fn().mockResolvedValue()
+});
+
+const ratingTarget = () => ({ update: jest.fn().mockResolvedValue() });
+
+const storedReview = (values = {}) => ({
+  id: 'review-1',
+  userId: 'user-1',
+  partnerId: 'partner-1',
+  vehicleId: 'vehicle-1',
+  status: 'published',
+  reportCount: 0,
+  moderatedAt: null,
+  ...values,
+  update: jest.fn(async function (changes) { return Object.assign(this, changes); })
+});
+
+let vehicle;
+let partner;
+
+beforeEach(() => {
+  transaction = { LOCK: { UPDATE: 'UPDATE' }, afterCommit: jest.fn() };
+  vehicle = ratingTarget();
+  partner = ratingTarget();
+  jest.spyOn(Vehicle, 'findByPk').mockResolvedValue(vehicle);
+  jest.spyOn(Partner, 'findByPk').mockResolvedValue(partner);
+  jest.spyOn(Review, 'findOne').mockImplementation(async ({ raw }) => (raw ? { average: '4.333', count: '3' } : null));
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('createReview', () => {
+  test('records the review and refreshes listing then partner ratings under lock', async () => {
+    jest.spyOn(Review, 'create').mockImplementation(async (values) => ({ id: 'review-1', createdAt: new Date(), ...values }));
+    const order = completedOrder();
+
+    const review = await createReview(order, customer, { rating: 5, comment: 'On time' }, transaction);
+
+    expect(review).toMatchObject({ partnerId: 'partner-1', vehicleId: 'vehicle-1', rating: 5 });
+    expect(order.feedback).toMatchObject({ rating: 5, comment: 'On time' });
+    expect(Vehicle.findByPk).toHaveBeenCalledWith('vehicle-1', { transaction, lock: 'UPDATE' });
+    expect(Vehicle.findByPk.mock.invocationCallOrder[0]).toBeLessThan(Partner.findByPk.mock.invocationCallOrder[0]);
+    expect(vehicle.update).toHaveBeenCalledWith({ rating: 4.33, ratingCount: 3 }, { transaction });
+    expect(partner.update).toHaveBeenCalledWith({ rating: 4.33, ratingCount: 3 }, { transaction });
+    expect(transaction.afterCommit).toHaveBeenCalledTimes(1);
+  });
+
+  test('only lets the customer review their own completed order within the window', async () => {
+    await expect(createReview(completedOrder({ userId: 'user-2' }), customer, { rating: 5 }, transaction))
+      .rejects.toMatchObject({ statusCode: 403 });
+    await expect(createReview(completedOrder({ status: 'in_progress' }), customer, { rating: 5 }, transaction))
+      .rejects.toMatchObject({ statusCode: 400 });
+    await expect(createReview(completedOrder({ completedDate: new Date(Date.now() - 91 * DAY_MS) }), customer, { rating: 5 }, transaction))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Requests can only be reviewed within 90 days of completion' });
+  });
+
+  test('refuses a second review of the same order', async () => {
+    Review.findOne.mockResolvedValue({ id: 'review-1' });
+
+    await expect(createReview(completedOrder(), customer, { rating: 4 }, transaction))
+      .rejects.toMatchObject({ statusCode: 409 });
+  });
+});
+
+describe('reportReview', () => {
+  beforeEach(() => {
+    jest.spyOn(ReviewReport, 'findOne').mockResolvedValue(null);
+    jest.spyOn(ReviewReport, 'create').mockImplementation(async (values) => values);
+  });
+
+  test('hides a review once enough reports come in and drops it from the ratings', async () => {
+    const review = storedReview({ reportCount: 2 });
+
+    await reportReview(review, { id: 'user-3' }, { reason: 'fake' }, transaction);
+
+    expect(review).toMatchObject({ reportCount: 3, status: 'hidden' });
+    expect(vehicle.update).toHaveBeenCalled();
+    expect(partner.update).toHaveBeenCalled();
+  });
+
+  test('keeps a review a moderator already approved visible', async () => {
+    const review = storedReview({ reportCount: 2, moderatedAt: new Date() });
+
+    await reportReview(review, { id: 'user-3' }, { reason: 'fake' }, transaction);
+
+    expect(review).toMatchObject({ reportCount: 3, status: 'published' });
+    expect(partner.update).not.toHaveBeenCalled();
+  });
+
+  test('refuses reports of your own review and repeat reports', async () => {
+    await expect(reportReview(storedReview(), customer, { reason: 'spam' }, transaction))
+      .rejects.toMatchObject({ statusCode: 400 });
+
+    ReviewReport.findOne.mockResolvedValue({ id: 'report-1' });
+    await expect(reportReview(storedReview(), { id: 'user-3' }, { reason: 'spam' }, transaction))
+      .rejects.toMatchObject({ statusCode: 409 });
+  });
+});
+
+describe('moderateReview', () => {
+  test('restores a hidden review and dismisses its open reports', async () => {
+    const resolve = jest.spyOn(ReviewReport, 'update').mockResolvedValue([2]);
+    const review = storedReview({ status: 'hidden', reportCount: 3 });
+
+    await moderateReview(review, { id: 'admin-1' }, { status: 'published', note: 'Genuine order' }, transaction);
+
+    expect(resolve).toHaveBeenCalledWith(expect.objectContaining({ status: 'dismissed', resolvedBy: 'admin-1' }), {
+      where: { reviewId: 'review-1', status: 'open' },
+      transaction
+    });
+    expect(review).toMatchObject({ status: 'published', reportCount: 0, moderatedBy: 'admin-1' });
+    expect(partner.update).toHaveBeenCalled();
+  });
+});
+
+describe('getRatingSummary', () => {
+  test('averages the published ratings and fills in the distribution', async () => {
+    const findAll = jest.spyOn(Review, 'findAll').mockResolvedValue([
+      { rating: 5, count: '3' },
+      { rating: 2, count: '1' }
+    ]);
+
+    await expect(getRatingSummary({ partnerId: 'partner-1' })).resolves.toEqual({
+      average: 4.25,
+      count: 4,
+      distribution: { 1: 0, 2: 1, 3: 0, 4: 0, 5: 3 }
+    });
+    expect(findAll.mock.calls[0][0].where).toEqual({ partnerId: 'partner-1', status: 'published' });
+  });
+});
@@ -0,0 +1,141 @@
+jest.mock('../utils/jobs', () => ({ enqueue: jest.fn(), purgeFinishedJobs: jest.fn() }));
+jest.mock('../utils/orderStatus', () => ({ changeStatus: jest.fn() }));
+jest.mock('../utils/notifications', () => ({ notifyPartner: jest.fn() }));
+jest.mock('../utils/notifications/orders', () => ({ notifyOrderReminder: jest.fn() }));
+
+const { UniqueConstraintError } = require('sequelize');
+const { sequelize, ServiceRequest, Vehicle, ScheduledTask, ScheduledAlert } = require('../models');
+const { enqueue } = require('../utils/jobs');
+const { changeStatus } = require('../utils/orderStatus');
+const { notifyPartner } = require('../utils/notifications');
+const { notifyOrderReminder } = require('../utils/notifications/orders');
+const { parseCron, nextRunAfter } = require('../utils/scheduler/cron');
+const { queueDueTasks } = require('../utils/scheduler');
+const tasks = require('../utils/scheduler/tasks');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe('nextRunAfter', () => {
+  // Local times, as the scheduler reads them
+  const at = (month, day, hour, minute) => new Date(2026, month - 1, day, hour, minute);
+
+  test('steps to the next matching minute', () => {
+    expect(nextRunAfter('*/15 * * * *', at(3, 10, 8, 7))).toEqual(at(3, 10, 8, 15));
+    expect(nextRunAfter('*/15 * * * *', at(3, 10, 8, 45))).toEqual(at(3, 10, 9, 0));
+  });
+
+  test('never returns the starting minute itself', () => {
+    expect(nextRunAfter('0 8 * * *', at(3, 10, 8, 0))).toEqual(at(3, 11, 8, 0));
+  });
+
+  test('rolls over months and finds weekdays', () => {
+    // 1 March 2026 is a Sunday
+    expect(nextRunAfter('0 3 * * 0', at(2, 27, 12, 0))).toEqual(at(3, 1, 3, 0));
+    expect(nextRunAfter('30 9 1 * *', at(1, 31, 10, 0))).toEqual(at(2, 1, 9, 30));
+  });
+
+  test('matches either day field when both are restricted', () => {
+    // The 15th, or any Monday; 9 March 2026 is a Monday
+    expect(nextRunAfter('0 0 15 * 1', at(3, 5, 0, 0))).toEqual(at(3, 9, 0, 0));
+  });
+});
+
+describe('parseCron', () => {
+  test('expands ranges, steps and lists', () => {
+    const schedule = parseCron('0,30 8-18/5 * * 1-5');
+
+    expect([...schedule.minute]).toEqual([0, 30]);
+    expect([...schedule.hour]).toEqual([8, 13, 18]);
+    expect([...schedule.dayOfWeek]).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  test('rejects malformed expressions', () => {
+    expect(() => parseCron('* * * *')).toThrow('needs 5 fields');
+    expect(() => parseCron('60 * * * *')).toThrow('Invalid cron minute');
+    expect(() => parseCron('* * * 0 *')).toThrow('Invalid cron month');
+    expect(() => parseCron('*/0 * * * *')).toThrow('Invalid cron minute');
+  });
+});
+
+describe('queueDueTasks', () => {
+  const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+
+  test('queues each due task once and moves it to its next run', async () => {
+    jest.spyOn(ScheduledTask, 'findOrCreate').mockImplementation(async ({ defaults }) => [defaults, true]);
+    jest.spyOn(ScheduledTask, 'update').mockResolvedValue([0]);
+    jest.spyOn(sequelize, 'transaction').mockImplementation(async (callback) => callback(transaction));
+    const task = {
+      name: 'requests.expire_pending',
+      schedule: '*/15 * * * *',
+      nextRunAt: new Date(Date.now() - 60000),
+      update: jest.fn().mockResolvedValue()
+    };
+    const findAll = jest.spyOn(ScheduledTask, 'findAll').mockResolvedValue([task]);
+    enqueue.mockResolvedValue({ id: 'job-1' });
+
+    await expect(queueDueTasks()).resolves.toEqual(['requests.expire_pending']);
+
+    expect(findAll).toHaveBeenCalledWith(expect.objectContaining({ transaction, lock: 'UPDATE', skipLocked: true }));
+    expect(enqueue).toHaveBeenCalledWith('scheduled.requests.expire_pending', { scheduledFor: task.nextRunAt }, {
+      uniqueKey: 'scheduled.requests.expire_pending',
+      maxAttempts: 1,
+      transaction
+    });
+    const { nextRunAt, lastJobId } = task.update.mock.calls[0][0];
+    expect(nextRunAt.getTime()).toBeGreaterThan(Date.now());
+    expect(lastJobId).toBe('job-1');
+  });
+});
+
+describe('scheduled tasks', () => {
+  test('expire pending requests nobody answered', async () => {
+    const past = new Date(Date.now() - DAY_MS);
+    jest.spyOn(ServiceRequest, 'findAll').mockResolvedValue([
+      { id: 'request-1', requiredDate: past },
+      { id: 'request-2', requiredDate: new Date(Date.now() + DAY_MS) }
+    ]);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    changeStatus
+      .mockResolvedValueOnce()
+      .mockRejectedValueOnce(new Error('Lock wait timeout'));
+
+    await expect(tasks['requests.expire_pending']()).resolves.toEqual({ expired: 1, failed: 1 });
+    expect(changeStatus).toHaveBeenCalledWith(expect.objectContaining({ id: 'request-1' }), 'cancelled', {
+      actorRole: 'system',
+      note: 'Expired: the required date passed before the partner responded'
+    });
+  });
+
+  test('send each order reminder only once', async () => {
+    jest.spyOn(ServiceRequest, 'findAll').mockResolvedValue([{ id: 'request-1' }, { id: 'request-2' }]);
+    jest.spyOn(ScheduledAlert, 'create')
+      .mockResolvedValueOnce({})
+      .mockRejectedValueOnce(new UniqueConstraintError({ errors: [] }));
+
+    await expect(tasks['orders.send_reminders']()).resolves.toEqual({ sent: 1 });
+    expect(ScheduledAlert.create).toHaveBeenCalledWith({ key: 'order_reminder:request-1' });
+    expect(notifyOrderReminder).toHaveBeenCalledTimes(1);
+  });
+
+  test('take vehicles with lapsed insurance off the market', async () => {
+    const lapsed = {
+      id: 'vehicle-1',
+      name: 'JCB 3CX',
+      ownerId: 'partner-1',
+      insurance: { expiryDate: new Date(Date.now() - DAY_MS).toISOString() },
+      update: jest.fn().mockResolvedValue()
+    };
+    const insured = { ...lapsed, id: 'vehicle-2', insurance: { expiryDate: new Date(Date.now() + DAY_MS).toISOString() }, update: jest.fn() };
+    jest.spyOn(Vehicle, 'findAll').mockResolvedValue([lapsed, insured, { ...insured, id: 'vehicle-3', insurance: null }]);
+
+    await expect(tasks['vehicles.deactivate_uninsured']()).resolves.toEqual({ deactivated: 1 });
+    expect(lapsed.update).toHaveBeenCalledWith({ status: 'inactive' });
+    expect(insured.update).not.toHaveBeenCalled();
+    expect(notifyPartner).toHaveBeenCalledWith('partner-1', 'listing_deactivated', expect.objectContaining({ vehicleId: 'vehicle-1' }));
+  });
+});
@@ -0,0 +1,121 @@
+const { Vehicle, Material } = require('../models');
+const { tokenize, editDistance, highlight, snippet } = require('../utils/search/text');
+const { createInvertedIndex } = require('../utils/search/invertedIndex');
+const { loadSearchIndexes, searchCatalog } = require('../utils/search');
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('text', () => {
+  test('tokenize drops stop words, accents and plurals but keeps model numbers', () => {
+    expect(tokenize('The Trucks for Quarries, Café and 320Ds')).toEqual(['truck', 'quarry', 'cafe', '320ds']);
+  });
+
+  test('editDistance counts a transposition as one edit and stops past the limit', () => {
+    expect(editDistance('exacavtor', 'excavator', 2)).toBe(2);
+    expect(editDistance('tipepr', 'tipper', 1)).toBe(1);
+    expect(editDistance('crane', 'grader', 1)).toBe(2);
+  });
+
+  test('highlight marks matching words and escapes the rest', () => {
+    expect(highlight('<b>Tipper</b> trucks', new Set(['truck'])))
+      .toBe('&lt;b&gt;Tipper&lt;/b&gt; <mark>trucks</mark>');
+  });
+
+  test('snippet excerpts around the first match without cutting words', () => {
+    const text = `${'Well maintained machine '.repeat(10)}with a hydraulic breaker fitted ${'and serviced '.repeat(10)}`;
+    const excerpt = snippet(text, new Set(['breaker']), 60);
+
+    expect(excerpt).toMatch(/^….*<mark>breaker<\/mark>.*…$/);
+    expect(excerpt.replace(/<\/?mark>|…/g, '').length).toBeLessThanOrEqual(60);
+    expect(snippet(text, new Set(['crane']), 60)).toBeNull();
+  });
+});
+
+describe('createInvertedIndex', () => {
+  const index = createInvertedIndex();
+
+  beforeAll(() => {
+    index.add('excavator', { name: 'CAT 320D Excavator', description: 'Tracked excavator for earthworks' });
+    index.add('tipper', { name: 'Tipper truck', description: 'Moves excavated soil', tags: 'earthworks' });
+    index.add('crane', { name: 'Mobile crane', description: 'Lifts steel beams on construction sites' });
+  });
+
+  test('ranks name matches above description matches, and typos last', () => {
+    index.add('roller', { name: 'Road roller', description: 'Often hired with an excavator' });
+
+    // The tipper only has 'excavated', two edits away
+    expect(index.search('excavator').map(hit => hit.id)).toEqual(['excavator', 'roller', 'tipper']);
+    index.remove('roller');
+  });
+
+  test('finds terms with typos and by prefix', () => {
+    expect(index.search('excavtor')[0].id).toBe('excavator');
+    expect(index.search('trac')[0]).toMatchObject({ id: 'excavator', terms: new Set(['tracked']) });
+  });
+
+  test('prefers documents matching every term, falling back to any', () => {
+    expect(index.search('tipper earthworks').map(hit => hit.id)).toEqual(['tipper']);
+    expect(index.search('crane tipper').map(hit => hit.id).sort()).toEqual(['crane', 'tipper']);
+  });
+
+  test('forgets removed documents', () => {
+    index.add('grader', { name: 'Motor grader' });
+    index.remove('grader');
+
+    expect(index.search('grader')).toEqual([]);
+    expect(index.size()).toBe(3);
+  });
+});
+
+describe('searchCatalog', () => {
+  const vehicle = (id, name) => ({
+    id,
+    name,
+    description: null,
+    tags: [],
+    specifications: null,
+    setDataValue(key, value) { this[key] = value; }
+  });
+
+  beforeAll(async () => {
+    jest.spyOn(Vehicle, 'findAll').mockResolvedValue([
+      vehicle('vehicle-1', 'JCB backhoe loader'),
+      vehicle('vehicle-2', 'Backhoe loader with breaker'),
+      vehicle('vehicle-3', 'Mobile crane')
+    ]);
+    jest.spyOn(Material, 'findAll').mockResolvedValue([]);
+    await loadSearchIndexes();
+    jest.restoreAllMocks();
+  });
+
+  test('returns the page in relevance order, not database order', async () => {
+    jest.spyOn(Vehicle, 'findAll')
+      .mockResolvedValueOnce([{ id: 'vehicle-2' }, { id: 'vehicle-1' }])
+      .mockResolvedValueOnce([vehicle('vehicle-2', 'Backhoe loader with breaker'), vehicle('vehicle-1', 'JCB backhoe loader')]);
+
+    const { count, rows } = await searchCatalog('vehicles', 'backhoe loader', { limit: 10 });
+
+    expect(count).toBe(2);
+    expect(rows.map(row => row.id)).toEqual(['vehicle-1', 'vehicle-2']);
+    expect(rows[0].search.highlights.name).toBe('JCB <mark>backhoe</mark> <mark>loader</mark>');
+  });
+
+  test('counts and pages only the matches that pass the filters', async () => {
+    const findAll = jest.spyOn(Vehicle, 'findAll')
+      .mockResolvedValueOnce([{ id: 'vehicle-2' }])
+      .mockResolvedValueOnce([vehicle('vehicle-2', 'Backhoe loader with breaker')]);
+
+    const { count, rows } = await searchCatalog('vehicles', 'backhoe', { where: { isAvailable: true }, limit: 10 });
+
+    expect(findAll.mock.calls[0][0].where.isAvailable).toBe(true);
+    expect(count).toBe(1);
+    expect(rows.map(row => row.id)).toEqual(['vehicle-2']);
+  });
+
+  test('skips the database when nothing matches', async () => {
+    const findAll = jest.spyOn(Vehicle, 'findAll');
+
+    await expect(searchCatalog('vehicles', 'bulldozer', {})).resolves.toEqual({ count: 0, rows: [] });
+    expect(findAll).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,62 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../middleware/auth', () => (req, res, next) => {
+  req.user = { id: 'user-1', role: 'customer', isVerified: true };
+  next();
+});
+jest.mock('../middleware/requirePermission', () => () => (req, res, next) => next());
+
+const { Material } = require('../models');
+const serviceRequestRoutes = require('../routes/serviceRequests');
+
+const app = express();
+app.use(express.json());
+app.use('/api/service-requests', serviceRequestRoutes);
+
+const order = (overrides) => ({
+  type: 'material',
+  materialId: '00000000-0000-0000-0000-000000000003',
+  quantity: 2,
+  requiredDate: '2026-12-01',
+  address: '12 Galle Road, Colombo 03',
+  contactDetails: { name: 'Nimal Perera', phone: '0771234567', email: 'nimal@example.com' },
+  ...overrides
+});
+
+const invalidFields = (res) => res.body.errors.map(error => error.path);
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('POST /api/service-requests', () => {
+  test.each([
+    ['a zero quantity', { quantity: 0 }, 'quantity'],
+    ['a negative quantity', { quantity: -3 }, 'quantity'],
+    ['a fractional quantity', { quantity: '1.5' }, 'quantity'],
+    ['a zero duration', { type: 'vehicle', duration: 0, durationType: 'days' }, 'duration'],
+    ['an unknown duration type', { type: 'vehicle', duration: 2, durationType: 'weeks' }, 'durationType']
+  ])('rejects %s', async (label, overrides, field) => {
+    const findByPk = jest.spyOn(Material, 'findByPk');
+
+    const res = await request(app).post('/api/service-requests').send(order(overrides));
+
+    expect(res.status).toBe(400);
+    expect(invalidFields(res)).toContain(field);
+    expect(findByPk).not.toHaveBeenCalled();
+  });
+
+  test('accepts a numeric string quantity', async () => {
+    jest.spyOn(Material, 'findByPk').mockResolvedValue({
+      isAvailable: true,
+      isPublished: true,
+      availableQuantity: 100,
+      minimumOrder: 15,
+      unit: 'cubes'
+    });
+
+    const res = await request(app).post('/api/service-requests').send(order({ quantity: '12' }));
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Minimum order is 15 cubes');
+  });
+});
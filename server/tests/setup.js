@@ -0,0 +1,2 @@
+// Settings the app requires outside development
+process.env.PAYMENT_WEBHOOK_SECRET = process.env.PAYMENT_WEBHOOK_SECRET || 'test-webhook-secret';
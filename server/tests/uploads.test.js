@@ -0,0 +1,76 @@
+const fs = require('fs');
+const { uploadFileName, getUploadOwner, findUpload } = require('../utils/uploads');
+const { attachDocument } = require('../utils/partnerVerification');
+
+const OWNER = '3f6c2a4e-8b1d-4c2e-9a7f-5d0e1b2c3a4f';
+const OTHER = '9d8c7b6a-5f4e-4d3c-8b2a-1f0e9d8c7b6a';
+
+beforeEach(() => {
+  jest.spyOn(fs, 'existsSync').mockReturnValue(true);
+  jest.spyOn(fs, 'statSync').mockReturnValue({ size: 2048 });
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('upload names', () => {
+  test('record the uploader', () => {
+    const fileName = uploadFileName('documents', OWNER, '.pdf');
+
+    expect(fileName).toMatch(new RegExp(`^documents-${OWNER}-\\d+-\\d+\\.pdf$`));
+    expect(getUploadOwner(fileName)).toBe(OWNER);
+  });
+
+  test('without an owner have none', () => {
+    expect(getUploadOwner('documents-1700000000000-123456789.pdf')).toBeNull();
+  });
+});
+
+describe('findUpload', () => {
+  const fileName = `documents-${OWNER}-1700000000000-123456789.pdf`;
+
+  test('finds a file for its owner', () => {
+    expect(findUpload(fileName, { ownerId: OWNER })).toEqual({
+      fileName,
+      fileUrl: `/uploads/${fileName}`,
+      size: 2048
+    });
+  });
+
+  test('does not find another user\'s file', () => {
+    expect(findUpload(fileName, { ownerId: OTHER })).toBeNull();
+  });
+
+  test('never finds names with a directory part', () => {
+    expect(findUpload(`../${fileName}`)).toBeNull();
+  });
+});
+
+describe('attachDocument', () => {
+  const partner = (userId) => ({
+    userId,
+    verificationStatus: 'pending',
+    documents: [],
+    update: jest.fn().mockResolvedValue()
+  });
+
+  test('attaches a file the partner uploaded', async () => {
+    const owner = partner(OWNER);
+    const document = await attachDocument(owner, {
+      type: 'insurance',
+      fileName: `documents-${OWNER}-1700000000000-123456789.pdf`
+    });
+
+    expect(document).toMatchObject({ type: 'insurance', status: 'pending' });
+    expect(owner.update).toHaveBeenCalledWith({ documents: [document] });
+  });
+
+  test('refuses a file uploaded by someone else', async () => {
+    const other = partner(OTHER);
+
+    await expect(attachDocument(other, {
+      type: 'insurance',
+      fileName: `documents-${OWNER}-1700000000000-123456789.pdf`
+    })).rejects.toMatchObject({ statusCode: 400, message: 'Uploaded file not found' });
+    expect(other.update).not.toHaveBeenCalled();
+  });
+});
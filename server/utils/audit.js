@@ -0,0 +1,152 @@
+const { Op } = require('sequelize');
+const models = require('../models');
+const config = require('../config/audit');
+const { getCurrentRequest } = require('./requestContext');
+
+const { sequelize, AuditLog } = models;
+
+const REDACTED = '[redacted]';
+
+const serialize = (value) => JSON.stringify(value === undefined ? null : value);
+
+// { field: { from, to } } for the given fields whose values differ
+const diffChanges = (before, after, fields) => {
+  const changes = {};
+
+  for (const field of fields) {
+    if (serialize(before[field]) !== serialize(after[field])) {
+      changes[field] = {
+        from: before[field] === undefined ? null : before[field],
+        to: after[field] === undefined ? null : after[field]
+      };
+    }
+  }
+
+  return changes;
+};
+
+const requestDetails = (req) => ({
+  actorId: req && req.user ? req.user.id : null,
+  actorRole: req && req.user ? req.user.role : null,
+  ipAddress: req ? req.ip : null,
+  requestId: req ? req.id || null : null
+});
+
+// Record an action taken by the authenticated user of a request
+const recordAudit = (req, { action, entityType, entityId, reason, changes }, transaction) => {
+  return AuditLog.create({
+    ...requestDetails(req),
+    action,
+    entityType,
+    entityId: entityId || null,
+    reason: reason || null,
+    changes: changes && Object.keys(changes).length > 0 ? changes : null
+  }, { transaction });
+};
+
+// 'PayoutBatch' -> 'payout_batch'
+const toEntityType = (modelName) => modelName.replace(/([a-z])([A-Z])/g, '$1_$2').toLowerCase();
+
+const auditedFields = (fields) => fields.filter(field => !config.ignoredFields.includes(field));
+
+const redact = (changes) => {
+  for (const field of Object.keys(changes)) {
+    if (config.redactedFields.includes(field)) {
+      changes[field] = { from: REDACTED, to: REDACTED };
+    }
+  }
+  return changes;
+};
+
+// Entry for a change made by a model hook, attributed to the request in progress if any
+const recordModelChange = (entityType, verb, entityId, changes, options) => {
+  if (Object.keys(changes).length === 0) return null;
+
+  return AuditLog.create({
+    ...requestDetails(getCurrentRequest()),
+    action: `${entityType}.${verb}`,
+    entityType,
+    entityId: entityId || null,
+    changes: redact(changes)
+  }, { transaction: options.transaction });
+};
+
+// Bulk operations only expose their where clause; keep the id when it names one row
+const bulkEntityId = (options) => {
+  const where = options.where || {};
+  return typeof where.id === 'string' ? where.id : null;
+};
+
+// Record every create, update and delete of the configured models. Call once at startup.
+const registerAuditHooks = () => {
+  for (const modelName of config.models) {
+    const Model = models[modelName];
+    const entityType = toEntityType(modelName);
+
+    Model.addHook('afterCreate', 'audit', (instance, options) => {
+      const values = instance.get({ plain: true });
+      return recordModelChange(entityType, 'create', instance.id,
+        diffChanges({}, values, auditedFields(Object.keys(values))), options);
+    });
+
+    Model.addHook('afterUpdate', 'audit', (instance, options) => {
+      const fields = auditedFields(instance.changed() || []);
+      const before = {};
+      fields.forEach(field => { before[field] = instance.previous(field); });
+
+      return recordModelChange(entityType, 'update', instance.id,
+        diffChanges(before, instance.get({ plain: true }), fields), options);
+    });
+
+    Model.addHook('afterDestroy', 'audit', (instance, options) => {
+      const values = instance.get({ plain: true });
+      return recordModelChange(entityType, 'delete', instance.id,
+        diffChanges(values, {}, auditedFields(Object.keys(values))), options);
+    });
+
+    // With individualHooks the per-instance hooks above already ran
+    Model.addHook('afterBulkUpdate', 'audit', (options) => {
+      if (options.individualHooks) return null;
+
+      const values = options.attributes || {};
+      const changes = {};
+      auditedFields(Object.keys(values)).forEach(field => {
+        changes[field] = { from: null, to: values[field] };
+      });
+
+      return recordModelChange(entityType, 'update', bulkEntityId(options), changes, options);
+    });
+
+    Model.addHook('afterBulkDestroy', 'audit', (options) => {
+      if (options.individualHooks) return null;
+
+      // Deleted rows are identified by the plain conditions they matched
+      const where = options.where || {};
+      const changes = {};
+      Object.keys(where).forEach(field => {
+        changes[field] = { from: where[field], to: null };
+      });
+
+      return recordModelChange(entityType, 'delete', bulkEntityId(options), changes, options);
+    });
+  }
+};
+
+// Delete entries past the retention period. Goes through the query interface
+// because the model refuses deletes, so the filter names the column directly.
+const purgeExpiredAuditLogs = async () => {
+  const cutoff = new Date(Date.now() - config.retentionDays * 24 * 60 * 60 * 1000);
+
+  const deleted = await sequelize.getQueryInterface().bulkDelete(AuditLog.getTableName(), {
+    [AuditLog.rawAttributes.createdAt.field]: { [Op.lt]: cutoff }
+  });
+
+  return { cutoff, deleted };
+};
+
+module.exports = {
+  diffChanges,
+  recordAudit,
+  registerAuditHooks,
+  purgeExpiredAuditLogs
+};
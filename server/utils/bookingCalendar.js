@@ -0,0 +1,176 @@
+const { Op } = require('sequelize');
+const { ServiceRequest, MaintenanceRecord } = require('../models');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Statuses that hold a vehicle for their booking window
+const BLOCKING_STATUSES = ['confirmed', 'in_progress'];
+
+// Maintenance record statuses that take a vehicle out of service
+const MAINTENANCE_BLOCKING_STATUSES = ['scheduled', 'in_progress'];
+
+// Build the booking window from requiredDate + duration/durationType
+const getBookingWindow = (requiredDate, duration, durationType) => {
+  const start = new Date(requiredDate);
+  const unit = durationType === 'hours' ? HOUR_MS : DAY_MS;
+  const end = new Date(start.getTime() + parseInt(duration) * unit);
+
+  return { start, end };
+};
+
+const overlaps = (aStart, aEnd, bStart, bEnd) => aStart < bEnd && aEnd > bStart;
+
+// Normalise vehicle.availability into a list of blocked slots.
+// unavailableDates accepts either 'YYYY-MM-DD' strings (whole UTC day, like
+// the DATEONLY columns) or { startDate, endDate, reason } objects.
+const getBlockedSlots = (vehicle) => {
+  const availability = vehicle.availability || {};
+  const slots = [];
+
+  (availability.unavailableDates || []).forEach(entry => {
+    if (typeof entry === 'string') {
+      const start = new Date(entry);
+      if (isNaN(start)) return;
+      start.setUTCHours(0, 0, 0, 0);
+      slots.push({
+        start,
+        end: new Date(start.getTime() + DAY_MS),
+        reason: 'unavailable'
+      });
+    } else if (entry && entry.startDate && entry.endDate) {
+      const start = new Date(entry.startDate);
+      const end = new Date(entry.endDate);
+      if (isNaN(start) || isNaN(end)) return;
+      slots.push({ start, end, reason: entry.reason || 'unavailable' });
+    }
+  });
+
+  return slots;
+};
+
+// Confirmed and in-progress requests for a vehicle overlapping [start, end)
+const findBookedSlots = async (vehicleId, start, end, options = {}) => {
+  const where = {
+    vehicleId,
+    status: { [Op.in]: BLOCKING_STATUSES },
+    startDate: { [Op.lt]: end },
+    endDate: { [Op.gt]: start }
+  };
+
+  if (options.excludeId) {
+    where.id = { [Op.ne]: options.excludeId };
+  }
+
+  const requests = await ServiceRequest.findAll({
+    where,
+    attributes: ['id', 'status', 'startDate', 'endDate'],
+    order: [['startDate', 'ASC']],
+    transaction: options.transaction
+  });
+
+  return requests.map(request => ({
+    id: request.id,
+    start: request.startDate,
+    end: request.endDate,
+    status: request.status
+  }));
+};
+
+// Scheduled and in-progress maintenance windows for a vehicle overlapping [start, end)
+const findMaintenanceSlots = async (vehicleId, start, end, options = {}) => {
+  const where = {
+    vehicleId,
+    status: { [Op.in]: MAINTENANCE_BLOCKING_STATUSES },
+    startDate: { [Op.lt]: end },
+    endDate: { [Op.gt]: start }
+  };
+
+  if (options.excludeId) {
+    where.id = { [Op.ne]: options.excludeId };
+  }
+
+  const records = await MaintenanceRecord.findAll({
+    where,
+    attributes: ['id', 'type', 'status', 'startDate', 'endDate'],
+    order: [['startDate', 'ASC']],
+    transaction: options.transaction
+  });
+
+  return records.map(record => ({
+    id: record.id,
+    start: record.startDate,
+    end: record.endDate,
+    reason: 'maintenance',
+    maintenanceType: record.type
+  }));
+};
+
+// Returns the reasons a vehicle cannot be booked for [start, end), or an empty array
+const findConflicts = async (vehicle, start, end, options = {}) => {
+  const conflicts = [];
+  const availability = vehicle.availability || {};
+
+  if (availability.isAvailable === false) {
+    conflicts.push({ type: 'unavailable', reason: 'Vehicle is marked as unavailable' });
+  }
+
+  if (availability.availableFrom && start < new Date(availability.availableFrom)) {
+    conflicts.push({ type: 'unavailable', reason: `Vehicle is available from ${availability.availableFrom}` });
+  }
+
+  if (availability.availableUntil && end > new Date(availability.availableUntil)) {
+    conflicts.push({ type: 'unavailable', reason: `Vehicle is available until ${availability.availableUntil}` });
+  }
+
+  getBlockedSlots(vehicle)
+    .filter(slot => overlaps(start, end, slot.start, slot.end))
+    .forEach(slot => conflicts.push({ type: 'blocked', ...slot }));
+
+  const maintenance = await findMaintenanceSlots(vehicle.id, start, end, { transaction: options.transaction });
+  maintenance.forEach(({ start, end, maintenanceType }) => conflicts.push({
+    type: 'maintenance',
+    start,
+    end,
+    reason: `Vehicle is out of service for ${maintenanceType}`
+  }));
+
+  const booked = await findBookedSlots(vehicle.id, start, end, options);
+  booked.forEach(slot => conflicts.push({ type: 'booked', start: slot.start, end: slot.end }));
+
+  return conflicts;
+};
+
+// Booked and blocked slots for a vehicle between from and to
+const getVehicleCalendar = async (vehicle, from, to) => {
+  const booked = await findBookedSlots(vehicle.id, from, to);
+  const maintenance = await findMaintenanceSlots(vehicle.id, from, to);
+  const blocked = getBlockedSlots(vehicle)
+    .filter(slot => overlaps(from, to, slot.start, slot.end))
+    .concat(maintenance.map(({ start, end, reason, maintenanceType }) => ({ start, end, reason, maintenanceType })))
+    .sort((a, b) => a.start - b.start);
+
+  return {
+    vehicleId: vehicle.id,
+    from,
+    to,
+    availability: {
+      isAvailable: vehicle.availability?.isAvailable !== false,
+      availableFrom: vehicle.availability?.availableFrom || null,
+      availableUntil: vehicle.availability?.availableUntil || null
+    },
+    booked: booked.map(({ start, end, status }) => ({ start, end, status })),
+    blocked
+  };
+};
+
+module.exports = {
+  BLOCKING_STATUSES,
+  MAINTENANCE_BLOCKING_STATUSES,
+  getBookingWindow,
+  getBlockedSlots,
+  findBookedSlots,
+  findMaintenanceSlots,
+  findConflicts,
+  getVehicleCalendar
+};
@@ -0,0 +1,14 @@
+const csvField = (value) => {
+  const text = String(value === null || value === undefined ? '' : value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// CSV text from a header row and data rows
+const toCsv = (header, rows) => {
+  return [header, ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n';
+};
+
+module.exports = {
+  csvField,
+  toCsv
+};
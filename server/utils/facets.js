@@ -0,0 +1,132 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const config = require('../config/facets');
+
+// Facets each catalogue supports. Each facet is counted with every filter
+// applied except its own, so the options stay selectable as filters combine.
+const CATALOG_FACETS = {
+  vehicles: ['category', 'district', 'price', 'rating', 'operatorIncluded'],
+  materials: ['category', 'district', 'price', 'rating']
+};
+
+// Facet names asked for by a ?facets= value: 'true' for all of them, or a
+// comma-separated list
+const parseFacets = (value, catalog) => {
+  if (!value || value === 'false') return [];
+  if (value === 'true') return CATALOG_FACETS[catalog];
+
+  return value.split(',').map(name => name.trim()).filter(name => CATALOG_FACETS[catalog].includes(name));
+};
+
+// Where clause from named filter conditions, leaving out `except`. A
+// condition may be a where object or an array of them.
+const combineFilters = (filters, except) => ({
+  [Op.and]: Object.keys(filters)
+    .filter(name => name !== except && filters[name])
+    .map(name => (Array.isArray(filters[name]) ? { [Op.and]: filters[name] } : filters[name]))
+});
+
+// { field: { gte min, lte max } } or null when neither bound is given
+const rangeFilter = (field, min, max) => {
+  if (min === undefined && max === undefined) return null;
+
+  const range = {};
+  if (min !== undefined) range[Op.gte] = parseFloat(min);
+  if (max !== undefined) range[Op.lte] = parseFloat(max);
+  return { [field]: range };
+};
+
+// Column reference for an attribute. Raw SQL has to use the column name,
+// which differs from the attribute name under the underscored naming.
+const column = (Model, attribute) => sequelize.col(`${Model.name}.${Model.rawAttributes[attribute].field}`);
+
+const countBy = async (Model, where, expression) => {
+  const rows = await Model.findAll({
+    where,
+    attributes: [
+      [expression, 'value'],
+      [sequelize.fn('COUNT', sequelize.col(`${Model.name}.id`)), 'count']
+    ],
+    group: ['value'],
+    raw: true
+  });
+
+  return rows.map(row => ({ value: row.value, count: parseInt(row.count) }));
+};
+
+const byCount = (a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value));
+
+// Index of the price band a row falls in
+const priceBandSql = (Model, attribute, bands) => {
+  const field = `\`${Model.name}\`.\`${Model.rawAttributes[attribute].field}\``;
+  const cases = bands
+    .map((edge, index) => ({ edge, index }))
+    .reverse()
+    .map(({ edge, index }) => `WHEN ${field} >= ${Number(edge)} THEN ${index}`)
+    .join(' ');
+  return sequelize.literal(`(CASE ${cases} END)`);
+};
+
+const counters = {
+  category: async (Model, where) => (await countBy(Model, where, column(Model, 'category'))).sort(byCount),
+
+  district: async (Model, where) => {
+    const rows = await countBy(Model, where, column(Model, 'district'));
+    return rows.filter(row => row.value !== null).sort(byCount);
+  },
+
+  price: async (Model, where, catalog) => {
+    const { priceField, priceBands } = config[catalog];
+    const rows = await countBy(Model, where, priceBandSql(Model, priceField, priceBands));
+
+    return rows
+      .filter(row => row.value !== null)
+      .map(row => {
+        const index = parseInt(row.value);
+        return {
+          value: index,
+          min: priceBands[index],
+          max: index + 1 < priceBands.length ? priceBands[index + 1] : null,
+          count: row.count
+        };
+      })
+      .sort((a, b) => a.value - b.value);
+  },
+
+  // Cumulative: a 4.5 star listing counts towards 4+, 3+, 2+ and 1+
+  rating: async (Model, where) => {
+    const rows = await countBy(Model, where, sequelize.fn('FLOOR', column(Model, 'rating')));
+
+    return config.ratingBands
+      .map(band => ({
+        value: band,
+        count: rows.filter(row => parseInt(row.value) >= band).reduce((sum, row) => sum + row.count, 0)
+      }))
+      .filter(band => band.count > 0);
+  },
+
+  operatorIncluded: async (Model, where) => {
+    const rows = await countBy(Model, where, column(Model, 'operatorIncluded'));
+    return rows.map(row => ({ value: Boolean(row.value), count: row.count })).sort(byCount);
+  }
+};
+
+// { facet: [{ value, count }] } for the requested facets. Options with no
+// matches are left out.
+const countFacets = async (Model, catalog, filters, names) => {
+  const facets = {};
+
+  for (const name of names) {
+    facets[name] = await counters[name](Model, combineFilters(filters, name), catalog);
+  }
+
+  return facets;
+};
+
+module.exports = {
+  CATALOG_FACETS,
+  parseFacets,
+  combineFilters,
+  rangeFilter,
+  countFacets
+};
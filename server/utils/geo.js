@@ -0,0 +1,232 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const config = require('../config/geo');
+const gazetteer = require('../data/sriLankaGazetteer');
+
+const EARTH_RADIUS_KM = 6371;
+
+const normalizePlace = (name) => {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/\bdistrict\b/g, '')
+    .replace(/[^a-z]+/g, ' ')
+    .trim();
+};
+
+// normalized name -> { name, district, lat, lng }
+const places = new Map();
+gazetteer.districts.forEach(district => {
+  const place = { name: district.name, district: district.name, lat: district.lat, lng: district.lng };
+  [district.name, ...(district.aliases || [])].forEach(name => places.set(normalizePlace(name), place));
+});
+gazetteer.cities.forEach(city => {
+  places.set(normalizePlace(city.name), { ...city });
+});
+
+// Longest names first so 'Dehiwala-Mount Lavinia' wins over 'Mount Lavinia'
+const placeNames = [...places.keys()].sort((a, b) => b.length - a.length);
+
+const findPlace = (name) => places.get(normalizePlace(name)) || null;
+
+const isInSriLanka = (lat, lng) => {
+  const { bounds } = config;
+  return Number.isFinite(lat) && Number.isFinite(lng) &&
+    lat >= bounds.minLat && lat <= bounds.maxLat &&
+    lng >= bounds.minLng && lng <= bounds.maxLng;
+};
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Great-circle distance between two { lat, lng } points
+const distanceKm = (from, to) => {
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+const roundKm = (km) => Math.round(km * 100) / 100;
+
+const nearestDistrict = (lat, lng) => {
+  let nearest = null;
+  let nearestKm = Infinity;
+
+  for (const district of gazetteer.districts) {
+    const km = distanceKm({ lat, lng }, district);
+    if (km < nearestKm) {
+      nearest = district;
+      nearestKm = km;
+    }
+  }
+
+  return nearest.name;
+};
+
+const located = (place, source) => ({
+  lat: place.lat,
+  lng: place.lng,
+  place: place.name,
+  district: place.district,
+  source
+});
+
+// { lat, lng, place, district, source } for a listing location, partner
+// address or free-text address, or null when nothing in it is recognised.
+// Explicit coordinates win, then the city, then the district, then any known
+// place name mentioned anywhere in the text.
+const geocode = (address) => {
+  if (!address) return null;
+
+  if (typeof address === 'object') {
+    const lat = parseFloat(address.lat !== undefined ? address.lat : address.latitude);
+    const lng = parseFloat(address.lng !== undefined ? address.lng : address.longitude);
+    if (isInSriLanka(lat, lng)) {
+      const district = (address.district && findPlace(address.district)) || null;
+      return {
+        lat,
+        lng,
+        place: address.city || null,
+        district: district ? district.district : nearestDistrict(lat, lng),
+        source: 'coordinates'
+      };
+    }
+
+    for (const field of ['city', 'district']) {
+      const place = address[field] && findPlace(address[field]);
+      if (place) return located(place, field);
+    }
+  }
+
+  const text = ` ${normalizePlace(typeof address === 'object' ? Object.values(address).join(' ') : address)} `;
+  const mentioned = placeNames.find(name => text.includes(` ${name} `));
+  return mentioned ? located(places.get(mentioned), 'address') : null;
+};
+
+// Copy a geocoded location onto a model instance with latitude, longitude
+// and district columns
+const applyCoordinates = (instance, point) => {
+  instance.latitude = point ? point.lat : null;
+  instance.longitude = point ? point.lng : null;
+  instance.district = point ? point.district : null;
+};
+
+const pointOf = (instance) => {
+  if (instance.latitude === null || instance.latitude === undefined) return null;
+  return {
+    lat: parseFloat(instance.latitude),
+    lng: parseFloat(instance.longitude),
+    district: instance.district || null
+  };
+};
+
+// SQL distance in km from a point to the latitude/longitude columns of a model alias
+const distanceSql = (point, alias) => {
+  const lat = `\`${alias}\`.\`latitude\``;
+  const lng = `\`${alias}\`.\`longitude\``;
+  const pointLat = Number(point.lat).toFixed(6);
+  const pointLng = Number(point.lng).toFixed(6);
+
+  return sequelize.literal(
+    `(${2 * EARTH_RADIUS_KM} * ASIN(SQRT(` +
+    `POWER(SIN(RADIANS(${lat} - ${pointLat}) / 2), 2) + ` +
+    `COS(RADIANS(${pointLat})) * COS(RADIANS(${lat})) * POWER(SIN(RADIANS(${lng} - ${pointLng}) / 2), 2))))`
+  );
+};
+
+// Where conditions for rows within radiusKm of a point. The bounding box lets
+// MySQL use the coordinate index before the exact distance check.
+const withinRadius = (point, radiusKm, alias) => {
+  const latDelta = radiusKm / 111.32;
+  const lngDelta = radiusKm / (111.32 * Math.cos(toRadians(point.lat)));
+
+  return [
+    { latitude: { [Op.between]: [point.lat - latDelta, point.lat + latDelta] } },
+    { longitude: { [Op.between]: [point.lng - lngDelta, point.lng + lngDelta] } },
+    sequelize.where(distanceSql(point, alias), { [Op.lte]: radiusKm })
+  ];
+};
+
+// Selects the rounded distance from a point as `distanceKm`
+const distanceAttribute = (point, alias) => [sequelize.fn('ROUND', distanceSql(point, alias), 2), 'distanceKm'];
+
+// Order by the distanceKm attribute, nearest first
+const byDistance = () => [[sequelize.col('distanceKm'), 'ASC']];
+
+// { point, radiusKm } from lat/lng/radiusKm query parameters, or null
+const getNearQuery = (query) => {
+  if (query.lat === undefined || query.lng === undefined) return null;
+
+  return {
+    point: { lat: parseFloat(query.lat), lng: parseFloat(query.lng) },
+    radiusKm: query.radiusKm ? parseFloat(query.radiusKm) : config.defaultRadiusKm
+  };
+};
+
+// Where a material order is delivered relative to the supplier and the
+// material's delivery areas. Areas are place names; a delivery counts as
+// inside one when it names the same place or district, or lies within
+// deliveryAreaRadiusKm of it. No areas means the supplier delivers anywhere;
+// withinDeliveryArea is null when it can't be told (no destination, or none
+// of the area names are known places).
+const checkDelivery = (material, destination) => {
+  const origin = pointOf(material);
+  const areas = material.deliveryAreas || [];
+
+  const result = {
+    distanceKm: origin && destination ? roundKm(distanceKm(origin, destination)) : null,
+    deliveryArea: null,
+    withinDeliveryArea: areas.length === 0 ? true : null
+  };
+
+  if (!destination || areas.length === 0) return result;
+
+  const names = [destination.place, destination.district].filter(Boolean).map(normalizePlace);
+  const matched = areas.find(area => {
+    if (names.includes(normalizePlace(area))) return true;
+    const place = findPlace(area);
+    return place && distanceKm(place, destination) <= config.deliveryAreaRadiusKm;
+  });
+
+  if (matched) {
+    result.deliveryArea = matched;
+    result.withinDeliveryArea = true;
+  } else if (areas.some(area => findPlace(area))) {
+    result.withinDeliveryArea = false;
+  }
+
+  return result;
+};
+
+// Delivery (materials) or mobilisation (vehicles) details for an order
+// location given as coordinates, a district and/or a free-text address
+const getDeliveryDetails = ({ type, material, vehicle }, { latitude, longitude, district, address }) => {
+  const destination = geocode({ latitude, longitude, district, address });
+
+  if (type === 'material') {
+    return { destination, ...checkDelivery(material, destination) };
+  }
+
+  const origin = pointOf(vehicle);
+  return {
+    destination,
+    distanceKm: origin && destination ? roundKm(distanceKm(origin, destination)) : null
+  };
+};
+
+module.exports = {
+  findPlace,
+  isInSriLanka,
+  distanceKm,
+  roundKm,
+  geocode,
+  applyCoordinates,
+  pointOf,
+  distanceSql,
+  withinRadius,
+  distanceAttribute,
+  byDistance,
+  getNearQuery,
+  checkDelivery,
+  getDeliveryDetails
+};
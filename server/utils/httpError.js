@@ -0,0 +1,9 @@
+// Error carrying an HTTP status code for route handlers to translate into a response
+const httpError = (message, statusCode, details) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (details) error.details = details;
+  return error;
+};
+
+module.exports = httpError;
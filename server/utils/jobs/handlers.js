@@ -0,0 +1,161 @@
+const fs = require('fs');
+const path = require('path');
+const { Op } = require('sequelize');
+const { sequelize, Partner, ServiceRequest, StatusHistory } = require('../../models');
+const sendEmail = require('../sendEmail');
+const { uploadsDir } = require('../uploads');
+const { getTransport, recordDelivery } = require('../notifications');
+const { refundOrderPayments } = require('../payments');
+const tasks = require('../scheduler/tasks');
+const { jobType } = require('../scheduler');
+
+// Job handlers by type. Each implements:
+//   run(payload, job) -> result kept on the job; throw to retry
+//   sensitive         drop the payload once the job completes
+//   onFailure(job, error, final) optional, called after every failed attempt
+const handlers = {};
+
+// Email built from sendEmail options. Verification and reset emails carry
+// sign-in tokens, so the payload is not kept.
+handlers['email.send'] = {
+  sensitive: true,
+  run: async (payload) => {
+    const info = await sendEmail(payload);
+    return { messageId: info.messageId };
+  }
+};
+
+// One channel of a notification from utils/notifications
+handlers['notification.deliver'] = {
+  run: async ({ notificationId, channel, message }) => {
+    const transport = getTransport(channel);
+    const { reference } = await transport.send(message, channel);
+
+    await recordDelivery(notificationId, channel, {
+      status: 'sent',
+      transport: transport.name,
+      reference: reference || null
+    });
+
+    return { transport: transport.name, reference: reference || null };
+  },
+  onFailure: ({ payload }, error, final) => recordDelivery(payload.notificationId, payload.channel, {
+    status: final ? 'failed' : 'retrying',
+    error: error.message
+  })
+};
+
+// Job counts, completion rate and average response time from the partner's
+// orders. Queued whenever one of their orders changes status.
+handlers['partner.refresh_stats'] = {
+  run: async ({ partnerId }) => {
+    const partner = await Partner.findByPk(partnerId);
+    if (!partner) return null;
+
+    const counts = await ServiceRequest.findAll({
+      where: { assignedTo: partnerId },
+      attributes: ['status', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+      group: ['status'],
+      raw: true
+    });
+    const byStatus = Object.fromEntries(counts.map(row => [row.status, parseInt(row.count)]));
+
+    const totalJobs = Object.values(byStatus).reduce((sum, count) => sum + count, 0);
+    const completedJobs = byStatus.completed || 0;
+    const cancelledJobs = byStatus.cancelled || 0;
+
+    // Finished orders are the ones that can count for or against completion
+    const finished = completedJobs + cancelledJobs + (byStatus.rejected || 0);
+
+    // Response time runs from the order being placed to the partner accepting
+    // or rejecting it
+    const responses = await StatusHistory.findAll({
+      where: {
+        fromStatus: 'pending',
+        toStatus: { [Op.in]: ['confirmed', 'rejected'] }
+      },
+      attributes: ['createdAt'],
+      include: [{
+        model: ServiceRequest,
+        as: 'serviceRequest',
+        where: { assignedTo: partnerId },
+        attributes: ['createdAt']
+      }]
+    });
+    const responseHours = responses.map(response =>
+      (response.createdAt - response.serviceRequest.createdAt) / (60 * 60 * 1000));
+
+    const stats = {
+      totalJobs,
+      completedJobs,
+      cancelledJobs,
+      completionRate: finished > 0 ? Math.round(completedJobs / finished * 10000) / 100 : 0,
+      responseTime: responseHours.length > 0
+        ? Math.round(responseHours.reduce((sum, hours) => sum + hours, 0) / responseHours.length)
+        : 0
+    };
+
+    await partner.update(stats);
+    return stats;
+  }
+};
+
+// Refund of a cancelled or rejected order that failed when the order changed
+// status. Payments already refunded are skipped, so a retry picks up the rest.
+handlers['payment.refund_order'] = {
+  run: async ({ serviceRequestId, reason }) => {
+    const serviceRequest = await ServiceRequest.findByPk(serviceRequestId);
+    if (!serviceRequest || !['cancelled', 'rejected'].includes(serviceRequest.status)) {
+      return { status: 'skipped' };
+    }
+
+    await refundOrderPayments(serviceRequest, reason);
+    return { status: 'refunded' };
+  }
+};
+
+// Leading bytes of each file type /api/upload accepts
+const SIGNATURES = {
+  '.jpg': [[0xFF, 0xD8, 0xFF]],
+  '.jpeg': [[0xFF, 0xD8, 0xFF]],
+  '.png': [[0x89, 0x50, 0x4E, 0x47]],
+  '.gif': [[0x47, 0x49, 0x46, 0x38]],
+  '.pdf': [[0x25, 0x50, 0x44, 0x46]]
+};
+
+// Uploads are accepted on their declared type. Check the contents match the
+// extension and remove files that don't.
+handlers['upload.verify'] = {
+  run: async ({ fileName }) => {
+    const filePath = path.join(uploadsDir, path.basename(fileName));
+    if (!fs.existsSync(filePath)) return { status: 'missing' };
+
+    const header = Buffer.alloc(8);
+    const fd = fs.openSync(filePath, 'r');
+    try {
+      fs.readSync(fd, header, 0, header.length, 0);
+    } finally {
+      fs.closeSync(fd);
+    }
+
+    const signatures = SIGNATURES[path.extname(filePath).toLowerCase()] || [];
+    const valid = signatures.some(signature => signature.every((byte, index) => header[index] === byte));
+
+    if (!valid) {
+      fs.unlinkSync(filePath);
+      console.warn(`Removed upload ${fileName}: contents do not match its file type`);
+      return { status: 'removed' };
+    }
+
+    return { status: 'valid' };
+  }
+};
+
+// Tasks from config/scheduler.js, queued by the scheduler when due
+Object.entries(tasks).forEach(([name, task]) => {
+  handlers[jobType(name)] = {
+    run: () => task()
+  };
+});
+
+module.exports = handlers;
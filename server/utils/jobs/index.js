@@ -0,0 +1,167 @@
+const { Op, UniqueConstraintError } = require('sequelize');
+const { sequelize, Job } = require('../../models');
+const config = require('../../config/jobs');
+const httpError = require('../httpError');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Queue a job. A uniqueKey keeps a single pending copy of the same work: while
+// one is waiting, enqueueing again returns it instead of adding another.
+// Pass the caller's transaction so the job only exists if the change behind it
+// is committed.
+const enqueue = async (type, payload = {}, options = {}) => {
+  const { runAt, delayMs, maxAttempts, uniqueKey = null, transaction } = options;
+
+  if (uniqueKey) {
+    const existing = await Job.findOne({ where: { uniqueKey }, transaction });
+    if (existing) return existing;
+  }
+
+  try {
+    return await Job.create({
+      type,
+      payload,
+      maxAttempts: maxAttempts || config.defaultMaxAttempts,
+      runAt: runAt || new Date(Date.now() + (delayMs || 0)),
+      uniqueKey
+    }, { transaction });
+  } catch (error) {
+    if (uniqueKey && error instanceof UniqueConstraintError) {
+      return Job.findOne({ where: { uniqueKey }, transaction });
+    }
+    throw error;
+  }
+};
+
+// Send an email from the worker. Takes the same options as sendEmail.
+const enqueueEmail = (options, jobOptions) => enqueue('email.send', options, jobOptions);
+
+// Delay before the next attempt: doubles with every attempt, capped, plus
+// jitter so jobs that failed together don't retry together
+const getBackoffMs = (attempts) => {
+  const seconds = Math.min(config.baseDelaySeconds * 2 ** Math.max(attempts - 1, 0), config.maxDelaySeconds);
+  return Math.round(seconds * 1000 * (1 + Math.random() * 0.1));
+};
+
+// Lock up to limit due jobs for a worker. Jobs left running by a worker that
+// died are picked up again once their lock times out. SKIP LOCKED lets several
+// workers claim at the same time without waiting on each other.
+const claimJobs = (workerId, limit) => sequelize.transaction(async (transaction) => {
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - config.lockTimeoutMinutes * MINUTE_MS);
+
+  const jobs = await Job.findAll({
+    where: {
+      [Op.or]: [
+        { status: 'pending', runAt: { [Op.lte]: now } },
+        { status: 'running', lockedAt: { [Op.lt]: staleBefore } }
+      ]
+    },
+    order: [['runAt', 'ASC']],
+    limit,
+    transaction,
+    lock: transaction.LOCK.UPDATE,
+    skipLocked: true
+  });
+
+  const claimed = [];
+  for (const job of jobs) {
+    if (job.status === 'running' && job.attempts >= job.maxAttempts) {
+      await job.update({
+        status: 'dead',
+        lockedBy: null,
+        lockedAt: null,
+        failedAt: now,
+        lastError: 'Worker stopped before the job finished'
+      }, { transaction });
+      continue;
+    }
+
+    // Clearing the key lets the same work be queued again while this runs
+    await job.update({
+      status: 'running',
+      attempts: job.attempts + 1,
+      lockedBy: workerId,
+      lockedAt: now,
+      uniqueKey: null
+    }, { transaction });
+    claimed.push(job);
+  }
+
+  return claimed;
+});
+
+// Sensitive payloads (emails with sign-in links) are dropped once delivered
+const completeJob = (job, result, { sensitive = false } = {}) => job.update({
+  status: 'completed',
+  result: result === undefined ? null : result,
+  lockedBy: null,
+  lockedAt: null,
+  completedAt: new Date(),
+  ...(sensitive && { payload: null })
+});
+
+// Schedule another attempt, or move the job to the dead letters when it has
+// none left. final forces the latter for errors a retry can't fix.
+const failJob = async (job, error, { final = false } = {}) => {
+  const dead = final || job.attempts >= job.maxAttempts;
+  const now = new Date();
+
+  await job.update({
+    status: dead ? 'dead' : 'pending',
+    runAt: dead ? job.runAt : new Date(now.getTime() + getBackoffMs(job.attempts)),
+    lockedBy: null,
+    lockedAt: null,
+    lastError: (error && (error.stack || error.message)) || String(error),
+    ...(dead && { failedAt: now })
+  });
+
+  return dead;
+};
+
+// Put a dead job back in the queue with a fresh set of attempts
+const retryJob = async (job) => {
+  if (job.status !== 'dead') {
+    throw httpError('Only failed jobs can be retried', 400);
+  }
+
+  return job.update({
+    status: 'pending',
+    attempts: 0,
+    runAt: new Date(),
+    failedAt: null
+  });
+};
+
+// Remove completed and dead jobs past their retention
+const purgeFinishedJobs = async () => {
+  const now = Date.now();
+
+  const completed = await Job.destroy({
+    where: {
+      status: 'completed',
+      completedAt: { [Op.lt]: new Date(now - config.completedRetentionDays * DAY_MS) }
+    }
+  });
+
+  const dead = await Job.destroy({
+    where: {
+      status: 'dead',
+      failedAt: { [Op.lt]: new Date(now - config.deadRetentionDays * DAY_MS) }
+    }
+  });
+
+  return { completed, dead };
+};
+
+module.exports = {
+  enqueue,
+  enqueueEmail,
+  getBackoffMs,
+  claimJobs,
+  completeJob,
+  failJob,
+  retryJob,
+  purgeFinishedJobs
+};
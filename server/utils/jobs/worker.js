@@ -0,0 +1,116 @@
+const os = require('os');
+const config = require('../../config/jobs');
+const schedulerConfig = require('../../config/scheduler');
+const handlers = require('./handlers');
+const { claimJobs, completeJob, failJob } = require('./index');
+const { queueDueTasks } = require('../scheduler');
+
+// Reject if a handler hangs so its job is retried instead of holding the worker
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Job timed out after ${ms / 1000}s`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+const runJob = async (job) => {
+  const handler = handlers[job.type];
+
+  if (!handler) {
+    await failJob(job, new Error(`No handler for job type: ${job.type}`), { final: true });
+    return;
+  }
+
+  try {
+    const result = await withTimeout(
+      Promise.resolve().then(() => handler.run(job.payload || {}, job)),
+      config.jobTimeoutSeconds * 1000
+    );
+    await completeJob(job, result, { sensitive: handler.sensitive });
+  } catch (error) {
+    const final = await failJob(job, error);
+    console.error(`Job ${job.type} ${job.id} failed (attempt ${job.attempts}${final ? ', giving up' : ''}):`, error.message);
+
+    if (handler.onFailure) {
+      try {
+        await handler.onFailure(job, error, final);
+      } catch (hookError) {
+        console.error(`Job ${job.type} failure hook error:`, hookError);
+      }
+    }
+  }
+};
+
+// Polls the queue and runs due jobs one at a time. Several workers, in or out
+// of the API process, can share a queue.
+const createWorker = ({
+  id = `${os.hostname()}:${process.pid}`,
+  pollIntervalMs = config.pollIntervalMs,
+  batchSize = config.batchSize
+} = {}) => {
+  let running = false;
+  let timer = null;
+  let current = null;
+  let lastScheduleCheckAt = 0;
+
+  // Queue scheduled tasks that are due, then claim and run one batch;
+  // resolves to the number of jobs run
+  const runOnce = async () => {
+    if (Date.now() - lastScheduleCheckAt > schedulerConfig.checkIntervalSeconds * 1000) {
+      lastScheduleCheckAt = Date.now();
+      await queueDueTasks();
+    }
+
+    const jobs = await claimJobs(id, batchSize);
+    for (const job of jobs) {
+      await runJob(job);
+    }
+    return jobs.length;
+  };
+
+  // A full batch means more may be waiting, so poll again straight away
+  const poll = async () => {
+    let count = 0;
+    try {
+      current = runOnce();
+      count = await current;
+    } catch (error) {
+      console.error('Job worker error:', error);
+    } finally {
+      current = null;
+    }
+
+    if (running) {
+      timer = setTimeout(poll, count === batchSize ? 0 : pollIntervalMs);
+    }
+  };
+
+  const start = () => {
+    if (running) return;
+    running = true;
+    console.log(`⚙️  Job worker ${id} started`);
+    poll();
+  };
+
+  // Stop polling and wait for the batch in hand to finish
+  const stop = async () => {
+    running = false;
+    clearTimeout(timer);
+    if (current) {
+      await current.catch(() => {});
+    }
+  };
+
+  return {
+    id,
+    start,
+    stop,
+    runOnce
+  };
+};
+
+module.exports = {
+  createWorker,
+  runJob
+};
@@ -0,0 +1,285 @@
+const { Op } = require('sequelize');
+const { v4: uuidv4 } = require('uuid');
+const { sequelize, Partner, ServiceRequest, LedgerEntry, PayoutBatch } = require('../models');
+const commission = require('../config/commission');
+const httpError = require('./httpError');
+const { toCsv } = require('./csv');
+
+const ACCOUNTS = {
+  clearing: 'platform:clearing',
+  commission: 'platform:commission',
+  tax: 'platform:tax',
+  bank: 'platform:bank'
+};
+
+const partnerAccount = (partnerId) => `partner:${partnerId}`;
+
+const toCents = (amount) => Math.round(parseFloat(amount || 0) * 100);
+const fromCents = (cents) => cents / 100;
+
+const getCommissionRate = (partner) => {
+  const plan = partner.subscription && partner.subscription.plan;
+  if (plan && Object.prototype.hasOwnProperty.call(commission.plans, plan)) {
+    return commission.plans[plan];
+  }
+  return commission.defaultRate;
+};
+
+// Write one balanced set of ledger lines. Lines are { account, debit, credit } in cents.
+const postTransaction = async (type, lines, refs, transaction) => {
+  const debits = lines.reduce((sum, line) => sum + (line.debit || 0), 0);
+  const credits = lines.reduce((sum, line) => sum + (line.credit || 0), 0);
+
+  if (debits !== credits) {
+    throw new Error(`Unbalanced ledger transaction: debits ${debits} != credits ${credits}`);
+  }
+
+  const transactionId = uuidv4();
+
+  return LedgerEntry.bulkCreate(lines.map(line => ({
+    transactionId,
+    type,
+    account: line.account,
+    partnerId: line.partnerId || null,
+    serviceRequestId: refs.serviceRequestId || null,
+    payoutBatchId: refs.payoutBatchId || null,
+    debit: fromCents(line.debit || 0),
+    credit: fromCents(line.credit || 0),
+    description: refs.description || null
+  })), { transaction });
+};
+
+const getPartnerBalance = async (partnerId, transaction) => {
+  const [row] = await LedgerEntry.findAll({
+    where: { account: partnerAccount(partnerId) },
+    attributes: [
+      [sequelize.fn('COALESCE', sequelize.fn('SUM', sequelize.col('credit')), 0), 'credits'],
+      [sequelize.fn('COALESCE', sequelize.fn('SUM', sequelize.col('debit')), 0), 'debits']
+    ],
+    raw: true,
+    transaction
+  });
+
+  return fromCents(toCents(row.credits) - toCents(row.debits));
+};
+
+// Credit the partner for a completed, paid order minus platform commission.
+// Safe to call repeatedly; only the first call once both conditions hold posts.
+// Completion and payment can land at the same time, so the decision is made
+// on the locked order row rather than the caller's copy.
+const recordOrderEarnings = async (serviceRequest) => {
+  return sequelize.transaction(async (transaction) => {
+    const order = await ServiceRequest.findByPk(serviceRequest.id, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    const payment = (order && order.payment) || {};
+    if (!order || order.status !== 'completed' || payment.status !== 'succeeded' || !order.assignedTo) {
+      return null;
+    }
+
+    const partner = await Partner.findByPk(order.assignedTo, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    const existing = await LedgerEntry.count({
+      where: { serviceRequestId: order.id, type: 'order_earning' },
+      transaction
+    });
+    if (existing > 0 || !partner) return null;
+
+    const paidCents = toCents(payment.paidAmount);
+    const breakdown = order.priceBreakdown;
+    const taxCents = breakdown && breakdown.tax ? Math.min(toCents(breakdown.tax.amount), paidCents) : 0;
+    const netCents = paidCents - taxCents;
+    const rate = getCommissionRate(partner);
+    const commissionCents = Math.round(netCents * rate);
+    const earningCents = netCents - commissionCents;
+
+    const lines = [
+      { account: ACCOUNTS.clearing, debit: paidCents },
+      { account: partnerAccount(partner.id), partnerId: partner.id, credit: earningCents },
+      { account: ACCOUNTS.commission, credit: commissionCents }
+    ];
+    if (taxCents > 0) {
+      lines.push({ account: ACCOUNTS.tax, credit: taxCents });
+    }
+
+    await postTransaction('order_earning', lines, {
+      serviceRequestId: order.id,
+      description: `Order ${order.tracking.orderNumber} (commission ${rate * 100}%)`
+    }, transaction);
+
+    await partner.update({
+      totalEarnings: fromCents(toCents(partner.totalEarnings) + earningCents)
+    }, { transaction });
+
+    return { earning: fromCents(earningCents), commission: fromCents(commissionCents), rate };
+  });
+};
+
+// Take back the share of an order's earning that a refund covers: each line
+// the earning credited (partner, commission, tax) is debited in proportion to
+// the amount refunded so far, against platform clearing. Orders refunded
+// before their earning was posted have nothing to reverse. Must run inside
+// the refund's transaction.
+const reverseOrderEarnings = async (serviceRequest, refundAmount, transaction) => {
+  if (!serviceRequest.assignedTo) return null;
+
+  const partner = await Partner.findByPk(serviceRequest.assignedTo, {
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+
+  const entries = await LedgerEntry.findAll({
+    where: { serviceRequestId: serviceRequest.id, type: { [Op.in]: ['order_earning', 'order_refund'] } },
+    transaction
+  });
+
+  const earning = entries.filter(entry => entry.type === 'order_earning');
+  const clearing = earning.find(entry => entry.account === ACCOUNTS.clearing);
+  if (!partner || !clearing) return null;
+
+  const reversed = entries.filter(entry => entry.type === 'order_refund');
+  const sumFor = (lines, account, side) => lines
+    .filter(entry => entry.account === account)
+    .reduce((sum, entry) => sum + toCents(entry[side]), 0);
+
+  const paidCents = toCents(clearing.debit);
+  const refundedCents = Math.min(sumFor(reversed, ACCOUNTS.clearing, 'credit') + toCents(refundAmount), paidCents);
+
+  // Reversed totals are worked out from the cumulative refund so rounding
+  // never takes back more than was credited
+  const lines = earning
+    .filter(entry => toCents(entry.credit) > 0)
+    .map(entry => {
+      const target = refundedCents >= paidCents
+        ? toCents(entry.credit)
+        : Math.round(toCents(entry.credit) * refundedCents / paidCents);
+      return {
+        account: entry.account,
+        partnerId: entry.partnerId,
+        debit: target - sumFor(reversed, entry.account, 'debit')
+      };
+    })
+    .filter(line => line.debit > 0);
+
+  const totalCents = lines.reduce((sum, line) => sum + line.debit, 0);
+  if (totalCents === 0) return null;
+  lines.push({ account: ACCOUNTS.clearing, credit: totalCents });
+
+  await postTransaction('order_refund', lines, {
+    serviceRequestId: serviceRequest.id,
+    description: `Refund on order ${serviceRequest.tracking.orderNumber}`
+  }, transaction);
+
+  const partnerLine = lines.find(line => line.account === partnerAccount(partner.id));
+  const partnerCents = partnerLine ? partnerLine.debit : 0;
+  await partner.update({
+    totalEarnings: fromCents(toCents(partner.totalEarnings) - partnerCents)
+  }, { transaction });
+
+  return { reversed: fromCents(totalCents), partner: fromCents(partnerCents) };
+};
+
+// Pay out every partner balance above the minimum into a new batch
+const generatePayoutBatch = async (userId) => {
+  return sequelize.transaction(async (transaction) => {
+    // A locking read: a concurrent run waits here until this one commits and
+    // then sees its payout debits, so no balance is paid twice
+    const balances = await LedgerEntry.findAll({
+      where: { account: { [Op.like]: 'partner:%' } },
+      attributes: [
+        'partnerId',
+        [sequelize.fn('SUM', sequelize.col('credit')), 'credits'],
+        [sequelize.fn('SUM', sequelize.col('debit')), 'debits']
+      ],
+      group: ['partnerId'],
+      raw: true,
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    const minimumCents = toCents(commission.minimumPayout);
+    const payable = balances
+      .map(row => ({ partnerId: row.partnerId, cents: toCents(row.credits) - toCents(row.debits) }))
+      .filter(row => row.cents >= minimumCents);
+
+    if (payable.length === 0) {
+      throw httpError('No partner balances are due for payout', 400);
+    }
+
+    const partners = await Partner.findAll({
+      where: { id: payable.map(row => row.partnerId) },
+      attributes: ['id', 'businessName', 'bankDetails'],
+      transaction
+    });
+    const partnersById = new Map(partners.map(partner => [partner.id, partner]));
+
+    const reference = `PO-${new Date().toISOString().slice(0, 10).replace(/-/g, '')}-${uuidv4().slice(0, 6).toUpperCase()}`;
+    const batch = await PayoutBatch.create({ reference, createdBy: userId }, { transaction });
+
+    const items = [];
+    for (const row of payable) {
+      const partner = partnersById.get(row.partnerId);
+      if (!partner) continue;
+
+      const bank = partner.bankDetails || {};
+      items.push({
+        partnerId: partner.id,
+        businessName: partner.businessName,
+        accountHolderName: bank.accountHolderName || partner.businessName,
+        bankName: bank.bankName || '',
+        branch: bank.branch || '',
+        accountNumber: bank.accountNumber || '',
+        amount: fromCents(row.cents),
+        reference: `${reference}-${items.length + 1}`
+      });
+
+      await postTransaction('payout', [
+        { account: partnerAccount(partner.id), partnerId: partner.id, debit: row.cents },
+        { account: ACCOUNTS.bank, credit: row.cents }
+      ], {
+        payoutBatchId: batch.id,
+        description: `Payout ${reference}`
+      }, transaction);
+    }
+
+    await batch.update({
+      items,
+      itemCount: items.length,
+      totalAmount: fromCents(items.reduce((sum, item) => sum + toCents(item.amount), 0))
+    }, { transaction });
+
+    return batch;
+  });
+};
+
+// Bank upload file for a payout batch
+const payoutBatchToCsv = (batch) => {
+  const header = ['Reference', 'Account Holder', 'Bank', 'Branch', 'Account Number', 'Amount', 'Business Name'];
+  const rows = (batch.items || []).map(item => [
+    item.reference,
+    item.accountHolderName,
+    item.bankName,
+    item.branch,
+    item.accountNumber,
+    item.amount.toFixed(2),
+    item.businessName
+  ]);
+
+  return toCsv(header, rows);
+};
+
+module.exports = {
+  ACCOUNTS,
+  partnerAccount,
+  getCommissionRate,
+  getPartnerBalance,
+  recordOrderEarnings,
+  reverseOrderEarnings,
+  generatePayoutBatch,
+  payoutBatchToCsv
+};
@@ -0,0 +1,211 @@
+const { Op } = require('sequelize');
+const { query } = require('express-validator');
+const { sequelize } = require('../config/database');
+const httpError = require('./httpError');
+const { searchCatalog } = require('./search');
+
+// List endpoints support two kinds of paging:
+//   ?page=&limit=    numbered pages with a total count
+//   ?cursor=&limit=  opaque cursors (empty for the first page); no count query
+//                    and stable, index-friendly deep paging
+// plus ?fields= (comma-separated attributes) and ?include= (comma-separated
+// associations, empty for none) to trim the response.
+
+const splitList = (value) => String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+// Validator for ?fields= against a model's attributes
+const fieldsQuery = (Model, hidden = []) => {
+  const allowed = Object.keys(Model.rawAttributes).filter(name => !hidden.includes(name));
+  return query('fields').optional()
+    .custom(value => splitList(value).every(name => allowed.includes(name)))
+    .withMessage(`Fields must be a comma-separated list of: ${allowed.join(', ')}`);
+};
+
+// Validator for ?include= against the associations a route offers
+const includeQuery = (available) => {
+  const names = Object.keys(available);
+  return query('include').optional()
+    .custom(value => splitList(value).every(name => names.includes(name)))
+    .withMessage(`Include must be a comma-separated list of: ${names.join(', ')}`);
+};
+
+// Attributes to select: the requested fields (always with id) plus computed
+// attributes, or undefined for every column
+const selectAttributes = (fields, computed = []) => {
+  if (!fields) {
+    return computed.length > 0 ? { include: computed } : undefined;
+  }
+  return [...new Set(['id', ...splitList(fields)]), ...computed];
+};
+
+// Include specs for ?include=, or the route's defaults when it isn't given
+const resolveIncludes = (value, available, defaults) => {
+  const names = value === undefined ? defaults : splitList(value);
+  return names.map(name => available[name]);
+};
+
+const encodeCursor = (data) => Buffer.from(JSON.stringify(data)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    return JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw httpError('Invalid cursor', 400);
+  }
+};
+
+// Dates survive the round trip through JSON as tagged strings
+const packValue = (value) => (value instanceof Date ? { date: value.toISOString() } : value);
+const unpackValue = (value) => (value && typeof value === 'object' && value.date ? new Date(value.date) : value);
+
+// Sort keys for an order plus the id tie-breaker. Keys are plain attribute
+// names, or col() references to computed attributes (like distanceKm) whose
+// expression is looked up in the selected attributes.
+const sortKeys = (Model, order, attributes) => {
+  const computed = Array.isArray(attributes) ? attributes : (attributes && attributes.include) || [];
+
+  // Raw column references need the column name, not the attribute name
+  const column = (name) => sequelize.col(`${Model.name}.${Model.rawAttributes[name].field}`);
+
+  const keys = order.map(([key, direction]) => {
+    if (typeof key === 'string') {
+      return { name: key, expression: column(key), direction };
+    }
+    const match = computed.find(attribute => Array.isArray(attribute) && attribute[1] === key.col);
+    return { name: key.col, expression: match ? match[0] : key, direction };
+  });
+
+  const last = keys[keys.length - 1];
+  keys.push({ name: 'id', expression: column('id'), direction: last ? last.direction : 'DESC' });
+  return keys;
+};
+
+const signature = (keys) => keys.map(key => `${key.name}:${key.direction}`).join(',');
+
+// Rows strictly after `values` in the key order:
+// (k1 > v1) OR (k1 = v1 AND k2 > v2) OR ...
+const afterCursor = (keys, values) => ({
+  [Op.or]: keys.map((key, index) => ({
+    [Op.and]: [
+      ...keys.slice(0, index).map((previous, i) => sequelize.where(previous.expression, { [Op.eq]: values[i] })),
+      sequelize.where(key.expression, { [key.direction.toUpperCase() === 'DESC' ? Op.lt : Op.gt]: values[index] })
+    ]
+  }))
+});
+
+// One page of Model rows as { rows, pagination }, in whichever mode the request asks for
+const findPage = async (Model, req, { where = {}, attributes, include, order, defaultLimit = 10 }) => {
+  const limit = parseInt(req.query.limit) || defaultLimit;
+
+  if (req.query.cursor === undefined) {
+    const page = parseInt(req.query.page) || 1;
+    const { count, rows } = await Model.findAndCountAll({
+      where,
+      attributes,
+      include,
+      order,
+      offset: (page - 1) * limit,
+      limit
+    });
+
+    return {
+      rows,
+      pagination: {
+        page,
+        limit,
+        total: count,
+        pages: Math.ceil(count / limit)
+      }
+    };
+  }
+
+  const keys = sortKeys(Model, order, attributes);
+  let pageWhere = where;
+
+  if (req.query.cursor) {
+    const cursor = decodeCursor(req.query.cursor);
+    if (cursor.s !== signature(keys) || !Array.isArray(cursor.k)) {
+      throw httpError('Cursor does not match this sort order', 400);
+    }
+    pageWhere = { [Op.and]: [where, afterCursor(keys, cursor.k.map(unpackValue))] };
+  }
+
+  // Sort keys have to be selected to build the next cursor
+  const selected = Array.isArray(attributes)
+    ? [...new Set([...keys.filter(key => Model.rawAttributes[key.name]).map(key => key.name), ...attributes])]
+    : attributes;
+
+  const rows = await Model.findAll({
+    where: pageWhere,
+    attributes: selected,
+    include,
+    order: keys.map(key => [key.expression, key.direction]),
+    limit: limit + 1
+  });
+
+  const hasMore = rows.length > limit;
+  const pageRows = rows.slice(0, limit);
+  const last = pageRows[pageRows.length - 1];
+
+  return {
+    rows: pageRows,
+    pagination: {
+      limit,
+      hasMore,
+      nextCursor: hasMore
+        ? encodeCursor({ s: signature(keys), k: keys.map(key => packValue(last.get(key.name))) })
+        : null
+    }
+  };
+};
+
+// Like findPage for a ranked catalogue search. Results are capped, so the
+// cursor just carries the position.
+const findSearchPage = async (catalog, q, req, { where, attributes, include, order, defaultLimit = 10 }) => {
+  const limit = parseInt(req.query.limit) || defaultLimit;
+
+  if (req.query.cursor === undefined) {
+    const page = parseInt(req.query.page) || 1;
+    const { count, rows } = await searchCatalog(catalog, q, { where, attributes, include, order, offset: (page - 1) * limit, limit });
+
+    return {
+      rows,
+      pagination: {
+        page,
+        limit,
+        total: count,
+        pages: Math.ceil(count / limit)
+      }
+    };
+  }
+
+  let offset = 0;
+  if (req.query.cursor) {
+    const cursor = decodeCursor(req.query.cursor);
+    if (cursor.s !== 'search' || !Number.isInteger(cursor.o) || cursor.o < 0) {
+      throw httpError('Cursor does not match this search', 400);
+    }
+    offset = cursor.o;
+  }
+
+  const { count, rows } = await searchCatalog(catalog, q, { where, attributes, include, order, offset, limit });
+  const hasMore = offset + rows.length < count;
+
+  return {
+    rows,
+    pagination: {
+      limit,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor({ s: 'search', o: offset + rows.length }) : null
+    }
+  };
+};
+
+module.exports = {
+  fieldsQuery,
+  includeQuery,
+  selectAttributes,
+  resolveIncludes,
+  findPage,
+  findSearchPage
+};
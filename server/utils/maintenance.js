@@ -0,0 +1,263 @@
+const { Op } = require('sequelize');
+const { sequelize, Vehicle, MaintenanceRecord } = require('../models');
+const config = require('../config/maintenance');
+const httpError = require('./httpError');
+const { findUpload } = require('./uploads');
+const { MAINTENANCE_BLOCKING_STATUSES, findBookedSlots } = require('./bookingCalendar');
+
+// Allowed status changes for a maintenance record
+const TRANSITIONS = {
+  scheduled: ['in_progress', 'completed', 'cancelled'],
+  in_progress: ['completed', 'cancelled'],
+  completed: [],
+  cancelled: []
+};
+
+const EDITABLE_FIELDS = ['description', 'cost', 'odometerKm', 'engineHours', 'provider', 'nextServiceDate'];
+
+// Stored details for documents the user uploaded through /api/upload/documents
+const resolveDocuments = (user, fileNames = []) => {
+  if (fileNames.length > config.maxDocuments) {
+    throw httpError(`A maintenance record can have at most ${config.maxDocuments} documents`, 400);
+  }
+
+  return fileNames.map(fileName => {
+    const upload = findUpload(fileName, { ownerId: user.id });
+    if (!upload) {
+      throw httpError(`Uploaded file not found: ${fileName}`, 400);
+    }
+    return upload;
+  });
+};
+
+// A downtime window must be well formed and clear of confirmed bookings
+const assertWindowFree = async (vehicle, start, end, transaction) => {
+  if (!start || !end) {
+    throw httpError('Scheduled maintenance needs a startDate and endDate', 400);
+  }
+
+  if (end <= start) {
+    throw httpError('End date must be after start date', 400);
+  }
+
+  const conflicts = await findBookedSlots(vehicle.id, start, end, { transaction });
+  if (conflicts.length > 0) {
+    throw httpError('Vehicle is booked during this maintenance window', 409, {
+      conflicts: conflicts.map(({ start: bookedStart, end: bookedEnd }) => ({ start: bookedStart, end: bookedEnd }))
+    });
+  }
+};
+
+// Keep the lastService and nextService summary on the vehicle in step with
+// its latest completed record; the scheduler's service alerts read it
+const applyServiceToVehicle = async (vehicle, record, transaction) => {
+  const maintenance = vehicle.maintenance || {};
+  const lastService = maintenance.lastService ? new Date(maintenance.lastService) : null;
+
+  if (lastService && lastService > record.serviceDate) return;
+
+  await vehicle.update({
+    maintenance: {
+      ...maintenance,
+      lastService: record.serviceDate,
+      nextService: record.nextServiceDate || maintenance.nextService || null
+    }
+  }, { transaction });
+};
+
+// Put the vehicle in 'maintenance' while a record is in progress and back to
+// 'active' once none is. Inactive and rented vehicles are left alone.
+const syncVehicleStatus = async (vehicle, transaction) => {
+  const inProgress = await MaintenanceRecord.count({
+    where: { vehicleId: vehicle.id, status: 'in_progress' },
+    transaction
+  });
+
+  if (inProgress > 0 && vehicle.status === 'active') {
+    await vehicle.update({ status: 'maintenance' }, { transaction });
+  } else if (inProgress === 0 && vehicle.status === 'maintenance') {
+    await vehicle.update({ status: 'active' }, { transaction });
+  }
+};
+
+// Status a scheduled window should be in at a given time
+const windowStatus = (record, now) => {
+  if (record.endDate <= now) return 'completed';
+  if (record.startDate <= now) return 'in_progress';
+  return 'scheduled';
+};
+
+// Fields for completing a record. A window finished early is cut short to
+// the downtime actually taken.
+const completionFields = (record, serviceDate, now) => ({
+  status: 'completed',
+  serviceDate: serviceDate || record.serviceDate || (record.endDate && record.endDate < now ? record.endDate : now),
+  ...(record.startDate && record.startDate <= now && record.endDate > now && { endDate: now })
+});
+
+// Log past work (status completed, the default) or schedule downtime (status
+// scheduled with a window). A window that has already started begins in
+// progress. Must run inside a transaction with the vehicle locked.
+const createMaintenanceRecord = async (vehicle, user, data, transaction) => {
+  const now = new Date();
+  const startDate = data.startDate ? new Date(data.startDate) : null;
+  const endDate = data.endDate ? new Date(data.endDate) : null;
+  let status = data.status || 'completed';
+  let serviceDate = null;
+
+  if (status === 'scheduled') {
+    await assertWindowFree(vehicle, startDate, endDate, transaction);
+
+    status = windowStatus({ startDate, endDate }, now);
+    if (status === 'completed') {
+      throw httpError('This maintenance window is already over; log it as completed instead', 400);
+    }
+  } else {
+    serviceDate = data.serviceDate ? new Date(data.serviceDate) : endDate || now;
+    if (serviceDate > now) {
+      throw httpError('Service date cannot be in the future; schedule the maintenance instead', 400);
+    }
+    if (startDate && endDate && endDate <= startDate) {
+      throw httpError('End date must be after start date', 400);
+    }
+  }
+
+  const record = await MaintenanceRecord.create({
+    vehicleId: vehicle.id,
+    createdBy: user.id,
+    type: data.type,
+    status,
+    description: data.description || null,
+    startDate,
+    endDate,
+    serviceDate,
+    cost: data.cost ?? null,
+    odometerKm: data.odometerKm ?? null,
+    engineHours: data.engineHours ?? null,
+    provider: data.provider || null,
+    documents: resolveDocuments(user, data.documents),
+    nextServiceDate: data.nextServiceDate ? new Date(data.nextServiceDate) : null
+  }, { transaction });
+
+  if (status === 'completed') {
+    await applyServiceToVehicle(vehicle, record, transaction);
+  }
+  await syncVehicleStatus(vehicle, transaction);
+
+  return record;
+};
+
+// Change a record's details, move its window or change its status. Documents
+// given are added to the ones already attached. Must run inside a transaction
+// with the vehicle locked.
+const updateMaintenanceRecord = async (record, vehicle, user, data, transaction) => {
+  const now = new Date();
+  const updates = {};
+
+  EDITABLE_FIELDS.forEach(field => {
+    if (data[field] !== undefined) updates[field] = data[field];
+  });
+
+  if (data.documents) {
+    const documents = record.documents || [];
+    if (documents.length + data.documents.length > config.maxDocuments) {
+      throw httpError(`A maintenance record can have at most ${config.maxDocuments} documents`, 400);
+    }
+    updates.documents = [...documents, ...resolveDocuments(user, data.documents)];
+  }
+
+  const movesWindow = data.startDate !== undefined || data.endDate !== undefined;
+  if (movesWindow) {
+    if (!MAINTENANCE_BLOCKING_STATUSES.includes(record.status)) {
+      throw httpError(`Cannot move the window of ${record.status} maintenance`, 400);
+    }
+
+    updates.startDate = data.startDate ? new Date(data.startDate) : record.startDate;
+    updates.endDate = data.endDate ? new Date(data.endDate) : record.endDate;
+    await assertWindowFree(vehicle, updates.startDate, updates.endDate, transaction);
+  }
+
+  let status = data.status;
+  if (!status && movesWindow && record.status === 'scheduled') {
+    status = windowStatus({ startDate: updates.startDate, endDate: updates.endDate }, now);
+    if (status === 'scheduled') status = undefined;
+  }
+
+  if (status && status !== record.status) {
+    if (!TRANSITIONS[record.status].includes(status)) {
+      throw httpError(`Cannot change maintenance from ${record.status} to ${status}`, 400, {
+        allowed: TRANSITIONS[record.status]
+      });
+    }
+
+    if (status === 'completed') {
+      const serviceDate = data.serviceDate ? new Date(data.serviceDate) : null;
+      if (serviceDate && serviceDate > now) {
+        throw httpError('Service date cannot be in the future', 400);
+      }
+      Object.assign(updates, completionFields({ ...record.get(), ...updates }, serviceDate, now));
+    } else {
+      updates.status = status;
+    }
+  }
+
+  await record.update(updates, { transaction });
+
+  if (updates.status === 'completed') {
+    await applyServiceToVehicle(vehicle, record, transaction);
+  }
+  await syncVehicleStatus(vehicle, transaction);
+
+  return record;
+};
+
+// Start scheduled windows that have begun and complete windows that have ended,
+// switching vehicles in and out of 'maintenance'. Run by the scheduler.
+const advanceMaintenanceWindows = async () => {
+  const now = new Date();
+  const records = await MaintenanceRecord.findAll({
+    where: {
+      [Op.or]: [
+        { status: 'scheduled', startDate: { [Op.lte]: now } },
+        { status: 'in_progress', endDate: { [Op.lte]: now } }
+      ]
+    },
+    attributes: ['id']
+  });
+
+  let started = 0;
+  let completed = 0;
+  for (const { id } of records) {
+    try {
+      await sequelize.transaction(async (transaction) => {
+        const record = await MaintenanceRecord.findByPk(id, { transaction, lock: transaction.LOCK.UPDATE });
+        const vehicle = await Vehicle.findByPk(record.vehicleId, { transaction, lock: transaction.LOCK.UPDATE });
+        const status = windowStatus(record, now);
+        if (!MAINTENANCE_BLOCKING_STATUSES.includes(record.status) || status === record.status) return;
+
+        if (status === 'completed') {
+          await record.update(completionFields(record, null, now), { transaction });
+          await applyServiceToVehicle(vehicle, record, transaction);
+          completed++;
+        } else {
+          await record.update({ status }, { transaction });
+          started++;
+        }
+
+        await syncVehicleStatus(vehicle, transaction);
+      });
+    } catch (error) {
+      console.error(`Failed to advance maintenance record ${id}:`, error);
+    }
+  }
+
+  return { started, completed };
+};
+
+module.exports = {
+  TRANSITIONS,
+  createMaintenanceRecord,
+  updateMaintenanceRecord,
+  syncVehicleStatus,
+  advanceMaintenanceWindows
+};
@@ -0,0 +1,205 @@
+const { Op } = require('sequelize');
+const { sequelize, Conversation, Message, Partner, Vehicle, Material, ServiceRequest } = require('../models');
+const config = require('../config/messaging');
+const httpError = require('./httpError');
+const { findUpload } = require('./uploads');
+
+// The other side of a conversation
+const OTHER_ROLE = {
+  customer: 'partner',
+  partner: 'customer'
+};
+
+const getPartnerProfile = (userId) => Partner.findOne({
+  where: { userId },
+  attributes: ['id', 'userId']
+});
+
+// Where clause for every conversation the user takes part in, on either side
+const participantWhere = async (user) => {
+  const partner = await getPartnerProfile(user.id);
+  const sides = [{ customerId: user.id }];
+  if (partner) sides.push({ partnerId: partner.id });
+  return { [Op.or]: sides };
+};
+
+// 'customer' or 'partner' for the user's side of the conversation, or null
+// when they aren't in it
+const getParticipantRole = async (conversation, user) => {
+  if (conversation.customerId === user.id) return 'customer';
+
+  const partner = await getPartnerProfile(user.id);
+  return partner && partner.id === conversation.partnerId ? 'partner' : null;
+};
+
+// Partner, listing and subject for a conversation about a vehicle, material
+// or service request
+const resolveTopic = async ({ vehicleId, materialId, serviceRequestId }, user) => {
+  if (serviceRequestId) {
+    const serviceRequest = await ServiceRequest.findByPk(serviceRequestId, {
+      attributes: ['id', 'userId', 'assignedTo', 'vehicleId', 'materialId', 'tracking']
+    });
+
+    if (!serviceRequest || serviceRequest.userId !== user.id) {
+      throw httpError('Service request not found', 404);
+    }
+    if (!serviceRequest.assignedTo) {
+      throw httpError('This request has no partner to message yet', 400);
+    }
+
+    return {
+      partnerId: serviceRequest.assignedTo,
+      vehicleId: serviceRequest.vehicleId || null,
+      materialId: serviceRequest.materialId || null,
+      serviceRequestId: serviceRequest.id,
+      subject: `Order ${serviceRequest.tracking && serviceRequest.tracking.orderNumber ? serviceRequest.tracking.orderNumber : serviceRequest.id}`
+    };
+  }
+
+  const listing = vehicleId
+    ? await Vehicle.findByPk(vehicleId, { attributes: ['id', 'name', 'ownerId', 'isPublished'] })
+    : await Material.findByPk(materialId, { attributes: ['id', 'name', 'supplierId', 'isPublished'] });
+
+  if (!listing || !listing.isPublished) {
+    throw httpError(`${vehicleId ? 'Vehicle' : 'Material'} not found`, 404);
+  }
+
+  return {
+    partnerId: vehicleId ? listing.ownerId : listing.supplierId,
+    vehicleId: vehicleId || null,
+    materialId: materialId || null,
+    serviceRequestId: null,
+    subject: listing.name
+  };
+};
+
+// Stored attachment details for files the sender uploaded through /api/upload
+const resolveAttachments = (user, fileNames = []) => {
+  if (fileNames.length > config.maxAttachments) {
+    throw httpError(`A message can have at most ${config.maxAttachments} attachments`, 400);
+  }
+
+  return fileNames.map(fileName => {
+    const upload = findUpload(fileName, { ownerId: user.id });
+    if (!upload) {
+      throw httpError(`Uploaded file not found: ${fileName}`, 400);
+    }
+    return upload;
+  });
+};
+
+// Add a message and bump the other side's unread count. Must run inside a
+// transaction.
+const addMessage = async (conversation, user, role, { body, attachments }, transaction) => {
+  const text = body ? body.trim() : '';
+  const files = resolveAttachments(user, attachments);
+
+  if (!text && files.length === 0) {
+    throw httpError('A message needs text or an attachment', 400);
+  }
+
+  const message = await Message.create({
+    conversationId: conversation.id,
+    senderId: user.id,
+    senderRole: role,
+    body: text || null,
+    attachments: files
+  }, { transaction });
+
+  const preview = text || `${files.length} attachment${files.length === 1 ? '' : 's'}`;
+  const unreadField = `${OTHER_ROLE[role]}UnreadCount`;
+
+  await conversation.update({
+    lastMessageAt: message.createdAt,
+    lastMessagePreview: preview.length > config.previewLength ? `${preview.slice(0, config.previewLength - 1)}…` : preview,
+    [unreadField]: conversation[unreadField] + 1,
+    // Sending a message means the sender has seen everything before it
+    [`${role}UnreadCount`]: 0,
+    [`${role}LastReadAt`]: message.createdAt
+  }, { transaction });
+
+  return message;
+};
+
+// Open a conversation about a listing or order, or continue the one the
+// customer already has about it, with a first message
+const startConversation = async (user, topic, message) => {
+  const resolved = await resolveTopic(topic, user);
+
+  const partner = await Partner.findByPk(resolved.partnerId, { attributes: ['id', 'userId'] });
+  if (!partner) {
+    throw httpError('Partner not found', 404);
+  }
+  if (partner.userId === user.id) {
+    throw httpError('You cannot message yourself', 400);
+  }
+
+  return sequelize.transaction(async (transaction) => {
+    const [conversation, created] = await Conversation.findOrCreate({
+      where: {
+        customerId: user.id,
+        partnerId: resolved.partnerId,
+        vehicleId: resolved.vehicleId,
+        materialId: resolved.materialId,
+        serviceRequestId: resolved.serviceRequestId
+      },
+      defaults: { subject: resolved.subject },
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    const sent = await addMessage(conversation, user, 'customer', message, transaction);
+
+    return { conversation, message: sent, created };
+  });
+};
+
+// Mark everything the other side sent as read. Returns how many messages
+// were newly read.
+const markConversationRead = async (conversation, role) => {
+  return sequelize.transaction(async (transaction) => {
+    const now = new Date();
+
+    const [count] = await Message.update({ readAt: now }, {
+      where: {
+        conversationId: conversation.id,
+        senderRole: OTHER_ROLE[role],
+        readAt: null
+      },
+      transaction
+    });
+
+    await conversation.update({
+      [`${role}UnreadCount`]: 0,
+      [`${role}LastReadAt`]: now
+    }, { transaction });
+
+    return count;
+  });
+};
+
+// Unread message totals for the user across all their conversations
+const getUnreadCounts = async (user) => {
+  const partner = await getPartnerProfile(user.id);
+
+  const asCustomer = await Conversation.sum('customerUnreadCount', { where: { customerId: user.id } });
+  const asPartner = partner
+    ? await Conversation.sum('partnerUnreadCount', { where: { partnerId: partner.id } })
+    : 0;
+
+  return {
+    asCustomer: asCustomer || 0,
+    asPartner: asPartner || 0,
+    total: (asCustomer || 0) + (asPartner || 0)
+  };
+};
+
+module.exports = {
+  OTHER_ROLE,
+  participantWhere,
+  getParticipantRole,
+  addMessage,
+  startConversation,
+  markConversationRead,
+  getUnreadCounts
+};
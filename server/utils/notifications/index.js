@@ -0,0 +1,187 @@
+const { sequelize, User, Partner, Notification } = require('../../models');
+const config = require('../../config/notifications');
+const { renderEmail } = require('../sendEmail');
+const { enqueue } = require('../jobs');
+const { EVENTS, templates } = require('./templates');
+const smtp = require('./transports/smtp');
+const httpSms = require('./transports/httpSms');
+const file = require('./transports/file');
+const consoleTransport = require('./transports/console');
+
+// Transports implement:
+//   name, channels (email and/or sms)
+//   send(message, channel) -> { reference }
+//     email messages are { to, subject, html }, SMS messages { to, text }
+const transports = {
+  [smtp.name]: smtp,
+  [httpSms.name]: httpSms,
+  [file.name]: file,
+  [consoleTransport.name]: consoleTransport
+};
+
+const CHANNELS = ['email', 'sms'];
+
+const getTransport = (channel) => {
+  const name = channel === 'email' ? config.emailTransport : config.smsTransport;
+  const transport = transports[name];
+  if (!transport || !transport.channels.includes(channel)) {
+    throw new Error(`Unknown ${channel} transport: ${name}`);
+  }
+  return transport;
+};
+
+// Contact details and channel preferences for a user, or for their partner
+// profile when notified as a partner
+const getRecipient = async (userId, audience) => {
+  const user = await User.findByPk(userId, {
+    attributes: ['id', 'name', 'email', 'phone', 'preferences', 'isActive']
+  });
+  if (!user || !user.isActive) return null;
+
+  if (audience === 'partner') {
+    const partner = await Partner.findOne({
+      where: { userId },
+      attributes: ['id', 'businessName', 'contact', 'preferences']
+    });
+    const contact = (partner && partner.contact) || {};
+
+    if (partner) {
+      return {
+        userId,
+        name: partner.businessName,
+        email: contact.email || user.email,
+        phone: contact.phone || user.phone,
+        preferences: (partner.preferences && partner.preferences.notifications) || {}
+      };
+    }
+  }
+
+  return {
+    userId,
+    name: user.name,
+    email: user.email,
+    phone: user.phone,
+    preferences: (user.preferences && user.preferences.notifications) || {}
+  };
+};
+
+// Per-event setting, then the channel setting, then the default
+const isChannelEnabled = (preferences, event, channel) => {
+  const eventPreferences = (preferences.events && preferences.events[event]) || {};
+  if (typeof eventPreferences[channel] === 'boolean') return eventPreferences[channel];
+  if (typeof preferences[channel] === 'boolean') return preferences[channel];
+  return config.defaultChannels[channel];
+};
+
+// The message a channel would send for an event, or null if the event has
+// nothing for that channel
+const buildMessage = (channel, template, recipient, data, content) => {
+  if (channel === 'email') {
+    if (!recipient.email) return null;
+    const email = template.email
+      ? renderEmail(template.email(data))
+      : renderEmail({ template: 'notification', data: { name: recipient.name, ...content } });
+    return { to: recipient.email, subject: email.subject, html: email.html };
+  }
+
+  if (!template.sms || !recipient.phone) return null;
+  return { to: recipient.phone, text: template.sms(data) };
+};
+
+// Merge one channel's delivery result into a notification. The row is locked
+// because email and SMS deliveries finish independently.
+const recordDelivery = (notificationId, channel, delivery) => sequelize.transaction(async (transaction) => {
+  const notification = await Notification.findByPk(notificationId, {
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+  if (!notification) return null;
+
+  return notification.update({
+    deliveries: {
+      ...(notification.deliveries || {}),
+      [channel]: { ...delivery, at: new Date().toISOString() }
+    }
+  }, { transaction });
+});
+
+// Record an in-app notification for the user and queue it on the email and SMS
+// channels they have enabled. The worker keeps delivery results on the
+// notification. Never throws: a failed notification must not fail the action
+// behind it.
+const notify = async ({ userId, audience = 'customer' }, event, data = {}) => {
+  try {
+    const template = templates[event];
+    if (!template) {
+      throw new Error(`Unknown notification event: ${event}`);
+    }
+
+    const recipient = await getRecipient(userId, audience);
+    if (!recipient) return null;
+
+    const content = {
+      title: template.title(data),
+      body: template.body(data)
+    };
+
+    const deliveries = {};
+    const messages = {};
+    for (const channel of CHANNELS) {
+      if (!isChannelEnabled(recipient.preferences, event, channel)) {
+        deliveries[channel] = { status: 'skipped', reason: 'disabled' };
+        continue;
+      }
+
+      messages[channel] = buildMessage(channel, template, recipient, data, content);
+      deliveries[channel] = messages[channel]
+        ? { status: 'queued' }
+        : { status: 'skipped', reason: 'not_applicable' };
+    }
+
+    return await sequelize.transaction(async (transaction) => {
+      const notification = await Notification.create({
+        userId,
+        audience,
+        event,
+        ...content,
+        data,
+        deliveries
+      }, { transaction });
+
+      for (const [channel, message] of Object.entries(messages)) {
+        if (!message) continue;
+        await enqueue('notification.deliver', {
+          notificationId: notification.id,
+          channel,
+          message
+        }, { transaction });
+      }
+
+      return notification;
+    });
+  } catch (error) {
+    console.error(`Failed to notify ${event}:`, error);
+    return null;
+  }
+};
+
+// Notify the user behind a partner profile
+const notifyPartner = async (partnerId, event, data) => {
+  try {
+    const partner = await Partner.findByPk(partnerId, { attributes: ['id', 'userId'] });
+    return partner ? await notify({ userId: partner.userId, audience: 'partner' }, event, data) : null;
+  } catch (error) {
+    console.error(`Failed to notify ${event}:`, error);
+    return null;
+  }
+};
+
+module.exports = {
+  EVENTS,
+  CHANNELS,
+  getTransport,
+  isChannelEnabled,
+  recordDelivery,
+  notify,
+  notifyPartner
+};
@@ -0,0 +1,115 @@
+const { User, Partner, Material, Vehicle } = require('../../models');
+const { notify, notifyPartner } = require('./index');
+
+// Template data shared by order events
+const orderData = async (serviceRequest) => {
+  const item = serviceRequest.type === 'material'
+    ? serviceRequest.material || await Material.findByPk(serviceRequest.materialId, { attributes: ['name'] })
+    : serviceRequest.vehicle || await Vehicle.findByPk(serviceRequest.vehicleId, { attributes: ['name'] });
+
+  return {
+    serviceRequestId: serviceRequest.id,
+    orderNumber: serviceRequest.tracking && serviceRequest.tracking.orderNumber,
+    type: serviceRequest.type,
+    itemName: item ? item.name : serviceRequest.type,
+    totalPrice: serviceRequest.totalPrice,
+    requiredDate: serviceRequest.requiredDate
+  };
+};
+
+// New order: confirmation to the customer, heads-up to the partner
+const notifyOrderCreated = async (serviceRequest) => {
+  try {
+    const data = await orderData(serviceRequest);
+    const customer = serviceRequest.user || await User.findByPk(serviceRequest.userId, { attributes: ['name'] });
+
+    await notify({ userId: serviceRequest.userId }, 'order_created', data);
+
+    if (serviceRequest.assignedTo) {
+      await notifyPartner(serviceRequest.assignedTo, 'order_received', {
+        ...data,
+        customerName: customer ? customer.name : 'A customer'
+      });
+    }
+  } catch (error) {
+    console.error('Failed to send order created notifications:', error);
+  }
+};
+
+// A status change goes to whichever of the customer and partner didn't make it
+const notifyOrderStatus = async (serviceRequest, status, { actorRole, note }) => {
+  try {
+    const data = { ...(await orderData(serviceRequest)), status, note: note || null };
+
+    if (actorRole !== 'customer') {
+      if (status === 'confirmed') {
+        const partner = serviceRequest.assignedTo &&
+          await Partner.findByPk(serviceRequest.assignedTo, { attributes: ['businessName'] });
+        await notify({ userId: serviceRequest.userId }, 'order_accepted', {
+          ...data,
+          partnerName: partner ? partner.businessName : null
+        });
+      } else {
+        await notify({ userId: serviceRequest.userId }, 'order_status_changed', data);
+      }
+    }
+
+    if (actorRole !== 'partner' && serviceRequest.assignedTo) {
+      await notifyPartner(serviceRequest.assignedTo, 'order_status_changed', data);
+    }
+  } catch (error) {
+    console.error('Failed to send order status notifications:', error);
+  }
+};
+
+// Reminder of a confirmed order coming up, to both the customer and partner
+const notifyOrderReminder = async (serviceRequest) => {
+  try {
+    const data = await orderData(serviceRequest);
+    const customer = serviceRequest.user || await User.findByPk(serviceRequest.userId, { attributes: ['name'] });
+
+    await notify({ userId: serviceRequest.userId }, 'order_reminder', data);
+
+    if (serviceRequest.assignedTo) {
+      await notifyPartner(serviceRequest.assignedTo, 'order_upcoming', {
+        ...data,
+        customerName: customer ? customer.name : 'the customer'
+      });
+    }
+  } catch (error) {
+    console.error('Failed to send order reminder notifications:', error);
+  }
+};
+
+// The customer learns who will operate their vehicle. Never throws.
+const notifyOperatorAssigned = async (serviceRequest, operator) => {
+  try {
+    await notify({ userId: serviceRequest.userId }, 'operator_assigned', {
+      ...(await orderData(serviceRequest)),
+      operatorName: operator.name,
+      operatorPhone: operator.phone
+    });
+  } catch (error) {
+    console.error('Failed to send operator assigned notification:', error);
+  }
+};
+
+// payment_received, payment_failed or payment_refunded for the paying customer
+const notifyPayment = async (event, payment, serviceRequest, extra = {}) => {
+  return notify({ userId: payment.userId }, event, {
+    serviceRequestId: serviceRequest.id,
+    paymentId: payment.id,
+    orderNumber: serviceRequest.tracking && serviceRequest.tracking.orderNumber,
+    amount: payment.amount,
+    currency: payment.currency,
+    ...extra
+  });
+};
+
+module.exports = {
+  notifyOrderCreated,
+  notifyOrderStatus,
+  notifyOrderReminder,
+  notifyOperatorAssigned,
+  notifyPayment
+};
@@ -0,0 +1,115 @@
+// Notification text per event. title and body are used in-app and for the
+// generic email; email may name a sendEmail template instead, and events
+// without sms are never texted.
+
+const statusLabel = (status) => String(status).replace(/_/g, ' ');
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-LK', { year: 'numeric', month: 'short', day: 'numeric' });
+
+const formatAmount = (amount, currency) => `${currency || 'LKR'} ${Number(amount).toLocaleString('en-LK', { minimumFractionDigits: 2 })}`;
+
+const templates = {
+  order_created: {
+    title: (data) => `Order ${data.orderNumber} received`,
+    body: (data) => `Your ${data.type} request for ${data.itemName} on ${formatDate(data.requiredDate)} has been sent to the partner.`,
+    email: (data) => ({
+      template: 'serviceRequestConfirmation',
+      data: {
+        orderNumber: data.orderNumber,
+        type: data.type,
+        itemName: data.itemName,
+        totalPrice: data.totalPrice,
+        requiredDate: data.requiredDate
+      }
+    }),
+    sms: (data) => `Auto X: order ${data.orderNumber} for ${data.itemName} received. We'll let you know when the partner responds.`
+  },
+
+  order_received: {
+    title: (data) => `New order ${data.orderNumber}`,
+    body: (data) => `${data.customerName} requested ${data.itemName} for ${formatDate(data.requiredDate)}.`,
+    sms: (data) => `Auto X: new order ${data.orderNumber} for ${data.itemName} on ${formatDate(data.requiredDate)}. Open your dashboard to accept it.`
+  },
+
+  order_accepted: {
+    title: (data) => `Order ${data.orderNumber} accepted`,
+    body: (data) => `${data.partnerName || 'The partner'} accepted your order${data.note ? `: ${data.note}` : '.'}`,
+    email: (data) => ({
+      template: 'statusUpdate',
+      data: { orderNumber: data.orderNumber, status: 'confirmed', notes: data.note }
+    }),
+    sms: (data) => `Auto X: order ${data.orderNumber} has been accepted.`
+  },
+
+  order_status_changed: {
+    title: (data) => `Order ${data.orderNumber} ${statusLabel(data.status)}`,
+    body: (data) => `Order ${data.orderNumber} is now ${statusLabel(data.status)}${data.note ? `: ${data.note}` : '.'}`,
+    email: (data) => ({
+      template: 'statusUpdate',
+      data: { orderNumber: data.orderNumber, status: data.status, notes: data.note }
+    }),
+    sms: (data) => `Auto X: order ${data.orderNumber} is now ${statusLabel(data.status)}.`
+  },
+
+  payment_received: {
+    title: (data) => `Payment received for order ${data.orderNumber}`,
+    body: (data) => `We received ${formatAmount(data.amount, data.currency)} for order ${data.orderNumber}. Thank you.`,
+    sms: (data) => `Auto X: payment of ${formatAmount(data.amount, data.currency)} received for order ${data.orderNumber}.`
+  },
+
+  payment_failed: {
+    title: (data) => `Payment failed for order ${data.orderNumber}`,
+    body: (data) => `Your payment for order ${data.orderNumber} did not go through${data.reason ? `: ${data.reason}.` : '.'} Please try again.`
+  },
+
+  payment_refunded: {
+    title: (data) => `Refund for order ${data.orderNumber}`,
+    body: (data) => `${formatAmount(data.amount, data.currency)} has been refunded for order ${data.orderNumber}.`
+  },
+
+  order_reminder: {
+    title: (data) => `Order ${data.orderNumber} is coming up`,
+    body: (data) => `Reminder: your ${data.type} order for ${data.itemName} is scheduled for ${formatDate(data.requiredDate)}.`,
+    sms: (data) => `Auto X: reminder, order ${data.orderNumber} for ${data.itemName} is due on ${formatDate(data.requiredDate)}.`
+  },
+
+  order_upcoming: {
+    title: (data) => `Order ${data.orderNumber} is due soon`,
+    body: (data) => `${data.itemName} for ${data.customerName} is due on ${formatDate(data.requiredDate)}.`,
+    sms: (data) => `Auto X: order ${data.orderNumber} (${data.itemName}) is due on ${formatDate(data.requiredDate)}.`
+  },
+
+  operator_assigned: {
+    title: (data) => `Operator assigned to order ${data.orderNumber}`,
+    body: (data) => `${data.operatorName} will operate ${data.itemName} for your order on ${formatDate(data.requiredDate)}${data.operatorPhone ? ` and can be reached on ${data.operatorPhone}.` : '.'}`,
+    sms: (data) => `Auto X: ${data.operatorName}${data.operatorPhone ? ` (${data.operatorPhone})` : ''} will operate ${data.itemName} for order ${data.orderNumber}.`
+  },
+
+  maintenance_due: {
+    title: (data) => `Service due for ${data.vehicleName}`,
+    body: (data) => `${data.vehicleName} is due for a service on ${formatDate(data.dueDate)}. Bookings during servicing should be avoided.`
+  },
+
+  insurance_expiring: {
+    title: (data) => `Insurance for ${data.subject} expires soon`,
+    body: (data) => `The insurance for ${data.subject} expires on ${formatDate(data.expiryDate)}. Upload the renewed policy to keep ${data.subjectType === 'vehicle' ? 'the listing' : 'your account'} active.`,
+    sms: (data) => `Auto X: insurance for ${data.subject} expires on ${formatDate(data.expiryDate)}.`
+  },
+
+  listing_deactivated: {
+    title: (data) => `${data.vehicleName} has been deactivated`,
+    body: (data) => `The insurance for ${data.vehicleName} expired on ${formatDate(data.expiryDate)}, so the listing is no longer shown. Update the insurance details and set it active again.`
+  },
+
+  review_received: {
+    title: (data) => `New ${data.rating}-star review`,
+    body: (data) => `${data.customerName} reviewed ${data.itemName || 'your service'}${data.comment ? `: "${data.comment}"` : '.'}`
+  }
+};
+
+const EVENTS = Object.keys(templates);
+
+module.exports = {
+  EVENTS,
+  templates
+};
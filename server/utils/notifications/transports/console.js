@@ -0,0 +1,16 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Prints each message instead of sending it
+
+const send = async (message, channel) => {
+  const reference = uuidv4();
+  const summary = channel === 'email' ? message.subject : message.text;
+  console.log(`[notify:${channel}] to ${message.to}: ${summary}`);
+  return { reference };
+};
+
+module.exports = {
+  name: 'console',
+  channels: ['email', 'sms'],
+  send
+};
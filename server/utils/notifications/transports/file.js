@@ -0,0 +1,23 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../../../config/notifications');
+
+// Appends each message as a JSON line to <fileTransportDir>/<channel>.log, for
+// local development and tests
+
+const send = async (message, channel) => {
+  fs.mkdirSync(config.fileTransportDir, { recursive: true });
+
+  const reference = uuidv4();
+  const line = JSON.stringify({ reference, channel, sentAt: new Date().toISOString(), ...message });
+  await fs.promises.appendFile(path.join(config.fileTransportDir, `${channel}.log`), `${line}\n`);
+
+  return { reference };
+};
+
+module.exports = {
+  name: 'file',
+  channels: ['email', 'sms'],
+  send
+};
@@ -0,0 +1,34 @@
+const config = require('../../../config/notifications');
+
+// SMS through an HTTP gateway. Most Sri Lankan gateways accept a JSON POST
+// like this one; adapt the body here for a provider that doesn't.
+
+const send = async ({ to, text }) => {
+  const { gatewayUrl, apiKey, senderId, timeoutMs } = config.sms;
+  if (!gatewayUrl) {
+    throw new Error('SMS_GATEWAY_URL is not configured');
+  }
+
+  const response = await fetch(gatewayUrl, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${apiKey}`
+    },
+    body: JSON.stringify({ to, from: senderId, message: text }),
+    signal: AbortSignal.timeout(timeoutMs)
+  });
+
+  if (!response.ok) {
+    throw new Error(`SMS gateway responded with ${response.status}`);
+  }
+
+  const result = await response.json().catch(() => ({}));
+  return { reference: result.id || result.messageId || null };
+};
+
+module.exports = {
+  name: 'http',
+  channels: ['sms'],
+  send
+};
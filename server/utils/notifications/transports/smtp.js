@@ -0,0 +1,14 @@
+const sendEmail = require('../../sendEmail');
+
+// Real email through the SMTP server configured by EMAIL_HOST and friends
+
+const send = async ({ to, subject, html }) => {
+  const info = await sendEmail({ to, subject, html });
+  return { reference: info.messageId };
+};
+
+module.exports = {
+  name: 'smtp',
+  channels: ['email'],
+  send
+};
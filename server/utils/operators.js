@@ -0,0 +1,142 @@
+const { Op } = require('sequelize');
+const { ServiceRequest, Vehicle, Operator } = require('../models');
+const config = require('../config/operators');
+const httpError = require('./httpError');
+const { BLOCKING_STATUSES } = require('./bookingCalendar');
+const { notifyOperatorAssigned } = require('./notifications/orders');
+
+// Confirmed and in-progress bookings an operator is assigned to that overlap
+// [start, end), on any vehicle
+const findOperatorConflicts = async (operatorId, start, end, options = {}) => {
+  const where = {
+    operatorId,
+    status: { [Op.in]: BLOCKING_STATUSES },
+    startDate: { [Op.lt]: end },
+    endDate: { [Op.gt]: start }
+  };
+
+  if (options.excludeId) {
+    where.id = { [Op.ne]: options.excludeId };
+  }
+
+  const requests = await ServiceRequest.findAll({
+    where,
+    attributes: ['id', 'vehicleId', 'startDate', 'endDate', 'tracking'],
+    order: [['startDate', 'ASC']],
+    transaction: options.transaction
+  });
+
+  return requests.map(request => ({
+    serviceRequestId: request.id,
+    orderNumber: request.tracking && request.tracking.orderNumber,
+    vehicleId: request.vehicleId,
+    start: request.startDate,
+    end: request.endDate
+  }));
+};
+
+// Ids of a partner's operators already booked at some point in [start, end)
+const findBusyOperatorIds = async (partnerId, start, end) => {
+  const requests = await ServiceRequest.findAll({
+    where: {
+      assignedTo: partnerId,
+      operatorId: { [Op.ne]: null },
+      status: { [Op.in]: BLOCKING_STATUSES },
+      startDate: { [Op.lt]: end },
+      endDate: { [Op.gt]: start }
+    },
+    attributes: ['operatorId']
+  });
+
+  return [...new Set(requests.map(request => request.operatorId))];
+};
+
+// Reasons an operator can't take a vehicle out from start to end, if any
+const getOperatorProblems = (operator, vehicle, end) => {
+  const problems = [];
+
+  if (!operator.isActive) {
+    problems.push('Operator is inactive');
+  }
+
+  if (new Date(operator.licenceExpiry) < end) {
+    problems.push(`Operator's licence expires on ${operator.licenceExpiry}, before the booking ends`);
+  }
+
+  const required = config.categoryLicenceClasses[vehicle.category] || [];
+  const held = operator.licenceClasses || [];
+  if (required.length > 0 && !required.some(licenceClass => held.includes(licenceClass))) {
+    problems.push(`A ${vehicle.category.replace(/_/g, ' ')} needs a class ${required.join(', ')} licence`);
+  }
+
+  return problems;
+};
+
+// Assign one of the partner's operators to a vehicle booking, or unassign with
+// a null operatorId. Must run inside a transaction.
+const assignOperator = async (serviceRequest, partner, operatorId, transaction) => {
+  if (serviceRequest.assignedTo !== partner.id) {
+    throw httpError('Not authorized to manage this service request', 403);
+  }
+
+  if (serviceRequest.type !== 'vehicle') {
+    throw httpError('Operators can only be assigned to vehicle bookings', 400);
+  }
+
+  if (!BLOCKING_STATUSES.includes(serviceRequest.status)) {
+    throw httpError('Operators can be assigned once the booking is confirmed and until it is finished', 400);
+  }
+
+  if (!operatorId) {
+    await serviceRequest.update({ operatorId: null }, { transaction });
+    return serviceRequest;
+  }
+
+  // Locked so two bookings can't take the same operator at once
+  const operator = await Operator.findOne({
+    where: { id: operatorId, partnerId: partner.id },
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+  if (!operator) {
+    throw httpError('Operator not found', 404);
+  }
+
+  const vehicle = await Vehicle.findByPk(serviceRequest.vehicleId, {
+    attributes: ['id', 'category', 'operatorIncluded'],
+    transaction
+  });
+  if (!vehicle.operatorIncluded) {
+    throw httpError('This vehicle is rented without an operator', 400);
+  }
+
+  const { startDate, endDate } = serviceRequest;
+  const problems = getOperatorProblems(operator, vehicle, endDate);
+  if (problems.length > 0) {
+    throw httpError('Operator cannot be assigned to this booking', 400, { problems });
+  }
+
+  const conflicts = await findOperatorConflicts(operator.id, startDate, endDate, {
+    excludeId: serviceRequest.id,
+    transaction
+  });
+  if (conflicts.length > 0) {
+    throw httpError('Operator is already booked for this period', 409, { conflicts });
+  }
+
+  const changed = serviceRequest.operatorId !== operator.id;
+  await serviceRequest.update({ operatorId: operator.id }, { transaction });
+
+  if (changed) {
+    transaction.afterCommit(() => notifyOperatorAssigned(serviceRequest, operator));
+  }
+
+  return serviceRequest;
+};
+
+module.exports = {
+  findOperatorConflicts,
+  findBusyOperatorIds,
+  getOperatorProblems,
+  assignOperator
+};
@@ -0,0 +1,90 @@
+const { Op } = require('sequelize');
+const { Partner, ServiceRequest } = require('../models');
+const { changeStatus } = require('./orderStatus');
+const httpError = require('./httpError');
+
+const DEFAULT_MAX_ORDERS_PER_DAY = 10;
+
+// The partner that owns the requested material or vehicle
+const getAssignedPartnerId = ({ type, material, vehicle }) => {
+  return type === 'material' ? material.supplierId : vehicle.ownerId;
+};
+
+const getMaxOrdersPerDay = (partner) => {
+  const max = partner.preferences && partner.preferences.maxOrdersPerDay;
+  return Number.isInteger(max) && max > 0 ? max : DEFAULT_MAX_ORDERS_PER_DAY;
+};
+
+// Whether the partner can take on another order for the request's required
+// day. Run inside the confirming transaction: the partner row is locked before
+// counting, so two acceptances for the same partner can't both see a free slot.
+const hasCapacity = async (partner, serviceRequest, transaction) => {
+  const locked = await Partner.findByPk(partner.id, {
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+
+  const dayStart = new Date(serviceRequest.requiredDate);
+  dayStart.setUTCHours(0, 0, 0, 0);
+  const dayEnd = new Date(dayStart);
+  dayEnd.setUTCDate(dayEnd.getUTCDate() + 1);
+
+  const accepted = await ServiceRequest.count({
+    where: {
+      assignedTo: partner.id,
+      id: { [Op.ne]: serviceRequest.id },
+      status: { [Op.in]: ['confirmed', 'in_progress'] },
+      requiredDate: { [Op.gte]: dayStart, [Op.lt]: dayEnd }
+    },
+    transaction
+  });
+
+  return accepted < getMaxOrdersPerDay(locked);
+};
+
+// Confirm a request for its partner, refusing it once the partner's daily
+// limit is reached
+const acceptOrder = (serviceRequest, partner, { actorId, actorRole, note }) => {
+  return changeStatus(serviceRequest, 'confirmed', {
+    actorId,
+    actorRole,
+    note,
+    withinTransaction: async (transaction) => {
+      if (!(await hasCapacity(partner, serviceRequest, transaction))) {
+        throw httpError(`Daily limit of ${getMaxOrdersPerDay(partner)} orders reached for this date`, 409);
+      }
+    }
+  });
+};
+
+// Confirm a freshly created request when its partner has auto-accept enabled.
+// Failures leave the request pending for the partner to handle manually.
+const autoAcceptIfEnabled = async (serviceRequest) => {
+  const partner = await Partner.findByPk(serviceRequest.assignedTo);
+  if (!partner || !partner.preferences || !partner.preferences.autoAcceptOrders) {
+    return false;
+  }
+
+  if (partner.verificationStatus !== 'approved' || !partner.isActive) {
+    return false;
+  }
+
+  try {
+    await acceptOrder(serviceRequest, partner, {
+      actorRole: 'system',
+      note: 'Automatically accepted'
+    });
+    return true;
+  } catch (error) {
+    if (error.statusCode) return false;
+    throw error;
+  }
+};
+
+module.exports = {
+  getAssignedPartnerId,
+  getMaxOrdersPerDay,
+  hasCapacity,
+  acceptOrder,
+  autoAcceptIfEnabled
+};
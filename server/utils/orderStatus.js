@@ -0,0 +1,212 @@
+const { sequelize, Partner, ServiceRequest, Vehicle, StatusHistory } = require('../models');
+const { BLOCKING_STATUSES, getBookingWindow, findConflicts } = require('./bookingCalendar');
+const { applyStockForStatus } = require('./stock');
+const httpError = require('./httpError');
+const { hasPermission } = require('./permissions');
+const { refundOrderPayments } = require('./payments');
+const { recordOrderEarnings } = require('./ledger');
+const { notifyOrderStatus } = require('./notifications/orders');
+const { enqueue } = require('./jobs');
+
+const STATUSES = ['pending', 'confirmed', 'in_progress', 'completed', 'cancelled', 'rejected'];
+
+// Allowed transitions and the actor roles that may perform each one
+const TRANSITIONS = {
+  pending: {
+    confirmed: ['partner', 'admin'],
+    rejected: ['partner', 'admin'],
+    cancelled: ['customer', 'admin']
+  },
+  confirmed: {
+    in_progress: ['partner', 'admin'],
+    cancelled: ['customer', 'partner', 'admin']
+  },
+  in_progress: {
+    completed: ['partner', 'admin']
+  },
+  completed: {},
+  cancelled: {},
+  rejected: {}
+};
+
+const getNextStatuses = (from) => Object.keys(TRANSITIONS[from] || {});
+
+const canTransition = (from, to) => getNextStatuses(from).includes(to);
+
+const getAllowedRoles = (from, to) => (TRANSITIONS[from] && TRANSITIONS[from][to]) || [];
+
+// Roles the user holds with respect to a given request
+const getActorRoles = async (serviceRequest, user) => {
+  const roles = [];
+
+  if (serviceRequest.userId === user.id) {
+    roles.push('customer');
+  }
+
+  if (serviceRequest.assignedTo) {
+    const partner = await Partner.findOne({
+      where: { userId: user.id },
+      attributes: ['id']
+    });
+    if (partner && partner.id === serviceRequest.assignedTo) {
+      roles.push('partner');
+    }
+  }
+
+  // Staff who may manage any order act in the admin role
+  if (hasPermission(user, 'orders:manage:any')) {
+    roles.push('admin');
+  }
+
+  return roles;
+};
+
+// Pick the role the user acts as for this transition, or null if not allowed
+const resolveActorRole = async (serviceRequest, user, to) => {
+  const allowed = getAllowedRoles(serviceRequest.status, to);
+  const roles = await getActorRoles(serviceRequest, user);
+  return allowed.find(role => roles.includes(role)) || null;
+};
+
+const recordStatusChange = (serviceRequest, { from, to, actorId, actorRole, note, transaction }) => {
+  return StatusHistory.create({
+    serviceRequestId: serviceRequest.id,
+    fromStatus: from,
+    toStatus: to,
+    actorId: actorId || null,
+    actorRole,
+    note: note || null
+  }, { transaction });
+};
+
+// Move a request to a new status, applying booking and stock side effects and
+// recording history. Throws an error with statusCode on invalid transitions.
+// Set force to skip the transition table (admin overrides). withinTransaction
+// runs inside the change's transaction once the transition is allowed;
+// throwing from it rolls the change back.
+const changeStatus = async (serviceRequest, to, { actorId, actorRole, note, force = false, withinTransaction }) => {
+  let from;
+
+  await sequelize.transaction(async (transaction) => {
+    // The transition is checked against the locked row, so two concurrent
+    // changes (say, two cancellations each releasing stock) can't both apply
+    const current = await ServiceRequest.findByPk(serviceRequest.id, {
+      attributes: ['id', 'status'],
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (!current) {
+      throw httpError('Service request not found', 404);
+    }
+
+    from = current.status;
+
+    if (from !== serviceRequest.status) {
+      throw httpError(`Service request is now ${from}; reload it and try again`, 409, {
+        status: from
+      });
+    }
+
+    if (!force && !canTransition(from, to)) {
+      throw httpError(`Cannot change status from ${from} to ${to}`, 400, {
+        allowed: getNextStatuses(from)
+      });
+    }
+
+    if (withinTransaction) {
+      await withinTransaction(transaction, { from, to });
+    }
+
+    // Confirming a vehicle request commits the vehicle for its booking window
+    const holdsVehicle = serviceRequest.type === 'vehicle' &&
+      BLOCKING_STATUSES.includes(to) &&
+      !BLOCKING_STATUSES.includes(from);
+
+    if (holdsVehicle && !serviceRequest.startDate) {
+      const bookingWindow = getBookingWindow(
+        serviceRequest.requiredDate,
+        serviceRequest.duration,
+        serviceRequest.durationType
+      );
+      serviceRequest.startDate = bookingWindow.start;
+      serviceRequest.endDate = bookingWindow.end;
+    }
+
+    if (holdsVehicle) {
+      // Lock the vehicle row so concurrent confirmations are serialised
+      const vehicle = await Vehicle.findByPk(serviceRequest.vehicleId, {
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+      const conflicts = await findConflicts(vehicle, serviceRequest.startDate, serviceRequest.endDate, {
+        excludeId: serviceRequest.id,
+        transaction
+      });
+      if (conflicts.length > 0) {
+        throw httpError('Vehicle is already booked for this period', 409, { conflicts });
+      }
+    }
+
+    serviceRequest.status = to;
+    if (note) serviceRequest.notes = note;
+
+    if (to === 'completed') {
+      serviceRequest.completedDate = new Date();
+    }
+
+    if (to === 'cancelled') {
+      serviceRequest.cancellation = {
+        reason: note || `Cancelled by ${actorRole}`,
+        cancelledBy: actorRole,
+        cancelledDate: new Date()
+      };
+    }
+
+    await applyStockForStatus(serviceRequest, to, { transaction, userId: actorId });
+    await serviceRequest.save({ transaction });
+    await recordStatusChange(serviceRequest, { from, to, actorId, actorRole, note, transaction });
+
+    // Job counts, completion rate and response time follow order statuses
+    if (serviceRequest.assignedTo) {
+      await enqueue('partner.refresh_stats', { partnerId: serviceRequest.assignedTo }, {
+        uniqueKey: `partner.refresh_stats:${serviceRequest.assignedTo}`,
+        transaction
+      });
+    }
+  });
+
+  // Give the money back when an order will not be fulfilled. A refund that
+  // fails is handed to the job queue to retry.
+  if (to === 'cancelled' || to === 'rejected') {
+    const reason = note || `Order ${to}`;
+    try {
+      await refundOrderPayments(serviceRequest, reason);
+    } catch (refundError) {
+      console.error('Failed to refund order payments, queued for retry:', refundError);
+      await enqueue('payment.refund_order', { serviceRequestId: serviceRequest.id, reason }, {
+        uniqueKey: `payment.refund_order:${serviceRequest.id}`
+      });
+    }
+  }
+
+  // Completed orders that are already paid are credited to the partner
+  if (to === 'completed') {
+    await recordOrderEarnings(serviceRequest);
+  }
+
+  await notifyOrderStatus(serviceRequest, to, { actorRole, note });
+
+  return serviceRequest;
+};
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  getNextStatuses,
+  canTransition,
+  getActorRoles,
+  resolveActorRole,
+  recordStatusChange,
+  changeStatus
+};
@@ -0,0 +1,204 @@
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config/partnerVerification');
+const httpError = require('./httpError');
+const { enqueueEmail } = require('./jobs');
+const { findUpload } = require('./uploads');
+
+const DOCUMENT_LABELS = {
+  business_license: 'Business licence',
+  insurance: 'Insurance certificate',
+  br_certificate: 'BR certificate'
+};
+
+const DECISIONS = ['approved', 'rejected', 'information_requested'];
+
+const assertEditable = (partner) => {
+  if (!config.editableStatuses.includes(partner.verificationStatus)) {
+    throw httpError(`Your application cannot be changed while it is ${partner.verificationStatus.replace(/_/g, ' ')}`, 400);
+  }
+};
+
+const getMissingDocuments = (partner) => {
+  const documents = partner.documents || [];
+  return config.requiredDocuments.filter(type => !documents.some(document => document.type === type));
+};
+
+// Null when the insurance on file is valid long enough, otherwise the reason it isn't
+const getInsuranceProblem = (partner) => {
+  const insurance = partner.insurance || {};
+  if (!insurance.expiryDate) {
+    return 'Insurance expiry date is required';
+  }
+
+  const expiry = new Date(insurance.expiryDate);
+  if (isNaN(expiry.getTime())) {
+    return 'Insurance expiry date is not a valid date';
+  }
+
+  const minimum = new Date(Date.now() + config.minimumInsuranceValidityDays * 24 * 60 * 60 * 1000);
+  if (expiry < minimum) {
+    return `Insurance must be valid for at least ${config.minimumInsuranceValidityDays} more days`;
+  }
+
+  return null;
+};
+
+// Attach a file from /api/upload/documents, replacing any earlier one of the same type
+const attachDocument = async (partner, { type, fileName }) => {
+  assertEditable(partner);
+
+  // Only files the partner's own account uploaded
+  const upload = findUpload(fileName, { ownerId: partner.userId });
+  if (!upload) {
+    throw httpError('Uploaded file not found', 400);
+  }
+
+  const document = {
+    id: uuidv4(),
+    type,
+    fileName: upload.fileName,
+    fileUrl: upload.fileUrl,
+    status: 'pending',
+    reviewNote: null,
+    reviewedBy: null,
+    reviewedAt: null,
+    uploadedAt: new Date().toISOString()
+  };
+
+  const documents = (partner.documents || []).filter(existing => existing.type !== type);
+  await partner.update({ documents: [...documents, document] });
+
+  return document;
+};
+
+const notifyPartner = async (partner, data) => {
+  const user = partner.user || await partner.getUser({ attributes: ['name', 'email'] });
+
+  try {
+    await enqueueEmail({
+      to: user.email,
+      template: 'partnerVerificationUpdate',
+      data: {
+        name: user.name,
+        businessName: partner.businessName,
+        ...data
+      }
+    });
+  } catch (emailError) {
+    console.error('Failed to queue partner verification email:', emailError);
+  }
+};
+
+// Send a pending or returned application to the review queue
+const submitForReview = async (partner) => {
+  assertEditable(partner);
+
+  const missing = getMissingDocuments(partner);
+  if (missing.length > 0) {
+    throw httpError('Required documents are missing', 400, { missingDocuments: missing });
+  }
+
+  const insuranceProblem = getInsuranceProblem(partner);
+  if (insuranceProblem) {
+    throw httpError(insuranceProblem, 400);
+  }
+
+  await partner.update({
+    verificationStatus: 'under_review',
+    submittedAt: new Date()
+  });
+
+  await notifyPartner(partner, { status: 'under_review' });
+  return partner;
+};
+
+const reviewDocument = async (partner, documentId, { status, note, reviewerId }) => {
+  if (partner.verificationStatus !== 'under_review') {
+    throw httpError('Documents can only be reviewed while the application is under review', 400);
+  }
+
+  const documents = partner.documents || [];
+  const existing = documents.find(document => document.id === documentId);
+  if (!existing) {
+    throw httpError('Document not found', 404);
+  }
+
+  if (status === 'rejected' && !note) {
+    throw httpError('A note is required when rejecting a document', 400);
+  }
+
+  const reviewed = {
+    ...existing,
+    status,
+    reviewNote: note || null,
+    reviewedBy: reviewerId,
+    reviewedAt: new Date().toISOString()
+  };
+
+  await partner.update({
+    documents: documents.map(document => (document.id === documentId ? reviewed : document))
+  });
+
+  return { before: existing, document: reviewed };
+};
+
+// Approve, reject or return an application under review
+const decide = async (partner, status, { notes, reviewerId }) => {
+  if (partner.verificationStatus !== 'under_review') {
+    throw httpError('Only applications under review can be decided', 400);
+  }
+
+  if (status !== 'approved' && !notes) {
+    throw httpError('Notes are required when rejecting or requesting more information', 400);
+  }
+
+  const documents = partner.documents || [];
+
+  if (status === 'approved') {
+    const unapproved = config.requiredDocuments.filter(type => {
+      const document = documents.find(candidate => candidate.type === type);
+      return !document || document.status !== 'approved';
+    });
+
+    if (unapproved.length > 0) {
+      throw httpError('All required documents must be approved first', 400, { unapprovedDocuments: unapproved });
+    }
+
+    const insuranceProblem = getInsuranceProblem(partner);
+    if (insuranceProblem) {
+      throw httpError(insuranceProblem, 400);
+    }
+  }
+
+  const from = partner.verificationStatus;
+
+  await partner.update({
+    verificationStatus: status,
+    verificationNotes: notes || null,
+    reviewedBy: reviewerId,
+    reviewedAt: new Date()
+  });
+
+  await notifyPartner(partner, {
+    status,
+    notes,
+    rejectedDocuments: documents
+      .filter(document => document.status === 'rejected')
+      .map(document => ({
+        label: DOCUMENT_LABELS[document.type] || document.type,
+        note: document.reviewNote
+      }))
+  });
+
+  return { from, partner };
+};
+
+module.exports = {
+  DECISIONS,
+  getMissingDocuments,
+  getInsuranceProblem,
+  attachDocument,
+  submitForReview,
+  reviewDocument,
+  decide
+};
@@ -0,0 +1,336 @@
+const { Op, UniqueConstraintError } = require('sequelize');
+const { sequelize, Payment, PaymentEvent, ServiceRequest } = require('../../models');
+const config = require('../../config/payments');
+const httpError = require('../httpError');
+const { recordOrderEarnings, reverseOrderEarnings } = require('../ledger');
+const { notifyPayment } = require('../notifications/orders');
+const mockGateway = require('./providers/mockGateway');
+const bankTransfer = require('./providers/bankTransfer');
+const cashOnDelivery = require('./providers/cashOnDelivery');
+
+// Payment providers implement:
+//   name, methods, supportsWebhooks
+//   createIntent({ amount, currency, orderNumber }) -> { reference, status, nextAction }
+//   refund({ payment, amount, reason }) -> { reference, amount }
+//   verifyWebhook(rawBody, headers) -> event (webhook providers only)
+const providers = {
+  [mockGateway.name]: mockGateway,
+  [bankTransfer.name]: bankTransfer,
+  [cashOnDelivery.name]: cashOnDelivery
+};
+
+const METHODS = ['card', 'bank_transfer', 'cash_on_delivery'];
+const OPEN_STATUSES = ['requires_action', 'pending'];
+
+const getProvider = (name) => providers[name] || null;
+
+const getProviderForMethod = (method) => {
+  const name = method === 'card' ? config.cardProvider : method;
+  const provider = getProvider(name);
+  if (!provider) {
+    throw httpError(`Payment method ${method} is not available`, 400);
+  }
+  return provider;
+};
+
+// Mirror the latest payment onto ServiceRequest.payment
+const syncOrderPayment = (serviceRequest, payment, transaction) => {
+  return serviceRequest.update({
+    payment: {
+      method: payment.method,
+      status: payment.status,
+      transactionId: payment.providerReference,
+      paidAmount: payment.status === 'succeeded' || payment.status === 'partially_refunded'
+        ? parseFloat(payment.amount) - parseFloat(payment.refundedAmount || 0)
+        : 0,
+      paidDate: payment.paidAt
+    }
+  }, { transaction });
+};
+
+// Create (or reuse) the payment intent for an order. The order row is locked
+// first, so a second request for the same order (a double click) waits and
+// then reuses the intent the first one created.
+const createPaymentIntent = async (serviceRequest, method) => {
+  return sequelize.transaction(async (transaction) => {
+    const order = await ServiceRequest.findByPk(serviceRequest.id, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (!order) {
+      throw httpError('Service request not found', 404);
+    }
+
+    if (['cancelled', 'rejected'].includes(order.status)) {
+      throw httpError('Cannot pay for a cancelled or rejected request', 400);
+    }
+
+    const existing = await Payment.findAll({
+      where: {
+        serviceRequestId: order.id,
+        status: { [Op.in]: [...OPEN_STATUSES, 'succeeded'] }
+      },
+      transaction
+    });
+
+    if (existing.some(payment => payment.status === 'succeeded')) {
+      throw httpError('This request has already been paid', 400);
+    }
+
+    const reusable = existing.find(payment => payment.method === method);
+    if (reusable) return reusable;
+
+    const provider = getProviderForMethod(method);
+    const intent = await provider.createIntent({
+      amount: parseFloat(order.totalPrice),
+      currency: config.currency,
+      orderNumber: order.tracking.orderNumber
+    });
+
+    // Only one open intent per order; switching method abandons the old one
+    await Payment.update({ status: 'cancelled' }, {
+      where: {
+        serviceRequestId: order.id,
+        status: { [Op.in]: OPEN_STATUSES }
+      },
+      transaction
+    });
+
+    const payment = await Payment.create({
+      serviceRequestId: order.id,
+      userId: order.userId,
+      method,
+      provider: provider.name,
+      providerReference: intent.reference,
+      amount: order.totalPrice,
+      currency: config.currency,
+      status: intent.status,
+      nextAction: intent.nextAction
+    }, { transaction });
+
+    await syncOrderPayment(order, payment, transaction);
+    return payment;
+  });
+};
+
+// Re-read a payment with its row locked, so checks see the latest committed state
+const lockPayment = async (paymentId, transaction) => {
+  const payment = await Payment.findByPk(paymentId, { transaction, lock: transaction.LOCK.UPDATE });
+  if (!payment) {
+    throw httpError('Payment not found', 404);
+  }
+  return payment;
+};
+
+// The status checks run against the locked row, so a payment confirmed twice
+// at once (a webhook and finance staff, say) is only processed once
+const markPaymentSucceeded = async (payment) => {
+  const confirmed = await sequelize.transaction(async (transaction) => {
+    const locked = await lockPayment(payment.id, transaction);
+    if (locked.status === 'succeeded') return { payment: locked, changed: false };
+    if (!OPEN_STATUSES.includes(locked.status)) {
+      throw httpError(`Cannot confirm a ${locked.status} payment`, 400);
+    }
+
+    await locked.update({
+      status: 'succeeded',
+      paidAt: new Date(),
+      nextAction: null,
+      failureReason: null
+    }, { transaction });
+
+    const order = await locked.getServiceRequest({ transaction });
+    await syncOrderPayment(order, locked, transaction);
+    return { payment: locked, serviceRequest: order, changed: true };
+  });
+
+  if (!confirmed.changed) return confirmed.payment;
+
+  // Orders completed before payment arrived are credited now
+  await recordOrderEarnings(confirmed.serviceRequest);
+
+  await notifyPayment('payment_received', confirmed.payment, confirmed.serviceRequest);
+
+  return confirmed.payment;
+};
+
+const markPaymentFailed = async (payment, reason) => {
+  const failed = await sequelize.transaction(async (transaction) => {
+    const locked = await lockPayment(payment.id, transaction);
+    if (!OPEN_STATUSES.includes(locked.status)) return { payment: locked, changed: false };
+
+    await locked.update({
+      status: 'failed',
+      failureReason: reason || 'Payment failed'
+    }, { transaction });
+
+    const order = await locked.getServiceRequest({ transaction });
+    await syncOrderPayment(order, locked, transaction);
+    return { payment: locked, serviceRequest: order, changed: true };
+  });
+
+  if (failed.changed) {
+    await notifyPayment('payment_failed', failed.payment, failed.serviceRequest, { reason: failed.payment.failureReason });
+  }
+
+  return failed.payment;
+};
+
+// Verify and apply a gateway callback. Each event is claimed under a unique
+// key before it is applied; a redelivered event finds its claim taken and is
+// skipped. A claim is given up when applying the event fails, so the
+// gateway's next delivery can try again.
+const handleWebhook = async (providerName, rawBody, headers) => {
+  const provider = getProvider(providerName);
+  if (!provider || !provider.supportsWebhooks) {
+    throw httpError('Unknown payment provider', 404);
+  }
+
+  let event;
+  try {
+    event = provider.verifyWebhook(rawBody, headers);
+  } catch (error) {
+    throw httpError(error.message, 400);
+  }
+
+  if (!event.id) {
+    throw httpError('Webhook event has no id', 400);
+  }
+
+  const payment = await Payment.findOne({
+    where: {
+      provider: provider.name,
+      providerReference: event.data && event.data.reference
+    }
+  });
+
+  if (!payment) {
+    throw httpError('Payment not found', 404);
+  }
+
+  let claim;
+  try {
+    claim = await PaymentEvent.create({
+      provider: provider.name,
+      eventId: event.id,
+      type: event.type,
+      paymentId: payment.id
+    });
+  } catch (error) {
+    if (error instanceof UniqueConstraintError) {
+      return { payment, duplicate: true };
+    }
+    throw error;
+  }
+
+  try {
+    switch (event.type) {
+      case 'payment.succeeded':
+        return { payment: await markPaymentSucceeded(payment), duplicate: false };
+      case 'payment.failed':
+        return { payment: await markPaymentFailed(payment, event.data.failureReason), duplicate: false };
+      default:
+        return { payment, duplicate: false };
+    }
+  } catch (error) {
+    await claim.destroy();
+    throw error;
+  }
+};
+
+const toCents = (amount) => Math.round(parseFloat(amount || 0) * 100);
+const fromCents = (cents) => cents / 100;
+
+// Refund a payment in full or in part. The amount is first reserved as a
+// pending refund on the locked payment, so two refunds running at once can't
+// both pass the check and pay the same money back twice at the gateway.
+const refundPayment = async (payment, { amount, reason } = {}) => {
+  const refundCents = await sequelize.transaction(async (transaction) => {
+    const locked = await lockPayment(payment.id, transaction);
+
+    if (!['succeeded', 'partially_refunded'].includes(locked.status)) {
+      throw httpError(`Cannot refund a ${locked.status} payment`, 400);
+    }
+
+    const refundableCents = toCents(locked.amount) - toCents(locked.refundedAmount) - toCents(locked.pendingRefundAmount);
+    const cents = amount !== undefined ? toCents(amount) : refundableCents;
+
+    if (cents <= 0 || cents > refundableCents) {
+      throw httpError(`Refund amount must be between 0 and ${fromCents(Math.max(refundableCents, 0))}`, 400);
+    }
+
+    await locked.update({
+      pendingRefundAmount: fromCents(toCents(locked.pendingRefundAmount) + cents)
+    }, { transaction });
+
+    return cents;
+  });
+  const refundAmount = fromCents(refundCents);
+
+  let result;
+  try {
+    const provider = getProvider(payment.provider);
+    result = await provider.refund({ payment, amount: refundAmount, reason });
+  } catch (error) {
+    // Release the reservation so the refund can be tried again
+    await sequelize.transaction(async (transaction) => {
+      const locked = await lockPayment(payment.id, transaction);
+      await locked.update({
+        pendingRefundAmount: fromCents(Math.max(toCents(locked.pendingRefundAmount) - refundCents, 0))
+      }, { transaction });
+    });
+    throw error;
+  }
+
+  const refunded = await sequelize.transaction(async (transaction) => {
+    const locked = await lockPayment(payment.id, transaction);
+    const refundedCents = toCents(locked.refundedAmount) + refundCents;
+
+    await locked.update({
+      refundedAmount: fromCents(refundedCents),
+      pendingRefundAmount: fromCents(Math.max(toCents(locked.pendingRefundAmount) - refundCents, 0)),
+      status: refundedCents >= toCents(locked.amount) ? 'refunded' : 'partially_refunded',
+      refundedAt: new Date(),
+      failureReason: reason ? `Refund: ${reason}` : locked.failureReason
+    }, { transaction });
+
+    const serviceRequest = await locked.getServiceRequest({ transaction });
+    await syncOrderPayment(serviceRequest, locked, transaction);
+
+    // Money going back to the customer comes out of what the order earned
+    await reverseOrderEarnings(serviceRequest, refundAmount, transaction);
+
+    return { payment: locked, serviceRequest };
+  });
+
+  await notifyPayment('payment_refunded', refunded.payment, refunded.serviceRequest, { amount: refundAmount });
+
+  return { payment: refunded.payment, refund: result };
+};
+
+// Refund whatever has been paid on an order and abandon open intents
+const refundOrderPayments = async (serviceRequest, reason) => {
+  const payments = await Payment.findAll({
+    where: { serviceRequestId: serviceRequest.id }
+  });
+
+  for (const payment of payments) {
+    if (['succeeded', 'partially_refunded'].includes(payment.status)) {
+      await refundPayment(payment, { reason });
+    } else if (OPEN_STATUSES.includes(payment.status)) {
+      await payment.update({ status: 'cancelled' });
+    }
+  }
+};
+
+module.exports = {
+  METHODS,
+  getProvider,
+  createPaymentIntent,
+  markPaymentSucceeded,
+  markPaymentFailed,
+  handleWebhook,
+  refundPayment,
+  refundOrderPayments
+};
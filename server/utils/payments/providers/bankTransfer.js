@@ -0,0 +1,38 @@
+const { v4: uuidv4 } = require('uuid');
+const config = require('../../../config/payments');
+
+// Direct bank deposit. The customer pays offline quoting the reference and
+// finance confirms receipt manually.
+
+const createIntent = async ({ amount, currency, orderNumber }) => {
+  const reference = `BT-${orderNumber}-${uuidv4().slice(0, 8).toUpperCase()}`;
+
+  return {
+    reference,
+    status: 'pending',
+    nextAction: {
+      type: 'bank_transfer',
+      ...config.bankTransfer,
+      reference,
+      amount,
+      currency
+    }
+  };
+};
+
+// Refunds are paid back by finance from the bank portal
+const refund = async ({ amount }) => {
+  return {
+    reference: `BT-RF-${uuidv4().slice(0, 8).toUpperCase()}`,
+    amount,
+    manual: true
+  };
+};
+
+module.exports = {
+  name: 'bank_transfer',
+  methods: ['bank_transfer'],
+  supportsWebhooks: false,
+  createIntent,
+  refund
+};
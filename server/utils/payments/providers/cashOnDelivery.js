@@ -0,0 +1,31 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Cash collected by the partner on delivery and confirmed by them afterwards
+
+const createIntent = async ({ amount, currency }) => {
+  return {
+    reference: `COD-${uuidv4().slice(0, 8).toUpperCase()}`,
+    status: 'pending',
+    nextAction: {
+      type: 'cash_on_delivery',
+      amount,
+      currency
+    }
+  };
+};
+
+const refund = async ({ amount }) => {
+  return {
+    reference: `COD-RF-${uuidv4().slice(0, 8).toUpperCase()}`,
+    amount,
+    manual: true
+  };
+};
+
+module.exports = {
+  name: 'cash_on_delivery',
+  methods: ['cash_on_delivery'],
+  supportsWebhooks: false,
+  createIntent,
+  refund
+};
@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../../../config/payments');
+
+// Local card gateway used for development and offline testing. It behaves like
+// a hosted checkout: intents need a customer action, and the outcome arrives
+// as a signed webhook.
+
+const SIGNATURE_HEADER = 'x-autox-signature';
+
+const sign = (payload, timestamp = Math.floor(Date.now() / 1000)) => {
+  const digest = crypto
+    .createHmac('sha256', config.webhookSecret)
+    .update(`${timestamp}.${payload}`)
+    .digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+};
+
+const parseSignature = (header) => {
+  return String(header || '').split(',').reduce((parts, part) => {
+    const [key, value] = part.split('=');
+    if (key && value) parts[key.trim()] = value.trim();
+    return parts;
+  }, {});
+};
+
+const createIntent = async ({ amount, currency }) => {
+  const reference = `mock_pi_${uuidv4().replace(/-/g, '')}`;
+
+  return {
+    reference,
+    status: 'requires_action',
+    nextAction: {
+      type: 'redirect',
+      url: `/api/payments/mock/${reference}/complete`,
+      amount,
+      currency
+    }
+  };
+};
+
+const refund = async ({ amount }) => {
+  return {
+    reference: `mock_re_${uuidv4().replace(/-/g, '')}`,
+    amount
+  };
+};
+
+// Verify the signature on a raw webhook body and return the parsed event
+const verifyWebhook = (rawBody, headers) => {
+  const { t: timestamp, v1: signature } = parseSignature(headers[SIGNATURE_HEADER]);
+  if (!timestamp || !signature) {
+    throw new Error('Missing webhook signature');
+  }
+
+  const age = Math.abs(Math.floor(Date.now() / 1000) - parseInt(timestamp));
+  if (age > config.webhookToleranceSeconds) {
+    throw new Error('Webhook timestamp outside tolerance');
+  }
+
+  const expected = parseSignature(sign(rawBody, timestamp)).v1;
+  const valid = expected.length === signature.length &&
+    crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+
+  if (!valid) {
+    throw new Error('Invalid webhook signature');
+  }
+
+  return JSON.parse(rawBody);
+};
+
+// Build the signed webhook the gateway would send once the customer finishes checkout
+const simulateCheckout = (reference, outcome = 'succeeded') => {
+  const event = {
+    id: `mock_evt_${uuidv4().replace(/-/g, '')}`,
+    type: outcome === 'succeeded' ? 'payment.succeeded' : 'payment.failed',
+    data: {
+      reference,
+      failureReason: outcome === 'succeeded' ? null : 'Card declined'
+    }
+  };
+  const payload = JSON.stringify(event);
+
+  return {
+    payload,
+    headers: { [SIGNATURE_HEADER]: sign(payload) }
+  };
+};
+
+module.exports = {
+  name: 'mock',
+  methods: ['card'],
+  supportsWebhooks: true,
+  createIntent,
+  refund,
+  verifyWebhook,
+  simulateCheckout,
+  sign
+};
@@ -0,0 +1,85 @@
+const { Partner } = require('../models');
+const { PERMISSIONS, ROLE_PERMISSIONS } = require('../config/permissions');
+const httpError = require('./httpError');
+
+// Error codes returned when a partner account cannot be used yet
+const PARTNER_STATUS_ERRORS = {
+  pending: {
+    code: 'PARTNER_PENDING_APPROVAL',
+    message: 'Your partner application is awaiting review.'
+  },
+  under_review: {
+    code: 'PARTNER_PENDING_APPROVAL',
+    message: 'Your partner application is under review.'
+  },
+  information_requested: {
+    code: 'PARTNER_INFORMATION_REQUESTED',
+    message: 'We need more information to finish reviewing your partner application.'
+  },
+  rejected: {
+    code: 'PARTNER_REJECTED',
+    message: 'Your partner application was rejected.'
+  },
+  suspended: {
+    code: 'PARTNER_SUSPENDED',
+    message: 'Your partner account has been suspended. Please contact support.'
+  }
+};
+
+const isKnownPermission = (permission) => {
+  return Boolean(PERMISSIONS[permission] || PERMISSIONS[`${permission}:any`] || PERMISSIONS[`${permission}:own`]);
+};
+
+const getRolePermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+const hasPermission = (user, permission) => {
+  return Boolean(user) && getRolePermissions(user.role).includes(permission);
+};
+
+// Granted permission name for a check, or null. A name without a scope
+// ('vehicles:write') is satisfied by :any before :own.
+const resolvePermission = (user, permission) => {
+  const candidates = PERMISSIONS[permission]
+    ? [permission]
+    : [`${permission}:any`, `${permission}:own`];
+
+  return candidates.find(name => hasPermission(user, name)) || null;
+};
+
+// Approved, active partner profile of a user, optionally of one type
+const getPartnerAccess = async (userId, partnerType) => {
+  const partner = await Partner.findOne({ where: { userId } });
+
+  if (!partner) {
+    throw httpError('Partner access required. Please register as a partner.', 403, {
+      code: 'PARTNER_REQUIRED'
+    });
+  }
+
+  if (partner.verificationStatus !== 'approved') {
+    const error = PARTNER_STATUS_ERRORS[partner.verificationStatus] || PARTNER_STATUS_ERRORS.pending;
+    throw httpError(error.message, 403, { code: error.code });
+  }
+
+  if (!partner.isActive) {
+    throw httpError('Your partner account is inactive. Please contact support.', 403, {
+      code: 'PARTNER_INACTIVE'
+    });
+  }
+
+  if (partnerType && partner.type !== partnerType) {
+    throw httpError(`This action is only available to ${partnerType.replace(/_/g, ' ')} partners`, 403, {
+      code: 'PARTNER_TYPE_MISMATCH'
+    });
+  }
+
+  return partner;
+};
+
+module.exports = {
+  isKnownPermission,
+  getRolePermissions,
+  hasPermission,
+  resolvePermission,
+  getPartnerAccess
+};
@@ -0,0 +1,89 @@
+const pricing = require('../config/pricing');
+
+// Work in cents to avoid floating point drift
+const toCents = (amount) => Math.round(parseFloat(amount) * 100);
+const fromCents = (cents) => cents / 100;
+
+const getDeliveryFee = (district) => {
+  if (district && Object.prototype.hasOwnProperty.call(pricing.deliveryFees, district)) {
+    return pricing.deliveryFees[district];
+  }
+  return pricing.defaultDeliveryFee;
+};
+
+const lineItem = (code, label, quantity, unitPrice) => {
+  const unitCents = toCents(unitPrice);
+  return {
+    code,
+    label,
+    quantity,
+    unitPrice: fromCents(unitCents),
+    amountCents: unitCents * quantity
+  };
+};
+
+// Build an itemised quote for a material or vehicle request.
+// Expects the loaded Material or Vehicle instance for the request type.
+const calculateQuote = ({ type, material, vehicle, quantity, duration, durationType, district }) => {
+  const items = [];
+
+  if (type === 'material') {
+    const qty = parseInt(quantity);
+    items.push(lineItem('base', `${material.name} (${material.unit})`, qty, material.pricePerUnit));
+  } else {
+    const units = parseInt(duration);
+    const rate = durationType === 'hours' ? vehicle.pricePerHour : vehicle.pricePerDay;
+    items.push(lineItem('base', `${vehicle.name} (per ${durationType === 'hours' ? 'hour' : 'day'})`, units, rate));
+
+    if (vehicle.operatorIncluded) {
+      items.push(lineItem('operator', 'Operator surcharge', units, pricing.operatorSurcharge[durationType]));
+    }
+  }
+
+  items.push(lineItem(
+    'delivery',
+    type === 'material' ? `Delivery (${district || 'other areas'})` : `Mobilisation (${district || 'other areas'})`,
+    1,
+    getDeliveryFee(district)
+  ));
+
+  const itemsCents = items.reduce((sum, item) => sum + item.amountCents, 0);
+
+  // Top up small orders to the minimum order value
+  const minimumCents = toCents(pricing.minimumOrderValue);
+  if (itemsCents < minimumCents) {
+    items.push({
+      code: 'minimum_order',
+      label: 'Minimum order adjustment',
+      quantity: 1,
+      unitPrice: fromCents(minimumCents - itemsCents),
+      amountCents: minimumCents - itemsCents
+    });
+  }
+
+  const subtotalCents = Math.max(itemsCents, minimumCents);
+  const taxCents = Math.round(subtotalCents * pricing.taxRate);
+  const totalCents = subtotalCents + taxCents;
+
+  return {
+    currency: pricing.currency,
+    items: items.map(({ amountCents, ...item }) => ({ ...item, amount: fromCents(amountCents) })),
+    subtotal: fromCents(subtotalCents),
+    tax: {
+      rate: pricing.taxRate,
+      amount: fromCents(taxCents)
+    },
+    total: fromCents(totalCents)
+  };
+};
+
+// True when a client-supplied total agrees with the server quote
+const matchesQuote = (quote, clientTotal) => {
+  return Math.abs(parseFloat(clientTotal) - quote.total) <= pricing.priceTolerance;
+};
+
+module.exports = {
+  getDeliveryFee,
+  calculateQuote,
+  matchesQuote
+};
@@ -0,0 +1,16 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Carries the current request through async calls so model hooks can see who made a change
+const storage = new AsyncLocalStorage();
+
+const runWithRequest = (req, callback) => storage.run({ req }, callback);
+
+const getCurrentRequest = () => {
+  const store = storage.getStore();
+  return store ? store.req : null;
+};
+
+module.exports = {
+  runWithRequest,
+  getCurrentRequest
+};
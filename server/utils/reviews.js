@@ -0,0 +1,265 @@
+const { sequelize, Review, ReviewReport, User, Vehicle, Material, Partner } = require('../models');
+const config = require('../config/reviews');
+const httpError = require('./httpError');
+const { findPage } = require('./listQuery');
+const { notifyPartner } = require('./notifications');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const REVIEW_SORTS = {
+  newest: [['createdAt', 'DESC']],
+  highest: [['rating', 'DESC'], ['createdAt', 'DESC']],
+  lowest: [['rating', 'ASC'], ['createdAt', 'DESC']]
+};
+
+// What the public sees of a review's author
+const AUTHOR_INCLUDE = {
+  model: User,
+  as: 'author',
+  attributes: ['name']
+};
+
+// Listing and partner rows whose rating and ratingCount a review counts towards.
+// Listings are locked before the partner so concurrent updates can't deadlock.
+const ratingTargets = (review) => [
+  review.vehicleId && { Model: Vehicle, field: 'vehicleId', id: review.vehicleId },
+  review.materialId && { Model: Material, field: 'materialId', id: review.materialId },
+  { Model: Partner, field: 'partnerId', id: review.partnerId }
+].filter(Boolean);
+
+// Recompute rating and ratingCount from published reviews for everything the
+// review counts towards. Must run inside a transaction.
+const refreshRatings = async (review, transaction) => {
+  for (const { Model, field, id } of ratingTargets(review)) {
+    const target = await Model.findByPk(id, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+    if (!target) continue;
+
+    const totals = await Review.findOne({
+      where: { [field]: id, status: 'published' },
+      attributes: [
+        [sequelize.fn('AVG', sequelize.col('rating')), 'average'],
+        [sequelize.fn('COUNT', sequelize.col('id')), 'count']
+      ],
+      raw: true,
+      transaction
+    });
+
+    const count = parseInt(totals.count) || 0;
+    await target.update({
+      rating: count > 0 ? Math.round(parseFloat(totals.average) * 100) / 100 : 0,
+      ratingCount: count
+    }, { transaction });
+  }
+};
+
+const notifyReviewReceived = async (review, user) => {
+  try {
+    const listing = review.vehicleId
+      ? await Vehicle.findByPk(review.vehicleId, { attributes: ['name'] })
+      : await Material.findByPk(review.materialId, { attributes: ['name'] });
+
+    await notifyPartner(review.partnerId, 'review_received', {
+      reviewId: review.id,
+      serviceRequestId: review.serviceRequestId,
+      rating: review.rating,
+      comment: review.comment,
+      customerName: user.name,
+      itemName: listing ? listing.name : null
+    });
+  } catch (error) {
+    console.error('Failed to send review notification:', error);
+  }
+};
+
+// Review a completed order. Must run inside a transaction.
+const createReview = async (serviceRequest, user, { rating, comment }, transaction) => {
+  if (serviceRequest.userId !== user.id) {
+    throw httpError('Not authorized to review this request', 403);
+  }
+
+  if (serviceRequest.status !== 'completed') {
+    throw httpError('Can only review completed requests', 400);
+  }
+
+  const completedAt = serviceRequest.completedDate || serviceRequest.updatedAt;
+  if (Date.now() - new Date(completedAt).getTime() > config.reviewWindowDays * DAY_MS) {
+    throw httpError(`Requests can only be reviewed within ${config.reviewWindowDays} days of completion`, 400);
+  }
+
+  if (!serviceRequest.assignedTo) {
+    throw httpError('This request has no partner to review', 400);
+  }
+
+  const existing = await Review.findOne({
+    where: { serviceRequestId: serviceRequest.id },
+    transaction
+  });
+  if (existing) {
+    throw httpError('Feedback already provided for this request', 409);
+  }
+
+  const review = await Review.create({
+    serviceRequestId: serviceRequest.id,
+    userId: user.id,
+    partnerId: serviceRequest.assignedTo,
+    vehicleId: serviceRequest.vehicleId || null,
+    materialId: serviceRequest.materialId || null,
+    rating,
+    comment: comment || null
+  }, { transaction });
+
+  // Kept in step for clients that read feedback off the order
+  serviceRequest.feedback = {
+    rating,
+    comment: comment || null,
+    date: review.createdAt
+  };
+  await serviceRequest.save({ transaction });
+
+  await refreshRatings(review, transaction);
+
+  transaction.afterCommit(() => notifyReviewReceived(review, user));
+
+  return review;
+};
+
+// The partner's public answer to a review; an empty reply removes it
+const replyToReview = async (review, partner, reply) => {
+  if (review.partnerId !== partner.id) {
+    throw httpError('Not authorized to reply to this review', 403);
+  }
+
+  await review.update({
+    reply: reply || null,
+    repliedAt: reply ? new Date() : null
+  });
+
+  return review;
+};
+
+// Flag a review for moderation. Enough open reports hide it until a moderator
+// decides. Must run inside a transaction.
+const reportReview = async (review, user, { reason, details }, transaction) => {
+  if (review.userId === user.id) {
+    throw httpError('You cannot report your own review', 400);
+  }
+
+  const existing = await ReviewReport.findOne({
+    where: { reviewId: review.id, reporterId: user.id },
+    transaction
+  });
+  if (existing) {
+    throw httpError('You have already reported this review', 409);
+  }
+
+  const report = await ReviewReport.create({
+    reviewId: review.id,
+    reporterId: user.id,
+    reason,
+    details: details || null
+  }, { transaction });
+
+  const reportCount = review.reportCount + 1;
+  const hide = review.status === 'published' && !review.moderatedAt && reportCount >= config.autoHideReports;
+
+  await review.update({
+    reportCount,
+    ...(hide && { status: 'hidden' })
+  }, { transaction });
+
+  if (hide) {
+    await refreshRatings(review, transaction);
+  }
+
+  return report;
+};
+
+// Publish or hide a review and close its open reports: upheld when it is
+// hidden, dismissed when it stays up. Must run inside a transaction.
+const moderateReview = async (review, moderator, { status, note }, transaction) => {
+  const statusChanged = review.status !== status;
+
+  await ReviewReport.update({
+    status: status === 'hidden' ? 'upheld' : 'dismissed',
+    resolvedBy: moderator.id,
+    resolvedAt: new Date()
+  }, {
+    where: { reviewId: review.id, status: 'open' },
+    transaction
+  });
+
+  await review.update({
+    status,
+    reportCount: 0,
+    moderatedBy: moderator.id,
+    moderatedAt: new Date(),
+    moderationNote: note || null
+  }, { transaction });
+
+  if (statusChanged) {
+    await refreshRatings(review, transaction);
+  }
+
+  return review;
+};
+
+// { average, count, distribution } of the published reviews matching where
+const getRatingSummary = async (where) => {
+  const rows = await Review.findAll({
+    where: { ...where, status: 'published' },
+    attributes: [
+      'rating',
+      [sequelize.fn('COUNT', sequelize.col('id')), 'count']
+    ],
+    group: ['rating'],
+    raw: true
+  });
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let count = 0;
+  let total = 0;
+
+  rows.forEach(row => {
+    const rowCount = parseInt(row.count);
+    distribution[row.rating] = rowCount;
+    count += rowCount;
+    total += row.rating * rowCount;
+  });
+
+  return {
+    average: count > 0 ? Math.round(total / count * 100) / 100 : 0,
+    count,
+    distribution
+  };
+};
+
+// A page of published reviews plus their rating summary, for a listing or
+// partner page
+const findPublishedReviews = async (where, req) => {
+  const { rows, pagination } = await findPage(Review, req, {
+    where: { ...where, status: 'published' },
+    attributes: ['id', 'rating', 'comment', 'reply', 'repliedAt', 'createdAt'],
+    include: [AUTHOR_INCLUDE],
+    order: REVIEW_SORTS[req.query.sort] || REVIEW_SORTS.newest
+  });
+
+  return {
+    rows,
+    pagination,
+    summary: await getRatingSummary(where)
+  };
+};
+
+module.exports = {
+  REVIEW_SORTS,
+  refreshRatings,
+  createReview,
+  replyToReview,
+  reportReview,
+  moderateReview,
+  getRatingSummary,
+  findPublishedReviews
+};
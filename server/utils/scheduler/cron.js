@@ -0,0 +1,94 @@
+// Five-field cron expressions: minute hour day-of-month month day-of-week.
+// Fields take *, numbers, ranges (1-5), steps (*/15, 8-18/2) and lists of
+// those. Times are in the server's local time zone.
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 6 }
+];
+
+// Far enough for any valid expression (Feb 29 only comes round every 4 years)
+const MAX_SEARCH_MINUTES = 5 * 366 * 24 * 60;
+
+const parseField = (text, { name, min, max }) => {
+  const values = new Set();
+
+  text.split(',').forEach(part => {
+    const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid cron ${name}: ${text}`);
+    }
+
+    let [from, to] = [min, max];
+    if (match[1] !== '*') {
+      [from, to = from] = match[1].split('-').map(Number);
+    }
+    const step = match[2] ? Number(match[2]) : 1;
+
+    if (from < min || to > max || from > to || step < 1) {
+      throw new Error(`Invalid cron ${name}: ${text}`);
+    }
+
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  });
+
+  return values;
+};
+
+const parseCron = (expression) => {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Cron expression needs ${FIELDS.length} fields: ${expression}`);
+  }
+
+  const schedule = {};
+  FIELDS.forEach((field, index) => {
+    schedule[field.name] = parseField(parts[index], field);
+  });
+
+  // As in cron, a restricted day of month and day of week match either one
+  schedule.anyDay = parts[2] === '*' || parts[4] === '*';
+  return schedule;
+};
+
+const matchesDay = (schedule, date) => {
+  const dayOfMonth = schedule.dayOfMonth.has(date.getDate());
+  const dayOfWeek = schedule.dayOfWeek.has(date.getDay());
+  return schedule.anyDay ? dayOfMonth && dayOfWeek : dayOfMonth || dayOfWeek;
+};
+
+// The first minute after `after` that the expression matches
+const nextRunAfter = (expression, after = new Date()) => {
+  const schedule = parseCron(expression);
+  const date = new Date(after);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  for (let steps = 0; steps < MAX_SEARCH_MINUTES; steps++) {
+    if (!schedule.month.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0);
+    } else if (!matchesDay(schedule, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0);
+    } else if (!schedule.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0);
+    } else if (!schedule.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+
+  throw new Error(`Cron expression never matches: ${expression}`);
+};
+
+module.exports = {
+  parseCron,
+  nextRunAfter
+};
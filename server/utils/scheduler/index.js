@@ -0,0 +1,100 @@
+const { Op } = require('sequelize');
+const { sequelize, ScheduledTask } = require('../../models');
+const config = require('../../config/scheduler');
+const httpError = require('../httpError');
+const { enqueue } = require('../jobs');
+const { nextRunAfter } = require('./cron');
+
+// Scheduled tasks run as jobs of this type
+const jobType = (name) => `scheduled.${name}`;
+
+// Bring task rows in line with config/scheduler.js. A changed schedule takes
+// effect from now; tasks removed from the config are disabled.
+const syncTasks = async () => {
+  const now = new Date();
+  const names = Object.keys(config.tasks);
+
+  for (const name of names) {
+    const { schedule, enabled = true } = config.tasks[name];
+    const [task, created] = await ScheduledTask.findOrCreate({
+      where: { name },
+      defaults: { schedule, isEnabled: enabled, nextRunAt: nextRunAfter(schedule, now) }
+    });
+
+    if (!created && (task.schedule !== schedule || task.isEnabled !== enabled)) {
+      await task.update({
+        schedule,
+        isEnabled: enabled,
+        nextRunAt: nextRunAfter(schedule, now)
+      });
+    }
+  }
+
+  await ScheduledTask.update({ isEnabled: false }, {
+    where: { name: { [Op.notIn]: names }, isEnabled: true }
+  });
+};
+
+let synced = null;
+
+// Queue every task that is due and move it on to its next run. Runs missed
+// while no worker was up collapse into one, and a task whose last job is still
+// waiting is not queued twice. Safe to call from several workers at once.
+const queueDueTasks = async () => {
+  if (!synced) {
+    synced = syncTasks().catch(error => {
+      synced = null;
+      throw error;
+    });
+  }
+  await synced;
+
+  return sequelize.transaction(async (transaction) => {
+    const now = new Date();
+    const due = await ScheduledTask.findAll({
+      where: { isEnabled: true, nextRunAt: { [Op.lte]: now } },
+      transaction,
+      lock: transaction.LOCK.UPDATE,
+      skipLocked: true
+    });
+
+    for (const task of due) {
+      const job = await enqueue(jobType(task.name), { scheduledFor: task.nextRunAt }, {
+        uniqueKey: jobType(task.name),
+        maxAttempts: 1,
+        transaction
+      });
+
+      await task.update({
+        nextRunAt: nextRunAfter(task.schedule, now),
+        lastQueuedAt: now,
+        lastJobId: job.id
+      }, { transaction });
+    }
+
+    return due.map(task => task.name);
+  });
+};
+
+// Queue a task straight away, outside its schedule
+const runTaskNow = async (name) => {
+  const task = await ScheduledTask.findByPk(name);
+  if (!task) {
+    throw httpError('Scheduled task not found', 404);
+  }
+
+  const job = await enqueue(jobType(name), { scheduledFor: new Date(), manual: true }, {
+    uniqueKey: jobType(name),
+    maxAttempts: 1
+  });
+
+  await task.update({ lastQueuedAt: new Date(), lastJobId: job.id });
+
+  return job;
+};
+
+module.exports = {
+  jobType,
+  queueDueTasks,
+  runTaskNow
+};
@@ -0,0 +1,210 @@
+const { Op, UniqueConstraintError } = require('sequelize');
+const { ServiceRequest, Vehicle, Partner, ScheduledAlert } = require('../../models');
+const config = require('../../config/scheduler');
+const { changeStatus } = require('../orderStatus');
+const { notifyPartner } = require('../notifications');
+const { notifyOrderReminder } = require('../notifications/orders');
+const { advanceMaintenanceWindows } = require('../maintenance');
+const { purgeExpiredAuditLogs } = require('../audit');
+const { purgeFinishedJobs } = require('../jobs');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// True the first time an alert key is seen. Recorded before sending so an
+// alert is never repeated, even if the run fails halfway.
+const claimAlert = async (key) => {
+  try {
+    await ScheduledAlert.create({ key });
+    return true;
+  } catch (error) {
+    if (error instanceof UniqueConstraintError) return false;
+    throw error;
+  }
+};
+
+// A JSON date field as a Date, or null when it is missing or invalid
+const toDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Each task returns a summary that is kept as its job's result
+
+const expirePendingRequests = async () => {
+  const now = new Date();
+
+  const requests = await ServiceRequest.findAll({
+    where: {
+      status: 'pending',
+      [Op.or]: [
+        { createdAt: { [Op.lt]: new Date(now.getTime() - config.pendingExpiryHours * HOUR_MS) } },
+        { requiredDate: { [Op.lt]: now } }
+      ]
+    },
+    order: [['createdAt', 'ASC']],
+    limit: config.batchLimit
+  });
+
+  let expired = 0;
+  for (const serviceRequest of requests) {
+    try {
+      await changeStatus(serviceRequest, 'cancelled', {
+        actorRole: 'system',
+        note: serviceRequest.requiredDate < now
+          ? 'Expired: the required date passed before the partner responded'
+          : `Expired: no response from the partner within ${config.pendingExpiryHours} hours`
+      });
+      expired++;
+    } catch (error) {
+      console.error(`Failed to expire service request ${serviceRequest.id}:`, error);
+    }
+  }
+
+  return { expired, failed: requests.length - expired };
+};
+
+const sendOrderReminders = async () => {
+  const now = new Date();
+
+  const requests = await ServiceRequest.findAll({
+    where: {
+      status: 'confirmed',
+      requiredDate: {
+        [Op.gt]: now,
+        [Op.lte]: new Date(now.getTime() + config.reminderHoursBefore * HOUR_MS)
+      }
+    }
+  });
+
+  let sent = 0;
+  for (const serviceRequest of requests) {
+    if (!await claimAlert(`order_reminder:${serviceRequest.id}`)) continue;
+    await notifyOrderReminder(serviceRequest);
+    sent++;
+  }
+
+  return { sent };
+};
+
+// Services due within the notice period, including overdue ones, once per due date
+const sendMaintenanceAlerts = async () => {
+  const horizon = new Date(Date.now() + config.maintenanceNoticeDays * DAY_MS);
+
+  const vehicles = await Vehicle.findAll({
+    where: { status: { [Op.ne]: 'inactive' } },
+    attributes: ['id', 'name', 'ownerId', 'maintenance']
+  });
+
+  let sent = 0;
+  for (const vehicle of vehicles) {
+    const dueDate = toDate(vehicle.maintenance && vehicle.maintenance.nextService);
+    if (!dueDate || dueDate > horizon) continue;
+    if (!await claimAlert(`maintenance_due:${vehicle.id}:${dueDate.toISOString()}`)) continue;
+
+    await notifyPartner(vehicle.ownerId, 'maintenance_due', {
+      vehicleId: vehicle.id,
+      vehicleName: vehicle.name,
+      dueDate
+    });
+    sent++;
+  }
+
+  return { sent };
+};
+
+// Vehicle and partner insurance running out within the notice period, once per
+// expiry date. Policies that already lapsed are handled by deactivateUninsured.
+const sendInsuranceAlerts = async () => {
+  const now = new Date();
+  const horizon = new Date(now.getTime() + config.insuranceNoticeDays * DAY_MS);
+  const isExpiring = (insurance) => {
+    const expiryDate = toDate(insurance && insurance.expiryDate);
+    return expiryDate && expiryDate > now && expiryDate <= horizon ? expiryDate : null;
+  };
+
+  let sent = 0;
+
+  const vehicles = await Vehicle.findAll({
+    where: { status: { [Op.ne]: 'inactive' } },
+    attributes: ['id', 'name', 'ownerId', 'insurance']
+  });
+  for (const vehicle of vehicles) {
+    const expiryDate = isExpiring(vehicle.insurance);
+    if (!expiryDate) continue;
+    if (!await claimAlert(`insurance_expiring:vehicle:${vehicle.id}:${expiryDate.toISOString()}`)) continue;
+
+    await notifyPartner(vehicle.ownerId, 'insurance_expiring', {
+      subjectType: 'vehicle',
+      vehicleId: vehicle.id,
+      subject: vehicle.name,
+      expiryDate
+    });
+    sent++;
+  }
+
+  const partners = await Partner.findAll({
+    where: { verificationStatus: 'approved', isActive: true },
+    attributes: ['id', 'businessName', 'insurance']
+  });
+  for (const partner of partners) {
+    const expiryDate = isExpiring(partner.insurance);
+    if (!expiryDate) continue;
+    if (!await claimAlert(`insurance_expiring:partner:${partner.id}:${expiryDate.toISOString()}`)) continue;
+
+    await notifyPartner(partner.id, 'insurance_expiring', {
+      subjectType: 'partner',
+      subject: partner.businessName,
+      expiryDate
+    });
+    sent++;
+  }
+
+  return { sent };
+};
+
+// Vehicles can't be offered without valid insurance. Owners set them active
+// again once the policy is renewed.
+const deactivateUninsured = async () => {
+  const now = new Date();
+
+  const vehicles = await Vehicle.findAll({
+    where: { status: { [Op.ne]: 'inactive' } }
+  });
+
+  let deactivated = 0;
+  for (const vehicle of vehicles) {
+    const expiryDate = toDate(vehicle.insurance && vehicle.insurance.expiryDate);
+    if (!expiryDate || expiryDate > now) continue;
+
+    await vehicle.update({ status: 'inactive' });
+    await notifyPartner(vehicle.ownerId, 'listing_deactivated', {
+      vehicleId: vehicle.id,
+      vehicleName: vehicle.name,
+      expiryDate
+    });
+    deactivated++;
+  }
+
+  return { deactivated };
+};
+
+const purgeAuditLogs = async () => {
+  const { cutoff, deleted } = await purgeExpiredAuditLogs();
+  return { cutoff, deleted };
+};
+
+// Task name (as in config/scheduler.js) -> function
+const tasks = {
+  'requests.expire_pending': expirePendingRequests,
+  'orders.send_reminders': sendOrderReminders,
+  'vehicles.maintenance_windows': advanceMaintenanceWindows,
+  'vehicles.maintenance_alerts': sendMaintenanceAlerts,
+  'insurance.expiry_alerts': sendInsuranceAlerts,
+  'vehicles.deactivate_uninsured': deactivateUninsured,
+  'audit.purge': purgeAuditLogs,
+  'jobs.purge': purgeFinishedJobs
+};
+
+module.exports = tasks;
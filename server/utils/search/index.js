@@ -0,0 +1,161 @@
+const { Op } = require('sequelize');
+const { Vehicle, Material } = require('../../models');
+const config = require('../../config/search');
+const { createInvertedIndex } = require('./invertedIndex');
+const { highlight, snippet } = require('./text');
+
+// 'operatingWeight: 8.5 tons' -> 'operating Weight 8.5 tons'
+const specificationsText = (specifications) => {
+  if (!specifications || typeof specifications !== 'object') return '';
+
+  return Object.entries(specifications)
+    .map(([key, value]) => `${key.replace(/([a-z])([A-Z])/g, '$1 $2')} ${typeof value === 'object' ? JSON.stringify(value) : value}`)
+    .join('. ');
+};
+
+const SEARCHABLE_ATTRIBUTES = ['id', 'name', 'description', 'tags', 'specifications'];
+
+const searchableFields = (record) => ({
+  name: record.name,
+  description: record.description,
+  tags: Array.isArray(record.tags) ? record.tags.join(' ') : '',
+  specifications: specificationsText(record.specifications)
+});
+
+const catalogs = {
+  vehicles: { Model: Vehicle, index: createInvertedIndex() },
+  materials: { Model: Material, index: createInvertedIndex() }
+};
+
+const getCatalog = (name) => {
+  const catalog = catalogs[name];
+  if (!catalog) {
+    throw new Error(`Unknown search catalog: ${name}`);
+  }
+  return catalog;
+};
+
+const loadCatalog = async (catalog) => {
+  const records = await catalog.Model.findAll({ attributes: SEARCHABLE_ATTRIBUTES });
+
+  catalog.index.clear();
+  records.forEach(record => catalog.index.add(record.id, searchableFields(record)));
+};
+
+// Rebuild every index from the database
+const loadSearchIndexes = async () => {
+  await Promise.all(Object.values(catalogs).map(loadCatalog));
+};
+
+// Keep the indexes in step with changes made by this process. Bulk writes
+// don't say which rows they touched, so they reload the whole catalogue.
+const registerSearchHooks = () => {
+  for (const catalog of Object.values(catalogs)) {
+    catalog.Model.addHook('afterSave', 'search', (record) => {
+      if (SEARCHABLE_ATTRIBUTES.every(attribute => record.get(attribute) !== undefined)) {
+        catalog.index.add(record.id, searchableFields(record));
+        return;
+      }
+
+      // Saved from a partial load; fetch the rest rather than index blanks
+      catalog.Model.findByPk(record.id, { attributes: SEARCHABLE_ATTRIBUTES })
+        .then(full => full && catalog.index.add(full.id, searchableFields(full)))
+        .catch(error => console.error('Search index update error:', error));
+    });
+
+    catalog.Model.addHook('afterDestroy', 'search', (record) => {
+      catalog.index.remove(record.id);
+    });
+
+    const reload = () => {
+      loadCatalog(catalog).catch(error => console.error('Search index reload error:', error));
+    };
+    catalog.Model.addHook('afterBulkUpdate', 'search', reload);
+    catalog.Model.addHook('afterBulkDestroy', 'search', reload);
+  }
+};
+
+// Load the indexes, keep them current and refresh them periodically
+const startSearchIndexes = async () => {
+  registerSearchHooks();
+  await loadSearchIndexes();
+
+  if (config.refreshMinutes > 0) {
+    setInterval(() => {
+      loadSearchIndexes().catch(error => console.error('Search index refresh error:', error));
+    }, config.refreshMinutes * 60 * 1000).unref();
+  }
+};
+
+// Highlighted excerpts of the fields a record matched on
+const getHighlights = (record, terms) => {
+  const highlights = {};
+
+  const name = highlight(record.name, terms);
+  if (name.includes('<mark>')) highlights.name = name;
+
+  const description = snippet(record.description, terms, config.snippetLength);
+  if (description) highlights.description = description;
+
+  const tags = (record.tags || []).map(tag => highlight(tag, terms)).filter(tag => tag.includes('<mark>'));
+  if (tags.length > 0) highlights.tags = tags;
+
+  const specifications = snippet(specificationsText(record.specifications), terms, config.snippetLength);
+  if (specifications) highlights.specifications = specifications;
+
+  return highlights;
+};
+
+// Search a catalogue and load one page of matching records that also satisfy
+// `where`. Results are ranked by relevance unless an explicit order is given.
+// Each record gets a `search` value with its score and highlights.
+const searchCatalog = async (name, q, { where = {}, attributes, include, order, offset = 0, limit = 10 }) => {
+  const { Model, index } = getCatalog(name);
+  const hits = index.search(q);
+
+  if (hits.length === 0) {
+    return { count: 0, rows: [] };
+  }
+
+  const hitsById = new Map(hits.map(hit => [hit.id, hit]));
+  const annotate = (record) => {
+    const hit = hitsById.get(record.id);
+    record.setDataValue('search', {
+      score: Math.round(hit.score * 1000) / 1000,
+      highlights: getHighlights(record, hit.terms)
+    });
+    return record;
+  };
+
+  const matching = { ...where, id: { [Op.in]: [...hitsById.keys()] } };
+
+  if (order) {
+    const { count, rows } = await Model.findAndCountAll({ where: matching, attributes, include, order, offset, limit });
+    return { count, rows: rows.map(annotate) };
+  }
+
+  // Filters narrow the ranked ids; only the requested page is loaded in full
+  const allowed = await Model.findAll({ where: matching, attributes: ['id'] });
+  const allowedIds = new Set(allowed.map(record => record.id));
+  const ranked = hits.filter(hit => allowedIds.has(hit.id));
+  const pageIds = ranked.slice(offset, offset + limit).map(hit => hit.id);
+
+  const records = await Model.findAll({ where: { id: { [Op.in]: pageIds } }, attributes, include });
+  const recordsById = new Map(records.map(record => [record.id, record]));
+
+  return {
+    count: ranked.length,
+    rows: pageIds.filter(id => recordsById.has(id)).map(id => annotate(recordsById.get(id)))
+  };
+};
+
+// Ids of every record matching a query, best first
+const getMatchingIds = (name, q) => getCatalog(name).index.search(q).map(hit => hit.id);
+
+module.exports = {
+  CATALOGS: Object.keys(catalogs),
+  startSearchIndexes,
+  loadSearchIndexes,
+  searchCatalog,
+  getMatchingIds
+};
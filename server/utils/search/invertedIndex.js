@@ -0,0 +1,148 @@
+const config = require('../../config/search');
+const { tokenize, editDistance } = require('./text');
+
+// BM25 tuning
+const K1 = 1.2;
+const B = 0.75;
+
+// In-memory inverted index over a set of documents made of named text fields
+const createInvertedIndex = () => {
+  // term -> Map(id -> weighted term frequency)
+  const postings = new Map();
+  // id -> { length, terms }
+  const documents = new Map();
+  let totalLength = 0;
+
+  const remove = (id) => {
+    const document = documents.get(id);
+    if (!document) return;
+
+    for (const term of document.terms) {
+      const posting = postings.get(term);
+      posting.delete(id);
+      if (posting.size === 0) postings.delete(term);
+    }
+
+    totalLength -= document.length;
+    documents.delete(id);
+  };
+
+  // fields: { name: text } for the fields listed in config.fieldWeights
+  const add = (id, fields) => {
+    remove(id);
+
+    const frequencies = new Map();
+    let length = 0;
+
+    for (const [field, weight] of Object.entries(config.fieldWeights)) {
+      for (const term of tokenize(fields[field])) {
+        frequencies.set(term, (frequencies.get(term) || 0) + weight);
+        length++;
+      }
+    }
+
+    for (const [term, frequency] of frequencies) {
+      if (!postings.has(term)) postings.set(term, new Map());
+      postings.get(term).set(id, frequency);
+    }
+
+    documents.set(id, { length, terms: [...frequencies.keys()] });
+    totalLength += length;
+  };
+
+  const clear = () => {
+    postings.clear();
+    documents.clear();
+    totalLength = 0;
+  };
+
+  const allowedTypos = (term) => {
+    if (/^\d+$/.test(term)) return 0;
+    if (term.length >= config.fuzzy.twoTyposMinLength) return 2;
+    if (term.length >= config.fuzzy.oneTypoMinLength) return 1;
+    return 0;
+  };
+
+  // Indexed terms a query term may stand for, with how much each match counts
+  const expand = (queryTerm) => {
+    const typos = allowedTypos(queryTerm);
+    const candidates = [];
+
+    for (const term of postings.keys()) {
+      if (term === queryTerm) {
+        candidates.push({ term, weight: config.matchWeights.exact });
+      } else if (queryTerm.length >= 3 && term.startsWith(queryTerm)) {
+        candidates.push({ term, weight: config.matchWeights.prefix });
+      } else if (typos > 0 && editDistance(queryTerm, term, typos) <= typos) {
+        candidates.push({ term, weight: config.matchWeights.typo });
+      }
+    }
+
+    return candidates;
+  };
+
+  const bm25 = (term, id) => {
+    const posting = postings.get(term);
+    const frequency = posting.get(id);
+    const averageLength = totalLength / documents.size || 1;
+    const idf = Math.log(1 + (documents.size - posting.size + 0.5) / (posting.size + 0.5));
+    const norm = K1 * (1 - B + B * documents.get(id).length / averageLength);
+    return idf * (frequency * (K1 + 1)) / (frequency + norm);
+  };
+
+  // Ranked [{ id, score, terms }] where terms are the indexed terms that
+  // matched. Documents matching every query term come first; if none do,
+  // documents matching any of them are returned instead.
+  const search = (query, limit = config.maxResults) => {
+    const queryTerms = [...new Set(tokenize(query))];
+    if (queryTerms.length === 0) return [];
+
+    // id -> { score, terms, matched: number of query terms found }
+    const hits = new Map();
+
+    for (const queryTerm of queryTerms) {
+      const best = new Map();
+
+      for (const { term, weight } of expand(queryTerm)) {
+        for (const id of postings.get(term).keys()) {
+          const score = weight * bm25(term, id);
+          const current = best.get(id);
+          if (!current || score > current.score) {
+            best.set(id, { score, terms: current ? [...current.terms, term] : [term] });
+          } else {
+            current.terms.push(term);
+          }
+        }
+      }
+
+      for (const [id, match] of best) {
+        const hit = hits.get(id) || { id, score: 0, terms: new Set(), matched: 0 };
+        hit.score += match.score;
+        hit.matched++;
+        match.terms.forEach(term => hit.terms.add(term));
+        hits.set(id, hit);
+      }
+    }
+
+    let results = [...hits.values()];
+    const complete = results.filter(hit => hit.matched === queryTerms.length);
+    if (complete.length > 0) results = complete;
+
+    return results
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ id, score, terms }) => ({ id, score, terms }));
+  };
+
+  return {
+    add,
+    remove,
+    clear,
+    search,
+    size: () => documents.size
+  };
+};
+
+module.exports = {
+  createInvertedIndex
+};
@@ -0,0 +1,115 @@
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is',
+  'it', 'of', 'on', 'or', 'the', 'to', 'with'
+]);
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+const escapeHtml = (text) => text.replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+// Plural folding only: 'trucks' and 'truck' should find each other, anything
+// more aggressive mangles model numbers and brand names
+const stem = (word) => {
+  if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') && !/\d/.test(word)) {
+    return word.slice(0, -1);
+  }
+  return word;
+};
+
+const normalizeWord = (word) => {
+  return stem(word.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase());
+};
+
+// Index terms of a piece of text, in order, without stop words
+const tokenize = (text) => {
+  const words = String(text || '').match(WORD_PATTERN) || [];
+  return words
+    .map(normalizeWord)
+    .filter(term => !STOP_WORDS.has(term));
+};
+
+// Optimal string alignment distance, or max + 1 once it is certain to exceed max
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let distance = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distance = Math.min(distance, previousRow[j - 2] + 1);
+      }
+
+      nextRow.push(distance);
+      rowMin = Math.min(rowMin, distance);
+    }
+
+    if (rowMin > max) return max + 1;
+    previousRow = row;
+    row = nextRow;
+  }
+
+  return row[b.length];
+};
+
+// HTML-escaped text with words matching any of the terms wrapped in <mark>
+const highlight = (text, terms) => {
+  const source = String(text || '');
+  let result = '';
+  let last = 0;
+
+  for (const match of source.matchAll(WORD_PATTERN)) {
+    if (!terms.has(normalizeWord(match[0]))) continue;
+
+    result += escapeHtml(source.slice(last, match.index));
+    result += `<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+
+  return result + escapeHtml(source.slice(last));
+};
+
+// Highlighted excerpt of about `length` characters around the first matching
+// word, or null when nothing in the text matches
+const snippet = (text, terms, length) => {
+  const source = String(text || '');
+  let first = null;
+
+  for (const match of source.matchAll(WORD_PATTERN)) {
+    if (terms.has(normalizeWord(match[0]))) {
+      first = match.index;
+      break;
+    }
+  }
+
+  if (first === null) return null;
+  if (source.length <= length) return highlight(source, terms);
+
+  let start = Math.max(0, first - Math.floor(length / 3));
+  const end = Math.min(source.length, start + length);
+  start = Math.max(0, end - length);
+
+  // Don't cut words in half at either end
+  const from = start > 0 ? source.indexOf(' ', start) + 1 || start : 0;
+  const to = end < source.length ? source.lastIndexOf(' ', end) : end;
+
+  return `${from > 0 ? '…' : ''}${highlight(source.slice(from, to > from ? to : end), terms)}${end < source.length ? '…' : ''}`;
+};
+
+module.exports = {
+  normalizeWord,
+  tokenize,
+  editDistance,
+  highlight,
+  snippet
+};
@@ -2,7 +2,7 @@ const nodemailer = require('nodemailer');
 
 // Create transporter
 const createTransporter = () => {
-  return nodemailer.createTransporter({
+  return nodemailer.createTransport({
     host: process.env.EMAIL_HOST,
     port: process.env.EMAIL_PORT,
     secure: false, // true for 465, false for other ports
@@ -13,6 +13,12 @@ const createTransporter = () => {
   });
 };
 
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
 // Email templates
 const templates = {
   welcome: (data) => ({
@@ -64,22 +70,118 @@ const templates = {
         <p>Best regards,<br>The Auto X Sri Lanka Team</p>
       </div>
     `
+  }),
+
+  emailVerification: (data) => ({
+    subject: 'Verify your email - Auto X Sri Lanka',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #f97316;">Verify your email address</h2>
+        <p>Hi ${data.name},</p>
+        <p>Please confirm your email address to start placing orders on Auto X Sri Lanka.</p>
+        <p style="margin: 30px 0;">
+          <a href="${data.verifyUrl}" style="background: #f97316; color: #fff; padding: 12px 24px; border-radius: 6px; text-decoration: none;">Verify Email</a>
+        </p>
+        <p>This link expires in ${data.expiresInHours} hours. If you did not create an account, you can ignore this email.</p>
+        <p>Best regards,<br>The Auto X Sri Lanka Team</p>
+      </div>
+    `
+  }),
+
+  passwordReset: (data) => ({
+    subject: 'Reset your password - Auto X Sri Lanka',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #f97316;">Password reset request</h2>
+        <p>Hi ${data.name},</p>
+        <p>We received a request to reset your password. Click the button below to choose a new one.</p>
+        <p style="margin: 30px 0;">
+          <a href="${data.resetUrl}" style="background: #f97316; color: #fff; padding: 12px 24px; border-radius: 6px; text-decoration: none;">Reset Password</a>
+        </p>
+        <p>This link expires in ${data.expiresInMinutes} minutes and can only be used once. If you did not request a reset, you can ignore this email.</p>
+        <p>Best regards,<br>The Auto X Sri Lanka Team</p>
+      </div>
+    `
+  }),
+
+  passwordChanged: (data) => ({
+    subject: 'Your password was changed - Auto X Sri Lanka',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #f97316;">Password changed</h2>
+        <p>Hi ${data.name},</p>
+        <p>The password for your Auto X Sri Lanka account was just changed and all other devices have been signed out.</p>
+        <p>If this wasn't you, please contact our support team immediately.</p>
+        <p>Best regards,<br>The Auto X Sri Lanka Team</p>
+      </div>
+    `
+  }),
+
+  partnerVerificationUpdate: (data) => {
+    const messages = {
+      under_review: 'We have received your application and our team is reviewing your documents. This usually takes 2-3 business days.',
+      information_requested: 'We need a little more information before we can finish reviewing your application. Please update the items below and resubmit.',
+      approved: 'Your partner application has been approved. You can now list your services and receive orders.',
+      rejected: 'Unfortunately your partner application has not been approved.'
+    };
+
+    const documents = data.rejectedDocuments || [];
+
+    return {
+      subject: `Partner application ${data.status.replace(/_/g, ' ')} - Auto X Sri Lanka`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <h2 style="color: #f97316;">${data.businessName}</h2>
+          <p>Hi ${data.name},</p>
+          <p>${messages[data.status] || `Your partner application status is now ${data.status.replace(/_/g, ' ')}.`}</p>
+          ${data.notes ? `<p><strong>Reviewer notes:</strong> ${data.notes}</p>` : ''}
+          ${documents.length > 0 ? `
+          <div style="background: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
+            <h3>Documents to resubmit:</h3>
+            <ul>
+              ${documents.map(document => `<li><strong>${document.label}:</strong> ${document.note || ''}</li>`).join('')}
+            </ul>
+          </div>` : ''}
+          <p>Best regards,<br>The Auto X Sri Lanka Team</p>
+        </div>
+      `
+    };
+  },
+
+  // Generic layout for notification center events without a template of their own
+  notification: (data) => ({
+    subject: `${data.title} - Auto X Sri Lanka`,
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #f97316;">${escapeHtml(data.title)}</h2>
+        ${data.name ? `<p>Hi ${escapeHtml(data.name)},</p>` : ''}
+        <p>${escapeHtml(data.body).replace(/\n/g, '<br>')}</p>
+        ${data.url ? `
+        <p style="margin: 30px 0;">
+          <a href="${escapeHtml(data.url)}" style="background: #f97316; color: #fff; padding: 12px 24px; border-radius: 6px; text-decoration: none;">View details</a>
+        </p>` : ''}
+        <p>Best regards,<br>The Auto X Sri Lanka Team</p>
+      </div>
+    `
   })
 };
 
+// { subject, html } for a template and its data, or a ready-made subject and html/text
+const renderEmail = (options) => {
+  if (options.template && templates[options.template]) {
+    return templates[options.template](options.data);
+  }
+
+  return {
+    subject: options.subject,
+    html: options.html || options.text
+  };
+};
+
 const sendEmail = async (options) => {
   try {
     const transporter = createTransporter();
-
-    let emailContent;
-    if (options.template && templates[options.template]) {
-      emailContent = templates[options.template](options.data);
-    } else {
-      emailContent = {
-        subject: options.subject,
-        html: options.html || options.text
-      };
-    }
+    const emailContent = renderEmail(options);
 
     const mailOptions = {
       from: `Auto X Sri Lanka <${process.env.EMAIL_USER}>`,
@@ -97,4 +199,5 @@ const sendEmail = async (options) => {
   }
 };
 
-module.exports = sendEmail;
\ No newline at end of file
+module.exports = sendEmail;
+module.exports.renderEmail = renderEmail;
\ No newline at end of file
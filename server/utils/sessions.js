@@ -0,0 +1,147 @@
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const { sequelize, Session, RefreshToken } = require('../models');
+const authConfig = require('../config/auth');
+const httpError = require('./httpError');
+const { generateToken, hashToken } = require('./tokens');
+
+const ACCESS_TOKEN_EXPIRE = authConfig.accessTokenExpire;
+const REFRESH_TOKEN_DAYS = authConfig.refreshTokenDays;
+
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRE
+  });
+};
+
+const issueRefreshToken = async (session, transaction) => {
+  const token = generateToken(48);
+
+  await RefreshToken.create({
+    sessionId: session.id,
+    tokenHash: hashToken(token),
+    expiresAt: session.expiresAt
+  }, { transaction });
+
+  return token;
+};
+
+const tokenResponse = (userId, session, refreshToken) => ({
+  token: generateAccessToken(userId, session.id),
+  refreshToken,
+  expiresIn: ACCESS_TOKEN_EXPIRE
+});
+
+// Start a session for a device and issue its first token pair
+const createSession = async (user, req) => {
+  return sequelize.transaction(async (transaction) => {
+    const session = await Session.create({
+      userId: user.id,
+      deviceName: (req.body && req.body.deviceName) || null,
+      userAgent: (req.get('user-agent') || '').slice(0, 255) || null,
+      ipAddress: req.ip,
+      lastUsedAt: new Date(),
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000)
+    }, { transaction });
+
+    const refreshToken = await issueRefreshToken(session, transaction);
+    return tokenResponse(user.id, session, refreshToken);
+  });
+};
+
+const revokeSession = (session, reason, transaction) => {
+  return session.update({
+    revokedAt: new Date(),
+    revokedReason: reason
+  }, { transaction });
+};
+
+// Revoke every active session of a user, optionally keeping one
+const revokeUserSessions = (userId, { exceptId, reason }) => {
+  const where = { userId, revokedAt: null };
+  if (exceptId) where.id = { [Op.ne]: exceptId };
+
+  return Session.update({
+    revokedAt: new Date(),
+    revokedReason: reason
+  }, { where });
+};
+
+// Exchange a refresh token for a new pair. A token that was already rotated
+// means it leaked, so the whole session (token family) is revoked.
+const rotateRefreshToken = async (token, req) => {
+  const stored = await RefreshToken.findOne({
+    where: { tokenHash: hashToken(token) },
+    include: [
+      {
+        model: Session,
+        as: 'session',
+        include: [{ association: 'user', attributes: ['id', 'isActive'] }]
+      }
+    ]
+  });
+
+  if (!stored || !stored.session) {
+    throw httpError('Invalid refresh token', 401);
+  }
+
+  const { session } = stored;
+
+  if (stored.usedAt) {
+    await revokeSession(session, 'refresh_token_reuse');
+    throw httpError('Refresh token has already been used. Please sign in again.', 401);
+  }
+
+  if (!session.user || !session.user.isActive) {
+    throw httpError('Account has been deactivated', 401);
+  }
+
+  if (session.revokedAt || session.expiresAt < new Date() || stored.expiresAt < new Date()) {
+    throw httpError('Session has expired. Please sign in again.', 401);
+  }
+
+  const tokens = await sequelize.transaction(async (transaction) => {
+    // Conditional update so two concurrent refreshes cannot both rotate the same token
+    const [claimed] = await RefreshToken.update({ usedAt: new Date() }, {
+      where: { id: stored.id, usedAt: null },
+      transaction
+    });
+
+    if (claimed === 0) return null;
+
+    await session.update({
+      lastUsedAt: new Date(),
+      ipAddress: req.ip
+    }, { transaction });
+
+    const refreshToken = await issueRefreshToken(session, transaction);
+    return tokenResponse(session.userId, session, refreshToken);
+  });
+
+  if (!tokens) {
+    await revokeSession(session, 'refresh_token_reuse');
+    throw httpError('Refresh token has already been used. Please sign in again.', 401);
+  }
+
+  return tokens;
+};
+
+// Active session referenced by an access token, or null
+const findActiveSession = (sessionId, userId) => {
+  return Session.findOne({
+    where: {
+      id: sessionId,
+      userId,
+      revokedAt: null,
+      expiresAt: { [Op.gt]: new Date() }
+    }
+  });
+};
+
+module.exports = {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  findActiveSession
+};
@@ -0,0 +1,140 @@
+const { Material, StockMovement } = require('../models');
+const httpError = require('./httpError');
+
+// Statuses that consume or return reserved stock
+const COMMIT_STATUSES = ['confirmed', 'completed'];
+const RELEASE_STATUSES = ['cancelled', 'rejected'];
+
+const lockMaterial = async (materialId, transaction) => {
+  const material = await Material.findByPk(materialId, {
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+
+  if (!material) {
+    throw httpError('Material not found', 404);
+  }
+
+  return material;
+};
+
+const recordMovement = (material, type, quantity, options) => {
+  return StockMovement.create({
+    materialId: material.id,
+    serviceRequestId: options.serviceRequestId || null,
+    type,
+    quantity,
+    availableAfter: material.availableQuantity,
+    reservedAfter: material.reservedQuantity,
+    performedBy: options.userId || null,
+    note: options.note || null
+  }, { transaction: options.transaction });
+};
+
+// Take stock off the shelf for a new request. Must run inside a transaction.
+const reserveStock = async (serviceRequest, options) => {
+  const { transaction } = options;
+  const material = await lockMaterial(serviceRequest.materialId, transaction);
+  const quantity = serviceRequest.quantity;
+
+  if (!material.isAvailable || quantity > material.availableQuantity) {
+    throw httpError(`Only ${material.availableQuantity} ${material.unit} available`, 409);
+  }
+
+  await material.update({
+    availableQuantity: material.availableQuantity - quantity,
+    reservedQuantity: material.reservedQuantity + quantity
+  }, { transaction });
+
+  serviceRequest.stockStatus = 'reserved';
+  await serviceRequest.save({ transaction });
+
+  await recordMovement(material, 'reserve', -quantity, {
+    ...options,
+    serviceRequestId: serviceRequest.id
+  });
+
+  return material;
+};
+
+// Turn a reservation into a sale
+const commitStock = async (serviceRequest, options) => {
+  if (serviceRequest.stockStatus !== 'reserved') return null;
+
+  const { transaction } = options;
+  const material = await lockMaterial(serviceRequest.materialId, transaction);
+
+  await material.update({
+    reservedQuantity: Math.max(material.reservedQuantity - serviceRequest.quantity, 0)
+  }, { transaction });
+
+  serviceRequest.stockStatus = 'committed';
+
+  await recordMovement(material, 'commit', 0, {
+    ...options,
+    serviceRequestId: serviceRequest.id
+  });
+
+  return material;
+};
+
+// Put reserved or committed stock back on the shelf
+const releaseStock = async (serviceRequest, options) => {
+  const { stockStatus } = serviceRequest;
+  if (stockStatus !== 'reserved' && stockStatus !== 'committed') return null;
+
+  const { transaction } = options;
+  const material = await lockMaterial(serviceRequest.materialId, transaction);
+  const quantity = serviceRequest.quantity;
+
+  await material.update({
+    availableQuantity: material.availableQuantity + quantity,
+    reservedQuantity: stockStatus === 'reserved'
+      ? Math.max(material.reservedQuantity - quantity, 0)
+      : material.reservedQuantity
+  }, { transaction });
+
+  serviceRequest.stockStatus = 'released';
+
+  await recordMovement(material, 'release', quantity, {
+    ...options,
+    serviceRequestId: serviceRequest.id
+  });
+
+  return material;
+};
+
+// Apply the stock side effects of moving a material request to a new status.
+// The caller is responsible for saving the service request.
+const applyStockForStatus = async (serviceRequest, status, options) => {
+  if (serviceRequest.type !== 'material') return null;
+
+  // A released order forced back into a live status (admin override) has to
+  // take its stock off the shelf again, or fail if it is gone
+  if (serviceRequest.stockStatus === 'released' && !RELEASE_STATUSES.includes(status)) {
+    await reserveStock(serviceRequest, options);
+  }
+
+  if (COMMIT_STATUSES.includes(status)) {
+    return commitStock(serviceRequest, options);
+  }
+
+  if (RELEASE_STATUSES.includes(status)) {
+    return releaseStock(serviceRequest, options);
+  }
+
+  return null;
+};
+
+// Record a manual stock correction made by the supplier
+const recordAdjustment = (material, quantity, options) => {
+  return recordMovement(material, 'adjust', quantity, options);
+};
+
+module.exports = {
+  reserveStock,
+  commitStock,
+  releaseStock,
+  applyStockForStatus,
+  recordAdjustment
+};
@@ -0,0 +1,11 @@
+const crypto = require('crypto');
+
+// Random URL-safe token; only its hash is ever stored
+const generateToken = (bytes = 32) => crypto.randomBytes(bytes).toString('base64url');
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+module.exports = {
+  generateToken,
+  hashToken
+};
@@ -0,0 +1,45 @@
+const fs = require('fs');
+const path = require('path');
+
+// Same directory routes/upload.js stores files in
+const uploadsDir = path.join(__dirname, '../uploads');
+
+// Stored names carry the uploader's id: <field>-<userId>-<unique suffix><ext>
+const OWNED_NAME = /^[A-Za-z]+-([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})-\d+-\d+\.[A-Za-z]+$/i;
+
+const uploadFileName = (fieldName, userId, extension) => {
+  const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+  return `${fieldName}-${userId}-${uniqueSuffix}${extension}`;
+};
+
+// Id of the user who uploaded a file, or null for names without one
+const getUploadOwner = (fileName) => {
+  const match = OWNED_NAME.exec(fileName);
+  return match ? match[1].toLowerCase() : null;
+};
+
+// { fileName, fileUrl, size } for a file stored by /api/upload, or null when
+// there is no such file. Names with a directory part are never found, and with
+// ownerId neither are files someone else uploaded.
+const findUpload = (fileName, { ownerId } = {}) => {
+  const safeName = path.basename(String(fileName || ''));
+  if (!safeName || safeName !== fileName) return null;
+
+  if (ownerId && getUploadOwner(safeName) !== String(ownerId).toLowerCase()) return null;
+
+  const filePath = path.join(uploadsDir, safeName);
+  if (!fs.existsSync(filePath)) return null;
+
+  return {
+    fileName: safeName,
+    fileUrl: `/uploads/${safeName}`,
+    size: fs.statSync(filePath).size
+  };
+};
+
+module.exports = {
+  uploadsDir,
+  uploadFileName,
+  getUploadOwner,
+  findUpload
+};
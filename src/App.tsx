@@ -20,6 +20,7 @@ import { VirtualDashboard } from './components/VirtualDashboard';
 import { VehicleManagementPage } from './components/VehicleManagementPage';
 import { MaterialManagementPage } from './components/MaterialManagementPage';
 import { User, Partner } from './types';
+import { getAccountType, getRoleFields } from './utils/roles';
 
 type ViewType = 'home' | 'vehicles' | 'materials' | 'about' | 'contact' | 'signup' | 'dashboard' | 'profile' | 'confirmation' | 'services' | 'vehicle-listing' | 'material-listing' | 'vehicle-details' | 'vehicle-management';
 
@@ -43,9 +44,9 @@ function App() {
   };
 
   const redirectUserToDashboard = (userData: User) => {
-    switch (userData.role) {
-      case 'consumer':
-        // Consumer users go to service dashboard
+    switch (getAccountType(userData)) {
+      case 'customer':
+        // Customers go to service dashboard
         setCurrentView('dashboard');
         break;
         
@@ -203,13 +204,13 @@ function App() {
         name: registrationData.name || registrationData.fullName,
         email: registrationData.email,
         phone: registrationData.phone || registrationData.mobileNumber,
-        role: registrationData.role,
+        ...getRoleFields(registrationData.role),
         isAuthenticated: true,
         address: registrationData.address
       };
       setUser(newUser);
 
-      if (registrationData.role === 'consumer') {
+      if (registrationData.role === 'customer') {
         setCurrentView('dashboard');
       } else {
         // Create partner for business users
@@ -255,13 +256,13 @@ function App() {
         name: registrationData.name || registrationData.fullName,
         email: registrationData.email,
         phone: registrationData.phone || registrationData.mobileNumber,
-        role: registrationData.role,
+        ...getRoleFields(registrationData.role),
         isAuthenticated: true,
         address: registrationData.address
       };
       setUser(newUser);
       
-      if (registrationData.role === 'consumer') {
+      if (registrationData.role === 'customer') {
         setCurrentView('services');
       } else {
         // Create partner for business users and go to services
@@ -312,14 +313,14 @@ function App() {
 
   const handleHomeNavigation = () => {
     if (user) {
-      switch (user.role) {
+      switch (getAccountType(user)) {
         case 'vehicle_owner':
           setCurrentView('vehicle-management');
           break;
         case 'material_supplier':
           setCurrentView('vehicle-management'); // This will show material management for material suppliers
           break;
-        case 'consumer':
+        case 'customer':
         default:
           setCurrentView('home');
           break;
@@ -411,7 +412,7 @@ function App() {
         );
       case 'dashboard':
         return user ? (
-          user.role === 'consumer' ? (
+          user.role !== 'partner' ? (
             <ServiceDashboard 
               user={user}
               onVehicleService={() => setCurrentView('vehicle-listing')}
@@ -475,7 +476,7 @@ function App() {
           <ProfilePage 
             user={user} 
             onUpdateProfile={handleUpdateProfile}
-            onBack={() => setCurrentView(user.role === 'consumer' ? 'dashboard' : 'dashboard')}
+            onBack={() => setCurrentView('dashboard')}
           />
         ) : null;
       case 'confirmation':
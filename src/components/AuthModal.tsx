@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
 import { User, Mail, Phone, Eye, EyeOff } from 'lucide-react';
-import { User } from '../types';
+import { AccountType, User } from '../types';
+import { getRoleFields } from '../utils/roles';
 
 interface AuthModalProps {
   isOpen: boolean;
@@ -33,13 +34,13 @@ export const AuthModal: React.FC<AuthModalProps> = ({ isOpen, onClose, onLogin }
       
       if (isSignUp) {
         // Handle sign up
-        // Create new user (default to consumer role)
+        // Create new user (default to customer role)
         const newUser: User = {
           id: Date.now().toString(),
           name: formData.name,
           email: formData.email,
           phone: formData.phone,
-          role: 'consumer',
+          role: 'customer',
           isAuthenticated: true
         };
         
@@ -49,20 +50,20 @@ export const AuthModal: React.FC<AuthModalProps> = ({ isOpen, onClose, onLogin }
       } else {
         // Handle sign in - identify user by email
         // For demo purposes, create user based on email pattern
-        let role: 'consumer' | 'vehicle_owner' | 'material_supplier' | 'admin' = 'consumer';
+        let accountType: AccountType = 'customer';
         let name = 'User';
         
         if (formData.email.includes('admin')) {
-          role = 'admin';
+          accountType = 'admin';
           name = 'Admin User';
         } else if (formData.email.includes('vehicle') || formData.email.includes('owner')) {
-          role = 'vehicle_owner';
+          accountType = 'vehicle_owner';
           name = 'Vehicle Owner';
         } else if (formData.email.includes('material') || formData.email.includes('supplier')) {
-          role = 'material_supplier';
+          accountType = 'material_supplier';
           name = 'Material Supplier';
         } else {
-          role = 'consumer';
+          accountType = 'customer';
           name = formData.email.split('@')[0].replace(/[^a-zA-Z]/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
         }
         
@@ -71,7 +72,7 @@ export const AuthModal: React.FC<AuthModalProps> = ({ isOpen, onClose, onLogin }
           name: name,
           email: formData.email,
           phone: '+94 76 1098385',
-          role: role,
+          ...getRoleFields(accountType),
           isAuthenticated: true
         };
         
@@ -9,7 +9,7 @@ interface ConfirmationPageProps {
 export const ConfirmationPage: React.FC<ConfirmationPageProps> = ({ onAction, registrationData }) => {
   const getRoleDisplayName = (role: string) => {
     switch (role) {
-      case 'consumer':
+      case 'customer':
         return 'Service Consumer';
       case 'vehicle_owner':
         return 'Vehicle Owner';
@@ -22,7 +22,7 @@ export const ConfirmationPage: React.FC<ConfirmationPageProps> = ({ onAction, re
 
   const getRoleIcon = (role: string) => {
     switch (role) {
-      case 'consumer':
+      case 'customer':
         return <Users className="w-8 h-8 text-blue-500" />;
       case 'vehicle_owner':
         return <TrendingUp className="w-8 h-8 text-yellow-500" />;
@@ -35,7 +35,7 @@ export const ConfirmationPage: React.FC<ConfirmationPageProps> = ({ onAction, re
 
   const getRoleColor = (role: string) => {
     switch (role) {
-      case 'consumer':
+      case 'customer':
         return 'from-blue-500 to-blue-600';
       case 'vehicle_owner':
         return 'from-yellow-400 to-yellow-500';
@@ -98,7 +98,7 @@ export const ConfirmationPage: React.FC<ConfirmationPageProps> = ({ onAction, re
             <div className="bg-gray-50 rounded-2xl p-8 mb-12">
               <h4 className="text-2xl font-bold text-gray-900 mb-6 text-center">What's Next?</h4>
               <div className="grid md:grid-cols-3 gap-6">
-                {registrationData?.role === 'consumer' && (
+                {registrationData?.role === 'customer' && (
                   <>
                     <div className="text-center">
                       <div className="bg-blue-100 w-12 h-12 rounded-xl flex items-center justify-center mx-auto mb-3">
@@ -161,7 +161,7 @@ export const ConfirmationPage: React.FC<ConfirmationPageProps> = ({ onAction, re
                 className="group flex-1 bg-gradient-to-r from-blue-500 to-blue-600 text-white px-8 py-4 rounded-xl hover:from-blue-600 hover:to-blue-700 transition-all duration-300 font-semibold text-lg shadow-lg hover:shadow-xl flex items-center justify-center"
               >
                 <LayoutDashboard className="mr-3 w-6 h-6 group-hover:scale-110 transition-transform" />
-                {registrationData?.role === 'consumer' ? 'Get Started' : 'Go to Management Dashboard'}
+                {registrationData?.role === 'customer' ? 'Get Started' : 'Go to Management Dashboard'}
               </button>
               
               <button
@@ -169,7 +169,7 @@ export const ConfirmationPage: React.FC<ConfirmationPageProps> = ({ onAction, re
                 className={`group flex-1 bg-gradient-to-r ${getRoleColor(registrationData?.role)} text-white px-8 py-4 rounded-xl hover:shadow-xl transition-all duration-300 font-semibold text-lg shadow-lg flex items-center justify-center`}
               >
                 <LayoutDashboard className="mr-3 w-6 h-6 group-hover:scale-110 transition-transform" />
-                {registrationData?.role === 'consumer' ? 'Go to Home' : 'Go to Services'}
+                {registrationData?.role === 'customer' ? 'Go to Home' : 'Go to Services'}
               </button>
             </div>
 
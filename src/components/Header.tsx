@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
 import { Truck, Package } from 'lucide-react';
 import { User as UserType } from '../types';
+import { ACCOUNT_TYPE_LABELS, getAccountType } from '../utils/roles';
 
 type ViewType = 'home' | 'vehicles' | 'materials' | 'about' | 'contact' | 'signup' | 'dashboard' | 'profile' | 'confirmation' | 'services' | 'vehicle-listing' | 'material-listing' | 'vehicle-details' | 'vehicle-management' | 'material-management';
 
@@ -34,8 +35,8 @@ export const Header: React.FC<HeaderProps> = ({
   const getNavItems = () => {
     if (user) {
       // Authenticated user navigation
-      switch (user.role) {
-        case 'consumer':
+      switch (getAccountType(user)) {
+        case 'customer':
           return [
             { id: 'home', label: 'Home' },
             { id: 'vehicles', label: 'Vehicles' },
@@ -106,18 +107,7 @@ export const Header: React.FC<HeaderProps> = ({
   };
 
   const getUserRoleDisplay = () => {
-    switch (user?.role) {
-      case 'consumer':
-        return 'Service Consumer';
-      case 'vehicle_owner':
-        return 'Vehicle Owner';
-      case 'material_supplier':
-        return 'Material Supplier';
-      case 'admin':
-        return 'Administrator';
-      default:
-        return 'User';
-    }
+    return user ? ACCOUNT_TYPE_LABELS[getAccountType(user)] : 'User';
   };
 
   return (
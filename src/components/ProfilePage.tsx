@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
 import { ArrowLeft, User, Mail, Phone, MapPin, Edit, Save, Camera } from 'lucide-react';
 import { User as UserType } from '../types';
+import { ACCOUNT_TYPE_LABELS, getAccountType } from '../utils/roles';
 
 interface ProfilePageProps {
   user: UserType;
@@ -95,9 +96,7 @@ export const ProfilePage: React.FC<ProfilePageProps> = ({ user, onUpdateProfile,
                   <div>
                     <h2 className="text-3xl font-bold text-black">{user.name}</h2>
                     <p className="text-gray-700 capitalize">
-                      {user.role === 'consumer' && 'Service Consumer'}
-                      {user.role === 'vehicle_owner' && 'Vehicle Owner'}
-                      {user.role === 'material_supplier' && 'Material Supplier'}
+                      {ACCOUNT_TYPE_LABELS[getAccountType(user)]}
                     </p>
                   </div>
                 </div>
@@ -221,9 +220,7 @@ export const ProfilePage: React.FC<ProfilePageProps> = ({ user, onUpdateProfile,
                     <div>
                       <span className="text-sm text-gray-600">Account Type:</span>
                       <div className="font-medium text-gray-900 capitalize">
-                        {user.role === 'consumer' && 'Service Consumer'}
-                        {user.role === 'vehicle_owner' && 'Vehicle Owner'}
-                        {user.role === 'material_supplier' && 'Material Supplier'}
+                        {ACCOUNT_TYPE_LABELS[getAccountType(user)]}
                       </div>
                     </div>
                     <div>
@@ -1,5 +1,6 @@
 import React from 'react';
 import { User } from '../types';
+import { getAccountType } from '../utils/roles';
 
 interface ServiceDashboardProps {
   user: User;
@@ -12,9 +13,11 @@ export const ServiceDashboard: React.FC<ServiceDashboardProps> = ({
   onVehicleService, 
   onMaterialService 
 }) => {
+  const accountType = getAccountType(user);
+
   const getDashboardTitle = () => {
-    switch (user.role) {
-      case 'consumer':
+    switch (accountType) {
+      case 'customer':
         return `Welcome, ${user.name}!`;
       case 'vehicle_owner':
         return `Vehicle Owner Dashboard`;
@@ -28,8 +31,8 @@ export const ServiceDashboard: React.FC<ServiceDashboardProps> = ({
   };
 
   const getDashboardSubtitle = () => {
-    switch (user.role) {
-      case 'consumer':
+    switch (accountType) {
+      case 'customer':
         return 'What would you like to find today? Choose from our comprehensive range of construction services.';
       case 'vehicle_owner':
         return 'Manage your vehicle rentals and connect with customers across Sri Lanka.';
@@ -43,8 +46,8 @@ export const ServiceDashboard: React.FC<ServiceDashboardProps> = ({
   };
 
   const getHeaderColor = () => {
-    switch (user.role) {
-      case 'consumer':
+    switch (accountType) {
+      case 'customer':
         return 'from-blue-600 to-blue-700';
       case 'vehicle_owner':
         return 'from-yellow-400 to-yellow-500';
@@ -61,14 +64,14 @@ export const ServiceDashboard: React.FC<ServiceDashboardProps> = ({
       {/* Hero Section */}
       <section className={`bg-gradient-to-r ${getHeaderColor()} py-20`}>
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
-          <div className={`text-center ${user.role === 'vehicle_owner' ? 'text-black' : 'text-white'}`}>
+          <div className={`text-center ${accountType === 'vehicle_owner' ? 'text-black' : 'text-white'}`}>
             <h1 className="text-5xl lg:text-6xl font-bold mb-6">
               {getDashboardTitle()}
             </h1>
             <p className={`text-xl max-w-3xl mx-auto mb-8 ${
-              user.role === 'vehicle_owner' ? 'text-gray-700' : 
-              user.role === 'consumer' ? 'text-blue-100' :
-              user.role === 'material_supplier' ? 'text-green-100' :
+              accountType === 'vehicle_owner' ? 'text-gray-700' : 
+              accountType === 'customer' ? 'text-blue-100' :
+              accountType === 'material_supplier' ? 'text-green-100' :
               'text-purple-100'
             }`}>
               {getDashboardSubtitle()}
@@ -76,39 +79,39 @@ export const ServiceDashboard: React.FC<ServiceDashboardProps> = ({
             
             <div className="grid md:grid-cols-3 gap-6 mt-12">
               <div className="bg-white/10 backdrop-blur-sm rounded-xl p-6">
-                <span className={`text-2xl mx-auto mb-3 block ${user.role === 'vehicle_owner' ? 'text-black' : 'text-white'}`}>⭐</span>
+                <span className={`text-2xl mx-auto mb-3 block ${accountType === 'vehicle_owner' ? 'text-black' : 'text-white'}`}>⭐</span>
                 <h3 className="font-bold text-lg mb-2">Quality Assured</h3>
                 <p className={`text-sm ${
-                  user.role === 'vehicle_owner' ? 'text-gray-700' : 
-                  user.role === 'consumer' ? 'text-blue-100' :
-                  user.role === 'material_supplier' ? 'text-green-100' :
+                  accountType === 'vehicle_owner' ? 'text-gray-700' : 
+                  accountType === 'customer' ? 'text-blue-100' :
+                  accountType === 'material_supplier' ? 'text-green-100' :
                   'text-purple-100'
                 }`}>
-                  {user.role === 'consumer' ? 'Verified suppliers and vehicle owners' : 'Quality service guarantee'}
+                  {accountType === 'customer' ? 'Verified suppliers and vehicle owners' : 'Quality service guarantee'}
                 </p>
               </div>
               <div className="bg-white/10 backdrop-blur-sm rounded-xl p-6">
-                <span className={`text-2xl mx-auto mb-3 block ${user.role === 'vehicle_owner' ? 'text-black' : 'text-white'}`}>👥</span>
+                <span className={`text-2xl mx-auto mb-3 block ${accountType === 'vehicle_owner' ? 'text-black' : 'text-white'}`}>👥</span>
                 <h3 className="font-bold text-lg mb-2">Direct Contact</h3>
                 <p className={`text-sm ${
-                  user.role === 'vehicle_owner' ? 'text-gray-700' : 
-                  user.role === 'consumer' ? 'text-blue-100' :
-                  user.role === 'material_supplier' ? 'text-green-100' :
+                  accountType === 'vehicle_owner' ? 'text-gray-700' : 
+                  accountType === 'customer' ? 'text-blue-100' :
+                  accountType === 'material_supplier' ? 'text-green-100' :
                   'text-purple-100'
                 }`}>
-                  {user.role === 'consumer' ? 'Connect directly with service providers' : 'Direct customer connections'}
+                  {accountType === 'customer' ? 'Connect directly with service providers' : 'Direct customer connections'}
                 </p>
               </div>
               <div className="bg-white/10 backdrop-blur-sm rounded-xl p-6">
-                <span className={`text-2xl mx-auto mb-3 block ${user.role === 'vehicle_owner' ? 'text-black' : 'text-white'}`}>🏆</span>
+                <span className={`text-2xl mx-auto mb-3 block ${accountType === 'vehicle_owner' ? 'text-black' : 'text-white'}`}>🏆</span>
                 <h3 className="font-bold text-lg mb-2">Best Prices</h3>
                 <p className={`text-sm ${
-                  user.role === 'vehicle_owner' ? 'text-gray-700' : 
-                  user.role === 'consumer' ? 'text-blue-100' :
-                  user.role === 'material_supplier' ? 'text-green-100' :
+                  accountType === 'vehicle_owner' ? 'text-gray-700' : 
+                  accountType === 'customer' ? 'text-blue-100' :
+                  accountType === 'material_supplier' ? 'text-green-100' :
                   'text-purple-100'
                 }`}>
-                  {user.role === 'consumer' ? 'Competitive rates across Sri Lanka' : 'Set your own competitive rates'}
+                  {accountType === 'customer' ? 'Competitive rates across Sri Lanka' : 'Set your own competitive rates'}
                 </p>
               </div>
             </div>
@@ -119,7 +122,7 @@ export const ServiceDashboard: React.FC<ServiceDashboardProps> = ({
       {/* Service Options */}
       <section className="py-20">
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
-          {user.role === 'consumer' && (
+          {accountType === 'customer' && (
             <div className="text-center mb-16">
               <h2 className="text-4xl font-bold text-gray-900 mb-6">
                 Choose Your Service
@@ -130,7 +133,7 @@ export const ServiceDashboard: React.FC<ServiceDashboardProps> = ({
             </div>
           )}
 
-          {(user.role === 'vehicle_owner' || user.role === 'material_supplier') && (
+          {(accountType === 'vehicle_owner' || accountType === 'material_supplier') && (
             <div className="text-center mb-16">
               <h2 className="text-4xl font-bold text-gray-900 mb-6">
                 Quick Actions
@@ -146,26 +149,26 @@ export const ServiceDashboard: React.FC<ServiceDashboardProps> = ({
             <div 
               onClick={onVehicleService}
               className={`group rounded-3xl p-10 cursor-pointer hover:shadow-2xl transition-all duration-500 border ${
-                user.role === 'consumer' 
+                accountType === 'customer' 
                   ? 'bg-gradient-to-br from-yellow-50 to-yellow-100 border-yellow-200 hover:border-yellow-300'
-                  : user.role === 'vehicle_owner'
+                  : accountType === 'vehicle_owner'
                   ? 'bg-gradient-to-br from-yellow-100 to-yellow-200 border-yellow-300 hover:border-yellow-400'
                   : 'bg-gradient-to-br from-blue-50 to-blue-100 border-blue-200 hover:border-blue-300'
               }`}
             >
               <div className="text-center">
                 <div className={`p-6 rounded-2xl mx-auto mb-6 w-24 h-24 flex items-center justify-center group-hover:scale-110 transition-transform duration-300 ${
-                  user.role === 'vehicle_owner' ? 'bg-yellow-500' : 'bg-yellow-400'
+                  accountType === 'vehicle_owner' ? 'bg-yellow-500' : 'bg-yellow-400'
                 }`}>
                   <Truck className="text-white w-12 h-12" />
                 </div>
                 <h3 className="text-4xl font-bold text-gray-900 mb-4">
-                  {user.role === 'consumer' ? 'Service Vehicles' : user.role === 'vehicle_owner' ? 'Manage Vehicles' : 'Browse Vehicles'}
+                  {accountType === 'customer' ? 'Service Vehicles' : accountType === 'vehicle_owner' ? 'Manage Vehicles' : 'Browse Vehicles'}
                 </h3>
                 <p className="text-gray-700 text-lg leading-relaxed mb-6">
-                  {user.role === 'consumer' 
+                  {accountType === 'customer' 
                     ? 'Browse and rent heavy vehicles like JCBs, excavators, lorries, and more from verified owners across Sri Lanka.'
-                    : user.role === 'vehicle_owner'
+                    : accountType === 'vehicle_owner'
                     ? 'Manage your vehicle listings, track bookings, and connect with customers looking for construction vehicles.'
                     : 'Browse available vehicles for your material transportation and construction needs.'
                   }
@@ -175,21 +178,21 @@ export const ServiceDashboard: React.FC<ServiceDashboardProps> = ({
                   <div className="text-sm text-gray-600 mb-2">Available Categories:</div>
                   <div className="flex justify-center space-x-4">
                     <span className={`px-3 py-1 rounded-full text-sm ${
-                      user.role === 'vehicle_owner' ? 'bg-yellow-300 text-yellow-900' : 'bg-yellow-200 text-yellow-800'
+                      accountType === 'vehicle_owner' ? 'bg-yellow-300 text-yellow-900' : 'bg-yellow-200 text-yellow-800'
                     }`}>Agricultural</span>
                     <span className={`px-3 py-1 rounded-full text-sm ${
-                      user.role === 'vehicle_owner' ? 'bg-yellow-300 text-yellow-900' : 'bg-yellow-200 text-yellow-800'
+                      accountType === 'vehicle_owner' ? 'bg-yellow-300 text-yellow-900' : 'bg-yellow-200 text-yellow-800'
                     }`}>Construction</span>
                     <span className={`px-3 py-1 rounded-full text-sm ${
-                      user.role === 'vehicle_owner' ? 'bg-yellow-300 text-yellow-900' : 'bg-yellow-200 text-yellow-800'
+                      accountType === 'vehicle_owner' ? 'bg-yellow-300 text-yellow-900' : 'bg-yellow-200 text-yellow-800'
                     }`}>Water Supply</span>
                   </div>
                 </div>
                 
                 <div className={`flex items-center justify-center font-semibold text-lg ${
-                  user.role === 'vehicle_owner' ? 'text-yellow-700 group-hover:text-yellow-800' : 'text-yellow-600 group-hover:text-yellow-700'
+                  accountType === 'vehicle_owner' ? 'text-yellow-700 group-hover:text-yellow-800' : 'text-yellow-600 group-hover:text-yellow-700'
                 }`}>
-                  {user.role === 'consumer' ? 'Browse Vehicles' : user.role === 'vehicle_owner' ? 'Manage Vehicles' : 'Browse Vehicles'}
+                  {accountType === 'customer' ? 'Browse Vehicles' : accountType === 'vehicle_owner' ? 'Manage Vehicles' : 'Browse Vehicles'}
                   <span className="ml-2 group-hover:translate-x-2 transition-transform">→</span>
                 </div>
               </div>
@@ -199,26 +202,26 @@ export const ServiceDashboard: React.FC<ServiceDashboardProps> = ({
             <div 
               onClick={onMaterialService}
               className={`group rounded-3xl p-10 cursor-pointer hover:shadow-2xl transition-all duration-500 border ${
-                user.role === 'consumer' 
+                accountType === 'customer' 
                   ? 'bg-gradient-to-br from-blue-50 to-blue-100 border-blue-200 hover:border-blue-300'
-                  : user.role === 'material_supplier'
+                  : accountType === 'material_supplier'
                   ? 'bg-gradient-to-br from-green-100 to-green-200 border-green-300 hover:border-green-400'
                   : 'bg-gradient-to-br from-green-50 to-green-100 border-green-200 hover:border-green-300'
               }`}
             >
               <div className="text-center">
                 <div className={`p-6 rounded-2xl mx-auto mb-6 w-24 h-24 flex items-center justify-center group-hover:scale-110 transition-transform duration-300 ${
-                  user.role === 'material_supplier' ? 'bg-green-600' : 'bg-blue-500'
+                  accountType === 'material_supplier' ? 'bg-green-600' : 'bg-blue-500'
                 }`}>
                   <Package className="text-white w-12 h-12" />
                 </div>
                 <h3 className="text-4xl font-bold text-gray-900 mb-4">
-                  {user.role === 'consumer' ? 'Construction Materials' : user.role === 'material_supplier' ? 'Manage Materials' : 'Browse Materials'}
+                  {accountType === 'customer' ? 'Construction Materials' : accountType === 'material_supplier' ? 'Manage Materials' : 'Browse Materials'}
                 </h3>
                 <p className="text-gray-700 text-lg leading-relaxed mb-6">
-                  {user.role === 'consumer' 
+                  {accountType === 'customer' 
                     ? 'Source quality construction materials like sand, soil, bricks, and gravel from verified suppliers.'
-                    : user.role === 'material_supplier'
+                    : accountType === 'material_supplier'
                     ? 'Manage your material listings, track orders, and connect with customers needing construction materials.'
                     : 'Browse available construction materials for your projects and business needs.'
                   }
@@ -228,24 +231,24 @@ export const ServiceDashboard: React.FC<ServiceDashboardProps> = ({
                   <div className="text-sm text-gray-600 mb-2">Available Materials:</div>
                   <div className="flex justify-center space-x-2 flex-wrap gap-2">
                     <span className={`px-2 py-1 rounded-full text-xs ${
-                      user.role === 'material_supplier' ? 'bg-green-300 text-green-900' : 'bg-blue-200 text-blue-800'
+                      accountType === 'material_supplier' ? 'bg-green-300 text-green-900' : 'bg-blue-200 text-blue-800'
                     }`}>Sand</span>
                     <span className={`px-2 py-1 rounded-full text-xs ${
-                      user.role === 'material_supplier' ? 'bg-green-300 text-green-900' : 'bg-blue-200 text-blue-800'
+                      accountType === 'material_supplier' ? 'bg-green-300 text-green-900' : 'bg-blue-200 text-blue-800'
                     }`}>Soil</span>
                     <span className={`px-2 py-1 rounded-full text-xs ${
-                      user.role === 'material_supplier' ? 'bg-green-300 text-green-900' : 'bg-blue-200 text-blue-800'
+                      accountType === 'material_supplier' ? 'bg-green-300 text-green-900' : 'bg-blue-200 text-blue-800'
                     }`}>Bricks</span>
                     <span className={`px-2 py-1 rounded-full text-xs ${
-                      user.role === 'material_supplier' ? 'bg-green-300 text-green-900' : 'bg-blue-200 text-blue-800'
+                      accountType === 'material_supplier' ? 'bg-green-300 text-green-900' : 'bg-blue-200 text-blue-800'
                     }`}>Gravel</span>
                   </div>
                 </div>
                 
                 <div className={`flex items-center justify-center font-semibold text-lg ${
-                  user.role === 'material_supplier' ? 'text-green-700 group-hover:text-green-800' : 'text-blue-600 group-hover:text-blue-700'
+                  accountType === 'material_supplier' ? 'text-green-700 group-hover:text-green-800' : 'text-blue-600 group-hover:text-blue-700'
                 }`}>
-                  {user.role === 'consumer' ? 'Browse Materials' : user.role === 'material_supplier' ? 'Manage Materials' : 'Browse Materials'}
+                  {accountType === 'customer' ? 'Browse Materials' : accountType === 'material_supplier' ? 'Manage Materials' : 'Browse Materials'}
                   <span className="ml-2 group-hover:translate-x-2 transition-transform">→</span>
                 </div>
               </div>
@@ -260,43 +263,43 @@ export const ServiceDashboard: React.FC<ServiceDashboardProps> = ({
           <div className="text-center mb-12">
             <h2 className="text-3xl font-bold text-gray-900 mb-4">Platform Statistics</h2>
             <p className="text-gray-600">
-              {user.role === 'consumer' ? 'Join thousands of satisfied customers' : 'Be part of our growing network'}
+              {accountType === 'customer' ? 'Join thousands of satisfied customers' : 'Be part of our growing network'}
             </p>
           </div>
           
           <div className="grid md:grid-cols-4 gap-8 text-center">
             <div>
               <div className={`text-3xl font-bold mb-2 ${
-                user.role === 'vehicle_owner' ? 'text-yellow-600' : 
-                user.role === 'material_supplier' ? 'text-green-600' : 'text-blue-600'
+                accountType === 'vehicle_owner' ? 'text-yellow-600' : 
+                accountType === 'material_supplier' ? 'text-green-600' : 'text-blue-600'
               }`}>500+</div>
               <div className="text-gray-600">
-                {user.role === 'consumer' ? 'Active Suppliers' : 'Platform Users'}
+                {accountType === 'customer' ? 'Active Suppliers' : 'Platform Users'}
               </div>
             </div>
             <div>
               <div className={`text-3xl font-bold mb-2 ${
-                user.role === 'vehicle_owner' ? 'text-yellow-600' : 
-                user.role === 'material_supplier' ? 'text-green-600' : 'text-yellow-600'
+                accountType === 'vehicle_owner' ? 'text-yellow-600' : 
+                accountType === 'material_supplier' ? 'text-green-600' : 'text-yellow-600'
               }`}>25</div>
               <div className="text-gray-600">Districts Covered</div>
             </div>
             <div>
               <div className={`text-3xl font-bold mb-2 ${
-                user.role === 'vehicle_owner' ? 'text-yellow-600' : 
-                user.role === 'material_supplier' ? 'text-green-600' : 'text-green-600'
+                accountType === 'vehicle_owner' ? 'text-yellow-600' : 
+                accountType === 'material_supplier' ? 'text-green-600' : 'text-green-600'
               }`}>1000+</div>
               <div className="text-gray-600">
-                {user.role === 'consumer' ? 'Successful Projects' : 'Successful Transactions'}
+                {accountType === 'customer' ? 'Successful Projects' : 'Successful Transactions'}
               </div>
             </div>
             <div>
               <div className={`text-3xl font-bold mb-2 ${
-                user.role === 'vehicle_owner' ? 'text-yellow-600' : 
-                user.role === 'material_supplier' ? 'text-green-600' : 'text-purple-600'
+                accountType === 'vehicle_owner' ? 'text-yellow-600' : 
+                accountType === 'material_supplier' ? 'text-green-600' : 'text-purple-600'
               }`}>4.9/5</div>
               <div className="text-gray-600">
-                {user.role === 'consumer' ? 'User Rating' : 'Average Rating'}
+                {accountType === 'customer' ? 'User Rating' : 'Average Rating'}
               </div>
             </div>
           </div>
@@ -71,7 +71,7 @@ export const SignUpPage: React.FC<SignUpPageProps> = ({
           <div className="grid lg:grid-cols-3 gap-8 max-w-6xl mx-auto">
             {/* Service Consumer */}
             <div
-              onClick={() => setSelectedRole('consumer')}
+              onClick={() => setSelectedRole('customer')}
               className="group bg-gradient-to-br from-blue-50 to-blue-100 rounded-3xl p-8 border border-blue-200 hover:shadow-2xl transition-all duration-500 cursor-pointer"
             >
               <div className="text-center">
@@ -194,7 +194,7 @@ export const SignUpPage: React.FC<SignUpPageProps> = ({
         <div className="bg-white rounded-2xl shadow-2xl p-8">
           <div className="text-center mb-8">
             <h1 className="text-3xl font-bold text-gray-900 mb-4">
-              {selectedRole === 'consumer' && 'Service Consumer Registration'}
+              {selectedRole === 'customer' && 'Service Consumer Registration'}
               {selectedRole === 'vehicle_owner' && 'Vehicle Owner Registration'}
               {selectedRole === 'material_supplier' && 'Material Supplier Registration'}
             </h1>
@@ -1,9 +1,17 @@
+// Account roles and partner types shared with the API (server/config/roles.js)
+export type UserRole = 'customer' | 'partner' | 'admin' | 'support_agent' | 'finance';
+export type PartnerType = 'vehicle_owner' | 'material_supplier';
+
+// What the UI is tailored to: the role, or the partner type for partners
+export type AccountType = Exclude<UserRole, 'partner'> | PartnerType;
+
 export interface User {
   id: string;
   name: string;
   email: string;
   phone: string;
-  role: 'consumer' | 'vehicle_owner' | 'material_supplier' | 'admin';
+  role: UserRole;
+  partnerType?: PartnerType;
   isAuthenticated: boolean;
   address?: string;
   bio?: string;
@@ -67,7 +75,7 @@ export interface ServiceRequest {
 
 export interface Partner {
   id: string;
-  type: 'vehicle_owner' | 'material_supplier';
+  type: PartnerType;
   businessName: string;
   ownerName: string;
   email: string;
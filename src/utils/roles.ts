@@ -0,0 +1,25 @@
+import { AccountType, PartnerType, User, UserRole } from '../types';
+
+export const ACCOUNT_TYPE_LABELS: Record<AccountType, string> = {
+  customer: 'Service Consumer',
+  vehicle_owner: 'Vehicle Owner',
+  material_supplier: 'Material Supplier',
+  admin: 'Administrator',
+  support_agent: 'Support Agent',
+  finance: 'Finance'
+};
+
+export const getAccountType = (user: Pick<User, 'role' | 'partnerType'>): AccountType => {
+  if (user.role === 'partner') {
+    return user.partnerType ?? 'customer';
+  }
+  return user.role;
+};
+
+// Role fields for a user created from a sign-up account type
+export const getRoleFields = (accountType: AccountType): { role: UserRole; partnerType?: PartnerType } => {
+  if (accountType === 'vehicle_owner' || accountType === 'material_supplier') {
+    return { role: 'partner', partnerType: accountType };
+  }
+  return { role: accountType };
+};